@@ -1,261 +1,410 @@
 /**
- * Chat Function - Netlify Function (Simplified)
- * Endpoint simplifica    const {
-      providerType,
-      messages, 
-      options = {},
-      streaming = false,
-      model,
-      temperature = 0.7,
-      maxTokens = 2000
-    } = requestData;
-
-    // Usar modelos por defecto apropiados para cada provider si no se especifica
-    const defaultModels = {
-      'openai': 'gpt-4o-mini',
-      'gemini': 'gemini-1.5-pro',
-      'anthropic': 'claude-3-5-sonnet',
-      'azure': 'gpt-4o-mini'
-    };
-    
-    const finalModel = model || defaultModels[providerType] || 'gpt-4o-mini';hat sin middlewares complejos
- * Updated: Force redeploy to apply environment variables
+ * Chat Function - Netlify Function
+ * Endpoint de chat con CORS, rate limiting y validación del body (middlewares/)
+ * Soporta respuestas completas (JSON) y streaming (Server-Sent Events)
  */
 
-// Importar solo los adaptadores necesarios
-const { OpenAIProvider } = require('./providers/OpenAIProvider');
-const { GeminiProvider } = require('./providers/GeminiProvider');
-const { AnthropicProvider } = require('./providers/AnthropicProvider');
-const { AzureChatProvider } = require('./providers/AzureChatProvider');
+const { stream } = require('@netlify/functions');
+const { compose } = require('./middlewares/compose');
+const { withCors } = require('./middlewares/cors');
+const { withMethods } = require('./middlewares/methods');
+const { withRateLimit } = require('./middlewares/ratelimit');
+const { withValidation } = require('./middlewares/validate');
+
+// Los adaptadores se resuelven a través del registro de proveedores
+const { createProvider, getDefaultModel, matchModel, supports } = require('./providers/registry');
+const { SSE_HEADERS, createSSEStream, toChatEvents } = require('./utils/sse');
+const { getToolDefinitions } = require('./tools/registry');
+const { runToolLoop, resolveMaxSteps } = require('./tools/loop');
+const { hasImages } = require('./utils/content');
+const { normalizeResponseFormat, parseStructuredOutput } = require('./utils/structuredOutput');
+const { applyPromptLibrary } = require('./utils/promptLibrary');
+const { buildFallbackChain, runWithFallback } = require('./utils/fallback');
+const { validateRetryOptions } = require('./utils/retry');
+const { validateContextOptions, fitToContext } = require('./utils/context');
+const { normalizeUsage } = require('./utils/usage');
+const { ERROR_STATUS, createError, errorBody, errorResponse } = require('./utils/errors');
+const { createLogger, redactMessages } = require('./utils/logger');
 
+const logger = createLogger('chat');
 
+// CORS, solo POST, límite por IP y body validado con el esquema "chat" antes del handler
+const withMiddlewares = compose(
+  withCors,
+  withMethods('POST'),
+  withRateLimit({ name: 'chat' }),
+  withValidation('chat')
+);
 
 /**
- * Handler principal simplificado
+ * Crear el adapter de un proveedor y validar el modelo contra lo que pide el request
+ * Valida contra el listado del proveedor (el mismo que expone /api/models):
+ * en vivo y cacheado, o el catálogo incluido si la API de modelos no responde
+ * @param {Object} candidate - { provider, model } (sin model se usa el modelo por defecto)
+ * @param {Object} requirements - { streaming, tools, images }
+ * @returns {Promise<Object>} { providerType, provider, modelInfo }
  */
-exports.handler = async (event, context) => {
-  // CORS simple
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
-      },
-      body: '',
-    };
+async function resolveChatTarget({ provider: providerType, model }, { streaming, tools, images }) {
+  const fail = message => createError('invalid_request', message);
+
+  if (streaming && !supports(providerType, 'stream')) {
+    throw fail(`El proveedor ${providerType} no soporta streaming`);
   }
 
-  // Solo permitir POST
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
-      body: JSON.stringify({
-        error: 'Method not allowed'
-      }),
-    };
+  if (tools && !supports(providerType, 'tools')) {
+    throw fail(`El proveedor ${providerType} no soporta herramientas (tools)`);
   }
 
-  try {
-    // Parsear request
-    let requestData;
-    try {
-      requestData = JSON.parse(event.body || '{}');
-    } catch (error) {
-      return {
-        statusCode: 400,
-        headers: { 
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: 'JSON inválido'
-        }),
-      };
-    }
+  const provider = createProvider(providerType, 'chat');
+  const finalModel = model || getDefaultModel(providerType, 'chat');
 
-    // Validación básica
-    if (!requestData.provider || !requestData.messages || !Array.isArray(requestData.messages)) {
-      return {
-        statusCode: 400,
-        headers: { 
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: 'Se requieren "provider" y "messages"'
-        }),
-      };
-    }
+  const { models: availableModels } = await provider.listModels();
+  const modelInfo = matchModel(availableModels, finalModel);
+
+  if (!modelInfo) {
+    const error = fail(`Modelo no disponible para ${providerType}: ${finalModel}`);
+    error.availableModels = availableModels.map(m => m.id);
+    throw error;
+  }
+
+  if (streaming && !modelInfo.streaming) {
+    throw fail(`El modelo ${modelInfo.id} no soporta streaming`);
+  }
+
+  // Solo se rechaza un false explícito del catálogo; null (modelo detectado vía API) queda
+  // a cargo de la capacidad del proveedor
+  if (tools && modelInfo.tools === false) {
+    throw fail(`El modelo ${modelInfo.id} no soporta herramientas (tools)`);
+  }
+
+  // Mensajes con imágenes: el proveedor y el modelo deben aceptar visión
+  if (images && (!supports(providerType, 'vision') || modelInfo.vision === false)) {
+    throw fail(`El modelo ${modelInfo.id} no acepta imágenes`);
+  }
+
+  return { providerType, provider, modelInfo };
+}
+
+/**
+ * Respetar el límite de salida del modelo cuando el catálogo lo conoce
+ */
+function limitMaxTokens(maxTokens, modelInfo) {
+  return modelInfo.maxOutputTokens ? Math.min(maxTokens, modelInfo.maxOutputTokens) : maxTokens;
+}
+
+/**
+ * Handler principal
+ * Envuelto con stream() para que Netlify pueda enviar el body como ReadableStream
+ */
+exports.handler = stream(withMiddlewares(async (event, context) => {
+  try {
+    // withValidation ya comprobó el JSON, provider y messages; se usa el body completo
+    // porque el esquema no cubre todos los campos (fallback, responseFormat, isError...)
+    const requestData = JSON.parse(event.body || '{}');
 
     const { 
       provider: providerType, 
-      messages, 
-      options = {},
-      streaming = false,
-      model = 'gpt-4',
+      messages: requestMessages, 
+      model,
       temperature = 0.7,
-      maxTokens = 2000
+      maxTokens = 2000,
+      tools,
+      toolChoice,
+      serverTools,
+      maxSteps,
+      responseFormat,
+      promptId,
+      examples,
+      promptVariables,
+      fallback,
+      retry,
+      context: contextOptions
     } = requestData;
 
-    console.log('Processing chat request:', { providerType, messageCount: messages.length, model: finalModel });
+    // Aceptar tanto "streaming" (frontend) como "stream" (contrato documentado)
+    const streaming = Boolean(requestData.streaming ?? requestData.stream ?? false);
 
-    // Debug de variables de entorno
-    console.log('Environment variables check:', {
-      hasOpenAI: !!process.env.OPENAI_API_KEY,
-      hasGoogle: !!process.env.GOOGLE_API_KEY,
-      hasAnthropic: !!process.env.ANTHROPIC_API_KEY,
-      hasAzureKey: !!process.env.AZURE_OPENAI_API_KEY,
-      hasAzureEndpoint: !!process.env.AZURE_OPENAI_ENDPOINT
-    });
+    logger.info('Processing chat request', { provider: providerType, messageCount: requestMessages.length, model, streaming, promptId, examples, fallback });
 
-    // Crear instancia del proveedor con try-catch individual
-    let provider;
+    // Validaciones que no dependen del proveedor
+    let serverToolDefinitions = null;
+    let format = null;
+    let messages = requestMessages;
+    let chain;
+    let retryOptions;
+    let contextPolicy;
     try {
-      console.log('Creating provider for:', providerType);
-      
-      switch (providerType.toLowerCase()) {
-        case 'openai':
-          if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OPENAI_API_KEY no configurada');
-          }
-          console.log('Creating OpenAI provider...');
-          provider = new OpenAIProvider({
-            apiKey: process.env.OPENAI_API_KEY
-          });
-          console.log('OpenAI provider created successfully');
-          break;
-
-        case 'gemini':
-          if (!process.env.GOOGLE_API_KEY) {
-            throw new Error('GOOGLE_API_KEY no configurada');
-          }
-          console.log('Creating Gemini provider...');
-          provider = new GeminiProvider({
-            apiKey: process.env.GOOGLE_API_KEY
-          });
-          console.log('Gemini provider created successfully');
-          break;
-
-        case 'anthropic':
-          if (!process.env.ANTHROPIC_API_KEY) {
-            throw new Error('ANTHROPIC_API_KEY no configurada');
-          }
-          console.log('Creating Anthropic provider...');
-          provider = new AnthropicProvider({
-            apiKey: process.env.ANTHROPIC_API_KEY
-          });
-          console.log('Anthropic provider created successfully');
-          break;
-
-        case 'azure':
-          if (!process.env.AZURE_OPENAI_API_KEY || !process.env.AZURE_OPENAI_ENDPOINT) {
-            throw new Error('Azure OpenAI no configurado');
-          }
-          console.log('Creating Azure provider...');
-          provider = new AzureChatProvider({
-            apiKey: process.env.AZURE_OPENAI_API_KEY,
-            endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-            apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview',
-            deployment: process.env.AZURE_OPENAI_CHAT_DEPLOYMENT || 'gpt-4'
-          });
-          console.log('Azure provider created successfully');
-          break;
+      // System prompt con nombre y ejemplos few-shot de lib/prompts (plantillas con promptVariables)
+      messages = applyPromptLibrary(requestMessages, { promptId, examples, variables: promptVariables });
 
-        default:
-          throw new Error(`Proveedor no soportado: ${providerType}`);
+      // Salida estructurada: se valida la respuesta completa, por eso no admite streaming
+      format = normalizeResponseFormat(responseFormat);
+      if (format && (streaming || tools?.length || serverTools)) {
+        throw createError('invalid_request', 'responseFormat no se puede combinar con streaming ni con herramientas');
       }
+
+      // serverTools: true (todas) o lista de nombres de herramientas que ejecuta el servidor
+      if (serverTools) {
+        if (serverTools !== true && !Array.isArray(serverTools)) {
+          throw createError('invalid_request', '"serverTools" debe ser true o un array de nombres de herramientas');
+        }
+
+        if (tools?.length) {
+          throw createError('invalid_request', 'Usa "tools" (las ejecuta el cliente) o "serverTools" (las ejecuta el servidor), no ambos');
+        }
+
+        // El bucle hace varias llamadas: cambiar de proveedor a mitad de camino no es posible
+        if (fallback) {
+          throw createError('invalid_request', '"fallback" no se puede combinar con "serverTools"');
+        }
+
+        serverToolDefinitions = getToolDefinitions(serverTools);
+      }
+
+      // Las llamadas a herramientas se devuelven completas en la respuesta JSON
+      if (tools?.length && streaming) {
+        throw createError('invalid_request', 'El uso de herramientas (tools) no está disponible con streaming');
+      }
+
+      // Reintentos ante 429/5xx antes de dar el proveedor por caído (ver utils/retry.js)
+      retryOptions = validateRetryOptions(retry);
+
+      // Estrategia para ajustar la conversación a la ventana de contexto (ver utils/context.js)
+      contextPolicy = validateContextOptions(contextOptions);
+
+      // Proveedor principal seguido de los alternativos (fallback)
+      chain = buildFallbackChain({ provider: providerType, model }, fallback, name => supports(name, 'chat'));
     } catch (error) {
-      console.error('Provider creation error:', error);
-      return {
-        statusCode: 400,
-        headers: { 
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: error.message,
-          provider: providerType,
-          stack: error.stack
-        }),
-      };
+      logger.warn('Chat request validation error', { error });
+      return errorResponse(error, {
+        extra: { provider: providerType, missingVariables: error.missingVariables }
+      });
     }
 
-    // Debug de mensajes antes de enviar
-    console.log('Messages to send:', JSON.stringify(messages, null, 2));
-    
-    // Filtrar mensajes de error antes de enviar
+    // Lo que cada proveedor de la cadena debe soportar para atender este request
+    const requirements = {
+      streaming,
+      tools: Boolean(tools?.length || serverToolDefinitions),
+      images: messages.some(msg => hasImages(msg.content))
+    };
+
+    // Filtrar mensajes de error antes de enviar (el contenido no se loguea salvo LOG_MESSAGE_CONTENT=true)
     const cleanMessages = messages.filter(msg => !msg.isError);
-    console.log('Clean messages count:', cleanMessages.length);
+    logger.debug('Messages to send', { messages: redactMessages(cleanMessages) });
 
-    // Llamada directa al provider sin funciones intermedias
-    try {
-      console.log('Calling provider with params:', { model: finalModel, temperature, maxTokens });
-      
-      // Usar parámetros mínimos primero
-      const response = await provider.chat({
-        model: finalModel,
-        messages: cleanMessages,  // Usar mensajes filtrados
-        temperature: temperature,
-        maxTokens: maxTokens,
-        stream: false
+    // Bucle de herramientas en el servidor: cada paso se emite como evento
+    if (serverToolDefinitions) {
+      let target;
+      let fitted;
+      try {
+        target = await resolveChatTarget(chain[0], requirements);
+
+        // Solo se ajusta la conversación inicial: los pasos del bucle la hacen crecer después
+        fitted = await fitToContext(cleanMessages, target, {
+          maxTokens: limitMaxTokens(maxTokens, target.modelInfo),
+          tools: serverToolDefinitions,
+          context: contextPolicy,
+          source: requestMessages,
+          retry: retryOptions
+        });
+      } catch (error) {
+        logger.warn('Provider resolution error', { error });
+        return errorResponse(error, {
+          extra: { provider: providerType, availableModels: error.availableModels }
+        });
+      }
+
+      const startTime = Date.now();
+      const events = runToolLoop(target.provider, {
+        providerName: target.providerType,
+        model: target.modelInfo.id,
+        messages: fitted.messages,
+        tools: serverToolDefinitions,
+        toolChoice,
+        temperature,
+        maxTokens: limitMaxTokens(maxTokens, target.modelInfo),
+        maxSteps: resolveMaxSteps(maxSteps),
+        retry: retryOptions,
+        startTime,
+        metadata: { context: fitted.context }
       });
 
-      console.log('Provider response received:', { hasContent: !!response.content });
+      if (streaming) {
+        return {
+          statusCode: 200,
+          headers: SSE_HEADERS,
+          body: createSSEStream(events),
+        };
+      }
+
+      // Sin streaming: recorrer el bucle completo y devolver los pasos en el JSON
+      const steps = [];
+      let content = '';
+      let loopError = null;
+      let metadata = {};
+
+      for await (const event of events) {
+        if (event.type === 'step' || event.type === 'tool_result') steps.push(event);
+        if (event.type === 'content') content += event.delta;
+        if (event.type === 'error') loopError = event;
+        if (event.type === 'metadata') metadata = event.metadata;
+      }
 
       return {
-        statusCode: 200,
+        statusCode: loopError ? ERROR_STATUS[loopError.errorType] : 200,
         headers: {
           'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
         },
         body: JSON.stringify({
-          success: true,
-          provider: providerType,
-          response: response.content || response.text || '',
-          metadata: response.metadata || {},
-          usage: response.usage || {}
+          success: !loopError,
+          provider: target.providerType,
+          response: content,
+          error: loopError ? { type: loopError.errorType, message: loopError.error } : undefined,
+          finishReason: metadata.finishReason,
+          steps,
+          metadata,
+          usage: metadata.usage || {}
         }),
       };
+    }
 
-    } catch (providerError) {
-      console.error('Provider error:', providerError);
-      console.error('Provider error stack:', providerError.stack);
-      
-      return {
-        statusCode: 500,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
+    // Llamada al proveedor; con "fallback" se prueban los siguientes ante errores recuperables
+    const startTime = Date.now();
+    let outcome;
+    try {
+      outcome = await runWithFallback(chain, {
+        // La ventana de contexto depende del modelo: se ajusta la conversación para cada candidato
+        resolve: async candidate => {
+          const target = await resolveChatTarget(candidate, requirements);
+          const fitted = await fitToContext(cleanMessages, target, {
+            maxTokens: limitMaxTokens(maxTokens, target.modelInfo),
+            tools,
+            context: contextPolicy,
+            source: requestMessages,
+            retry: retryOptions
+          });
+
+          return { ...target, ...fitted };
         },
-        body: JSON.stringify({
-          success: false,
-          error: providerError.message,
-          provider: providerType,
-          details: providerError.stack
-        }),
+        call: ({ provider, modelInfo, messages: fittedMessages }) => {
+          logger.debug('Calling provider', { provider: provider.constructor.name, model: modelInfo.id, temperature, streaming });
+
+          return provider.chat({
+            model: modelInfo.id,
+            messages: fittedMessages,  // Mensajes filtrados y ajustados a la ventana de contexto
+            temperature: temperature,
+            maxTokens: limitMaxTokens(maxTokens, modelInfo),
+            stream: streaming,
+            tools,
+            toolChoice,
+            responseFormat: format,
+            retry: retryOptions
+          });
+        }
+      });
+    } catch (error) {
+      // Errores del request (modelo inexistente, capacidad no soportada, proveedor sin configurar)
+      // o del proveedor, ya clasificados por tipo (auth, rate_limited, quota, timeout...)
+      const extra = {
+        provider: providerType,
+        ...(fallback && { fallback: { requested: providerType, skipped: error.skipped } })
       };
+
+      if (error.stage === 'resolve') {
+        logger.warn('Provider resolution error', { error });
+        return errorResponse(error, {
+          extra: { ...extra, availableModels: error.availableModels }
+        });
+      }
+
+      logger.error('Provider error', { error });
+
+      return errorResponse(error, { extra });
+    }
+
+    const { target: { providerType: usedProvider, provider, modelInfo, context: contextInfo }, result: response, skipped } = outcome;
+
+    // Qué proveedor respondió y por qué se saltaron los anteriores
+    const fallbackInfo = fallback
+      ? { requested: providerType, used: usedProvider, skipped }
+      : undefined;
+
+    if (streaming) {
+      // El adapter devolvió el stream crudo del proveedor: normalizarlo a eventos SSE
+      const chunks = provider.constructor.processStream(response);
+
+      return {
+        statusCode: 200,
+        headers: SSE_HEADERS,
+        body: createSSEStream(toChatEvents(chunks, {
+          provider: usedProvider,
+          model: modelInfo.id,
+          startTime,
+          metadata: { fallback: fallbackInfo, context: contextInfo }
+        })),
+      };
+    }
+
+    logger.debug('Provider response received', { provider: usedProvider, hasContent: !!response.content });
+
+    // Validar la salida estructurada contra el esquema pedido
+    let structured = null;
+    if (format) {
+      structured = parseStructuredOutput(response.content, format);
+
+      if (structured.errors.length > 0) {
+        return {
+          statusCode: 422,
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            ...errorBody(createError('invalid_output', 'La respuesta del modelo no cumple el formato pedido'), {
+              provider: usedProvider,
+              validationErrors: structured.errors
+            }),
+            provider: usedProvider,
+            response: response.content || '',
+            metadata: {
+              model: response.model || modelInfo.id,
+              provider: usedProvider,
+              latency: Date.now() - startTime,
+              fallback: fallbackInfo,
+              context: contextInfo
+            },
+            usage: normalizeUsage(response.usage) || {}
+          }),
+        };
+      }
     }
 
-  } catch (error) {
-    console.error('Chat function error:', error);
-    
     return {
-      statusCode: 500,
+      statusCode: 200,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
       },
       body: JSON.stringify({
-        error: 'Error interno del servidor',
-        message: error.message,
-        stack: error.stack
+        success: true,
+        provider: usedProvider,
+        response: response.content || response.text || '',
+        ...(structured && { data: structured.data }),
+        toolCalls: response.toolCalls || [],
+        finishReason: response.finishReason,
+        metadata: {
+          ...(response.metadata || {}),
+          model: response.model || modelInfo.id,
+          provider: usedProvider,
+          latency: Date.now() - startTime,
+          fallback: fallbackInfo,
+          context: contextInfo
+        },
+        usage: normalizeUsage(response.usage) || {}
       }),
     };
+
+  } catch (error) {
+    logger.error('Chat function error', { error });
+
+    return errorResponse(error);
   }
-};
\ No newline at end of file
+}));
\ No newline at end of file
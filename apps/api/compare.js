@@ -0,0 +1,237 @@
+/**
+ * Compare Function - Netlify Function
+ * Envía los mismos mensajes a varios pares proveedor/modelo en paralelo
+ * Cada resultado incluye latencia, uso de tokens, costo estimado y su propio error:
+ * si un proveedor falla, el resto de la comparación sigue adelante
+ * Soporta respuesta completa (JSON) y streaming (SSE con los eventos de cada destino intercalados)
+ */
+
+const { stream } = require('@netlify/functions');
+const { compose } = require('./middlewares/compose');
+const { withCors } = require('./middlewares/cors');
+const { withMethods } = require('./middlewares/methods');
+const { withRateLimit } = require('./middlewares/ratelimit');
+const { withValidation } = require('./middlewares/validate');
+const { createProvider, getDefaultModel, matchModel, supports } = require('./providers/registry');
+const { SSE_HEADERS, createSSEStream, toChatEvents, mergeEvents } = require('./utils/sse');
+const { hasImages } = require('./utils/content');
+const { applyPromptLibrary } = require('./utils/promptLibrary');
+const { normalizeUsage, estimateCost } = require('./utils/usage');
+const { validateRetryOptions } = require('./utils/retry');
+const { createError, normalizeError, errorResponse } = require('./utils/errors');
+const { createLogger } = require('./utils/logger');
+
+const logger = createLogger('compare');
+
+// CORS, solo POST, límite por IP (cada comparación llama a varios proveedores)
+// y body validado con el esquema "compare" antes del handler
+const withMiddlewares = compose(
+  withCors,
+  withMethods('POST'),
+  withRateLimit({ name: 'compare' }),
+  withValidation('compare')
+);
+
+/**
+ * Crear el adapter y validar el modelo de un destino
+ * @param {Object} target - { provider, model }
+ * @param {Object} options - { messages, streaming }
+ * @returns {Promise<Object>} { provider, modelInfo }
+ */
+async function resolveTarget(target, { messages, streaming }) {
+  const provider = createProvider(target.provider, 'chat');
+
+  const { models } = await provider.listModels();
+  const modelInfo = matchModel(models, target.model);
+
+  if (!modelInfo) {
+    throw createError('invalid_request', `Modelo no disponible para ${target.provider}: ${target.model}`);
+  }
+
+  if (streaming && (!supports(target.provider, 'stream') || !modelInfo.streaming)) {
+    throw createError('invalid_request', `El modelo ${modelInfo.id} no soporta streaming`);
+  }
+
+  if (messages.some(msg => hasImages(msg.content)) &&
+      (!supports(target.provider, 'vision') || modelInfo.vision === false)) {
+    throw createError('invalid_request', `El modelo ${modelInfo.id} no acepta imágenes`);
+  }
+
+  return { provider, modelInfo };
+}
+
+/**
+ * Ejecutar la comparación para un destino
+ * Con streaming emite eventos "content" a medida que llegan; siempre termina con un evento "result"
+ * @param {Object} target - { provider, model }
+ * @param {number} index - Posición del destino en el request (columna en la UI)
+ * @param {Object} options - { messages, temperature, maxTokens, streaming, retry }
+ * @returns {AsyncGenerator<Object>} Eventos content y result
+ */
+async function* runTarget(target, index, { messages, temperature, maxTokens, streaming, retry }) {
+  const startTime = Date.now();
+  let modelInfo = null;
+  let response = '';
+  let usage = null;
+  let error = null;
+  let errorType;
+  let firstTokenLatency = null;
+
+  try {
+    const resolved = await resolveTarget(target, { messages, streaming });
+    const { provider } = resolved;
+    modelInfo = resolved.modelInfo;
+
+    const params = {
+      model: modelInfo.id,
+      messages,
+      temperature,
+      maxTokens: modelInfo.maxOutputTokens ? Math.min(maxTokens, modelInfo.maxOutputTokens) : maxTokens,
+      stream: streaming,
+      retry
+    };
+
+    if (streaming) {
+      const chunks = provider.constructor.processStream(await provider.chat(params));
+      const events = toChatEvents(chunks, { provider: target.provider, model: modelInfo.id, startTime });
+
+      for await (const event of events) {
+        if (event.type === 'content') {
+          response += event.delta;
+          yield { ...event, target: index };
+        } else if (event.type === 'error') {
+          error = event.error;
+          errorType = event.errorType;
+        } else if (event.type === 'metadata') {
+          usage = event.metadata.usage;
+          firstTokenLatency = event.metadata.firstTokenLatency;
+        }
+      }
+    } else {
+      const result = await provider.chat(params);
+      response = result.content || '';
+      usage = result.usage;
+    }
+  } catch (targetError) {
+    logger.warn('Compare target failed', { provider: target.provider, model: target.model, error: targetError });
+    const apiError = normalizeError(targetError);
+    error = apiError.message;
+    errorType = apiError.type;
+  }
+
+  const normalizedUsage = normalizeUsage(usage);
+
+  yield {
+    type: 'result',
+    target: index,
+    provider: target.provider,
+    model: modelInfo?.id || target.model,
+    success: !error,
+    response,
+    error: error || undefined,
+    errorType,
+    latency: Date.now() - startTime,
+    firstTokenLatency,
+    usage: normalizedUsage,
+    cost: estimateCost(normalizedUsage, modelInfo?.pricing)
+  };
+}
+
+/**
+ * Ejecutar todos los destinos en paralelo y cerrar con un evento "done" con todos los resultados
+ */
+async function* compareEvents(targets, options) {
+  const results = [];
+
+  for await (const event of mergeEvents(targets.map((target, index) => runTarget(target, index, options)))) {
+    if (event.type === 'result') {
+      const { type, ...result } = event;
+      results[event.target] = result;
+    }
+    yield event;
+  }
+
+  yield { type: 'done', results };
+}
+
+/**
+ * Completar el modelo por defecto de cada proveedor
+ * withValidation('compare') ya validó la lista y cada destino (validateTargets)
+ * @param {Array} targets - [{ provider, model? }]
+ * @returns {Array<Object>} Destinos normalizados
+ */
+function normalizeTargets(targets) {
+  return targets.map(target => ({
+    provider: target.provider,
+    model: target.model || getDefaultModel(target.provider, 'chat')
+  }));
+}
+
+/**
+ * Handler principal
+ * Envuelto con stream() para que Netlify pueda enviar el body como ReadableStream
+ */
+exports.handler = stream(withMiddlewares(async (event, context) => {
+  // withValidation ya comprobó el JSON, los destinos y los mensajes
+  const requestData = JSON.parse(event.body || '{}');
+
+  const {
+    messages: requestMessages,
+    temperature = 0.7,
+    maxTokens = 2000,
+    promptId,
+    examples,
+    promptVariables,
+    retry
+  } = requestData;
+
+  const streaming = Boolean(requestData.streaming ?? requestData.stream ?? false);
+
+  let targets;
+  let messages;
+  let retryOptions;
+  try {
+    targets = normalizeTargets(requestData.targets);
+    retryOptions = validateRetryOptions(retry);
+
+    // Todos los destinos reciben exactamente los mismos mensajes
+    messages = applyPromptLibrary(requestMessages, { promptId, examples, variables: promptVariables })
+      .filter(msg => !msg.isError);
+  } catch (error) {
+    return errorResponse(error, {
+      extra: { missingVariables: error.missingVariables }
+    });
+  }
+
+  logger.info('Processing compare request', { targets, messageCount: messages.length, streaming });
+
+  const events = compareEvents(targets, { messages, temperature, maxTokens, streaming, retry: retryOptions });
+
+  if (streaming) {
+    return {
+      statusCode: 200,
+      headers: SSE_HEADERS,
+      body: createSSEStream(events),
+    };
+  }
+
+  // Sin streaming: esperar todos los resultados y devolverlos juntos
+  let results = [];
+  for await (const compareEvent of events) {
+    if (compareEvent.type === 'done') {
+      results = compareEvent.results;
+    }
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      success: results.some(result => result.success),
+      results,
+      timestamp: new Date().toISOString()
+    }),
+  };
+}));
@@ -2,45 +2,34 @@
  * Versión simplificada para debugging del error 502
  */
 
-const cors = require('./middlewares/cors');
+const { compose } = require('./middlewares/compose');
+const { withCors } = require('./middlewares/cors');
+const { withMethods } = require('./middlewares/methods');
+const { withRateLimit } = require('./middlewares/ratelimit');
+const { errorResponse, createError } = require('./utils/errors');
+const { createLogger, redactMessages } = require('./utils/logger');
 
-exports.handler = async (event, context) => {
-  // Aplicar CORS
-  const corsResponse = cors(event);
-  if (corsResponse) {
-    return corsResponse;
-  }
+const logger = createLogger('debug-chat');
 
-  // Solo permitir POST
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        error: 'Method not allowed',
-        allowed: ['POST']
-      }),
-    };
-  }
+// CORS, solo POST y límite por IP
+const withMiddlewares = compose(
+  withCors,
+  withMethods('POST'),
+  withRateLimit({ name: 'debug-chat' })
+);
 
+exports.handler = withMiddlewares(async (event, context) => {
   try {
     // Parsear request
     let requestData;
     try {
       requestData = JSON.parse(event.body);
     } catch (error) {
-      return {
-        statusCode: 400,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: 'JSON inválido',
-          details: error.message
-        }),
-      };
+      return errorResponse(createError('invalid_request', 'JSON inválido', { details: error.message }));
     }
 
-    // Log básico
-    console.log('Debug chat request:', JSON.stringify(requestData, null, 2));
+    // Log básico (sin el contenido de los mensajes)
+    logger.info('Debug chat request', { ...requestData, messages: redactMessages(requestData.messages) });
 
     // Respuesta de prueba exitosa
     return {
@@ -56,16 +45,8 @@ exports.handler = async (event, context) => {
     };
 
   } catch (error) {
-    console.error('Debug chat error:', error);
+    logger.error('Debug chat error', { error });
     
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        error: 'Error en función de debug',
-        message: error.message,
-        stack: error.stack
-      }),
-    };
+    return errorResponse(createError('internal', 'Error en función de debug', { cause: error }));
   }
-};
\ No newline at end of file
+});
\ No newline at end of file
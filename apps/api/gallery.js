@@ -0,0 +1,134 @@
+/**
+ * Gallery Function - Netlify Function
+ * Endpoint de la galería de imágenes generadas (las guarda image.js, ver utils/gallery.js)
+ * - GET    /api/gallery?page=1&pageSize=12&q=gato   Listado paginado, búsqueda por prompt
+ * - GET    /api/gallery?id=<id>                     Registro con la imagen como data URL
+ * - GET    /api/gallery?id=<id>&raw=true            Solo la imagen (para <img src>)
+ * - DELETE /api/gallery?id=<id>                     Borrar una imagen (solo su dueño o un administrador)
+ * El dueño se identifica con el header X-Client-Id y el administrador con GALLERY_ADMIN_TOKEN
+ */
+
+const { compose } = require('./middlewares/compose');
+const { withCors } = require('./middlewares/cors');
+const { withMethods } = require('./middlewares/methods');
+const { withRateLimit } = require('./middlewares/ratelimit');
+const { createGallery, getGalleryOwner, isGalleryAdmin, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./utils/gallery');
+const { getStorageBackend } = require('./utils/storage');
+const { errorResponse, createError } = require('./utils/errors');
+const { createLogger } = require('./utils/logger');
+
+const logger = createLogger('gallery');
+
+// CORS, GET y DELETE, límite por IP alto (cada miniatura de la galería es un GET)
+const withMiddlewares = compose(
+  withCors,
+  withMethods('GET', 'DELETE'),
+  withRateLimit({ name: 'gallery', maxRequests: 120 })
+);
+
+/**
+ * Leer un entero positivo de la query
+ */
+function parsePositiveInt(value, name, fallback, max) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || (max && number > max)) {
+    throw createError('invalid_request', max
+      ? `${name} debe ser un entero entre 1 y ${max}`
+      : `${name} debe ser un entero mayor o igual a 1`);
+  }
+
+  return number;
+}
+
+/**
+ * Respuesta 404 para una imagen inexistente
+ */
+function notFound(id) {
+  return errorResponse(createError('invalid_request', `Imagen no encontrada: ${id}`, { status: 404 }));
+}
+
+exports.handler = withMiddlewares(async (event, context) => {
+  const query = event.queryStringParameters || {};
+
+  try {
+    const gallery = createGallery(event);
+    const owner = getGalleryOwner(event);
+
+    if (event.httpMethod === 'DELETE') {
+      if (!query.id) {
+        throw createError('invalid_request', 'El parámetro "id" es requerido');
+      }
+
+      const admin = isGalleryAdmin(event);
+      if (!(await gallery.delete(query.id, { owner, admin }))) {
+        return notFound(query.id);
+      }
+
+      logger.info('Imagen borrada de la galería', { id: query.id, admin });
+
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: true, id: query.id })
+      };
+    }
+
+    // Una imagen
+    if (query.id) {
+      const stored = await gallery.get(query.id, { owner });
+      if (!stored) {
+        return notFound(query.id);
+      }
+
+      const { record, buffer } = stored;
+
+      // Los bytes no cambian para un id, pero la imagen se puede borrar: caché corta y solo en el navegador
+      if (query.raw === 'true') {
+        return {
+          statusCode: 200,
+          headers: {
+            'Content-Type': record.mimeType,
+            'Cache-Control': 'private, max-age=300'
+          },
+          body: buffer.toString('base64'),
+          isBase64Encoded: true
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          success: true,
+          image: { ...record, image: `data:${record.mimeType};base64,${buffer.toString('base64')}` }
+        })
+      };
+    }
+
+    // Listado
+    const page = parsePositiveInt(query.page, 'page', 1);
+    const pageSize = parsePositiveInt(query.pageSize, 'pageSize', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const result = await gallery.list({ page, pageSize, search: query.q, owner });
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        success: true,
+        ...result,
+        search: query.q || null,
+        storage: getStorageBackend(),
+        timestamp: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    logger.error('Gallery error', { error });
+
+    return errorResponse(error);
+  }
+});
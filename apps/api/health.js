@@ -3,52 +3,31 @@
  * Endpoint para verificar el estado de la API
  */
 
-const cors = require('./middlewares/simple-cors');
+const { compose } = require('./middlewares/compose');
+const { withCors } = require('./middlewares/cors');
+const { withMethods } = require('./middlewares/methods');
+const { withRateLimit } = require('./middlewares/ratelimit');
+const { listProviders } = require('./providers/registry');
+const { errorResponse, createError } = require('./utils/errors');
+const { createLogger, isDebugMode } = require('./utils/logger');
+
+const logger = createLogger('health');
+
+// CORS, solo GET y un límite por IP más amplio (lo consultan monitores y el frontend)
+const withMiddlewares = compose(
+  withCors,
+  withMethods('GET'),
+  withRateLimit({ name: 'health', maxRequests: 60 })
+);
 
 /**
  * Verifica el estado de la API y los proveedores configurados
  */
-exports.handler = async (event, context) => {
-  // Aplicar CORS
-  const corsResponse = cors(event);
-  if (corsResponse) {
-    return corsResponse;
-  }
-
-  // Solo permitir GET
-  if (event.httpMethod !== 'GET') {
-    return {
-      statusCode: 405,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        error: 'Method not allowed',
-        allowed: ['GET']
-      }),
-    };
-  }
-
+exports.handler = withMiddlewares(async (event, context) => {
   try {
-    // Verificar variables de entorno necesarias
-    const requiredEnvVars = [
-      'OPENAI_API_KEY',
-      'GOOGLE_API_KEY',
-      'ANTHROPIC_API_KEY',
-      'AZURE_OPENAI_API_KEY',
-      'AZURE_OPENAI_ENDPOINT'
-    ];
-
-    const envStatus = {};
-    let allConfigured = true;
-
-    requiredEnvVars.forEach(envVar => {
-      const isConfigured = !!process.env[envVar];
-      envStatus[envVar] = isConfigured ? 'configured' : 'missing';
-      if (!isConfigured) {
-        allConfigured = false;
-      }
-    });
+    // Estado de cada proveedor según el registro (variables requeridas y capacidades)
+    const providers = listProviders();
+    const allConfigured = providers.every(provider => provider.configured);
 
     // Verificar conectividad básica
     const timestamp = new Date().toISOString();
@@ -60,24 +39,25 @@ exports.handler = async (event, context) => {
       uptime: Math.floor(uptime),
       version: '1.0.0',
       environment: process.env.NODE_ENV || 'production',
-      providers: {
-        openai: envStatus.OPENAI_API_KEY === 'configured',
-        gemini: envStatus.GOOGLE_API_KEY === 'configured',
-        anthropic: envStatus.ANTHROPIC_API_KEY === 'configured',
-        azure: envStatus.AZURE_OPENAI_API_KEY === 'configured' && 
-               envStatus.AZURE_OPENAI_ENDPOINT === 'configured'
-      },
+      providers: Object.fromEntries(providers.map(provider => [provider.id, {
+        name: provider.name,
+        configured: provider.configured,
+        capabilities: provider.capabilities
+      }])),
       endpoints: {
         chat: '/api/chat',
         image: '/api/image',
-        health: '/api/health'
+        health: '/api/health',
+        models: '/api/models',
+        prompts: '/api/prompts',
+        compare: '/api/compare'
       }
     };
 
     // Si en modo debug, incluir más detalles
-    if (process.env.DEBUG_MODE === 'true') {
+    if (isDebugMode()) {
       healthData.debug = {
-        envVars: envStatus,
+        missingEnv: Object.fromEntries(providers.map(provider => [provider.id, provider.missingEnv])),
         netlifyContext: {
           functionName: context.functionName,
           functionVersion: context.functionVersion,
@@ -91,26 +71,15 @@ exports.handler = async (event, context) => {
       statusCode: allConfigured ? 200 : 206,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
       },
       body: JSON.stringify(healthData, null, 2),
     };
 
   } catch (error) {
-    console.error('Health check failed:', error);
+    logger.error('Health check failed', { error });
     
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
-      body: JSON.stringify({
-        status: 'error',
-        message: 'Health check failed',
-        timestamp: new Date().toISOString(),
-        error: process.env.DEBUG_MODE === 'true' ? error.message : 'Internal server error'
-      }),
-    };
+    return errorResponse(createError('internal', 'Health check failed', { cause: error }), {
+      extra: { timestamp: new Date().toISOString() }
+    });
   }
-};
\ No newline at end of file
+});
\ No newline at end of file
@@ -1,231 +1,477 @@
 /**
  * Image Generation Function - Netlify Function
  * Endpoint para generación de imágenes con múltiples proveedores
+ * Cada adapter con capacidad "image" implementa generateImage() (ver BaseProvider), y los que
+ * aceptan una imagen de entrada editImage() y createImageVariation() ("operation": edit | variation).
+ * Todos devuelven las imágenes normalizadas { url, b64, mimeType, revisedPrompt }
+ * Modo batch ("batch": { prompts } o { count }): varias generaciones con concurrencia limitada,
+ * con el resultado de cada una por separado y progreso en streaming (SSE)
+ * Con "enhance" el prompt pasa antes por un modelo de chat que lo reescribe (utils/promptEnhancer.js)
  */
 
-const cors = require('./middlewares/cors');
-const rateLimit = require('./middlewares/ratelimit');
-const { validateImageRequest } = require('./middlewares/validate');
+const { stream } = require('@netlify/functions');
+const { compose } = require('./middlewares/compose');
+const { withCors } = require('./middlewares/cors');
+const { withMethods } = require('./middlewares/methods');
+const { withRateLimit } = require('./middlewares/ratelimit');
+const { withValidation } = require('./middlewares/validate');
 
-// Importar adaptadores de imagen
-const OpenAIProvider = require('./providers/OpenAIProvider');
-const AzureImageProvider = require('./providers/AzureImageProvider');
+// Los adaptadores de imagen se resuelven a través del registro de proveedores
+const { createProvider } = require('./providers/registry');
+const { createGallery, getGalleryOwner } = require('./utils/gallery');
+const { runWithConcurrency } = require('./utils/concurrency');
+const { resolveEnhancer, enhancePrompt } = require('./utils/promptEnhancer');
+const { SSE_HEADERS, createSSEStream } = require('./utils/sse');
+const { validateRetryOptions } = require('./utils/retry');
+const { createError, normalizeError, errorResponse } = require('./utils/errors');
+const { createLogger, redactText } = require('./utils/logger');
+
+const logger = createLogger('image');
+
+// Proveedor cuando el request no indica uno
+const DEFAULT_IMAGE_PROVIDER = 'azure';
+
+// Modo batch: máximo de imágenes por request (generaciones × n) y cuántas generaciones corren a la vez
+const MAX_BATCH_ITEMS = 10;
+const MAX_BATCH_CONCURRENCY = 4;
+const DEFAULT_BATCH_CONCURRENCY = Math.min(parseInt(process.env.IMAGE_BATCH_CONCURRENCY) || 2, MAX_BATCH_CONCURRENCY);
+
+// CORS, solo POST, límite por IP más restrictivo que el chat y body validado con el esquema "image"
+const withMiddlewares = compose(
+  withCors,
+  withMethods('POST'),
+  withRateLimit({
+    name: 'image',
+    windowMs: 300000, // 5 minutos
+    maxRequests: 10, // 10 requests por 5 minutos
+    message: 'Límite de generación de imágenes alcanzado, intenta de nuevo más tarde'
+  }),
+  withValidation('image')
+);
 
 /**
- * Factory para crear instancias de proveedores de imagen
+ * Convertir las imágenes normalizadas del adapter ({ url, b64, mimeType, revisedPrompt })
+ * al formato de la respuesta: "image" es un data URL o, si el proveedor solo dio URL, la URL
+ * @param {Object} result - Resultado de provider.generateImage()
+ * @param {boolean} returnBase64 - Descargar las imágenes que vienen como URL
+ * @returns {Promise<Array>} [{ index, image, url, mimeType, revisedPrompt }]
  */
-function createImageProvider(providerType, config = {}) {
-  switch (providerType.toLowerCase()) {
-    case 'openai':
-    case 'dalle':
-      return new OpenAIProvider({
-        apiKey: process.env.OPENAI_API_KEY,
-        ...config
-      });
+async function processImageResponse(result, returnBase64 = false) {
+  if (!result.images || result.images.length === 0) {
+    throw createError('upstream_unavailable', 'El proveedor no devolvió imágenes');
+  }
 
-    case 'azure':
-    case 'azure-dalle':
-      return new AzureImageProvider({
-        apiKey: process.env.AZURE_OPENAI_API_KEY,
-        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview',
-        deployment: process.env.AZURE_OPENAI_IMAGE_DEPLOYMENT || 'dalle-3',
-        ...config
-      });
+  return Promise.all(result.images.map(async (image, index) => {
+    let { b64, mimeType } = image;
+
+    // Si se solicita base64 y tenemos URL, convertir (las URLs de los proveedores expiran)
+    if (returnBase64 && !b64 && image.url) {
+      try {
+        const imageResponse = await fetch(image.url);
+        b64 = Buffer.from(await imageResponse.arrayBuffer()).toString('base64');
+        mimeType = imageResponse.headers.get('content-type') || mimeType;
+      } catch (error) {
+        logger.warn('No se pudo convertir imagen a base64', { error: error.message });
+        // Mantener la URL original si la conversión falla
+      }
+    }
+
+    return {
+      index,
+      image: b64 ? `data:${mimeType || 'image/png'};base64,${b64}` : image.url,
+      url: image.url || null,
+      mimeType: mimeType || null,
+      revisedPrompt: image.revisedPrompt || null
+    };
+  }));
+}
+
+/**
+ * Guardar las imágenes en la galería (utils/gallery.js)
+ * Un error de almacenamiento no invalida la generación: la imagen se devuelve igual, sin galleryId
+ * @param {Object} event - Evento de Netlify Function
+ * @param {Array} images - Imágenes de processImageResponse()
+ * @param {Object} details - Datos comunes { provider, model, operation, prompt, enhancedPrompt, size, quality, style, latency }
+ * @returns {Promise<Array>} Id en la galería de cada imagen (null si no se guardó)
+ */
+async function saveToGallery(event, images, details) {
+  const ids = [];
+
+  try {
+    const gallery = createGallery(event);
+    const timestamp = new Date().toISOString();
+    // Quien genera la imagen es quien puede borrarla después (header X-Client-Id)
+    const owner = getGalleryOwner(event);
+
+    for (const image of images) {
+      // Las imágenes que solo llegaron como URL (expiran) no se guardan
+      if (!image.image?.startsWith('data:')) {
+        ids.push(null);
+        continue;
+      }
 
-    default:
-      throw new Error(`Proveedor de imágenes no soportado: ${providerType}`);
+      const record = await gallery.save({ ...details, image: image.image, revisedPrompt: image.revisedPrompt, timestamp, owner });
+      ids.push(record.id);
+    }
+  } catch (error) {
+    logger.warn('No se pudo guardar en la galería', { error: error.message });
   }
+
+  return images.map((image, index) => ids[index] || null);
 }
 
 /**
- * Convierte imagen a base64 si es necesario
+ * Llamar al adapter según la operación y preparar las imágenes de la respuesta
+ * (mejora del prompt, descarga de URLs y guardado en la galería)
+ * @param {Object} event - Evento de Netlify Function
+ * @param {Object} provider - Adapter de imagen
+ * @param {Object} params - Campos del request ya resueltos (providerType, operation, prompt, size, enhancer...)
+ * @param {AbortSignal} signal - Señal para cancelar la llamada al proveedor
+ * @returns {Promise<Object>} { result, images, latency, enhancement }
  */
-async function processImageResponse(response, returnBase64 = false) {
-  if (!response.images || response.images.length === 0) {
-    throw new Error('No se generaron imágenes');
+async function runImageOperation(event, provider, params, signal) {
+  const {
+    providerType, operation, model, prompt, image, mask, size, quality, style,
+    n, responseFormat, returnBase64, save, retry, enhancer
+  } = params;
+
+  // El modelo de imagen recibe el prompt reescrito por el modelo de chat (las variaciones no tienen prompt)
+  const enhancement = enhancer && operation !== 'variation'
+    ? await enhancePrompt(prompt, enhancer, { imageModel: provider.getImageModel(model, operation), signal, retry })
+    : null;
+  const imagePrompt = enhancement?.prompt || prompt;
+
+  // El adapter valida modelo, tamaño, calidad, cantidad e imagen de entrada contra su catálogo
+  const startTime = Date.now();
+  let result;
+
+  if (operation === 'edit') {
+    result = await provider.editImage({ image, mask, prompt: imagePrompt, model, size, quality, n, responseFormat, signal, retry });
+  } else if (operation === 'variation') {
+    result = await provider.createImageVariation({ image, model, size, n, responseFormat, signal, retry });
+  } else {
+    result = await provider.generateImage({ prompt: imagePrompt, model, size, quality, style, n, responseFormat, signal, retry });
   }
 
-  const processedImages = await Promise.all(
-    response.images.map(async (image, index) => {
-      const imageData = {
-        index,
-        url: image.url || null,
-        revisedPrompt: image.revisedPrompt || image.revised_prompt || null,
-        size: image.size || null,
-        quality: image.quality || null
-      };
+  const latency = Date.now() - startTime;
 
-      // Si se solicita base64 y tenemos URL, convertir
-      if (returnBase64 && image.url && !image.b64_json) {
-        try {
-          const fetch = (await import('node-fetch')).default;
-          const imageResponse = await fetch(image.url);
-          const imageBuffer = await imageResponse.buffer();
-          imageData.base64 = imageBuffer.toString('base64');
-          imageData.mimeType = imageResponse.headers.get('content-type') || 'image/png';
-        } catch (error) {
-          console.warn('No se pudo convertir imagen a base64:', error.message);
-          // Mantener la URL original si la conversión falla
-        }
-      } else if (image.b64_json) {
-        imageData.base64 = image.b64_json;
-        imageData.mimeType = 'image/png';
-      }
+  const images = await processImageResponse(result, returnBase64);
+
+  if (save) {
+    const galleryIds = await saveToGallery(event, images, {
+      provider: providerType,
+      model: result.model,
+      operation,
+      prompt,
+      enhancedPrompt: enhancement?.prompt,
+      size: result.size,
+      quality: result.quality,
+      style,
+      latency
+    });
+    images.forEach((image, index) => { image.galleryId = galleryIds[index]; });
+  }
 
-      return imageData;
-    })
-  );
+  return { result, images, latency, enhancement };
+}
 
-  return {
-    ...response,
-    images: processedImages
-  };
+/**
+ * Datos de la mejora del prompt para la metadata (sin el prompt, que va en metadata.prompt)
+ */
+function enhancementMetadata(enhancement) {
+  if (!enhancement) {
+    return null;
+  }
+
+  const { provider, model, usage, latency } = enhancement;
+  return { provider, model, usage, latency };
 }
 
 /**
- * Handler principal
+ * Validar "batch" y armar la lista de prompts
+ * - { prompts: ["...", "..."] }: un prompt distinto por generación
+ * - { count: 4 } junto con "prompt": varias muestras del mismo prompt
+ * El total de imágenes (generaciones × n) no puede superar MAX_BATCH_ITEMS: el batch cuenta
+ * como un solo request para el rate limit
+ * @param {Object} batch - Campo "batch" del request
+ * @param {Object} options - { prompt, operation, n }
+ * @returns {Object} { prompts, concurrency }
  */
-exports.handler = async (event, context) => {
-  // Aplicar CORS
-  const corsResponse = cors(event);
-  if (corsResponse) {
-    return corsResponse;
+function normalizeBatch(batch, { prompt, operation, n }) {
+  if (operation !== 'generate') {
+    throw createError('invalid_request', 'El modo batch solo admite operation "generate"');
   }
 
-  // Solo permitir POST
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        error: 'Method not allowed',
-        allowed: ['POST']
-      }),
-    };
+  const { prompts, count, concurrency = DEFAULT_BATCH_CONCURRENCY } = batch;
+
+  if ((prompts === undefined) === (count === undefined)) {
+    throw createError('invalid_request', 'batch: indica "prompts" (lista de prompts) o "count" (muestras de "prompt"), no ambos');
   }
 
-  try {
-    // Verificar rate limiting (más restrictivo para imágenes)
-    const rateLimitResponse = await rateLimit(event, {
-      windowMs: 300000, // 5 minutos
-      maxRequests: 10, // 10 requests por 5 minutos
-      message: 'Límite de generación de imágenes alcanzado, intenta de nuevo más tarde'
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+    throw createError('invalid_request', `batch.concurrency debe ser un entero entre 1 y ${MAX_BATCH_CONCURRENCY}`);
+  }
+
+  if (prompts !== undefined) {
+    if (!Array.isArray(prompts) || prompts.length === 0 || prompts.length > MAX_BATCH_ITEMS) {
+      throw createError('invalid_request', `batch.prompts debe ser un array con 1-${MAX_BATCH_ITEMS} prompts`);
+    }
+
+    prompts.forEach((item, index) => {
+      if (typeof item !== 'string' || !item.trim()) {
+        throw createError('invalid_request', `batch.prompts[${index}]: debe ser un string no vacío`);
+      }
     });
 
-    if (rateLimitResponse) {
-      return rateLimitResponse;
+    if (prompt) {
+      throw createError('invalid_request', 'Con batch.prompts no se envía "prompt"');
     }
 
-    // Parsear y validar request
-    let requestData;
+    return checkBatchTotal({ prompts, concurrency }, n);
+  }
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_ITEMS) {
+    throw createError('invalid_request', `batch.count debe ser un entero entre 1 y ${MAX_BATCH_ITEMS}`);
+  }
+
+  return checkBatchTotal({ prompts: Array(count).fill(prompt), concurrency }, n);
+}
+
+/**
+ * Rechazar un batch que pediría más de MAX_BATCH_ITEMS imágenes en total
+ */
+function checkBatchTotal(batchOptions, n) {
+  const total = batchOptions.prompts.length * n;
+
+  if (total > MAX_BATCH_ITEMS) {
+    throw createError('invalid_request',
+      `batch: ${batchOptions.prompts.length} generaciones × n=${n} son ${total} imágenes; el máximo por request es ${MAX_BATCH_ITEMS}`);
+  }
+
+  return batchOptions;
+}
+
+/**
+ * Ejecutar las generaciones de un batch y emitir su progreso
+ * Cada generación es independiente: si una falla (filtro de contenido, rate limit, timeout...)
+ * su evento "item" trae el error y el resto sigue adelante
+ * @param {Object} event - Evento de Netlify Function
+ * @param {Object} provider - Adapter de imagen
+ * @param {Object} params - Campos comunes del request (model ya resuelto)
+ * @param {Object} batch - { prompts, concurrency }
+ * @returns {AsyncGenerator<Object>} Eventos start, item, progress y done
+ */
+async function* batchEvents(event, provider, params, { prompts, concurrency }) {
+  const startTime = Date.now();
+  const results = [];
+  let succeeded = 0;
+  let failed = 0;
+
+  yield { type: 'start', provider: params.providerType, model: params.model, total: prompts.length, concurrency };
+
+  const runItem = async (prompt, index, signal) => {
+    const itemStart = Date.now();
+
     try {
-      requestData = JSON.parse(event.body);
-    } catch (error) {
+      const { result, images, enhancement } = await runImageOperation(event, provider, { ...params, prompt }, signal);
+
       return {
-        statusCode: 400,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: 'JSON inválido en el cuerpo de la solicitud'
-        }),
+        index,
+        prompt,
+        enhancedPrompt: enhancement?.prompt || null,
+        success: true,
+        images,
+        enhance: enhancementMetadata(enhancement),
+        latency: Date.now() - itemStart,
+        usage: result.usage || {},
+        filtered: result.filtered || 0
       };
-    }
+    } catch (error) {
+      logger.warn('Batch item failed', { provider: params.providerType, index, error });
+      const apiError = normalizeError(error);
 
-    // Validar estructura de datos
-    const validation = validateImageRequest(requestData);
-    if (!validation.isValid) {
       return {
-        statusCode: 400,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: 'Datos de solicitud inválidos',
-          details: validation.errors
-        }),
+        index,
+        prompt,
+        success: false,
+        images: [],
+        error: apiError.message,
+        errorType: apiError.type,
+        latency: Date.now() - itemStart
       };
     }
+  };
+
+  for await (const { index, value } of runWithConcurrency(prompts, runItem, { concurrency })) {
+    results[index] = value;
+    if (value.success) {
+      succeeded++;
+    } else {
+      failed++;
+    }
+
+    yield { type: 'item', ...value };
+    yield { type: 'progress', completed: succeeded + failed, total: prompts.length, succeeded, failed };
+  }
+
+  const metadata = {
+    provider: params.providerType,
+    operation: params.operation,
+    model: params.model,
+    latency: Date.now() - startTime,
+    timestamp: new Date().toISOString(),
+    options: {
+      size: params.size,
+      quality: params.quality,
+      style: params.style || null,
+      n: params.n,
+      responseFormat: params.responseFormat
+    },
+    batch: { total: prompts.length, succeeded, failed, concurrency },
+    filtered: results.reduce((total, result) => total + (result.filtered || 0), 0)
+  };
+
+  logger.info('Batch completado', { provider: params.providerType, model: params.model, total: prompts.length, succeeded, failed });
+
+  yield { type: 'done', results, metadata };
+}
 
-    const { 
-      provider: providerType, 
+/**
+ * Handler principal
+ * Envuelto con stream() para que Netlify pueda enviar el progreso del batch como ReadableStream
+ */
+exports.handler = stream(withMiddlewares(async (event, context) => {
+  let requestData;
+  try {
+    // withValidation ya comprobó el JSON, el prompt y los tipos del resto de los campos
+    requestData = JSON.parse(event.body);
+
+    const {
+      provider: providerType = DEFAULT_IMAGE_PROVIDER,
+      operation = 'generate',
+      model,
       prompt,
-      options = {}
+      image,
+      mask,
+      size,
+      quality,
+      style,
+      n = 1,
+      responseFormat = 'b64_json',
+      returnBase64 = false,
+      save = true,
+      batch,
+      enhance,
+      retry
     } = requestData;
 
-    // Crear instancia del proveedor
-    let provider;
-    try {
-      provider = createImageProvider(providerType, options.providerConfig || {});
-    } catch (error) {
-      return {
-        statusCode: 400,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: error.message
-        }),
-      };
-    }
+    // Aceptar tanto "streaming" (frontend) como "stream", igual que /api/chat
+    const streaming = Boolean(requestData.streaming ?? requestData.stream ?? false);
 
-    // Verificar que el proveedor esté configurado
-    if (!provider.isConfigured()) {
-      return {
-        statusCode: 503,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: `El proveedor ${providerType} no está configurado correctamente`,
-          provider: providerType
-        }),
-      };
+    const retryOptions = validateRetryOptions(retry);
+    const batchOptions = batch ? normalizeBatch(batch, { prompt, operation, n }) : null;
+
+    if (streaming && !batchOptions) {
+      throw createError('invalid_request', 'El streaming solo está disponible en modo batch');
     }
 
-    // Verificar que el proveedor soporte generación de imágenes
-    if (!provider.supportsImageGeneration()) {
+    // Crear instancia del proveedor (el registro valida soporte de imágenes y configuración)
+    const provider = createProvider(providerType, 'image');
+
+    // Proveedor de chat que mejora el prompt (mismas validaciones del registro, con capacidad "chat")
+    const enhancer = resolveEnhancer(enhance);
+
+    const params = {
+      providerType, operation, model, prompt, image, mask, size, quality, style,
+      n, responseFormat, returnBase64, save, retry: retryOptions, enhancer
+    };
+
+    if (batchOptions) {
+      // Validar todos los prompts antes de empezar: un error del request responde 400
+      // en lugar de repetirse en cada generación
+      const modelInfo = provider.getImageModel(model);
+      params.model = modelInfo.id;
+      params.size = size || modelInfo.sizes[0];
+      params.quality = quality || modelInfo.qualities[0];
+      batchOptions.prompts.forEach((batchPrompt, index) => {
+        try {
+          provider.validateImageParams({ ...params, prompt: batchPrompt }, modelInfo);
+        } catch (error) {
+          if (!batch.prompts) throw error;
+          throw createError('invalid_request', `batch.prompts[${index}]: ${error.message}`, { cause: error });
+        }
+      });
+
+      logger.info('Generando batch de imágenes', {
+        provider: providerType, model: params.model, total: batchOptions.prompts.length,
+        concurrency: batchOptions.concurrency, n, streaming, enhance: enhancer?.providerId
+      });
+
+      const events = batchEvents(event, provider, params, batchOptions);
+
+      if (streaming) {
+        return {
+          statusCode: 200,
+          headers: SSE_HEADERS,
+          body: createSSEStream(events),
+        };
+      }
+
+      // Sin streaming: esperar todas las generaciones y devolverlas juntas
+      let done;
+      for await (const batchEvent of events) {
+        if (batchEvent.type === 'done') {
+          done = batchEvent;
+        }
+      }
+
       return {
-        statusCode: 400,
-        headers: { 'Content-Type': 'application/json' },
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+        },
         body: JSON.stringify({
-          error: `El proveedor ${providerType} no soporta generación de imágenes`,
-          provider: providerType
+          success: done.results.some(result => result.success),
+          provider: providerType,
+          operation,
+          model: params.model,
+          results: done.results,
+          count: done.results.reduce((total, result) => total + result.images.length, 0),
+          metadata: done.metadata
         }),
       };
     }
 
-    console.log(`Generando imagen con ${providerType}: "${prompt}"`);
-
-    // Generar imagen
-    const startTime = Date.now();
-    const response = await provider.generateImage(prompt, {
-      size: options.size || '1024x1024',
-      quality: options.quality || 'standard',
-      n: options.n || 1,
-      responseFormat: options.responseFormat || 'url',
-      style: options.style,
-      ...options
+    logger.info('Generando imagen', {
+      provider: providerType, operation, model, size, quality, style, n,
+      prompt: redactText(prompt), enhance: enhancer?.providerId
     });
 
-    const endTime = Date.now();
-    const duration = endTime - startTime;
-
-    // Procesar respuesta
-    const processedResponse = await processImageResponse(response, options.returnBase64);
+    const { result, images, latency, enhancement } = await runImageOperation(event, provider, params);
 
     // Preparar metadata
     const metadata = {
       provider: providerType,
-      model: provider.getModelInfo?.()?.name || 'unknown',
-      duration,
+      operation,
+      model: result.model,
+      latency,
       timestamp: new Date().toISOString(),
+      // Original del estudiante, reescrito por el modelo de chat (enhance) y reescrito por el modelo de imagen
       prompt: {
-        original: prompt,
-        revised: processedResponse.images[0]?.revisedPrompt || null
+        original: prompt || null,
+        enhanced: enhancement?.prompt || null,
+        revised: images[0].revisedPrompt
       },
+      enhance: enhancementMetadata(enhancement),
       options: {
-        size: options.size || '1024x1024',
-        quality: options.quality || 'standard',
-        style: options.style || null,
-        n: options.n || 1
+        size: result.size,
+        quality: result.quality,
+        style: style || null,
+        n,
+        responseFormat
       },
-      usage: response.usage || {}
+      usage: result.usage || {},
+      filtered: result.filtered || 0
     };
 
     return {
@@ -236,47 +482,20 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({
         success: true,
         provider: providerType,
-        images: processedResponse.images,
-        metadata,
-        count: processedResponse.images.length
+        operation,
+        model: result.model,
+        images,
+        count: images.length,
+        metadata
       }),
     };
 
   } catch (error) {
-    console.error('Image generation error:', error);
-    
-    // Determinar tipo de error y código de estado apropiado
-    let statusCode = 500;
-    let errorMessage = 'Error interno del servidor';
-
-    if (error.message.includes('quota') || error.message.includes('billing')) {
-      statusCode = 402;
-      errorMessage = 'Cuota o facturación agotada para este proveedor';
-    } else if (error.message.includes('content policy') || error.message.includes('safety')) {
-      statusCode = 400;
-      errorMessage = 'El prompt viola las políticas de contenido';
-    } else if (error.message.includes('rate limit')) {
-      statusCode = 429;
-      errorMessage = 'Límite de velocidad del proveedor alcanzado';
-    } else if (error.message.includes('unauthorized') || error.message.includes('authentication')) {
-      statusCode = 401;
-      errorMessage = 'Error de autenticación con el proveedor';
-    }
+    logger.error('Image generation error', { error });
 
-    return {
-      statusCode,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        success: false,
-        error: errorMessage,
-        provider: requestData?.provider || 'unknown',
-        details: process.env.DEBUG_MODE === 'true' ? {
-          originalError: error.message,
-          stack: error.stack
-        } : undefined
-      }),
-    };
+    // Cuota, políticas de contenido, rate limit, autenticación... ya vienen clasificados por el adapter
+    return errorResponse(error, {
+      extra: { provider: requestData?.provider || DEFAULT_IMAGE_PROVIDER }
+    });
   }
-};
\ No newline at end of file
+}));
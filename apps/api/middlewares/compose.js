@@ -0,0 +1,64 @@
+/**
+ * Composición de middlewares para Netlify Functions
+ * Un middleware recibe un handler y devuelve otro: handler => async (event, context) => response
+ *
+ *   exports.handler = compose(withCors, withRateLimit(config), withValidation('chat'))(handler);
+ *
+ * El primero de la lista es el más externo: withCors agrega sus headers también a las
+ * respuestas que cortan antes el pipeline (rate limit, validación, método no permitido).
+ */
+
+// Headers cuyos valores se acumulan en lugar de reemplazarse
+const LIST_HEADERS = ['vary'];
+
+/**
+ * Aplicar middlewares a un handler
+ * @param {...Function} middlewares - Middlewares, del más externo al más interno
+ * @returns {Function} Función que recibe el handler y devuelve el handler envuelto
+ */
+function compose(...middlewares) {
+  return handler => middlewares.reduceRight((wrapped, middleware) => middleware(wrapped), handler);
+}
+
+/**
+ * Combinar headers de varias fuentes
+ * Las claves se comparan sin distinguir mayúsculas (content-type y Content-Type son el mismo header):
+ * gana el último valor, salvo Vary que acumula los valores sin repetirlos
+ * @param {...Object} sources - Objetos de headers (se ignoran los undefined)
+ * @returns {Object} Headers combinados
+ */
+function mergeHeaders(...sources) {
+  const merged = {};
+  const keys = {};
+
+  for (const source of sources) {
+    for (const [name, value] of Object.entries(source || {})) {
+      if (value === undefined) {
+        continue;
+      }
+
+      const lower = name.toLowerCase();
+      const previousName = keys[lower];
+
+      if (previousName && LIST_HEADERS.includes(lower)) {
+        const values = `${merged[previousName]}, ${value}`.split(',').map(item => item.trim()).filter(Boolean);
+        merged[previousName] = [...new Set(values)].join(', ');
+        continue;
+      }
+
+      if (previousName) {
+        delete merged[previousName];
+      }
+
+      keys[lower] = name;
+      merged[name] = value;
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  compose,
+  mergeHeaders
+};
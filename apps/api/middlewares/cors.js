@@ -3,6 +3,12 @@
  * Controla qué dominios pueden acceder a nuestra API
  */
 
+const { createError, errorResponse } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+const { mergeHeaders } = require('./compose');
+
+const logger = createLogger('cors');
+
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS 
   ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
   : ['http://localhost:5173', 'http://localhost:3000'];
@@ -22,9 +28,8 @@ function setCorsHeaders(event, headers = {}) {
                    (process.env.NODE_ENV === 'development' && origin?.includes('localhost'));
 
   const corsHeaders = {
-    ...headers,
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, X-Client-Id',
     'Access-Control-Max-Age': '86400', // 24 horas
     'Vary': 'Origin'
   };
@@ -37,7 +42,7 @@ function setCorsHeaders(event, headers = {}) {
     // Esto causará que el navegador bloquee la request
   }
 
-  return corsHeaders;
+  return mergeHeaders(headers, corsHeaders);
 }
 
 /**
@@ -78,18 +83,7 @@ function validateOrigin(event) {
  * @returns {Object} Respuesta de error
  */
 function corsError(message = 'Origen no permitido') {
-  return {
-    statusCode: 403,
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      error: {
-        type: 'cors_error',
-        message: message
-      }
-    })
-  };
+  return errorResponse(createError('auth', message, { status: 403 }));
 }
 
 /**
@@ -125,19 +119,7 @@ function withCors(handler) {
       // Manejar errores con CORS
       const corsHeaders = setCorsHeaders(event);
       
-      return {
-        statusCode: 500,
-        headers: {
-          ...corsHeaders,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          error: {
-            type: 'internal_error',
-            message: 'Error interno del servidor'
-          }
-        })
-      };
+      return errorResponse(error, { headers: corsHeaders });
     }
   };
 }
@@ -147,14 +129,11 @@ function withCors(handler) {
  * @param {Object} event - Evento de Netlify Function
  */
 function logCorsInfo(event) {
-  if (process.env.NODE_ENV === 'development') {
-    const origin = event.headers.origin || event.headers.Origin;
-    const method = event.httpMethod;
-    
-    console.log(`[CORS] ${method} request desde: ${origin || 'sin origen'}`);
-    console.log(`[CORS] Orígenes permitidos:`, ALLOWED_ORIGINS);
-    console.log(`[CORS] Origen válido:`, validateOrigin(event));
-  }
+  logger.debug(`${event.httpMethod} request`, {
+    origin: event.headers.origin || event.headers.Origin || null,
+    allowedOrigins: ALLOWED_ORIGINS,
+    validOrigin: validateOrigin(event)
+  });
 }
 
 module.exports = {
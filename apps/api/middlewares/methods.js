@@ -0,0 +1,28 @@
+/**
+ * Middleware para restringir los métodos HTTP de un endpoint
+ * Responde 405 con el header Allow; OPTIONS lo resuelve withCors antes de llegar aquí
+ */
+
+const { createError, errorResponse } = require('../utils/errors');
+
+/**
+ * Crear el middleware de métodos permitidos
+ * @param {...string} methods - Métodos aceptados (ej: 'GET', 'POST')
+ * @returns {Function} Middleware para compose()
+ */
+function withMethods(...methods) {
+  return handler => async (event, context) => {
+    if (!methods.includes(event.httpMethod)) {
+      return errorResponse(createError('invalid_request', 'Method not allowed', { status: 405 }), {
+        headers: { 'Allow': methods.join(', ') },
+        extra: { allowed: methods }
+      });
+    }
+
+    return handler(event, context);
+  };
+}
+
+module.exports = {
+  withMethods
+};
@@ -3,13 +3,24 @@
  * Controla la cantidad de requests por IP para prevenir abuso
  */
 
+const { createError, errorResponse } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+const { mergeHeaders } = require('./compose');
+
+const logger = createLogger('ratelimit');
+
 // Almacén in-memory para el rate limiting (en producción usar Redis o DB)
+// Clave: IP, o "name:IP" cuando la configuración tiene nombre (límites separados por endpoint)
 const requestStore = new Map();
 
+// Ventana más larga en uso: la limpieza no debe borrar requests que otro límite todavía cuenta
+let longestWindowMs = 0;
+
 // Configuración por defecto
 const DEFAULT_CONFIG = {
   windowMs: 60 * 1000, // 1 minuto
   maxRequests: parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 10,
+  message: 'Demasiadas solicitudes. Intenta nuevamente en unos momentos.',
   skipSuccessfulRequests: false,
   skipFailedRequests: false
 };
@@ -68,7 +79,7 @@ function checkRateLimit(ip, config = DEFAULT_CONFIG) {
   const isLimited = recentRequests.length >= config.maxRequests;
   
   // Calcular tiempo hasta reset
-  const oldestRequest = Math.min(...recentRequests);
+  const oldestRequest = recentRequests.length > 0 ? Math.min(...recentRequests) : now;
   const resetTime = oldestRequest + config.windowMs;
   const retryAfter = Math.max(0, Math.ceil((resetTime - now) / 1000));
   
@@ -84,46 +95,42 @@ function checkRateLimit(ip, config = DEFAULT_CONFIG) {
 
 /**
  * Registrar un nuevo request
- * @param {string} ip - IP del cliente
+ * @param {string} ip - IP del cliente (o clave "name:IP")
+ * @param {Object} config - Configuración del rate limit
  */
-function recordRequest(ip) {
+function recordRequest(ip, config = DEFAULT_CONFIG) {
   const now = Date.now();
   const requests = requestStore.get(ip) || [];
   
   requests.push(now);
   requestStore.set(ip, requests);
+  longestWindowMs = Math.max(longestWindowMs, config.windowMs);
   
   // Limpiar requests antiguos periódicamente
   if (Math.random() < 0.1) { // 10% de probabilidad
-    cleanupOldRequests(DEFAULT_CONFIG.windowMs);
+    cleanupOldRequests(longestWindowMs);
   }
 }
 
 /**
  * Crear respuesta de rate limit excedido
  * @param {Object} rateInfo - Información del rate limit
+ * @param {string} message - Mensaje para el cliente (opcional)
  * @returns {Object} Respuesta HTTP
  */
-function rateLimitResponse(rateInfo) {
-  return {
-    statusCode: 429,
+function rateLimitResponse(rateInfo, message = DEFAULT_CONFIG.message) {
+  const error = createError('rate_limited', message, {
+    retryAfterMs: rateInfo.retryAfter * 1000,
+    details: { limit: rateInfo.limit, current: rateInfo.current }
+  });
+
+  return errorResponse(error, {
     headers: {
-      'Content-Type': 'application/json',
       'X-RateLimit-Limit': rateInfo.limit.toString(),
       'X-RateLimit-Remaining': rateInfo.remaining.toString(),
-      'X-RateLimit-Reset': rateInfo.resetTime.toString(),
-      'Retry-After': rateInfo.retryAfter.toString()
-    },
-    body: JSON.stringify({
-      error: {
-        type: 'rate_limit_exceeded',
-        message: 'Demasiadas solicitudes. Intenta nuevamente en unos momentos.',
-        limit: rateInfo.limit,
-        current: rateInfo.current,
-        retryAfter: rateInfo.retryAfter
-      }
-    })
-  };
+      'X-RateLimit-Reset': rateInfo.resetTime.toString()
+    }
+  });
 }
 
 /**
@@ -135,35 +142,44 @@ function rateLimitResponse(rateInfo) {
 function addRateLimitHeaders(response, rateInfo) {
   return {
     ...response,
-    headers: {
-      ...(response.headers || {}),
+    headers: mergeHeaders(response.headers, {
       'X-RateLimit-Limit': rateInfo.limit.toString(),
       'X-RateLimit-Remaining': rateInfo.remaining.toString(),
       'X-RateLimit-Reset': rateInfo.resetTime.toString()
-    }
+    })
   };
 }
 
 /**
  * Wrapper para aplicar rate limiting a una función
- * @param {Function} handler - Función handler original
- * @param {Object} config - Configuración del rate limit
- * @returns {Function} Handler con rate limiting aplicado
+ * También se puede llamar solo con la configuración para usarlo en compose():
+ * withRateLimit({ name: 'image', windowMs, maxRequests }) devuelve el middleware
+ * @param {Function|Object} handler - Función handler original (o la configuración)
+ * @param {Object} config - Configuración del rate limit (se completa con DEFAULT_CONFIG)
+ * @returns {Function} Handler con rate limiting aplicado (o el middleware)
  */
 function withRateLimit(handler, config = DEFAULT_CONFIG) {
+  if (typeof handler !== 'function') {
+    const middlewareConfig = handler;
+    return wrapped => withRateLimit(wrapped, middlewareConfig);
+  }
+
+  config = { ...DEFAULT_CONFIG, ...config };
+
   return async (event, context) => {
     const ip = getClientIP(event);
+    const key = config.name ? `${config.name}:${ip}` : ip;
     
     // Verificar rate limit
-    const rateInfo = checkRateLimit(ip, config);
+    const rateInfo = checkRateLimit(key, config);
     
     if (rateInfo.isLimited) {
-      logRateLimit(ip, rateInfo, 'BLOCKED');
-      return rateLimitResponse(rateInfo);
+      logRateLimit(key, rateInfo, 'BLOCKED');
+      return rateLimitResponse(rateInfo, config.message);
     }
     
     // Registrar el request
-    recordRequest(ip);
+    recordRequest(key, config);
     
     try {
       // Ejecutar handler original
@@ -175,27 +191,25 @@ function withRateLimit(handler, config = DEFAULT_CONFIG) {
         remaining: rateInfo.remaining - 1
       });
       
-      logRateLimit(ip, rateInfo, 'ALLOWED');
+      logRateLimit(key, rateInfo, 'ALLOWED');
       return responseWithHeaders;
       
     } catch (error) {
       // En caso de error, el request ya fue contado
-      logRateLimit(ip, rateInfo, 'ERROR');
+      logRateLimit(key, rateInfo, 'ERROR');
       throw error;
     }
   };
 }
 
 /**
- * Log de información de rate limiting
+ * Log de información de rate limiting (nivel debug)
  * @param {string} ip - IP del cliente
  * @param {Object} rateInfo - Información del rate limit
  * @param {string} action - Acción tomada (ALLOWED, BLOCKED, ERROR)
  */
 function logRateLimit(ip, rateInfo, action) {
-  if (process.env.NODE_ENV === 'development') {
-    console.log(`[RATE_LIMIT] ${action} - IP: ${ip}, Current: ${rateInfo.current}/${rateInfo.limit}, Remaining: ${rateInfo.remaining}`);
-  }
+  logger.debug(action, { ip, current: rateInfo.current, limit: rateInfo.limit, remaining: rateInfo.remaining });
 }
 
 /**
@@ -3,6 +3,20 @@
  * Valida y sanitiza los datos de entrada antes de procesarlos
  */
 
+const { getProviderIds } = require('../providers/registry');
+const { validateContent, getTextContent, hasContent, hasImages } = require('../utils/content');
+const { createError, errorResponse } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('validate');
+
+// Proveedores de chat aceptados (ids y aliases), tomados del registro
+const CHAT_PROVIDERS = getProviderIds({ capability: 'chat', includeAliases: true });
+const IMAGE_PROVIDERS = getProviderIds({ capability: 'image', includeAliases: true });
+
+// Máximo de pares proveedor/modelo por comparación (/api/compare)
+const MAX_COMPARE_TARGETS = 4;
+
 /**
  * Esquemas de validación para diferentes endpoints
  */
@@ -11,15 +25,15 @@ const VALIDATION_SCHEMAS = {
     provider: {
       type: 'string',
       required: true,
-      enum: ['openai', 'gemini', 'anthropic', 'azure'],
-      message: 'Provider debe ser uno de: openai, gemini, anthropic, azure'
+      enum: CHAT_PROVIDERS,
+      message: `Provider debe ser uno de: ${getProviderIds({ capability: 'chat' }).join(', ')}`
     },
     model: {
       type: 'string',
-      required: true,
+      required: false,
       minLength: 1,
       maxLength: 100,
-      message: 'Model es requerido y debe tener entre 1 y 100 caracteres'
+      message: 'Model debe tener entre 1 y 100 caracteres (sin model se usa el modelo por defecto)'
     },
     messages: {
       type: 'array',
@@ -36,35 +50,215 @@ const VALIDATION_SCHEMAS = {
       default: 0.7,
       message: 'Temperature debe estar entre 0 y 2'
     },
+    maxTokens: {
+      type: 'number',
+      integer: true,
+      required: false,
+      min: 1,
+      message: 'MaxTokens debe ser un entero mayor o igual a 1'
+    },
     stream: {
       type: 'boolean',
       required: false,
       default: true,
       message: 'Stream debe ser un boolean'
+    },
+    tools: {
+      type: 'array',
+      required: false,
+      maxItems: 64,
+      message: 'Tools debe ser un array con hasta 64 herramientas'
+    },
+    promptId: {
+      type: 'string',
+      required: false,
+      minLength: 1,
+      maxLength: 64,
+      message: 'PromptId debe tener entre 1 y 64 caracteres'
+    },
+    examples: {
+      type: 'string',
+      required: false,
+      minLength: 1,
+      maxLength: 64,
+      message: 'Examples debe ser una categoría de ejemplos o "all"'
+    },
+    promptVariables: {
+      type: 'object',
+      required: false,
+      message: 'PromptVariables debe ser un objeto { nombre: valor }'
+    },
+    retry: {
+      type: 'object',
+      required: false,
+      message: 'Retry debe ser un objeto { maxAttempts, budgetMs }'
+    },
+    context: {
+      type: 'object',
+      required: false,
+      message: 'Context debe ser un objeto { strategy, maxMessages, maxPromptTokens }'
     }
   },
   
+  // Los mismos mensajes se envían a cada destino: se validan igual que en chat
+  compare: {
+    targets: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: MAX_COMPARE_TARGETS,
+      message: `Targets debe ser un array con 1-${MAX_COMPARE_TARGETS} destinos { provider, model }`
+    },
+    messages: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 50,
+      message: 'Messages debe ser un array con 1-50 elementos'
+    },
+    temperature: {
+      type: 'number',
+      required: false,
+      min: 0,
+      max: 2,
+      message: 'Temperature debe estar entre 0 y 2'
+    },
+    maxTokens: {
+      type: 'number',
+      integer: true,
+      required: false,
+      min: 1,
+      message: 'MaxTokens debe ser un entero mayor o igual a 1'
+    },
+    stream: {
+      type: 'boolean',
+      required: false,
+      message: 'Stream debe ser un boolean'
+    },
+    promptId: {
+      type: 'string',
+      required: false,
+      minLength: 1,
+      maxLength: 64,
+      message: 'PromptId debe tener entre 1 y 64 caracteres'
+    },
+    examples: {
+      type: 'string',
+      required: false,
+      minLength: 1,
+      maxLength: 64,
+      message: 'Examples debe ser una categoría de ejemplos o "all"'
+    },
+    promptVariables: {
+      type: 'object',
+      required: false,
+      message: 'PromptVariables debe ser un objeto { nombre: valor }'
+    },
+    retry: {
+      type: 'object',
+      required: false,
+      message: 'Retry debe ser un objeto { maxAttempts, budgetMs }'
+    }
+  },
+
+  // Tamaños y calidades dependen del modelo: los valida cada adapter contra su catálogo
+  // (también el formato y las dimensiones de la imagen fuente y la máscara de las ediciones)
   image: {
+    provider: {
+      type: 'string',
+      required: false,
+      enum: IMAGE_PROVIDERS,
+      message: `Provider debe ser uno de: ${getProviderIds({ capability: 'image' }).join(', ')}`
+    },
+    model: {
+      type: 'string',
+      required: false,
+      minLength: 1,
+      maxLength: 100,
+      message: 'Model debe tener entre 1 y 100 caracteres'
+    },
+    operation: {
+      type: 'string',
+      required: false,
+      enum: ['generate', 'edit', 'variation'],
+      message: 'Operation debe ser: generate, edit o variation'
+    },
     prompt: {
       type: 'string',
-      required: true,
+      required: false, // Requerido salvo en variaciones y con batch.prompts (ver validateInput)
       minLength: 1,
-      maxLength: 4000,
-      message: 'Prompt es requerido y debe tener entre 1 y 4000 caracteres'
+      maxLength: 32000, // Tope de gpt-image; cada modelo valida su propio maxPromptLength
+      message: 'Prompt es requerido y debe tener entre 1 y 32000 caracteres'
+    },
+    image: {
+      type: 'string',
+      required: false, // Requerida en edit y variation (ver validateInput)
+      minLength: 1,
+      maxLength: 6 * 1024 * 1024, // ~4 MB en base64, con margen para el prefijo data:
+      message: 'Image debe ser una data URL, base64 o URL https de hasta 4 MB'
+    },
+    mask: {
+      type: 'string',
+      required: false,
+      minLength: 1,
+      maxLength: 6 * 1024 * 1024,
+      message: 'Mask debe ser una data URL, base64 o URL https de un PNG de hasta 4 MB'
     },
     size: {
       type: 'string',
       required: false,
-      enum: ['1024x1024', '1792x1024', '1024x1792'],
-      default: '1024x1024',
-      message: 'Size debe ser uno de: 1024x1024, 1792x1024, 1024x1792'
+      maxLength: 20,
+      message: 'Size debe tener el formato ANCHOxALTO (ej: 1024x1024)'
     },
     quality: {
       type: 'string',
       required: false,
-      enum: ['standard', 'hd'],
-      default: 'standard',
-      message: 'Quality debe ser: standard o hd'
+      maxLength: 20,
+      message: 'Quality debe ser un string (ej: standard o hd)'
+    },
+    style: {
+      type: 'string',
+      required: false,
+      maxLength: 20,
+      message: 'Style debe ser un string (ej: vivid o natural)'
+    },
+    n: {
+      type: 'number',
+      required: false,
+      min: 1,
+      max: 10,
+      message: 'N debe estar entre 1 y 10'
+    },
+    responseFormat: {
+      type: 'string',
+      required: false,
+      enum: ['b64_json', 'url'],
+      message: 'ResponseFormat debe ser: b64_json o url'
+    },
+    returnBase64: {
+      type: 'boolean',
+      required: false,
+      message: 'ReturnBase64 debe ser un boolean'
+    },
+    save: {
+      type: 'boolean',
+      required: false,
+      message: 'Save debe ser un boolean (false para no guardar en la galería)'
+    },
+    batch: {
+      type: 'object',
+      required: false, // Prompts, cantidad y concurrencia los valida image.js
+      message: 'Batch debe ser un objeto { prompts } o { count }, con concurrency opcional'
+    },
+    stream: {
+      type: 'boolean',
+      required: false,
+      message: 'Stream debe ser un boolean (progreso del batch por SSE)'
+    },
+    retry: {
+      type: 'object',
+      required: false,
+      message: 'Retry debe ser un objeto { maxAttempts, budgetMs }'
     }
   }
 };
@@ -120,6 +314,13 @@ function validateField(value, schema, fieldName) {
     };
   }
 
+  if (schema.type === 'object' && (typeof value !== 'object' || Array.isArray(value))) {
+    return {
+      isValid: false,
+      error: `${fieldName}: debe ser un objeto`
+    };
+  }
+
   // Validaciones específicas por tipo
   if (schema.type === 'string') {
     if (schema.minLength && value.length < schema.minLength) {
@@ -138,6 +339,13 @@ function validateField(value, schema, fieldName) {
   }
 
   if (schema.type === 'number') {
+    if (schema.integer && !Number.isInteger(value)) {
+      return {
+        isValid: false,
+        error: `${fieldName}: debe ser un entero`
+      };
+    }
+
     if (schema.min !== undefined && value < schema.min) {
       return {
         isValid: false,
@@ -216,7 +424,7 @@ function validateMessages(messages) {
       };
     }
 
-    const validRoles = ['system', 'user', 'assistant'];
+    const validRoles = ['system', 'user', 'assistant', 'tool'];
     if (!validRoles.includes(message.role)) {
       return {
         isValid: false,
@@ -224,25 +432,73 @@ function validateMessages(messages) {
       };
     }
 
-    // Validar content
-    if (!message.content || typeof message.content !== 'string') {
+    const hasToolCalls = message.role === 'assistant' &&
+      Array.isArray(message.toolCalls) && message.toolCalls.length > 0;
+
+    if (message.role === 'tool' && (!message.toolCallId || typeof message.toolCallId !== 'string')) {
+      return {
+        isValid: false,
+        error: `Message ${i}: toolCallId es requerido en mensajes con role "tool"`
+      };
+    }
+
+    // Validar content (un assistant que solo pide herramientas puede venir sin texto)
+    if (hasToolCalls && !message.content) {
+      message.content = '';
+    } else if (Array.isArray(message.content)) {
+      // Contenido multimodal: partes de texto e imagen
+      const contentError = validateContent(message.content);
+      if (contentError) {
+        return {
+          isValid: false,
+          error: `Message ${i}: ${contentError}`
+        };
+      }
+
+      if (!hasContent(message.content)) {
+        return {
+          isValid: false,
+          error: `Message ${i}: content no puede estar vacío`
+        };
+      }
+
+      if (hasImages(message.content) && message.role !== 'user') {
+        return {
+          isValid: false,
+          error: `Message ${i}: solo los mensajes "user" pueden incluir imágenes`
+        };
+      }
+    } else if (!message.content || typeof message.content !== 'string') {
       return {
         isValid: false,
-        error: `Message ${i}: content es requerido y debe ser un string`
+        error: `Message ${i}: content es requerido y debe ser un string o un array de partes`
       };
     }
 
-    if (message.content.length > 10000) {
+    if (getTextContent(message.content).length > 10000) {
       return {
         isValid: false,
         error: `Message ${i}: content no puede tener más de 10,000 caracteres`
       };
     }
 
-    validatedMessages.push({
+    const validated = {
       role: message.role,
-      content: message.content.trim()
-    });
+      content: typeof message.content === 'string' ? message.content.trim() : message.content
+    };
+
+    // Conservar los campos de tool calling
+    if (hasToolCalls) {
+      validated.toolCalls = message.toolCalls;
+    }
+    if (message.role === 'tool') {
+      validated.toolCallId = message.toolCallId;
+      if (message.name) {
+        validated.name = message.name;
+      }
+    }
+
+    validatedMessages.push(validated);
   }
 
   return {
@@ -251,6 +507,29 @@ function validateMessages(messages) {
   };
 }
 
+/**
+ * Validar los destinos de una comparación
+ * @param {Array} targets - [{ provider, model? }]
+ * @returns {string|null} Descripción del error o null si son válidos
+ */
+function validateTargets(targets) {
+  for (const [index, target] of targets.entries()) {
+    if (!target || typeof target !== 'object' || Array.isArray(target)) {
+      return `targets[${index}]: debe ser un objeto { provider, model }`;
+    }
+
+    if (!CHAT_PROVIDERS.includes(target.provider)) {
+      return `targets[${index}]: provider debe ser uno de: ${getProviderIds({ capability: 'chat' }).join(', ')}`;
+    }
+
+    if (target.model !== undefined && (typeof target.model !== 'string' || target.model.length < 1 || target.model.length > 100)) {
+      return `targets[${index}]: model debe tener entre 1 y 100 caracteres`;
+    }
+  }
+
+  return null;
+}
+
 /**
  * Validar datos de entrada según un esquema
  * @param {Object} data - Datos a validar
@@ -283,8 +562,47 @@ function validateInput(data, schemaName) {
     }
   }
 
-  // Validación especial para messages
-  if (schemaName === 'chat' && validatedData.messages) {
+  // Validación especial para image: el prompt es opcional solo en variaciones (y en un batch
+  // con un prompt por generación) y edit/variation necesitan la imagen fuente
+  if (schemaName === 'image') {
+    const operation = validatedData.operation || 'generate';
+    const batchPrompts = validatedData.batch?.prompts !== undefined;
+
+    if (operation !== 'variation' && !batchPrompts && (data.prompt === undefined || data.prompt === null)) {
+      errors.push(`prompt: ${schema.prompt.message}`);
+    }
+
+    if (operation !== 'generate' && (data.image === undefined || data.image === null)) {
+      errors.push(`image: es requerida para operation "${operation}"`);
+    }
+
+    if (operation !== 'edit' && data.mask !== undefined && data.mask !== null) {
+      errors.push('mask: solo se usa con operation "edit"');
+    }
+
+    // enhance: true (proveedor de chat por defecto) o { provider, model }
+    const { enhance } = data;
+    if (enhance !== undefined && enhance !== null && enhance !== false) {
+      const isOptions = typeof enhance === 'object' && !Array.isArray(enhance) &&
+        ['provider', 'model'].every(key => enhance[key] === undefined || typeof enhance[key] === 'string');
+
+      if (enhance !== true && !isOptions) {
+        errors.push('enhance: debe ser true o un objeto { provider, model } con un proveedor de chat');
+      } else if (operation === 'variation') {
+        errors.push('enhance: las variaciones no tienen prompt para mejorar');
+      }
+    }
+  }
+
+  if (schemaName === 'compare' && validatedData.targets) {
+    const targetsError = validateTargets(validatedData.targets);
+    if (targetsError) {
+      errors.push(targetsError);
+    }
+  }
+
+  // Validación especial para messages (chat y compare)
+  if ((schemaName === 'chat' || schemaName === 'compare') && validatedData.messages) {
     const messageValidation = validateMessages(validatedData.messages);
     
     if (!messageValidation.isValid) {
@@ -319,28 +637,22 @@ function sanitizeString(str) {
  * @returns {Object} Respuesta HTTP de error
  */
 function validationErrorResponse(errors) {
-  return {
-    statusCode: 400,
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      error: {
-        type: 'validation_error',
-        message: 'Datos de entrada no válidos',
-        details: errors
-      }
-    })
-  };
+  return errorResponse(createError('invalid_request', 'Datos de entrada no válidos', { details: errors }));
 }
 
 /**
  * Wrapper para aplicar validación a una función
- * @param {Function} handler - Función handler original
+ * También se puede llamar solo con el esquema para usarlo en compose(): withValidation('chat')
+ * @param {Function|string} handler - Función handler original (o el nombre del esquema)
  * @param {string} schemaName - Nombre del esquema a usar
- * @returns {Function} Handler con validación aplicada
+ * @returns {Function} Handler con validación aplicada (o el middleware)
  */
 function withValidation(handler, schemaName) {
+  if (typeof handler === 'string') {
+    const middlewareSchema = handler;
+    return wrapped => withValidation(wrapped, middlewareSchema);
+  }
+
   return async (event, context) => {
     try {
       // Parsear body
@@ -377,27 +689,27 @@ function withValidation(handler, schemaName) {
 }
 
 /**
- * Log de información de validación
+ * Log de información de validación (nivel debug)
  * @param {Object} event - Evento de Netlify Function
  * @param {Array} errors - Errores de validación
  * @param {string} status - Estado de la validación
  */
 function logValidation(event, errors, status) {
-  if (process.env.NODE_ENV === 'development') {
-    console.log(`[VALIDATION] ${status} - ${event.path || event.httpMethod}`);
-    if (errors.length > 0) {
-      console.log(`[VALIDATION] Errores:`, errors);
-    }
-  }
+  logger.debug(status, {
+    path: event.path || event.httpMethod,
+    errors: errors.length > 0 ? errors : undefined
+  });
 }
 
 module.exports = {
   validateInput,
   validateField,
   validateMessages,
+  validateTargets,
   sanitizeString,
   validationErrorResponse,
   withValidation,
   logValidation,
-  VALIDATION_SCHEMAS
+  VALIDATION_SCHEMAS,
+  MAX_COMPARE_TARGETS
 };
\ No newline at end of file
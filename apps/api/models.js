@@ -0,0 +1,82 @@
+/**
+ * Models Function - Netlify Function
+ * Endpoint que lista los modelos disponibles de cada proveedor configurado
+ * Los modelos se consultan en vivo a cada proveedor (con caché) y se completan con el catálogo incluido
+ * El frontend construye su selector a partir de esta respuesta
+ */
+
+const { compose } = require('./middlewares/compose');
+const { withCors } = require('./middlewares/cors');
+const { withMethods } = require('./middlewares/methods');
+const { withRateLimit } = require('./middlewares/ratelimit');
+const { listProviders, createProvider, getModels, getDefaultModel, CAPABILITIES } = require('./providers/registry');
+const { errorResponse, createError } = require('./utils/errors');
+const { createLogger } = require('./utils/logger');
+
+const logger = createLogger('models');
+
+// CORS, solo GET y límite por IP (?refresh=true consulta a cada proveedor)
+const withMiddlewares = compose(
+  withCors,
+  withMethods('GET'),
+  withRateLimit({ name: 'models', maxRequests: 30 })
+);
+
+/**
+ * Lista proveedores configurados con su catálogo de modelos
+ * Query opcional: ?capability=chat (por defecto) | image, ?refresh=true para ignorar la caché
+ */
+exports.handler = withMiddlewares(async (event, context) => {
+  const capability = event.queryStringParameters?.capability || 'chat';
+
+  if (!CAPABILITIES.includes(capability)) {
+    return errorResponse(
+      createError('invalid_request', `Capacidad no válida: ${capability}. Capacidades disponibles: ${CAPABILITIES.join(', ')}`)
+    );
+  }
+
+  try {
+    const forceRefresh = event.queryStringParameters?.refresh === 'true';
+
+    // Solo se listan proveedores con sus variables de entorno configuradas
+    const configured = listProviders({ capability }).filter(provider => provider.configured);
+
+    const providers = await Promise.all(configured.map(async (provider) => {
+      const instance = createProvider(provider.id, capability);
+
+      // Los adapters sin listado en vivo usan directamente el catálogo incluido
+      // (el listado en vivo es de modelos de chat: los de imagen salen siempre del catálogo)
+      const listing = capability === 'chat' && typeof instance.listModels === 'function'
+        ? await instance.listModels({ forceRefresh })
+        : { models: getModels(provider.id, capability), source: 'catalog', fetchedAt: null };
+
+      return {
+        id: provider.id,
+        name: provider.name,
+        capabilities: provider.capabilities,
+        defaultModel: getDefaultModel(provider.id, capability),
+        models: listing.models,
+        source: listing.source,
+        fetchedAt: listing.fetchedAt
+      };
+    }));
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=60',
+      },
+      body: JSON.stringify({
+        capability,
+        providers,
+        timestamp: new Date().toISOString()
+      }),
+    };
+
+  } catch (error) {
+    logger.error('Models listing failed', { error });
+
+    return errorResponse(createError('internal', 'Error listando modelos', { cause: error }));
+  }
+});
@@ -0,0 +1,48 @@
+/**
+ * Prompts Function - Netlify Function
+ * Endpoint que lista los system prompts de lib/prompts y las categorías de ejemplos few-shot
+ * El frontend construye su selector de personas a partir de esta respuesta
+ */
+
+const { compose } = require('./middlewares/compose');
+const { withCors } = require('./middlewares/cors');
+const { withMethods } = require('./middlewares/methods');
+const { withRateLimit } = require('./middlewares/ratelimit');
+const { listPrompts, listExampleCategories, DEFAULT_PROMPT_ID } = require('./utils/promptLibrary');
+const { errorResponse, createError } = require('./utils/errors');
+const { createLogger } = require('./utils/logger');
+
+const logger = createLogger('prompts');
+
+// CORS, solo GET y límite por IP
+const withMiddlewares = compose(
+  withCors,
+  withMethods('GET'),
+  withRateLimit({ name: 'prompts', maxRequests: 60 })
+);
+
+/**
+ * Lista prompts disponibles (id, nombre, descripción y contenido) y categorías de ejemplos
+ */
+exports.handler = withMiddlewares(async (event, context) => {
+  try {
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=60',
+      },
+      body: JSON.stringify({
+        prompts: listPrompts(),
+        exampleCategories: listExampleCategories(),
+        defaultPromptId: DEFAULT_PROMPT_ID,
+        timestamp: new Date().toISOString()
+      }),
+    };
+
+  } catch (error) {
+    logger.error('Prompts listing failed', { error });
+
+    return errorResponse(createError('internal', 'Error cargando la biblioteca de prompts', { cause: error }));
+  }
+});
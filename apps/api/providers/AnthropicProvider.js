@@ -1,4 +1,73 @@
-const { BaseProvider } = require('./BaseProvider');
+const { BaseProvider, MODELS_TIMEOUT_MS } = require('./BaseProvider');
+const { toContentParts, getTextContent } = require('../utils/content');
+const { normalizeResponseFormat } = require('../utils/structuredOutput');
+const { createError, classifyProviderError } = require('../utils/errors');
+
+// Precios publicados por millón de tokens; el catálogo los guarda en USD por token
+const MILLION = 1_000_000;
+
+/**
+ * Catálogo de modelos de Claude
+ * Los aliases cortos se traducen al id versionado que exige la API
+ */
+const MODELS = [
+  {
+    id: 'claude-3-5-sonnet-20240620',
+    aliases: ['claude-3-5-sonnet'],
+    name: 'Claude 3.5 Sonnet',
+    description: 'Más reciente',
+    contextWindow: 200000,
+    maxOutputTokens: 8192,
+    streaming: true,
+    vision: true,
+    tools: true,
+    pricing: { input: 3.00 / MILLION, output: 15.00 / MILLION }
+  },
+  {
+    id: 'claude-3-opus-20240229',
+    aliases: ['claude-3-opus'],
+    name: 'Claude 3 Opus',
+    description: 'Máxima capacidad de la familia 3',
+    contextWindow: 200000,
+    maxOutputTokens: 4096,
+    streaming: true,
+    vision: true,
+    tools: true,
+    pricing: { input: 15.00 / MILLION, output: 75.00 / MILLION }
+  },
+  {
+    id: 'claude-3-sonnet-20240229',
+    aliases: ['claude-3-sonnet'],
+    name: 'Claude 3 Sonnet',
+    description: 'Balance entre costo y capacidad',
+    contextWindow: 200000,
+    maxOutputTokens: 4096,
+    streaming: true,
+    vision: true,
+    tools: true,
+    pricing: { input: 3.00 / MILLION, output: 15.00 / MILLION }
+  },
+  {
+    id: 'claude-3-haiku-20240307',
+    aliases: ['claude-3-haiku'],
+    name: 'Claude 3 Haiku',
+    description: 'Rápido y eficiente',
+    contextWindow: 200000,
+    maxOutputTokens: 4096,
+    streaming: true,
+    vision: true,
+    tools: true,
+    pricing: { input: 0.25 / MILLION, output: 1.25 / MILLION }
+  }
+];
+
+// Motivos de finalización de Anthropic mapeados al formato común (el de OpenAI)
+const STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
 
 /**
  * Adapter para Anthropic Claude models
@@ -18,11 +87,11 @@ class AnthropicProvider extends BaseProvider {
   /**
    * Implementación del chat para Anthropic Claude
    */
-  async chat({ model, messages, temperature = 0.7, stream = true, signal }) {
+  async chat({ model, messages, temperature = 0.7, stream = true, maxTokens = 2000, tools, toolChoice, responseFormat, signal, retry }) {
     // Filtrar mensajes válidos antes de validar y formatear
     const filteredMessages = this.filterValidMessages(messages);
-    this.validateParams({ model, messages: filteredMessages, temperature });
-    this.debug('Enviando request a Anthropic', { model, messageCount: filteredMessages.length, stream });
+    this.validateParams({ model, messages: filteredMessages, temperature, tools });
+    this.debug('Enviando request a Anthropic', { model, messageCount: filteredMessages.length, stream, tools: tools?.length || 0 });
 
     const controller = this.createTimeoutController(signal);
     
@@ -32,7 +101,7 @@ class AnthropicProvider extends BaseProvider {
     const requestBody = {
       model,
       messages: conversationMessages,
-      max_tokens: 2000,
+      max_tokens: maxTokens,
       temperature,
       stream
     };
@@ -42,21 +111,42 @@ class AnthropicProvider extends BaseProvider {
       requestBody.system = systemPrompt;
     }
 
+    // Con toolChoice "none" simplemente no se envían las herramientas
+    if (tools?.length && toolChoice !== 'none') {
+      requestBody.tools = tools.map(tool => ({
+        name: tool.name,
+        description: tool.description || '',
+        input_schema: tool.parameters || { type: 'object', properties: {} }
+      }));
+
+      if (toolChoice) {
+        requestBody.tool_choice = AnthropicProvider.formatToolChoice(toolChoice);
+      }
+    }
+
+    // Anthropic no tiene JSON mode: se fuerza una herramienta cuyo input_schema es el esquema pedido
+    // y el input de esa llamada es la respuesta estructurada
+    const format = normalizeResponseFormat(responseFormat);
+    if (format) {
+      requestBody.tools = [{
+        name: format.name,
+        description: 'Entrega la respuesta final con el formato requerido',
+        input_schema: format.schema || { type: 'object' }
+      }];
+      requestBody.tool_choice = { type: 'tool', name: format.name };
+    }
+
     try {
-      const response = await fetch(`${this.baseURL}/messages`, {
+      const response = await this.fetchWithRetry(`${this.baseURL}/messages`, {
         method: 'POST',
         headers: {
           ...this.getBaseHeaders(),
-          'Authorization': `Bearer ${this.apiKey}`,
+          'x-api-key': this.apiKey,
           'anthropic-version': '2023-06-01'
         },
         body: JSON.stringify(requestBody),
         signal: controller.signal
-      });
-
-      if (!response.ok) {
-        throw await this.handleError(response);
-      }
+      }, retry);
 
       if (stream) {
         // Retornar el ReadableStream para streaming
@@ -64,10 +154,37 @@ class AnthropicProvider extends BaseProvider {
       } else {
         // Respuesta completa
         const data = await response.json();
-        const content = data.content[0]?.text || '';
+        const blocks = data.content || [];
+
+        // La respuesta es una lista de bloques: texto y pedidos de herramientas (tool_use)
+        const content = blocks
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('');
+
+        const toolCalls = blocks
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({
+            id: block.id,
+            name: block.name,
+            arguments: block.input || {}
+          }));
+
+        if (format) {
+          const output = toolCalls.find(call => call.name === format.name);
+          return {
+            content: output ? JSON.stringify(output.arguments) : content,
+            toolCalls: [],
+            finishReason: output ? 'stop' : STOP_REASONS[data.stop_reason] || data.stop_reason,
+            model: data.model,
+            usage: data.usage
+          };
+        }
         
         return {
           content,
+          toolCalls,
+          finishReason: STOP_REASONS[data.stop_reason] || data.stop_reason,
           model: data.model,
           usage: data.usage
         };
@@ -77,7 +194,7 @@ class AnthropicProvider extends BaseProvider {
       this.debug('Error en Anthropic request', { error: error.message });
       
       if (error.name === 'AbortError') {
-        throw new Error('Request cancelado por timeout');
+        throw this.timeoutError();
       }
       
       throw error;
@@ -88,7 +205,7 @@ class AnthropicProvider extends BaseProvider {
    * Convertir mensajes al formato de Anthropic
    */
   formatMessages(messages) {
-    let systemPrompt = '';
+    const systemPrompts = [];
     const conversationMessages = [];
     
     for (const message of messages) {
@@ -98,23 +215,94 @@ class AnthropicProvider extends BaseProvider {
       }
       
       if (message.role === 'system') {
-        // Anthropic maneja system prompts por separado
-        systemPrompt = message.content;
+        // Anthropic maneja system prompts por separado: se conservan todos, en orden
+        systemPrompts.push(getTextContent(message.content));
+        continue;
+      }
+
+      if (message.role === 'tool') {
+        const result = {
+          type: 'tool_result',
+          tool_use_id: message.toolCallId,
+          content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+        };
+
+        // Anthropic exige que los resultados de un mismo turno vayan juntos en un único mensaje "user"
+        const previous = conversationMessages[conversationMessages.length - 1];
+        if (previous?.role === 'user' && Array.isArray(previous.content) &&
+            previous.content.every(block => block.type === 'tool_result')) {
+          previous.content.push(result);
+        } else {
+          conversationMessages.push({ role: 'user', content: [result] });
+        }
+        continue;
+      }
+
+      if (this.hasToolCalls(message)) {
+        conversationMessages.push({
+          role: 'assistant',
+          content: [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...message.toolCalls.map(call => ({
+              type: 'tool_use',
+              id: call.id,
+              name: call.name,
+              input: call.arguments || {}
+            }))
+          ]
+        });
         continue;
       }
       
       conversationMessages.push({
         role: message.role,
-        content: message.content
+        content: AnthropicProvider.formatContent(message.content)
       });
     }
     
     return {
-      systemPrompt: systemPrompt || undefined,
+      systemPrompt: systemPrompts.filter(Boolean).join('\n\n') || undefined,
       conversationMessages
     };
   }
 
+  /**
+   * Convertir contenido multimodal a bloques de Anthropic (text / image con source base64 o url)
+   */
+  static formatContent(content) {
+    if (!Array.isArray(content)) {
+      return content;
+    }
+
+    return toContentParts(content).map(part => {
+      if (part.type !== 'image') {
+        return { type: 'text', text: part.text };
+      }
+
+      return {
+        type: 'image',
+        source: part.url
+          ? { type: 'url', url: part.url }
+          : { type: 'base64', media_type: part.mimeType, data: part.data }
+      };
+    });
+  }
+
+  /**
+   * Convertir toolChoice normalizado al formato de Anthropic
+   */
+  static formatToolChoice(toolChoice) {
+    if (toolChoice === 'required') {
+      return { type: 'any' };
+    }
+
+    if (typeof toolChoice === 'object') {
+      return { type: 'tool', name: toolChoice.name };
+    }
+
+    return { type: 'auto' };
+  }
+
   /**
    * Procesar stream de Anthropic para convertir a formato común
    */
@@ -122,6 +310,7 @@ class AnthropicProvider extends BaseProvider {
     const reader = stream.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
+    const usage = {};
 
     try {
       while (true) {
@@ -143,32 +332,48 @@ class AnthropicProvider extends BaseProvider {
               return;
             }
 
+            let parsed;
             try {
-              const parsed = JSON.parse(data);
+              parsed = JSON.parse(data);
+            } catch (e) {
+              // Ignorar líneas que no son JSON válido
+              continue;
+            }
               
-              // Manejar diferentes tipos de eventos
-              switch (parsed.type) {
-                case 'content_block_delta':
-                  if (parsed.delta?.text) {
-                    yield { delta: parsed.delta.text };
-                  }
-                  break;
+            // Manejar diferentes tipos de eventos
+            switch (parsed.type) {
+              case 'message_start':
+                // El uso de tokens de entrada llega al inicio del mensaje
+                Object.assign(usage, parsed.message?.usage);
+                break;
+
+              case 'content_block_delta':
+                if (parsed.delta?.text) {
+                  yield { delta: parsed.delta.text };
+                }
+                break;
+
+              case 'message_delta':
+                // Y los tokens de salida al final
+                if (parsed.usage) {
+                  Object.assign(usage, parsed.usage);
+                  yield { usage: { ...usage } };
+                }
+                break;
                   
-                case 'message_stop':
-                  yield { done: true };
-                  return;
+              case 'message_stop':
+                yield { done: true };
+                return;
                   
-                case 'content_block_stop':
-                  // Continuar procesando, pueden haber más bloques
-                  break;
+              case 'content_block_stop':
+                // Continuar procesando, pueden haber más bloques
+                break;
                   
-                case 'error':
-                  throw new Error(parsed.error?.message || 'Error en stream de Anthropic');
+              case 'error': {
+                // Ej: overloaded_error a mitad de stream
+                const { type, message } = classifyProviderError(null, parsed);
+                throw createError(type, message || 'Error en stream de Anthropic', { provider: 'AnthropicProvider' });
               }
-              
-            } catch (e) {
-              // Ignorar líneas que no son JSON válido
-              continue;
             }
           } else if (line.startsWith('event: ')) {
             // Anthropic también envía líneas de evento, pero las procesamos en data:
@@ -182,25 +387,55 @@ class AnthropicProvider extends BaseProvider {
   }
 
   /**
-   * Validar que el modelo esté disponible
+   * Listar modelos vía GET /v1/models
    */
-  validateModel(model) {
-    const validModels = [
-      'claude-3-5-sonnet-20240620',
-      'claude-3-opus-20240229',
-      'claude-3-sonnet-20240229',
-      'claude-3-haiku-20240307',
-      // Aliases más simples
-      'claude-3-5-sonnet',
-      'claude-3-opus',
-      'claude-3-sonnet',
-      'claude-3-haiku'
-    ];
-
-    if (!validModels.includes(model)) {
-      throw new Error(`Modelo Claude no válido: ${model}. Modelos disponibles: ${validModels.join(', ')}`);
+  async fetchModels({ signal } = {}) {
+    const controller = this.createTimeoutController(signal, MODELS_TIMEOUT_MS);
+
+    const response = await fetch(`${this.baseURL}/models?limit=100`, {
+      headers: {
+        ...this.getBaseHeaders(),
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw await this.handleError(response);
     }
+
+    const data = await response.json();
+
+    return (data.data || []).map(model => ({
+      id: model.id,
+      name: model.display_name
+    }));
+  }
+
+  /**
+   * Catálogo incluido con el adapter
+   */
+  getBundledModels() {
+    return MODELS;
   }
 }
 
-module.exports = { AnthropicProvider };
\ No newline at end of file
+/**
+ * Definición para el registro de proveedores
+ */
+const providerDefinition = {
+  id: 'anthropic',
+  name: 'Anthropic Claude',
+  aliases: ['claude'],
+  env: {
+    apiKey: 'ANTHROPIC_API_KEY'
+  },
+  capabilities: ['chat', 'stream', 'tools', 'vision'],
+  tokenizer: 'anthropic',
+  defaultModel: 'claude-3-5-sonnet-20240620',
+  models: MODELS,
+  create: (env, config = {}) => new AnthropicProvider({ ...env, ...config })
+};
+
+module.exports = { AnthropicProvider, providerDefinition, MODELS };
\ No newline at end of file
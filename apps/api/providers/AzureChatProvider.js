@@ -1,4 +1,40 @@
 const { BaseProvider } = require('./BaseProvider');
+const { OpenAIProvider, MODELS: OPENAI_MODELS } = require('./OpenAIProvider');
+const { normalizeResponseFormat } = require('../utils/structuredOutput');
+
+// Primera api-version de Azure OpenAI con response_format json_schema
+const JSON_SCHEMA_API_VERSION = '2024-08-01';
+
+/**
+ * Catálogo de deployments de chat configurados
+ * AZURE_OPENAI_DEPLOYMENT_CHAT acepta una lista separada por comas; si el nombre del
+ * deployment coincide con un modelo de OpenAI se reutilizan sus datos (contexto, precios)
+ * @param {Object} env - Variables resueltas por el registro
+ * @returns {Array<Object>} Modelos (deployments) disponibles
+ */
+function listDeployments(env = {}) {
+  const deployments = (env.deployment || 'gpt-4o-mini')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return deployments.map(deployment => {
+    const base = OPENAI_MODELS.find(model => model.id === deployment);
+
+    return {
+      contextWindow: null,
+      maxOutputTokens: null,
+      streaming: true,
+      vision: null,
+      tools: null,
+      pricing: null,
+      ...base,
+      id: deployment,
+      name: `${base?.name || deployment} (Azure)`,
+      description: 'Via Azure'
+    };
+  });
+}
 
 /**
  * Adapter para Azure OpenAI (Chat)
@@ -10,6 +46,7 @@ class AzureChatProvider extends BaseProvider {
     this.apiKey = config.apiKey || process.env.AZURE_OPENAI_KEY;
     this.endpoint = config.endpoint || process.env.AZURE_OPENAI_ENDPOINT;
     this.apiVersion = config.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+    this.deployment = config.deployment || process.env.AZURE_OPENAI_DEPLOYMENT_CHAT;
     
     if (!this.apiKey || !this.endpoint) {
       throw new Error('Azure OpenAI API key y endpoint son requeridos');
@@ -22,29 +59,56 @@ class AzureChatProvider extends BaseProvider {
   /**
    * Implementación del chat para Azure OpenAI
    */
-  async chat({ model, messages, temperature = 0.7, stream = true, signal }) {
+  async chat({ model, messages, temperature = 0.7, stream = true, maxTokens = 2000, tools, toolChoice, responseFormat, signal, retry }) {
     // Filtrar mensajes válidos antes de validar y formatear
     const filteredMessages = this.filterValidMessages(messages);
-    this.validateParams({ model, messages: filteredMessages, temperature });
-    this.debug('Enviando request a Azure OpenAI', { model, messageCount: filteredMessages.length, stream });
+    this.validateParams({ model, messages: filteredMessages, temperature, tools });
+    this.debug('Enviando request a Azure OpenAI', { model, messageCount: filteredMessages.length, stream, tools: tools?.length || 0 });
 
     const controller = this.createTimeoutController(signal);
     
     // En Azure, "model" es en realidad el deployment name
     const deploymentName = model;
     
+    // json_schema requiere api-version 2024-08-01 o posterior; antes solo existe json_object
+    let format = normalizeResponseFormat(responseFormat);
+    if (format?.type === 'json_schema' && this.apiVersion < JSON_SCHEMA_API_VERSION) {
+      format = { ...format, type: 'json' };
+    }
+
+    const requestMessages = format?.type === 'json'
+      ? this.withJsonInstruction(filteredMessages, format)
+      : filteredMessages;
+
     const requestBody = {
-      messages: this.formatMessages(filteredMessages),
+      messages: this.formatMessages(requestMessages),
       temperature,
-      max_tokens: 2000,
+      max_tokens: maxTokens,
       stream,
       user: 'demo-student'
     };
 
+    // Azure acepta el mismo formato de tools que OpenAI
+    if (tools?.length) {
+      requestBody.tools = OpenAIProvider.formatTools(tools);
+      if (toolChoice) {
+        requestBody.tool_choice = OpenAIProvider.formatToolChoice(toolChoice);
+      }
+    }
+
+    if (format) {
+      requestBody.response_format = OpenAIProvider.formatResponseFormat(format);
+    }
+
+    // Pedir el uso de tokens en el último chunk del stream (igual que OpenAI)
+    if (stream) {
+      requestBody.stream_options = { include_usage: true };
+    }
+
     try {
       const url = `${this.endpoint}/openai/deployments/${deploymentName}/chat/completions?api-version=${this.apiVersion}`;
       
-      const response = await fetch(url, {
+      const response = await this.fetchWithRetry(url, {
         method: 'POST',
         headers: {
           ...this.getBaseHeaders(),
@@ -52,11 +116,7 @@ class AzureChatProvider extends BaseProvider {
         },
         body: JSON.stringify(requestBody),
         signal: controller.signal
-      });
-
-      if (!response.ok) {
-        throw await this.handleError(response);
-      }
+      }, retry);
 
       if (stream) {
         // Retornar el ReadableStream para streaming
@@ -64,8 +124,12 @@ class AzureChatProvider extends BaseProvider {
       } else {
         // Respuesta completa
         const data = await response.json();
+        const choice = data.choices[0];
+
         return {
-          content: data.choices[0]?.message?.content || '',
+          content: choice?.message?.content || '',
+          toolCalls: this.parseToolCalls(choice?.message),
+          finishReason: choice?.finish_reason,
           model: data.model,
           usage: data.usage
         };
@@ -75,7 +139,7 @@ class AzureChatProvider extends BaseProvider {
       this.debug('Error en Azure OpenAI request', { error: error.message });
       
       if (error.name === 'AbortError') {
-        throw new Error('Request cancelado por timeout');
+        throw this.timeoutError();
       }
       
       throw error;
@@ -88,10 +152,14 @@ class AzureChatProvider extends BaseProvider {
   formatMessages(messages) {
     return messages
       .filter(msg => !msg.isError) // Filtrar mensajes de error
-      .map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
+      .map(msg => OpenAIProvider.toOpenAIMessage(msg));
+  }
+
+  /**
+   * Extraer llamadas a herramientas (mismo formato que OpenAI)
+   */
+  parseToolCalls(message) {
+    return OpenAIProvider.prototype.parseToolCalls.call(this, message);
   }
 
   /**
@@ -128,6 +196,10 @@ class AzureChatProvider extends BaseProvider {
               if (delta) {
                 yield { delta };
               }
+
+              if (parsed.usage) {
+                yield { usage: parsed.usage };
+              }
             } catch (e) {
               // Ignorar líneas que no son JSON válido
               continue;
@@ -141,17 +213,44 @@ class AzureChatProvider extends BaseProvider {
   }
 
   /**
-   * Validar deployment name (en Azure no validamos modelos específicos)
+   * Los deployments se toman de la configuración (AZURE_OPENAI_DEPLOYMENT_CHAT):
+   * el listado de deployments del data plane (/openai/deployments) fue retirado de la API
+   * y listarlos requiere el plano de administración (Azure Resource Manager)
+   * @returns {Promise<Object>} { models, source: 'config', fetchedAt }
    */
-  validateModel(deploymentName) {
-    if (!deploymentName || typeof deploymentName !== 'string') {
-      throw new Error('Deployment name es requerido para Azure OpenAI');
-    }
-    
-    if (deploymentName.length < 1 || deploymentName.length > 64) {
-      throw new Error('Deployment name debe tener entre 1 y 64 caracteres');
-    }
+  async listModels() {
+    return { models: this.getBundledModels(), source: 'config', fetchedAt: null };
+  }
+
+  /**
+   * Deployments configurados (ver listDeployments)
+   */
+  getBundledModels() {
+    return listDeployments({ deployment: this.deployment });
   }
 }
 
-module.exports = { AzureChatProvider };
\ No newline at end of file
+/**
+ * Definición para el registro de proveedores
+ * En Azure el "modelo" es el nombre del deployment configurado
+ */
+const providerDefinition = {
+  id: 'azure',
+  name: 'Azure OpenAI',
+  aliases: ['azure-openai'],
+  env: {
+    apiKey: ['AZURE_OPENAI_KEY', 'AZURE_OPENAI_API_KEY'],
+    endpoint: 'AZURE_OPENAI_ENDPOINT'
+  },
+  optionalEnv: {
+    apiVersion: 'AZURE_OPENAI_API_VERSION',
+    deployment: ['AZURE_OPENAI_DEPLOYMENT_CHAT', 'AZURE_OPENAI_CHAT_DEPLOYMENT']
+  },
+  capabilities: ['chat', 'stream', 'tools', 'vision'],
+  tokenizer: 'openai', // Los deployments de Azure son modelos de OpenAI
+  defaultModel: (env) => listDeployments(env)[0].id,
+  models: listDeployments,
+  create: (env, config = {}) => new AzureChatProvider({ ...env, ...config })
+};
+
+module.exports = { AzureChatProvider, providerDefinition };
\ No newline at end of file
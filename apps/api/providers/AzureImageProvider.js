@@ -1,159 +1,201 @@
+const { BaseProvider } = require('./BaseProvider');
+const { OpenAIProvider, IMAGE_MODELS: OPENAI_IMAGE_MODELS } = require('./OpenAIProvider');
+const { redactText } = require('../utils/logger');
+
+/**
+ * Catálogo de modelos de imagen de Azure OpenAI
+ * El id es el nombre del deployment (AZURE_OPENAI_DEPLOYMENT_IMAGE); el modelo desplegado
+ * (AZURE_OPENAI_IMAGE_MODEL: dall-e-3 por defecto o gpt-image-1) define tamaños, calidades y si admite ediciones
+ * @param {Object} env - Variables resueltas por el registro
+ * @returns {Array} Modelos con el formato del catálogo de OpenAI (ver BaseProvider.getImageModels)
+ */
+function imageModels(env = {}) {
+  const deployment = env.deployment || 'dall-e-3';
+  const base = OPENAI_IMAGE_MODELS.find(model => model.id === env.imageModel) || OPENAI_IMAGE_MODELS[0];
+
+  return [
+    {
+      ...base,
+      id: deployment,
+      description: deployment === base.id ? `${base.name} en Azure OpenAI` : `Deployment ${deployment} (${base.name})`,
+      aliases: deployment === base.id ? [] : [base.id],
+      variations: false // Azure OpenAI no expone /images/variations
+    }
+  ];
+}
+
 /**
  * Adapter para Azure OpenAI DALL·E 3 (Generación de Imágenes)
  * Maneja específicamente la generación de imágenes via Azure OpenAI
  */
-class AzureImageProvider {
+class AzureImageProvider extends BaseProvider {
   constructor(config = {}) {
+    super({ timeoutMs: 120000, ...config }); // 2 minutos para imágenes
     this.apiKey = config.apiKey || process.env.AZURE_OPENAI_KEY;
     this.endpoint = config.endpoint || process.env.AZURE_OPENAI_ENDPOINT;
     this.apiVersion = config.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
     this.deployment = config.deployment || process.env.AZURE_OPENAI_DEPLOYMENT_IMAGE || 'dall-e-3';
-    this.timeoutMs = config.timeoutMs || 120000; // 2 minutos para imágenes
-    
+    this.imageModel = config.imageModel || process.env.AZURE_OPENAI_IMAGE_MODEL;
+
     if (!this.apiKey || !this.endpoint) {
       throw new Error('Azure OpenAI API key y endpoint son requeridos');
     }
-    
+
     // Asegurar que endpoint termine sin slash
     this.endpoint = this.endpoint.replace(/\/$/, '');
   }
 
   /**
-   * Generar imagen usando DALL·E 3 en Azure
+   * Generar imagen con el deployment de imágenes (DALL·E 3 o gpt-image-1)
+   * El deployment es el "model"; sin model se usa AZURE_OPENAI_DEPLOYMENT_IMAGE
    */
-  async generateImage({ prompt, size = '1024x1024', quality = 'standard', signal }) {
-    this.validateParams({ prompt, size, quality });
-    this.debug('Generando imagen con Azure DALL·E 3', { prompt: prompt.slice(0, 50), size, quality });
+  async generateImage({ prompt, model, size, quality, style, n = 1, responseFormat = 'b64_json', signal, retry }) {
+    const modelInfo = this.getImageModel(model);
+    const deployment = modelInfo.id;
+    size = size || modelInfo.sizes[0];
+    quality = quality || modelInfo.qualities[0];
+
+    this.validateImageParams({ prompt, size, quality, style, n, responseFormat }, modelInfo);
+    this.debug('Generando imagen con Azure OpenAI', { deployment, prompt: redactText(prompt), size, quality, style });
 
     const controller = this.createTimeoutController(signal);
-    
+
     const requestBody = {
       prompt,
       size,
       quality,
-      n: 1, // DALL·E 3 solo permite 1 imagen por request
-      response_format: 'b64_json' // Recibir como base64
+      n
     };
 
+    if (style) {
+      requestBody.style = style;
+    }
+
+    // base64 por defecto (las URLs de Azure expiran); gpt-image rechaza "response_format"
+    if (modelInfo.responseFormats.includes('url')) {
+      requestBody.response_format = responseFormat;
+    }
+
     try {
-      const url = `${this.endpoint}/openai/deployments/${this.deployment}/images/generations?api-version=${this.apiVersion}`;
-      
-      const response = await fetch(url, {
+      const url = `${this.endpoint}/openai/deployments/${deployment}/images/generations?api-version=${this.apiVersion}`;
+
+      const response = await this.fetchWithRetry(url, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'api-key': this.apiKey,
-          'User-Agent': 'Demo-Generative-APIs/1.0'
+          ...this.getBaseHeaders(),
+          'api-key': this.apiKey
         },
         body: JSON.stringify(requestBody),
         signal: controller.signal
-      });
-
-      if (!response.ok) {
-        throw await this.handleError(response);
-      }
+      }, retry);
 
       const data = await response.json();
-      const imageData = data.data[0];
-      
+
       return {
-        image: `data:image/png;base64,${imageData.b64_json}`,
-        prompt: prompt,
-        revised_prompt: imageData.revised_prompt || prompt,
-        size: size,
-        quality: quality
+        images: this.normalizeImages(data.data),
+        model: deployment,
+        size,
+        quality
       };
 
     } catch (error) {
       this.debug('Error generando imagen', { error: error.message });
-      
+
       if (error.name === 'AbortError') {
-        throw new Error('Generación de imagen cancelada por timeout');
+        throw this.timeoutError('Generación de imagen cancelada por timeout');
       }
-      
+
       throw error;
     }
   }
 
   /**
-   * Validar parámetros de generación de imagen
+   * Editar imagen con /images/edits (deployments de gpt-image-1)
+   * Mismo formato multipart que OpenAI; Azure no ofrece variaciones
    */
-  validateParams({ prompt, size, quality }) {
-    if (!prompt || typeof prompt !== 'string') {
-      throw new Error('El prompt es requerido y debe ser un string');
-    }
+  async editImage({ image, mask, prompt, model, size, quality, n = 1, responseFormat = 'b64_json', signal, retry }) {
+    const modelInfo = this.getImageModel(model, 'edit');
+    const deployment = modelInfo.id;
+    size = size || modelInfo.sizes[0];
+    quality = quality || modelInfo.qualities[0];
 
-    if (prompt.length < 1) {
-      throw new Error('El prompt no puede estar vacío');
-    }
+    this.validateImageParams({ prompt, size, quality, n, responseFormat }, modelInfo, 'edit');
+    const files = await this.prepareSourceImages({ image, mask }, modelInfo, signal);
+    this.debug('Editando imagen con Azure OpenAI', { deployment, prompt: redactText(prompt), size, n, mask: Boolean(files.mask) });
 
-    if (prompt.length > 4000) {
-      throw new Error('El prompt no puede tener más de 4000 caracteres');
-    }
+    const controller = this.createTimeoutController(signal);
 
-    const validSizes = ['1024x1024', '1792x1024', '1024x1792'];
-    if (!validSizes.includes(size)) {
-      throw new Error(`Tamaño no válido: ${size}. Tamaños disponibles: ${validSizes.join(', ')}`);
-    }
+    const fields = {
+      prompt,
+      size,
+      quality,
+      n,
+      response_format: modelInfo.responseFormats.includes('url') ? responseFormat : undefined
+    };
 
-    const validQualities = ['standard', 'hd'];
-    if (!validQualities.includes(quality)) {
-      throw new Error(`Calidad no válida: ${quality}. Calidades disponibles: ${validQualities.join(', ')}`);
-    }
-  }
+    try {
+      const url = `${this.endpoint}/openai/deployments/${deployment}/images/edits?api-version=${this.apiVersion}`;
 
-  /**
-   * Crear controller para timeout
-   */
-  createTimeoutController(externalSignal) {
-    const controller = new AbortController();
-    
-    const timeoutId = setTimeout(() => {
-      controller.abort();
-    }, this.timeoutMs);
-
-    if (externalSignal) {
-      externalSignal.addEventListener('abort', () => {
-        clearTimeout(timeoutId);
-        controller.abort();
-      });
-    }
+      const response = await this.fetchWithRetry(url, {
+        method: 'POST',
+        headers: {
+          // Sin Content-Type: fetch lo completa con el boundary del multipart
+          'User-Agent': this.getBaseHeaders()['User-Agent'],
+          'api-key': this.apiKey
+        },
+        body: OpenAIProvider.toImageFormData(fields, files),
+        signal: controller.signal
+      }, retry);
 
-    controller.signal.addEventListener('abort', () => {
-      clearTimeout(timeoutId);
-    });
+      const data = await response.json();
 
-    return controller;
-  }
+      return {
+        images: this.normalizeImages(data.data),
+        model: deployment,
+        size,
+        quality,
+        usage: data.usage
+      };
 
-  /**
-   * Manejar errores de la API
-   */
-  async handleError(response) {
-    let errorMessage = `Error ${response.status}`;
-    
-    try {
-      const errorData = await response.json();
-      errorMessage = errorData.error?.message || errorData.message || errorMessage;
-    } catch (e) {
-      errorMessage = response.statusText || errorMessage;
-    }
+    } catch (error) {
+      this.debug('Error editando imagen', { error: error.message });
+
+      if (error.name === 'AbortError') {
+        throw this.timeoutError('Edición de imagen cancelada por timeout');
+      }
 
-    const error = new Error(errorMessage);
-    error.status = response.status;
-    error.provider = 'AzureImageProvider';
-    
-    return error;
+      throw error;
+    }
   }
 
   /**
-   * Debug logging
+   * Catálogo de modelos de imagen (el deployment configurado)
    */
-  debug(message, data = {}) {
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`[AzureImageProvider] ${message}`, data);
-    }
+  getImageModels() {
+    return imageModels({ deployment: this.deployment, imageModel: this.imageModel });
   }
 }
 
-module.exports = { AzureImageProvider };
\ No newline at end of file
+/**
+ * Definición para el registro de proveedores
+ */
+const providerDefinition = {
+  id: 'azure',
+  name: 'Azure OpenAI',
+  aliases: ['azure-dalle', 'azure-openai'],
+  env: {
+    apiKey: ['AZURE_OPENAI_KEY', 'AZURE_OPENAI_API_KEY'],
+    endpoint: 'AZURE_OPENAI_ENDPOINT'
+  },
+  optionalEnv: {
+    apiVersion: 'AZURE_OPENAI_API_VERSION',
+    deployment: ['AZURE_OPENAI_DEPLOYMENT_IMAGE', 'AZURE_OPENAI_IMAGE_DEPLOYMENT'],
+    imageModel: 'AZURE_OPENAI_IMAGE_MODEL'
+  },
+  capabilities: ['image'],
+  defaultModel: (env) => env.deployment || 'dall-e-3',
+  models: imageModels,
+  create: (env, config = {}) => new AzureImageProvider({ ...env, ...config })
+};
+
+module.exports = { AzureImageProvider, providerDefinition };
@@ -1,3 +1,40 @@
+const { hasContent, hasImages, validateContent, decodeImageInput } = require('../utils/content');
+const { isRetryableStatus, parseRetryAfter, backoffDelay, resolveRetryPolicy, sleep } = require('../utils/retry');
+const { createError, classifyProviderError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+// Caché de listados de modelos compartida entre instancias (vive mientras la función esté "caliente")
+const modelListCache = new Map();
+
+// TTL por defecto del listado de modelos: 10 minutos
+const DEFAULT_MODELS_TTL_MS = (parseInt(process.env.MODELS_CACHE_TTL_SECONDS) || 600) * 1000;
+
+// Si la API de modelos falla, el catálogo incluido se cachea por menos tiempo (1 minuto)
+// para no sumar el timeout del listado a cada request de chat mientras el endpoint no responde
+const FALLBACK_MODELS_TTL_MS = 60 * 1000;
+
+// Listar modelos no debería demorar el chat: timeout corto
+const MODELS_TIMEOUT_MS = 5000;
+
+// Operaciones de imagen y el flag del catálogo que indica si un modelo las admite
+const IMAGE_OPERATIONS = {
+  generate: { flag: null, label: 'generación de imágenes' },
+  edit: { flag: 'edits', label: 'edición de imágenes' },
+  variation: { flag: 'variations', label: 'variaciones de imágenes' }
+};
+
+// Valores para modelos que la API reporta pero no están en el catálogo incluido
+// null es "desconocido": el chat solo rechaza un false explícito del catálogo
+const DISCOVERED_MODEL_DEFAULTS = {
+  description: 'Detectado vía API',
+  contextWindow: null,
+  maxOutputTokens: null,
+  streaming: true,
+  vision: null,
+  tools: null,
+  pricing: null
+};
+
 /**
  * Clase base para todos los proveedores de IA
  * Define la interfaz común que deben implementar todos los adapters
@@ -6,22 +43,170 @@ class BaseProvider {
   constructor(config = {}) {
     this.config = config;
     this.timeoutMs = config.timeoutMs || 60000; // 60 segundos por defecto
+    this.modelsCacheTtlMs = config.modelsCacheTtlMs ?? DEFAULT_MODELS_TTL_MS;
+    this.fallbackModelsTtlMs = config.fallbackModelsTtlMs ?? Math.min(FALLBACK_MODELS_TTL_MS, this.modelsCacheTtlMs);
+    this.retry = config.retry; // { maxAttempts, budgetMs, baseDelayMs, maxDelayMs } (ver utils/retry.js)
   }
 
   /**
    * Método principal para enviar mensajes de chat
    * @param {Object} params - Parámetros del chat
    * @param {string} params.model - Nombre del modelo
-   * @param {Array} params.messages - Array de mensajes {role, content}
+   * @param {Array} params.messages - Array de mensajes {role, content} (content: string o partes de texto/imagen)
    * @param {number} params.temperature - Creatividad (0-2)
+   * @param {number} params.maxTokens - Máximo de tokens a generar
    * @param {boolean} params.stream - Si usar streaming
+   * @param {Array} params.tools - Definiciones de funciones {name, description, parameters (JSON Schema)}
+   * @param {string|Object} params.toolChoice - 'auto' | 'none' | 'required' | {name}
+   * @param {string|Object} params.responseFormat - 'text' | 'json' | { jsonSchema, name } (ver utils/structuredOutput.js)
    * @param {AbortSignal} params.signal - Señal para cancelar request
-   * @returns {Promise<ReadableStream|Object>} Stream o respuesta completa
+   * @param {Object} params.retry - Reintentos para este request { maxAttempts, budgetMs } (ver fetchWithRetry)
+   * @returns {Promise<ReadableStream|Object>} Stream o respuesta completa {content, toolCalls, finishReason, model, usage}
    */
-  async chat({ model, messages, temperature = 0.7, stream = true, signal }) {
+  async chat({ model, messages, temperature = 0.7, maxTokens = 2000, stream = true, tools, toolChoice, responseFormat, signal, retry }) {
     throw new Error('El método chat() debe ser implementado por cada proveedor');
   }
 
+  /**
+   * Generar imágenes a partir de un prompt (adapters con capacidad "image")
+   * @param {Object} params - Parámetros de la generación
+   * @param {string} params.prompt - Descripción de la imagen
+   * @param {string} params.model - Modelo o deployment (por defecto el del adapter)
+   * @param {string} params.size - Tamaño 'ANCHOxALTO' (por defecto el primero del modelo)
+   * @param {string} params.quality - Calidad (por defecto la primera del modelo)
+   * @param {string} params.style - Estilo, en los modelos que lo admiten (ej: 'vivid' | 'natural')
+   * @param {number} params.n - Cantidad de imágenes
+   * @param {string} params.responseFormat - 'b64_json' (por defecto) | 'url'
+   * @param {AbortSignal} params.signal - Señal para cancelar request
+   * @param {Object} params.retry - Reintentos para este request { maxAttempts, budgetMs } (ver fetchWithRetry)
+   * @returns {Promise<Object>} { images: [{ url, b64, mimeType, revisedPrompt }], model, size, quality, usage }
+   */
+  async generateImage({ prompt, model, size, quality, style, n = 1, responseFormat = 'b64_json', signal, retry }) {
+    throw new Error('El método generateImage() debe ser implementado por los proveedores de imágenes');
+  }
+
+  /**
+   * Editar una imagen: se regeneran las zonas transparentes de la máscara (o de la imagen) según el prompt
+   * Los adapters que no lo implementan responden 400 (ningún modelo de su catálogo tiene "edits")
+   * @param {Object} params - Los de generateImage() más:
+   * @param {string} params.image - Imagen fuente (data URL, base64 o URL https)
+   * @param {string} params.mask - Máscara PNG opcional del mismo tamaño (transparente = zona a editar)
+   * @returns {Promise<Object>} Mismo formato que generateImage()
+   */
+  async editImage({ image, mask, prompt, model, size, quality, n = 1, responseFormat = 'b64_json', signal, retry }) {
+    this.getImageModel(model, 'edit');
+    throw new Error('El método editImage() debe ser implementado por los proveedores que editan imágenes');
+  }
+
+  /**
+   * Crear variaciones de una imagen (sin prompt)
+   * @param {Object} params - { image, model, size, n, responseFormat, signal, retry }
+   * @returns {Promise<Object>} Mismo formato que generateImage()
+   */
+  async createImageVariation({ image, model, size, n = 1, responseFormat = 'b64_json', signal, retry }) {
+    this.getImageModel(model, 'variation');
+    throw new Error('El método createImageVariation() debe ser implementado por los proveedores que crean variaciones');
+  }
+
+  /**
+   * Listar modelos disponibles consultando la API del proveedor
+   * El resultado se cachea con un TTL; si la API falla se usa el catálogo incluido,
+   * que también se cachea (con un TTL más corto) para no reintentar en cada request
+   * @param {Object} options - Opciones
+   * @param {boolean} options.forceRefresh - Ignorar la caché
+   * @param {AbortSignal} options.signal - Señal para cancelar request
+   * @returns {Promise<Object>} { models, source: 'live' | 'cache' | 'fallback', fetchedAt, error? }
+   */
+  async listModels({ forceRefresh = false, signal } = {}) {
+    const cacheKey = this.getModelsCacheKey();
+    const cached = modelListCache.get(cacheKey);
+
+    if (cached && !forceRefresh && cached.expiresAt > Date.now()) {
+      return cached.error
+        ? { models: cached.models, source: 'fallback', fetchedAt: null, error: cached.error }
+        : { models: cached.models, source: 'cache', fetchedAt: cached.fetchedAt };
+    }
+
+    try {
+      const liveModels = await this.fetchModels({ signal });
+      const models = this.mergeWithCatalog(liveModels);
+      const fetchedAt = new Date().toISOString();
+
+      modelListCache.set(cacheKey, {
+        models,
+        fetchedAt,
+        expiresAt: Date.now() + this.modelsCacheTtlMs
+      });
+
+      return { models, source: 'live', fetchedAt };
+
+    } catch (error) {
+      this.debug('No se pudo listar modelos, usando catálogo incluido', { error: error.message });
+
+      const models = this.getBundledModels();
+
+      modelListCache.set(cacheKey, {
+        models,
+        fetchedAt: null,
+        error: error.message,
+        expiresAt: Date.now() + this.fallbackModelsTtlMs
+      });
+
+      return {
+        models,
+        source: 'fallback',
+        fetchedAt: null,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Consultar el endpoint de modelos del proveedor
+   * @returns {Promise<Array>} Modelos { id, name?, contextWindow?, maxOutputTokens? }
+   */
+  async fetchModels({ signal } = {}) {
+    throw new Error('El método fetchModels() debe ser implementado por cada proveedor');
+  }
+
+  /**
+   * Catálogo incluido con el adapter (se usa como respaldo y para enriquecer datos)
+   * @returns {Array} Modelos del catálogo
+   */
+  getBundledModels() {
+    return [];
+  }
+
+  /**
+   * Clave de caché del listado (un proveedor puede apuntar a distintos endpoints)
+   */
+  getModelsCacheKey() {
+    return `${this.constructor.name}:${this.baseURL || this.endpoint || ''}`;
+  }
+
+  /**
+   * Combinar modelos reportados por la API con los datos del catálogo
+   * (precios, capacidades) cuando el id o alias coincide
+   * @param {Array} liveModels - Modelos devueltos por fetchModels()
+   * @returns {Array} Modelos normalizados
+   */
+  mergeWithCatalog(liveModels) {
+    const catalog = this.getBundledModels();
+
+    return liveModels.map(live => {
+      const known = catalog.find(model =>
+        model.id === live.id || (model.aliases || []).includes(live.id)
+      );
+
+      return {
+        ...DISCOVERED_MODEL_DEFAULTS,
+        name: live.id,
+        ...live,
+        ...known
+      };
+    });
+  }
+
   /**
    * Filtrar mensajes válidos (sin errores y con contenido)
    * @param {Array} messages - Mensajes sin filtrar
@@ -29,13 +214,101 @@ class BaseProvider {
    */
   filterValidMessages(messages) {
     return messages.filter(msg => 
-      !msg.isError && 
-      msg.content !== undefined && 
-      msg.content !== null && 
-      msg.content.toString().trim() !== ''
+      !msg.isError && (
+        // Un mensaje del asistente que solo pide herramientas puede no tener texto
+        this.hasToolCalls(msg) || hasContent(msg.content)
+      )
     );
   }
 
+  /**
+   * Agregar una instrucción de sistema que pide responder solo con JSON
+   * (para proveedores o versiones de API sin soporte nativo de JSON Schema)
+   * @param {Array} messages - Mensajes normalizados
+   * @param {Object} format - responseFormat normalizado
+   * @returns {Array} Mensajes con la instrucción al inicio
+   */
+  withJsonInstruction(messages, format) {
+    const instruction = format.schema
+      ? `Responde únicamente con un objeto JSON válido que cumpla este JSON Schema:\n${JSON.stringify(format.schema)}`
+      : 'Responde únicamente con un objeto JSON válido, sin texto adicional.';
+
+    return [{ role: 'system', content: instruction }, ...messages];
+  }
+
+  /**
+   * Verificar si un mensaje del asistente contiene llamadas a herramientas
+   * @param {Object} message - Mensaje normalizado
+   * @returns {boolean}
+   */
+  hasToolCalls(message) {
+    return message.role === 'assistant' && Array.isArray(message.toolCalls) && message.toolCalls.length > 0;
+  }
+
+  /**
+   * Validar definiciones de herramientas en formato normalizado
+   * @param {Array} tools - [{name, description, parameters}]
+   */
+  validateTools(tools) {
+    if (!Array.isArray(tools)) {
+      throw createError('invalid_request', 'El parámetro "tools" debe ser un array');
+    }
+
+    tools.forEach((tool, index) => {
+      if (!tool || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name || '')) {
+        throw createError('invalid_request', `Tool ${index}: "name" es requerido (letras, números, _ o -, máximo 64 caracteres)`);
+      }
+
+      if (tool.parameters !== undefined && (typeof tool.parameters !== 'object' || tool.parameters.type !== 'object')) {
+        throw createError('invalid_request', `Tool ${tool.name}: "parameters" debe ser un JSON Schema de tipo "object"`);
+      }
+    });
+  }
+
+  /**
+   * Parsear los argumentos de una llamada a herramienta (los proveedores los envían como string JSON u objeto)
+   * @param {string|Object} rawArguments - Argumentos tal como llegan del proveedor
+   * @returns {Object} Argumentos parseados
+   */
+  parseToolArguments(rawArguments) {
+    if (!rawArguments) {
+      return {};
+    }
+
+    if (typeof rawArguments === 'object') {
+      return rawArguments;
+    }
+
+    try {
+      return JSON.parse(rawArguments);
+    } catch (e) {
+      // El modelo generó JSON inválido: conservarlo para que el cliente pueda inspeccionarlo
+      return { _raw: rawArguments };
+    }
+  }
+
+  /**
+   * Buscar el nombre de la herramienta asociada a un mensaje "tool"
+   * (algunos proveedores, como Gemini, exigen el nombre y no el id)
+   * @param {Array} messages - Historial normalizado
+   * @param {Object} toolMessage - Mensaje con role "tool"
+   * @returns {string|undefined} Nombre de la herramienta
+   */
+  findToolName(messages, toolMessage) {
+    if (toolMessage.name) {
+      return toolMessage.name;
+    }
+
+    for (const message of messages) {
+      const call = (message.toolCalls || []).find(c => c.id === toolMessage.toolCallId);
+      if (call) {
+        return call.name;
+      }
+    }
+
+    return undefined;
+  }
+
   /**
    * Normalizar mensajes al formato del proveedor
    * @param {Array} messages - Mensajes en formato estándar
@@ -62,39 +335,119 @@ class BaseProvider {
 
   /**
    * Manejar errores de la API
+   * Clasifica el body de error del proveedor en la taxonomía de utils/errors.js
    * @param {Response} response - Respuesta HTTP
-   * @returns {Error} Error formateado
+   * @returns {APIError} Error con type, status, provider y details { upstreamStatus, code }
    */
   async handleError(response) {
-    let errorMessage = `Error ${response.status}`;
-    
+    let payload = null;
+
     try {
-      const errorData = await response.json();
-      errorMessage = errorData.error?.message || errorData.message || errorMessage;
+      payload = await response.json();
     } catch (e) {
-      // Si no se puede parsear como JSON, usar status text
-      errorMessage = response.statusText || errorMessage;
+      // Si no se puede parsear como JSON, se clasifica solo por el status
     }
 
-    const error = new Error(errorMessage);
-    error.status = response.status;
-    error.provider = this.constructor.name;
-    
-    return error;
+    const { type, message, code } = classifyProviderError(response.status, payload);
+
+    return createError(type, message || response.statusText || `Error ${response.status}`, {
+      provider: this.constructor.name,
+      details: { upstreamStatus: response.status, code }
+    });
+  }
+
+  /**
+   * fetch() con reintentos ante errores transitorios (408, 429, 5xx y fallas de red)
+   * Espera lo que indique Retry-After / retry-after-ms o, si no viene, un backoff exponencial con jitter.
+   * Solo se reintenta antes de devolver la respuesta: una vez que el llamador empieza a leer
+   * el body (streaming) un corte ya no se reintenta, para no duplicar texto en el cliente.
+   * @param {string} url - URL del request
+   * @param {Object} options - Opciones de fetch (incluida la señal de timeout)
+   * @param {Object} retry - Ajustes del request { maxAttempts, budgetMs } sobre los del proveedor
+   * @returns {Promise<Response>} Respuesta con status OK
+   * @throws {APIError} Error de handleError() con "attempts" y "retryAfterMs" cuando corresponde
+   */
+  async fetchWithRetry(url, options, retry) {
+    const policy = resolveRetryPolicy(this.retry, retry);
+    const startTime = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      let retryAfterMs = null;
+      let failure;
+
+      try {
+        response = await fetch(url, options);
+      } catch (error) {
+        // Cancelaciones y timeouts no se reintentan: el llamador los traduce
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        failure = createError('upstream_unavailable', `No se pudo conectar con el proveedor: ${error.cause?.code || error.message}`, {
+          provider: this.constructor.name,
+          cause: error
+        });
+      }
+
+      if (response) {
+        if (response.ok) {
+          return response;
+        }
+
+        retryAfterMs = parseRetryAfter(response.headers);
+        failure = await this.handleError(response);
+        failure.retryAfterMs = retryAfterMs ?? undefined;
+
+        // La cuota agotada llega como 429 en algunos proveedores, pero esperar no la resuelve
+        if (!isRetryableStatus(response.status) || failure.type === 'quota') {
+          failure.attempts = attempt;
+          throw failure;
+        }
+      }
+
+      const delay = retryAfterMs ?? backoffDelay(attempt, policy);
+      const remaining = policy.budgetMs - (Date.now() - startTime);
+
+      // Sin intentos o sin presupuesto para esperar lo que pide el proveedor: devolver el último error
+      if (attempt >= policy.maxAttempts || delay > remaining) {
+        failure.attempts = attempt;
+        throw failure;
+      }
+
+      this.debug(`Reintentando request (intento ${attempt + 1} de ${policy.maxAttempts}) en ${delay} ms`, {
+        status: failure.status,
+        error: failure.message
+      });
+
+      await sleep(delay, options.signal);
+    }
+  }
+
+  /**
+   * Error para requests cancelados por timeout
+   * Tipo "timeout" (status 504) para que el llamador pueda distinguirlo (ej: cadena de fallback)
+   * @param {string} message - Mensaje del error
+   * @returns {APIError} Error con type, status y provider
+   */
+  timeoutError(message = 'Request cancelado por timeout') {
+    return createError('timeout', message, { provider: this.constructor.name });
   }
 
   /**
    * Crear controller para timeout
    * @param {AbortSignal} externalSignal - Señal externa opcional
+   * @param {number} timeoutMs - Timeout en milisegundos (por defecto el del proveedor)
    * @returns {AbortController} Controller con timeout
    */
-  createTimeoutController(externalSignal) {
+  createTimeoutController(externalSignal, timeoutMs = this.timeoutMs) {
     const controller = new AbortController();
     
-    // Timeout
+    // Timeout: cubre también la lectura del body en streaming, por eso no se limpia al recibir
+    // la respuesta. unref() evita que un request ya terminado mantenga vivo el proceso hasta que venza
     const timeoutId = setTimeout(() => {
       controller.abort();
-    }, this.timeoutMs);
+    }, timeoutMs);
+    timeoutId.unref?.();
 
     // Si hay señal externa, propagar abort
     if (externalSignal) {
@@ -118,42 +471,215 @@ class BaseProvider {
    */
   validateParams(params) {
     if (!params.model) {
-      throw new Error('El parámetro "model" es requerido');
+      throw createError('invalid_request', 'El parámetro "model" es requerido');
     }
 
     if (!Array.isArray(params.messages) || params.messages.length === 0) {
-      throw new Error('El parámetro "messages" debe ser un array no vacío');
+      throw createError('invalid_request', 'El parámetro "messages" debe ser un array no vacío');
     }
 
     if (params.temperature !== undefined && (params.temperature < 0 || params.temperature > 2)) {
-      throw new Error('El parámetro "temperature" debe estar entre 0 y 2');
+      throw createError('invalid_request', 'El parámetro "temperature" debe estar entre 0 y 2');
     }
 
     // Filtrar mensajes válidos antes de validar
     const validMessages = this.filterValidMessages(params.messages);
     
     if (validMessages.length === 0) {
-      throw new Error('No hay mensajes válidos para procesar');
+      throw createError('invalid_request', 'No hay mensajes válidos para procesar');
     }
 
     // Validar que todos los mensajes válidos tengan role y content
     validMessages.forEach((msg, index) => {
-      if (!msg.role || !msg.content) {
-        throw new Error(`Mensaje ${index}: debe tener "role" y "content"`);
+      if (!msg.role || (!msg.content && !this.hasToolCalls(msg))) {
+        throw createError('invalid_request', `Mensaje ${index}: debe tener "role" y "content"`);
+      }
+
+      if (msg.role === 'tool' && !msg.toolCallId) {
+        throw createError('invalid_request', `Mensaje ${index}: los mensajes "tool" requieren "toolCallId"`);
+      }
+
+      const contentError = validateContent(msg.content ?? '');
+      if (contentError) {
+        throw createError('invalid_request', `Mensaje ${index}: ${contentError}`);
+      }
+
+      if (hasImages(msg.content) && msg.role !== 'user') {
+        throw createError('invalid_request', `Mensaje ${index}: solo los mensajes "user" pueden incluir imágenes`);
       }
     });
+
+    if (params.tools) {
+      this.validateTools(params.tools);
+    }
+  }
+
+  /**
+   * Catálogo de modelos de imagen del adapter
+   * Cada modelo: { id, name, description, aliases, sizes, qualities, styles, responseFormats, maxImages, maxPromptLength }
+   * y, si acepta imágenes de entrada: edits, variations, sourceImage { mimeTypes, square }
+   * @returns {Array} Modelos de imagen (el primero es el modelo por defecto)
+   */
+  getImageModels() {
+    return [];
   }
 
   /**
-   * Log de debugging (solo en desarrollo)
+   * Buscar un modelo de imagen por id o alias (sin model, el primero del catálogo que admite la operación)
+   * @param {string} model - Modelo pedido (opcional)
+   * @param {string} operation - 'generate' (por defecto) | 'edit' | 'variation'
+   * @returns {Object} Modelo del catálogo
+   */
+  getImageModel(model, operation = 'generate') {
+    const models = this.getImageModels();
+    const { flag, label } = IMAGE_OPERATIONS[operation];
+    const supported = models.filter(candidate => !flag || candidate[flag]);
+
+    if (!model && supported.length === 0) {
+      throw createError('invalid_request', `Ningún modelo de imagen de este proveedor admite ${label}`);
+    }
+
+    const modelInfo = model
+      ? models.find(candidate => candidate.id === model || (candidate.aliases || []).includes(model))
+      : supported[0];
+
+    if (!modelInfo) {
+      throw createError('invalid_request', `Modelo de imagen no disponible: ${model}`, {
+        details: { availableModels: models.map(candidate => candidate.id) }
+      });
+    }
+
+    if (!supported.includes(modelInfo)) {
+      throw createError('invalid_request', `${modelInfo.id} no admite ${label}`, {
+        details: { availableModels: supported.map(candidate => candidate.id) }
+      });
+    }
+
+    return modelInfo;
+  }
+
+  /**
+   * Validar parámetros de generación de imagen contra el catálogo del modelo
+   * @param {Object} params - { prompt, size, quality, style, n, responseFormat }
+   * @param {Object} modelInfo - Modelo de imagen (ver getImageModels)
+   * @param {string} operation - 'generate' | 'edit' | 'variation' (las variaciones no llevan prompt)
+   */
+  validateImageParams({ prompt, size, quality, style, n = 1, responseFormat = 'b64_json' }, modelInfo, operation = 'generate') {
+    if (operation !== 'variation') {
+      if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+        throw createError('invalid_request', 'El prompt es requerido y debe ser un string');
+      }
+
+      const maxPromptLength = modelInfo.maxPromptLength || 4000;
+      if (prompt.length > maxPromptLength) {
+        throw createError('invalid_request', `El prompt no puede tener más de ${maxPromptLength} caracteres`);
+      }
+    }
+
+    if (!modelInfo.sizes.includes(size)) {
+      throw createError('invalid_request', `Tamaño no válido para ${modelInfo.id}: ${size}. Tamaños disponibles: ${modelInfo.sizes.join(', ')}`);
+    }
+
+    if (!modelInfo.qualities.includes(quality)) {
+      throw createError('invalid_request', `Calidad no válida para ${modelInfo.id}: ${quality}. Calidades disponibles: ${modelInfo.qualities.join(', ')}`);
+    }
+
+    const styles = modelInfo.styles || [];
+    if (style && !styles.includes(style)) {
+      throw createError('invalid_request', styles.length > 0
+        ? `Estilo no válido para ${modelInfo.id}: ${style}. Estilos disponibles: ${styles.join(', ')}`
+        : `${modelInfo.id} no admite "style"`);
+    }
+
+    const responseFormats = modelInfo.responseFormats || ['b64_json'];
+    if (!responseFormats.includes(responseFormat)) {
+      throw createError('invalid_request', `Formato de respuesta no válido para ${modelInfo.id}: ${responseFormat}. Formatos disponibles: ${responseFormats.join(', ')}`);
+    }
+
+    const maxImages = modelInfo.maxImages || 1;
+    if (!Number.isInteger(n) || n < 1 || n > maxImages) {
+      throw createError('invalid_request', maxImages === 1
+        ? `${modelInfo.id} genera una sola imagen por request`
+        : `${modelInfo.id} genera entre 1 y ${maxImages} imágenes por request`);
+    }
+  }
+
+  /**
+   * Decodificar y validar la imagen fuente (y la máscara) de una edición o variación
+   * contra sourceImage del modelo: formatos aceptados y si la imagen debe ser cuadrada.
+   * La máscara siempre es un PNG con canal alfa del mismo tamaño que la imagen
+   * @param {Object} params - { image, mask } como data URL, base64 o URL https
+   * @param {Object} modelInfo - Modelo de imagen (ver getImageModels)
+   * @param {AbortSignal} signal - Señal para cancelar la descarga de URLs
+   * @returns {Promise<Object>} { image, mask } con { buffer, mimeType, width, height, hasAlpha }
+   */
+  async prepareSourceImages({ image, mask }, modelInfo, signal) {
+    const { mimeTypes = ['image/png'], square = false } = modelInfo.sourceImage || {};
+    const decode = async (input, field) => {
+      try {
+        return await decodeImageInput(input, signal);
+      } catch (error) {
+        throw createError('invalid_request', `${field}: ${error.message}`, { cause: error });
+      }
+    };
+
+    const source = await decode(image, 'image');
+
+    if (!mimeTypes.includes(source.mimeType)) {
+      throw createError('invalid_request', `${modelInfo.id} solo acepta imágenes ${mimeTypes.map(type => type.replace('image/', '').toUpperCase()).join(', ')} (recibida ${source.mimeType})`);
+    }
+
+    if (square && source.width !== source.height) {
+      throw createError('invalid_request', `${modelInfo.id} requiere una imagen cuadrada (recibida ${source.width}x${source.height})`);
+    }
+
+    if (!mask) {
+      return { image: source, mask: null };
+    }
+
+    const maskImage = await decode(mask, 'mask');
+
+    if (maskImage.mimeType !== 'image/png' || !maskImage.hasAlpha) {
+      throw createError('invalid_request', 'La máscara debe ser un PNG con transparencia: las zonas transparentes son las que se editan');
+    }
+
+    if (source.width && (maskImage.width !== source.width || maskImage.height !== source.height)) {
+      throw createError('invalid_request', `La máscara debe tener el mismo tamaño que la imagen (${source.width}x${source.height}, recibida ${maskImage.width}x${maskImage.height})`);
+    }
+
+    return { image: source, mask: maskImage };
+  }
+
+  /**
+   * Normalizar las imágenes de una respuesta con formato OpenAI ({ data: [{ url | b64_json, revised_prompt }] })
+   * @param {Array} items - Campo "data" de la respuesta
+   * @returns {Array} Imágenes [{ url, b64, mimeType, revisedPrompt }]
+   */
+  normalizeImages(items = []) {
+    return items.map(item => ({
+      url: item.url || null,
+      b64: item.b64_json || null,
+      mimeType: 'image/png',
+      revisedPrompt: item.revised_prompt || null
+    }));
+  }
+
+  /**
+   * Log de debugging (nivel "debug" del logger: visible en desarrollo o con LOG_LEVEL=debug)
    * @param {string} message - Mensaje a loggear
-   * @param {Object} data - Datos adicionales
+   * @param {Object} data - Datos adicionales (nunca el contenido de los mensajes)
    */
   debug(message, data = {}) {
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`[${this.constructor.name}] ${message}`, data);
-    }
+    this.logger = this.logger || createLogger(this.constructor.name);
+    this.logger.debug(message, data);
   }
 }
 
-module.exports = { BaseProvider };
\ No newline at end of file
+/**
+ * Limpiar la caché de listados de modelos (para testing o mantenimiento)
+ */
+function clearModelListCache() {
+  modelListCache.clear();
+}
+
+module.exports = { BaseProvider, clearModelListCache, MODELS_TIMEOUT_MS };
\ No newline at end of file
@@ -1,4 +1,127 @@
-const { BaseProvider } = require('./BaseProvider');
+const { BaseProvider, MODELS_TIMEOUT_MS } = require('./BaseProvider');
+const { toContentParts, getTextContent, fetchImageAsBase64 } = require('../utils/content');
+const { normalizeResponseFormat } = require('../utils/structuredOutput');
+const { createError } = require('../utils/errors');
+const { redactText } = require('../utils/logger');
+
+// Precios publicados por millón de tokens; el catálogo los guarda en USD por token
+const MILLION = 1_000_000;
+
+// Motivos de finalización de Gemini mapeados al formato común (el de OpenAI)
+const FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter'
+};
+
+// Tope de páginas al listar modelos (cada una trae hasta 1000)
+const MAX_MODEL_PAGES = 10;
+
+// Modelos de la generación 1.0, que no aceptan systemInstruction
+const LEGACY_MODELS = ['gemini-pro', 'gemini-1.0-pro'];
+
+// Claves de JSON Schema que acepta generationConfig.responseSchema
+const RESPONSE_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'required', 'minItems', 'maxItems', 'minimum', 'maximum'];
+
+// Modos de functionCallingConfig según el toolChoice normalizado
+const TOOL_CHOICE_MODES = {
+  auto: 'AUTO',
+  none: 'NONE',
+  required: 'ANY'
+};
+
+/**
+ * Catálogo de modelos de chat de Gemini
+ */
+const MODELS = [
+  {
+    id: 'gemini-1.5-pro',
+    name: 'Gemini 1.5 Pro',
+    description: 'Modelo principal',
+    contextWindow: 2097152,
+    maxOutputTokens: 8192,
+    streaming: true,
+    vision: true,
+    tools: true,
+    pricing: { input: 1.25 / MILLION, output: 5.00 / MILLION }
+  },
+  {
+    id: 'gemini-1.5-flash',
+    name: 'Gemini 1.5 Flash',
+    description: 'Más rápido',
+    contextWindow: 1048576,
+    maxOutputTokens: 8192,
+    streaming: true,
+    vision: true,
+    tools: true,
+    pricing: { input: 0.075 / MILLION, output: 0.30 / MILLION }
+  },
+  {
+    id: 'gemini-pro',
+    name: 'Gemini 1.0 Pro',
+    description: 'Generación anterior',
+    contextWindow: 30720,
+    maxOutputTokens: 2048,
+    streaming: true,
+    vision: false,
+    tools: true,
+    pricing: { input: 0.50 / MILLION, output: 1.50 / MILLION }
+  }
+];
+
+/**
+ * Catálogo de modelos de imagen (Imagen vía :predict, el primero es el modelo por defecto)
+ * Imagen no recibe tamaño en píxeles sino una relación de aspecto: sus "sizes" son valores de aspectRatio
+ */
+const IMAGE_ASPECT_RATIOS = ['1:1', '3:4', '4:3', '9:16', '16:9'];
+
+const IMAGE_MODELS = [
+  {
+    id: 'imagen-4.0-generate-001',
+    name: 'Imagen 4',
+    description: 'Modelo de imágenes de Google, buen texto dentro de la imagen',
+    sizes: IMAGE_ASPECT_RATIOS,
+    qualities: ['standard'],
+    styles: [],
+    responseFormats: ['b64_json'],
+    maxImages: 4,
+    maxPromptLength: 1920 // ~480 tokens
+  },
+  {
+    id: 'imagen-4.0-fast-generate-001',
+    name: 'Imagen 4 Fast',
+    description: 'Más rápido y económico',
+    sizes: IMAGE_ASPECT_RATIOS,
+    qualities: ['standard'],
+    styles: [],
+    responseFormats: ['b64_json'],
+    maxImages: 4,
+    maxPromptLength: 1920
+  },
+  {
+    id: 'imagen-4.0-ultra-generate-001',
+    name: 'Imagen 4 Ultra',
+    description: 'Máxima fidelidad al prompt, una imagen por request',
+    sizes: IMAGE_ASPECT_RATIOS,
+    qualities: ['standard'],
+    styles: [],
+    responseFormats: ['b64_json'],
+    maxImages: 1,
+    maxPromptLength: 1920
+  },
+  {
+    id: 'imagen-3.0-generate-002',
+    name: 'Imagen 3',
+    description: 'Generación anterior',
+    sizes: IMAGE_ASPECT_RATIOS,
+    qualities: ['standard'],
+    styles: [],
+    responseFormats: ['b64_json'],
+    maxImages: 4,
+    maxPromptLength: 1920
+  }
+];
 
 /**
  * Adapter para Google Gemini models
@@ -18,42 +141,69 @@ class GeminiProvider extends BaseProvider {
   /**
    * Implementación del chat para Gemini
    */
-  async chat({ model, messages, temperature = 0.7, stream = true, signal }) {
+  async chat({ model, messages, temperature = 0.7, stream = true, maxTokens = 2000, tools, toolChoice, responseFormat, signal, retry }) {
     // Filtrar mensajes válidos antes de validar y formatear
     const filteredMessages = this.filterValidMessages(messages);
-    this.validateParams({ model, messages: filteredMessages, temperature });
-    this.debug('Enviando request a Gemini', { model, messageCount: filteredMessages.length, stream });
+    this.validateParams({ model, messages: filteredMessages, temperature, tools });
+    this.debug('Enviando request a Gemini', { model, messageCount: filteredMessages.length, stream, tools: tools?.length || 0 });
 
     const controller = this.createTimeoutController(signal);
     
+    // inlineData solo acepta base64: descargar las imágenes enviadas por URL
+    const resolvedMessages = await this.inlineRemoteImages(filteredMessages, controller.signal);
+
     // Gemini tiene un formato diferente para los mensajes
-    const contents = this.formatMessages(filteredMessages);
+    const { systemInstruction, contents } = this.formatMessages(resolvedMessages, model);
     
     const requestBody = {
       contents,
+      ...(systemInstruction && { systemInstruction }),
       generationConfig: {
         temperature,
-        maxOutputTokens: 2000,
+        maxOutputTokens: maxTokens,
         topP: 0.8,
         topK: 10
       }
     };
 
+    const format = normalizeResponseFormat(responseFormat);
+    if (format) {
+      requestBody.generationConfig.responseMimeType = 'application/json';
+      if (format.schema) {
+        requestBody.generationConfig.responseSchema = GeminiProvider.formatResponseSchema(format.schema);
+      }
+    }
+
+    if (tools?.length) {
+      requestBody.tools = [{
+        functionDeclarations: tools.map(tool => ({
+          name: tool.name,
+          description: tool.description || '',
+          parameters: GeminiProvider.cleanSchema(tool.parameters || { type: 'object', properties: {} })
+        }))
+      }];
+
+      if (toolChoice) {
+        requestBody.toolConfig = {
+          functionCallingConfig: typeof toolChoice === 'object'
+            ? { mode: 'ANY', allowedFunctionNames: [toolChoice.name] }
+            : { mode: TOOL_CHOICE_MODES[toolChoice] || 'AUTO' }
+        };
+      }
+    }
+
     try {
+      // alt=sse hace que Gemini envíe el stream como Server-Sent Events
       const endpoint = stream 
-        ? `${this.baseURL}/models/${model}:streamGenerateContent`
-        : `${this.baseURL}/models/${model}:generateContent`;
+        ? `${this.baseURL}/models/${model}:streamGenerateContent?alt=sse&key=${this.apiKey}`
+        : `${this.baseURL}/models/${model}:generateContent?key=${this.apiKey}`;
       
-      const response = await fetch(`${endpoint}?key=${this.apiKey}`, {
+      const response = await this.fetchWithRetry(endpoint, {
         method: 'POST',
         headers: this.getBaseHeaders(),
         body: JSON.stringify(requestBody),
         signal: controller.signal
-      });
-
-      if (!response.ok) {
-        throw await this.handleError(response);
-      }
+      }, retry);
 
       if (stream) {
         // Retornar el ReadableStream para streaming
@@ -61,10 +211,39 @@ class GeminiProvider extends BaseProvider {
       } else {
         // Respuesta completa
         const data = await response.json();
-        const content = data.candidates[0]?.content?.parts[0]?.text || '';
+        const candidate = data.candidates?.[0];
+        const parts = candidate?.content?.parts || [];
+
+        // Gemini bloquea por seguridad respondiendo 200 sin candidatos
+        if (!candidate && data.promptFeedback?.blockReason) {
+          throw createError('content_filtered', `Prompt bloqueado por Gemini (${data.promptFeedback.blockReason})`, {
+            provider: this.constructor.name
+          });
+        }
+
+        // Una respuesta puede combinar partes de texto y de functionCall
+        const content = parts
+          .filter(part => part.text)
+          .map(part => part.text)
+          .join('');
+
+        const toolCalls = parts
+          .filter(part => part.functionCall)
+          .map((part, index) => ({
+            // Gemini no asigna ids a las llamadas: se generan para poder asociar los resultados
+            id: part.functionCall.id || `call_${Date.now()}_${index}`,
+            name: part.functionCall.name,
+            arguments: part.functionCall.args || {}
+          }));
+
+        const finishReason = toolCalls.length > 0
+          ? 'tool_calls'
+          : FINISH_REASONS[candidate?.finishReason] || candidate?.finishReason;
         
         return {
           content,
+          toolCalls,
+          finishReason,
           model,
           usage: data.usageMetadata
         };
@@ -74,7 +253,7 @@ class GeminiProvider extends BaseProvider {
       this.debug('Error en Gemini request', { error: error.message });
       
       if (error.name === 'AbortError') {
-        throw new Error('Request cancelado por timeout');
+        throw this.timeoutError();
       }
       
       throw error;
@@ -83,9 +262,14 @@ class GeminiProvider extends BaseProvider {
 
   /**
    * Convertir mensajes al formato de Gemini
+   * Los mensajes de sistema van en systemInstruction (una parte por mensaje, en orden)
+   * @param {Array} messages - Mensajes normalizados
+   * @param {string} model - Modelo destino (gemini-1.0 no soporta systemInstruction)
+   * @returns {Object} { systemInstruction, contents }
    */
-  formatMessages(messages) {
+  formatMessages(messages, model) {
     const contents = [];
+    const systemParts = [];
     
     for (const message of messages) {
       // Filtrar mensajes de error
@@ -93,9 +277,39 @@ class GeminiProvider extends BaseProvider {
         continue;
       }
       
-      // Gemini maneja system prompt de forma diferente
       if (message.role === 'system') {
-        // El system prompt se puede agregar como parte del primer user message
+        systemParts.push({ text: getTextContent(message.content) });
+        continue;
+      }
+      
+      if (message.role === 'tool') {
+        const part = {
+          functionResponse: {
+            name: this.findToolName(messages, message),
+            response: GeminiProvider.toFunctionResponse(message.content)
+          }
+        };
+
+        // Los resultados de varias llamadas del mismo turno van juntos en un único mensaje
+        const previous = contents[contents.length - 1];
+        if (previous?.role === 'user' && previous.parts.every(p => p.functionResponse)) {
+          previous.parts.push(part);
+        } else {
+          contents.push({ role: 'user', parts: [part] });
+        }
+        continue;
+      }
+
+      if (this.hasToolCalls(message)) {
+        contents.push({
+          role: 'model',
+          parts: [
+            ...(message.content ? [{ text: message.content }] : []),
+            ...message.toolCalls.map(call => ({
+              functionCall: { name: call.name, args: call.arguments || {} }
+            }))
+          ]
+        });
         continue;
       }
       
@@ -107,18 +321,138 @@ class GeminiProvider extends BaseProvider {
       
       contents.push({
         role,
-        parts: [{ text: message.content }]
+        parts: GeminiProvider.formatParts(message.content)
       });
     }
     
-    // Si había un system prompt, agregarlo al primer mensaje del usuario
-    const systemMessage = messages.find(m => m.role === 'system');
-    if (systemMessage && contents.length > 0 && contents[0].role === 'user') {
-      const originalText = contents[0].parts[0].text;
-      contents[0].parts[0].text = `${systemMessage.content}\n\nUsuario: ${originalText}`;
+    if (systemParts.length === 0) {
+      return { systemInstruction: undefined, contents };
     }
-    
-    return contents;
+
+    if (LEGACY_MODELS.includes(model)) {
+      // Sin systemInstruction: las instrucciones van como un turno de usuario propio al inicio
+      // (partes separadas, sin modificar el texto de los mensajes originales)
+      if (contents[0]?.role === 'user') {
+        contents[0].parts.unshift(...systemParts);
+      } else {
+        contents.unshift({ role: 'user', parts: systemParts });
+      }
+      return { systemInstruction: undefined, contents };
+    }
+
+    return {
+      systemInstruction: { parts: systemParts },
+      contents
+    };
+  }
+
+  /**
+   * Convertir contenido multimodal a partes de Gemini (text / inlineData)
+   */
+  static formatParts(content) {
+    return toContentParts(content).map(part => (
+      part.type === 'image'
+        ? { inlineData: { mimeType: part.mimeType, data: part.data } }
+        : { text: part.text }
+    ));
+  }
+
+  /**
+   * Reemplazar las imágenes con URL remota por su contenido en base64
+   * @param {Array} messages - Mensajes normalizados
+   * @param {AbortSignal} signal - Señal del request
+   * @returns {Promise<Array>} Mensajes con todas las imágenes en base64
+   */
+  async inlineRemoteImages(messages, signal) {
+    return Promise.all(messages.map(async (message) => {
+      if (!Array.isArray(message.content)) {
+        return message;
+      }
+
+      const parts = await Promise.all(toContentParts(message.content).map(part => (
+        part.type === 'image' && part.url
+          ? fetchImageAsBase64(part.url, signal)
+          : part
+      )));
+
+      return { ...message, content: parts };
+    }));
+  }
+
+  /**
+   * Gemini acepta un subconjunto de OpenAPI: quitar las claves de JSON Schema que rechaza
+   */
+  static cleanSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map(item => GeminiProvider.cleanSchema(item));
+    }
+
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const cleaned = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === 'additionalProperties' || key === '$schema') {
+        continue;
+      }
+      cleaned[key] = GeminiProvider.cleanSchema(value);
+    }
+    return cleaned;
+  }
+
+  /**
+   * responseSchema acepta un subconjunto de OpenAPI: conservar solo las claves soportadas
+   * (el servidor valida después la salida contra el esquema completo)
+   */
+  static formatResponseSchema(schema) {
+    const formatted = {};
+
+    for (const key of RESPONSE_SCHEMA_KEYS) {
+      if (schema[key] !== undefined) {
+        formatted[key] = schema[key];
+      }
+    }
+
+    // Gemini expresa los tipos opcionales con nullable en lugar de type: ['string', 'null']
+    if (Array.isArray(schema.type)) {
+      formatted.type = schema.type.find(type => type !== 'null');
+      if (schema.type.includes('null')) {
+        formatted.nullable = true;
+      }
+    }
+
+    if (schema.properties) {
+      formatted.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, property]) => [name, GeminiProvider.formatResponseSchema(property)])
+      );
+    }
+
+    if (schema.items) {
+      formatted.items = GeminiProvider.formatResponseSchema(schema.items);
+    }
+
+    return formatted;
+  }
+
+  /**
+   * functionResponse.response debe ser un objeto: envolver resultados de texto
+   */
+  static toFunctionResponse(content) {
+    if (content && typeof content === 'object') {
+      return content;
+    }
+
+    try {
+      const parsed = JSON.parse(content);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (e) {
+      // No es JSON: se envía como texto
+    }
+
+    return { result: content };
   }
 
   /**
@@ -140,16 +474,16 @@ class GeminiProvider extends BaseProvider {
 
         buffer += decoder.decode(value, { stream: true });
         
-        // Gemini envía objetos JSON separados por líneas
+        // Con alt=sse, Gemini envía un objeto JSON por cada línea "data: "
         const lines = buffer.split('\n');
         buffer = lines.pop() || '';
 
         for (const line of lines) {
           const trimmed = line.trim();
-          if (!trimmed) continue;
+          if (!trimmed.startsWith('data: ')) continue;
           
           try {
-            const parsed = JSON.parse(trimmed);
+            const parsed = JSON.parse(trimmed.slice(6));
             
             // Extraer contenido del formato de Gemini
             const candidate = parsed.candidates?.[0];
@@ -158,6 +492,11 @@ class GeminiProvider extends BaseProvider {
             if (content) {
               yield { delta: content };
             }
+
+            // Cada chunk trae el uso acumulado; el último es el definitivo
+            if (parsed.usageMetadata) {
+              yield { usage: parsed.usageMetadata };
+            }
             
             // Verificar si terminó
             if (candidate?.finishReason) {
@@ -177,19 +516,172 @@ class GeminiProvider extends BaseProvider {
   }
 
   /**
-   * Validar que el modelo esté disponible
+   * Generación de imágenes con Imagen (POST /models/{model}:predict)
+   * "size" es la relación de aspecto; las imágenes bloqueadas por el filtro de seguridad llegan
+   * como predicciones con raiFilteredReason en lugar de bytes
+   */
+  async generateImage({ prompt, model, size, quality, style, n = 1, responseFormat = 'b64_json', signal, retry }) {
+    const modelInfo = this.getImageModel(model);
+    size = size || modelInfo.sizes[0];
+    quality = quality || modelInfo.qualities[0];
+
+    this.validateImageParams({ prompt, size, quality, style, n, responseFormat }, modelInfo);
+    this.debug('Generando imagen con Imagen', { model: modelInfo.id, prompt: redactText(prompt), aspectRatio: size, n });
+
+    const controller = this.createTimeoutController(signal);
+
+    const requestBody = {
+      instances: [{ prompt }],
+      parameters: {
+        sampleCount: n,
+        aspectRatio: size,
+        includeRaiReason: true
+      }
+    };
+
+    try {
+      const response = await this.fetchWithRetry(`${this.baseURL}/models/${modelInfo.id}:predict?key=${this.apiKey}`, {
+        method: 'POST',
+        headers: this.getBaseHeaders(),
+        body: JSON.stringify(requestBody),
+        signal: controller.signal
+      }, retry);
+
+      const data = await response.json();
+      const predictions = data.predictions || [];
+      const generated = predictions.filter(prediction => prediction.bytesBase64Encoded);
+      const filteredReasons = predictions
+        .filter(prediction => !prediction.bytesBase64Encoded)
+        .map(prediction => prediction.raiFilteredReason)
+        .filter(Boolean);
+
+      // Todas bloqueadas (o ninguna predicción): el mismo error tipado que el filtro de DALL·E
+      if (generated.length === 0) {
+        throw createError('content_filtered', filteredReasons.length > 0
+          ? `Imagen bloqueada por el filtro de seguridad de Google: ${filteredReasons[0]}`
+          : 'Imagen bloqueada por el filtro de seguridad de Google', {
+          provider: this.constructor.name,
+          details: { reasons: filteredReasons }
+        });
+      }
+
+      return {
+        images: generated.map(prediction => ({
+          url: null,
+          b64: prediction.bytesBase64Encoded,
+          mimeType: prediction.mimeType || 'image/png',
+          revisedPrompt: prediction.prompt || null // Solo si Imagen reescribió el prompt
+        })),
+        model: modelInfo.id,
+        size,
+        quality,
+        filtered: filteredReasons.length // Imágenes omitidas por el filtro (el resto se devuelve)
+      };
+
+    } catch (error) {
+      this.debug('Error generando imagen con Imagen', { error: error.message });
+
+      if (error.name === 'AbortError') {
+        throw this.timeoutError('Generación de imagen cancelada por timeout');
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Catálogo de modelos de imagen
+   */
+  getImageModels() {
+    return IMAGE_MODELS;
+  }
+
+  /**
+   * Listar modelos vía GET /models, siguiendo nextPageToken hasta la última página
+   * Solo se incluyen los que soportan generateContent (excluye embeddings, AQA, etc.)
    */
-  validateModel(model) {
-    const validModels = [
-      'gemini-1.5-pro',
-      'gemini-1.5-flash',
-      'gemini-pro'
-    ];
+  async fetchModels({ signal } = {}) {
+    const controller = this.createTimeoutController(signal, MODELS_TIMEOUT_MS);
+    const models = [];
+    let pageToken;
+
+    for (let page = 0; page < MAX_MODEL_PAGES; page++) {
+      const query = new URLSearchParams({ pageSize: '1000', key: this.apiKey });
+      if (pageToken) {
+        query.set('pageToken', pageToken);
+      }
 
-    if (!validModels.includes(model)) {
-      throw new Error(`Modelo Gemini no válido: ${model}. Modelos disponibles: ${validModels.join(', ')}`);
+      const response = await fetch(`${this.baseURL}/models?${query}`, {
+        headers: this.getBaseHeaders(),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw await this.handleError(response);
+      }
+
+      const data = await response.json();
+      models.push(...(data.models || []));
+
+      pageToken = data.nextPageToken;
+      if (!pageToken) {
+        break;
+      }
     }
+
+    return models
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => ({
+        // La API devuelve "models/gemini-1.5-pro"
+        id: model.name.replace(/^models\//, ''),
+        name: model.displayName,
+        description: model.description,
+        contextWindow: model.inputTokenLimit,
+        maxOutputTokens: model.outputTokenLimit
+      }));
+  }
+
+  /**
+   * Catálogo incluido con el adapter
+   */
+  getBundledModels() {
+    return MODELS;
   }
 }
 
-module.exports = { GeminiProvider };
\ No newline at end of file
+/**
+ * Definición para el registro de proveedores
+ */
+const providerDefinition = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  aliases: ['google'],
+  env: {
+    apiKey: ['GEMINI_API_KEY', 'GOOGLE_API_KEY']
+  },
+  capabilities: ['chat', 'stream', 'tools', 'vision'],
+  tokenizer: 'gemini',
+  defaultModel: 'gemini-1.5-pro',
+  models: MODELS,
+  create: (env, config = {}) => new GeminiProvider({ ...env, ...config })
+};
+
+/**
+ * Definición de imágenes (Imagen): el mismo adapter y la misma API key, con su propio catálogo
+ * (las imágenes tardan más que el chat: 2 minutos de timeout)
+ */
+const imageProviderDefinition = {
+  ...providerDefinition,
+  capabilities: ['image'],
+  defaultModel: IMAGE_MODELS[0].id,
+  models: IMAGE_MODELS,
+  create: (env, config = {}) => new GeminiProvider({ timeoutMs: 120000, ...env, ...config })
+};
+
+module.exports = {
+  GeminiProvider,
+  providerDefinition,
+  providerDefinitions: [providerDefinition, imageProviderDefinition],
+  MODELS,
+  IMAGE_MODELS
+};
\ No newline at end of file
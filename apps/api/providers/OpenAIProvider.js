@@ -1,4 +1,120 @@
-const { BaseProvider } = require('./BaseProvider');
+const { BaseProvider, MODELS_TIMEOUT_MS } = require('./BaseProvider');
+const { toContentParts, getTextContent } = require('../utils/content');
+const { normalizeResponseFormat } = require('../utils/structuredOutput');
+const { redactText } = require('../utils/logger');
+
+// Precios publicados por millón de tokens; el catálogo los guarda en USD por token
+const MILLION = 1_000_000;
+
+/**
+ * Catálogo de modelos de chat de OpenAI
+ */
+const MODELS = [
+  {
+    id: 'gpt-4o-mini',
+    name: 'GPT-4o Mini',
+    description: 'Rápido y económico',
+    contextWindow: 128000,
+    maxOutputTokens: 16384,
+    streaming: true,
+    vision: true,
+    tools: true,
+    pricing: { input: 0.15 / MILLION, output: 0.60 / MILLION }
+  },
+  {
+    id: 'gpt-4o',
+    name: 'GPT-4o',
+    description: 'Más avanzado',
+    contextWindow: 128000,
+    maxOutputTokens: 16384,
+    streaming: true,
+    vision: true,
+    tools: true,
+    pricing: { input: 2.50 / MILLION, output: 10.00 / MILLION }
+  },
+  {
+    id: 'gpt-4-turbo',
+    name: 'GPT-4 Turbo',
+    description: 'Generación anterior de GPT-4',
+    contextWindow: 128000,
+    maxOutputTokens: 4096,
+    streaming: true,
+    vision: true,
+    tools: true,
+    pricing: { input: 10.00 / MILLION, output: 30.00 / MILLION }
+  },
+  {
+    id: 'gpt-4',
+    name: 'GPT-4',
+    description: 'GPT-4 original',
+    contextWindow: 8192,
+    maxOutputTokens: 8192,
+    streaming: true,
+    vision: false,
+    tools: true,
+    pricing: { input: 30.00 / MILLION, output: 60.00 / MILLION }
+  },
+  {
+    id: 'gpt-3.5-turbo',
+    name: 'GPT-3.5 Turbo',
+    description: 'Clásico y confiable',
+    contextWindow: 16385,
+    maxOutputTokens: 4096,
+    streaming: true,
+    vision: false,
+    tools: true,
+    pricing: { input: 0.50 / MILLION, output: 1.50 / MILLION }
+  }
+];
+
+/**
+ * Catálogo de modelos de imagen de OpenAI (el primero es el modelo por defecto)
+ * styles: valores de "style" aceptados; responseFormats: 'b64_json' y/o 'url'
+ * edits / variations: admite /images/edits y /images/variations; sourceImage: imagen de entrada aceptada
+ */
+const IMAGE_MODELS = [
+  {
+    id: 'dall-e-3',
+    name: 'DALL·E 3',
+    description: 'Imágenes detalladas, reescribe el prompt (revised_prompt)',
+    sizes: ['1024x1024', '1792x1024', '1024x1792'],
+    qualities: ['standard', 'hd'],
+    styles: ['vivid', 'natural'],
+    responseFormats: ['b64_json', 'url'],
+    maxImages: 1,
+    maxPromptLength: 4000,
+    edits: false,
+    variations: false
+  },
+  {
+    id: 'gpt-image-1',
+    name: 'GPT Image 1',
+    description: 'Sigue mejor instrucciones largas y escribe texto legible; responde siempre en base64',
+    sizes: ['1024x1024', '1536x1024', '1024x1536', 'auto'],
+    qualities: ['auto', 'high', 'medium', 'low'],
+    styles: [],
+    responseFormats: ['b64_json'],
+    maxImages: 10,
+    maxPromptLength: 32000,
+    edits: true,
+    variations: false,
+    sourceImage: { mimeTypes: ['image/png', 'image/jpeg', 'image/webp'], square: false }
+  },
+  {
+    id: 'dall-e-2',
+    name: 'DALL·E 2',
+    description: 'Más rápido y económico, varias imágenes por request',
+    sizes: ['1024x1024', '512x512', '256x256'],
+    qualities: ['standard'],
+    styles: [],
+    responseFormats: ['b64_json', 'url'],
+    maxImages: 10,
+    maxPromptLength: 1000,
+    edits: true,
+    variations: true,
+    sourceImage: { mimeTypes: ['image/png'], square: true }
+  }
+];
 
 /**
  * Adapter para OpenAI GPT models
@@ -18,25 +134,54 @@ class OpenAIProvider extends BaseProvider {
   /**
    * Implementación del chat para OpenAI
    */
-  async chat({ model, messages, temperature = 0.7, stream = true, maxTokens = 2000, signal }) {
+  async chat({ model, messages, temperature = 0.7, stream = true, maxTokens = 2000, tools, toolChoice, responseFormat, signal, retry }) {
     // Filtrar mensajes válidos antes de validar y formatear
     const filteredMessages = this.filterValidMessages(messages);
-    this.validateParams({ model, messages: filteredMessages, temperature });
-    this.debug('Enviando request a OpenAI', { model, messageCount: filteredMessages.length, stream });
+    this.validateParams({ model, messages: filteredMessages, temperature, tools });
+    this.debug('Enviando request a OpenAI', { model, messageCount: filteredMessages.length, stream, tools: tools?.length || 0 });
 
     const controller = this.createTimeoutController(signal);
     
+    const format = normalizeResponseFormat(responseFormat);
+
+    // El modo json_object exige que los mensajes mencionen "JSON"
+    const requestMessages = format?.type === 'json'
+      ? this.withJsonInstruction(filteredMessages, format)
+      : filteredMessages;
+
     const requestBody = {
       model,
-      messages: this.formatMessages(filteredMessages),
-      temperature,
+      messages: this.formatMessages(requestMessages),
       stream,
-      max_tokens: maxTokens,
       user: 'demo-student' // Identificador para tracking
     };
 
+    // Los modelos de razonamiento rechazan temperature y max_tokens (el límite incluye el razonamiento)
+    if (OpenAIProvider.isReasoningModel(model)) {
+      requestBody.max_completion_tokens = maxTokens;
+    } else {
+      requestBody.temperature = temperature;
+      requestBody.max_tokens = maxTokens;
+    }
+
+    if (tools?.length) {
+      requestBody.tools = OpenAIProvider.formatTools(tools);
+      if (toolChoice) {
+        requestBody.tool_choice = OpenAIProvider.formatToolChoice(toolChoice);
+      }
+    }
+
+    if (format) {
+      requestBody.response_format = OpenAIProvider.formatResponseFormat(format);
+    }
+
+    // Pedir el uso de tokens en el último chunk del stream
+    if (stream) {
+      requestBody.stream_options = { include_usage: true };
+    }
+
     try {
-      const response = await fetch(`${this.baseURL}/chat/completions`, {
+      const response = await this.fetchWithRetry(`${this.baseURL}/chat/completions`, {
         method: 'POST',
         headers: {
           ...this.getBaseHeaders(),
@@ -44,11 +189,7 @@ class OpenAIProvider extends BaseProvider {
         },
         body: JSON.stringify(requestBody),
         signal: controller.signal
-      });
-
-      if (!response.ok) {
-        throw await this.handleError(response);
-      }
+      }, retry);
 
       if (stream) {
         // Retornar el ReadableStream para streaming
@@ -56,8 +197,12 @@ class OpenAIProvider extends BaseProvider {
       } else {
         // Respuesta completa
         const data = await response.json();
+        const choice = data.choices[0];
+
         return {
-          content: data.choices[0]?.message?.content || '',
+          content: choice?.message?.content || '',
+          toolCalls: this.parseToolCalls(choice?.message),
+          finishReason: choice?.finish_reason,
           model: data.model,
           usage: data.usage
         };
@@ -67,23 +212,310 @@ class OpenAIProvider extends BaseProvider {
       this.debug('Error en OpenAI request', { error: error.message });
       
       if (error.name === 'AbortError') {
-        throw new Error('Request cancelado por timeout');
+        throw this.timeoutError();
       }
       
       throw error;
     }
   }
 
+  /**
+   * Generación de imágenes con /images/generations (DALL·E 2/3 y gpt-image)
+   */
+  async generateImage({ prompt, model, size, quality, style, n = 1, responseFormat = 'b64_json', signal, retry }) {
+    const modelInfo = this.getImageModel(model);
+    size = size || modelInfo.sizes[0];
+    quality = quality || modelInfo.qualities[0];
+
+    this.validateImageParams({ prompt, size, quality, style, n, responseFormat }, modelInfo);
+    this.debug('Generando imagen con OpenAI', { model: modelInfo.id, prompt: redactText(prompt), size, quality, style, n });
+
+    const controller = this.createTimeoutController(signal);
+
+    const requestBody = {
+      model: modelInfo.id,
+      prompt,
+      size,
+      quality,
+      n,
+      user: 'demo-student'
+    };
+
+    if (style) {
+      requestBody.style = style;
+    }
+
+    // gpt-image responde siempre en base64 y rechaza "response_format"
+    if (modelInfo.responseFormats.includes('url')) {
+      requestBody.response_format = responseFormat;
+    }
+
+    try {
+      const response = await this.fetchWithRetry(`${this.baseURL}/images/generations`, {
+        method: 'POST',
+        headers: {
+          ...this.getBaseHeaders(),
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify(requestBody),
+        signal: controller.signal
+      }, retry);
+
+      const data = await response.json();
+
+      return {
+        images: this.normalizeImages(data.data),
+        model: modelInfo.id,
+        size,
+        quality,
+        usage: data.usage
+      };
+
+    } catch (error) {
+      this.debug('Error generando imagen con OpenAI', { error: error.message });
+
+      if (error.name === 'AbortError') {
+        throw this.timeoutError('Generación de imagen cancelada por timeout');
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Edición de imágenes con /images/edits (dall-e-2 y gpt-image)
+   */
+  async editImage({ image, mask, prompt, model, size, quality, n = 1, responseFormat = 'b64_json', signal, retry }) {
+    const modelInfo = this.getImageModel(model, 'edit');
+    size = size || modelInfo.sizes[0];
+    quality = quality || modelInfo.qualities[0];
+
+    this.validateImageParams({ prompt, size, quality, n, responseFormat }, modelInfo, 'edit');
+    const files = await this.prepareSourceImages({ image, mask }, modelInfo, signal);
+    this.debug('Editando imagen con OpenAI', { model: modelInfo.id, prompt: redactText(prompt), size, n, mask: Boolean(files.mask) });
+
+    return this.requestImageOperation('/images/edits', {
+      model: modelInfo.id,
+      prompt,
+      size,
+      quality,
+      n,
+      response_format: modelInfo.responseFormats.includes('url') ? responseFormat : undefined,
+      user: 'demo-student'
+    }, files, { modelInfo, size, quality, signal, retry });
+  }
+
+  /**
+   * Variaciones de una imagen con /images/variations (solo dall-e-2)
+   */
+  async createImageVariation({ image, model, size, n = 1, responseFormat = 'b64_json', signal, retry }) {
+    const modelInfo = this.getImageModel(model, 'variation');
+    size = size || modelInfo.sizes[0];
+    const quality = modelInfo.qualities[0];
+
+    this.validateImageParams({ size, quality, n, responseFormat }, modelInfo, 'variation');
+    const files = await this.prepareSourceImages({ image }, modelInfo, signal);
+    this.debug('Creando variaciones con OpenAI', { model: modelInfo.id, size, n });
+
+    return this.requestImageOperation('/images/variations', {
+      model: modelInfo.id,
+      size,
+      n,
+      response_format: responseFormat,
+      user: 'demo-student'
+    }, files, { modelInfo, size, quality, signal, retry });
+  }
+
+  /**
+   * POST multipart a /images/edits o /images/variations
+   * @param {string} path - Ruta del endpoint
+   * @param {Object} fields - Campos de texto del form
+   * @param {Object} files - { image, mask } de prepareSourceImages()
+   * @param {Object} options - { modelInfo, size, quality, signal, retry }
+   * @returns {Promise<Object>} Mismo formato que generateImage()
+   */
+  async requestImageOperation(path, fields, files, { modelInfo, size, quality, signal, retry }) {
+    const controller = this.createTimeoutController(signal);
+
+    try {
+      const response = await this.fetchWithRetry(`${this.baseURL}${path}`, {
+        method: 'POST',
+        headers: {
+          // Sin Content-Type: fetch lo completa con el boundary del multipart
+          'User-Agent': this.getBaseHeaders()['User-Agent'],
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: OpenAIProvider.toImageFormData(fields, files),
+        signal: controller.signal
+      }, retry);
+
+      const data = await response.json();
+
+      return {
+        images: this.normalizeImages(data.data),
+        model: modelInfo.id,
+        size,
+        quality,
+        usage: data.usage
+      };
+
+    } catch (error) {
+      this.debug('Error en la operación de imagen con OpenAI', { path, error: error.message });
+
+      if (error.name === 'AbortError') {
+        throw this.timeoutError('Operación de imagen cancelada por timeout');
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Body multipart de /images/edits y /images/variations
+   * (compartido con Azure OpenAI, que usa el mismo formato)
+   * @param {Object} fields - Campos de texto (se omiten los undefined)
+   * @param {Object} files - { image, mask } con { buffer, mimeType } (se omiten los null)
+   * @returns {FormData}
+   */
+  static toImageFormData(fields, files) {
+    const form = new FormData();
+
+    for (const [name, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null) {
+        form.append(name, String(value));
+      }
+    }
+
+    for (const [name, file] of Object.entries(files)) {
+      if (file) {
+        form.append(name, new Blob([file.buffer], { type: file.mimeType }), `${name}.${file.mimeType.split('/')[1]}`);
+      }
+    }
+
+    return form;
+  }
+
   /**
    * OpenAI usa el formato estándar, filtra mensajes de error
    */
   formatMessages(messages) {
     return messages
       .filter(msg => !msg.isError) // Filtrar mensajes de error
-      .map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
+      .map(msg => OpenAIProvider.toOpenAIMessage(msg));
+  }
+
+  /**
+   * Convertir un mensaje normalizado al formato de Chat Completions
+   * (compartido con Azure OpenAI, que usa el mismo formato)
+   */
+  static toOpenAIMessage(msg) {
+    // Resultado de una herramienta
+    if (msg.role === 'tool') {
+      return {
+        role: 'tool',
+        tool_call_id: msg.toolCallId,
+        content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
+      };
+    }
+
+    // El asistente pidió ejecutar herramientas
+    if (msg.role === 'assistant' && msg.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: JSON.stringify(call.arguments || {})
+          }
+        }))
+      };
+    }
+
+    // Los mensajes de sistema solo admiten texto
+    if (msg.role === 'system') {
+      return {
+        role: 'system',
+        content: getTextContent(msg.content)
+      };
+    }
+
+    return {
+      role: msg.role,
+      content: OpenAIProvider.formatContent(msg.content)
+    };
+  }
+
+  /**
+   * Convertir responseFormat normalizado a response_format de Chat Completions
+   * strict: false permite esquemas sin additionalProperties: false; la validación la hace el servidor
+   */
+  static formatResponseFormat(format) {
+    if (format.type === 'json') {
+      return { type: 'json_object' };
+    }
+
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: format.name,
+        schema: format.schema,
+        strict: false
+      }
+    };
+  }
+
+  /**
+   * Convertir contenido multimodal a partes de Chat Completions (text / image_url)
+   */
+  static formatContent(content) {
+    if (!Array.isArray(content)) {
+      return content;
+    }
+
+    return toContentParts(content).map(part => (
+      part.type === 'image'
+        ? { type: 'image_url', image_url: { url: part.url || `data:${part.mimeType};base64,${part.data}` } }
+        : { type: 'text', text: part.text }
+    ));
+  }
+
+  /**
+   * Convertir tools normalizadas al formato "tools" de OpenAI
+   */
+  static formatTools(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.parameters || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  /**
+   * Convertir toolChoice normalizado ('auto' | 'none' | 'required' | {name})
+   */
+  static formatToolChoice(toolChoice) {
+    if (typeof toolChoice === 'string') {
+      return toolChoice;
+    }
+
+    return { type: 'function', function: { name: toolChoice.name } };
+  }
+
+  /**
+   * Extraer llamadas a herramientas normalizadas {id, name, arguments}
+   */
+  parseToolCalls(message) {
+    return (message?.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: this.parseToolArguments(call.function?.arguments)
+    }));
   }
 
   /**
@@ -122,6 +554,11 @@ class OpenAIProvider extends BaseProvider {
               if (delta) {
                 yield { delta };
               }
+
+              // Con include_usage, el último chunk trae el uso sin choices
+              if (parsed.usage) {
+                yield { usage: parsed.usage };
+              }
             } catch (e) {
               // Ignorar líneas que no son JSON válido
               continue;
@@ -135,22 +572,94 @@ class OpenAIProvider extends BaseProvider {
   }
 
   /**
-   * Validar que el modelo esté disponible
-   * @param {string} model - Nombre del modelo
+   * Listar modelos vía GET /models
+   * La API devuelve todos los modelos (embeddings, audio, imágenes): nos quedamos con los de chat
    */
-  validateModel(model) {
-    const validModels = [
-      'gpt-4o',
-      'gpt-4o-mini', 
-      'gpt-4-turbo',
-      'gpt-4',
-      'gpt-3.5-turbo'
-    ];
+  async fetchModels({ signal } = {}) {
+    const controller = this.createTimeoutController(signal, MODELS_TIMEOUT_MS);
+
+    const response = await fetch(`${this.baseURL}/models`, {
+      headers: {
+        ...this.getBaseHeaders(),
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      signal: controller.signal
+    });
 
-    if (!validModels.includes(model)) {
-      throw new Error(`Modelo OpenAI no válido: ${model}. Modelos disponibles: ${validModels.join(', ')}`);
+    if (!response.ok) {
+      throw await this.handleError(response);
     }
+
+    const data = await response.json();
+
+    return (data.data || [])
+      .filter(model => OpenAIProvider.isChatModel(model.id))
+      .map(model => ({ id: model.id }));
+  }
+
+  /**
+   * Heurística para distinguir modelos de chat en el listado de OpenAI
+   */
+  static isChatModel(id) {
+    const excluded = ['audio', 'realtime', 'transcribe', 'tts', 'search', 'instruct', 'image'];
+    return /^(gpt-|chatgpt-|o\d)/.test(id) && !excluded.some(word => id.includes(word));
+  }
+
+  /**
+   * Modelos de razonamiento (serie o y gpt-5, salvo las variantes "chat")
+   */
+  static isReasoningModel(id) {
+    return /^(o\d|gpt-5)/.test(id) && !id.includes('chat');
+  }
+
+  /**
+   * Catálogo incluido con el adapter
+   */
+  getBundledModels() {
+    return MODELS;
+  }
+
+  /**
+   * Catálogo de modelos de imagen
+   */
+  getImageModels() {
+    return IMAGE_MODELS;
   }
 }
 
-module.exports = { OpenAIProvider };
\ No newline at end of file
+/**
+ * Definición para el registro de proveedores
+ */
+const providerDefinition = {
+  id: 'openai',
+  name: 'OpenAI',
+  aliases: ['gpt'],
+  env: {
+    apiKey: 'OPENAI_API_KEY'
+  },
+  capabilities: ['chat', 'stream', 'tools', 'vision'],
+  tokenizer: 'openai',
+  defaultModel: 'gpt-4o-mini',
+  models: MODELS,
+  create: (env, config = {}) => new OpenAIProvider({ ...env, ...config })
+};
+
+/**
+ * Definición de imágenes: el mismo adapter, con su propio modelo por defecto y catálogo
+ * (las imágenes tardan más que el chat: 2 minutos de timeout)
+ */
+const imageProviderDefinition = {
+  ...providerDefinition,
+  capabilities: ['image'],
+  defaultModel: IMAGE_MODELS[0].id,
+  models: IMAGE_MODELS,
+  create: (env, config = {}) => new OpenAIProvider({ timeoutMs: 120000, ...env, ...config })
+};
+
+module.exports = {
+  OpenAIProvider,
+  providerDefinition,
+  providerDefinitions: [providerDefinition, imageProviderDefinition],
+  MODELS,
+  IMAGE_MODELS
+};
\ No newline at end of file
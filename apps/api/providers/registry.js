@@ -0,0 +1,315 @@
+/**
+ * Registro central de proveedores de IA
+ * Cada adapter declara su definición (id, aliases, variables de entorno,
+ * capacidades y factory) y los endpoints resuelven los proveedores a través de este módulo.
+ * Agregar un proveedor = crear su adapter y registrarlo en BUILTIN_PROVIDERS
+ * (el módulo exporta "providerDefinition" o, si tiene varias capacidades con catálogos
+ * distintos, "providerDefinitions").
+ */
+
+const { createError } = require('../utils/errors');
+
+// Capacidades que puede declarar un proveedor
+const CAPABILITIES = ['chat', 'stream', 'image', 'vision', 'tools'];
+
+// Definiciones registradas (un mismo id puede tener varias con capacidades distintas, ej: azure chat e imagen)
+const definitions = [];
+
+/**
+ * Registrar la definición de un proveedor
+ * @param {Object} definition - Definición del proveedor
+ * @param {string} definition.id - Identificador usado en los requests (ej: 'openai')
+ * @param {string} definition.name - Nombre para mostrar
+ * @param {Array<string>} definition.aliases - Nombres alternativos aceptados
+ * @param {Object} definition.env - Variables requeridas { clave: 'VAR' | ['VAR', 'VAR_ALTERNATIVA'] }
+ * @param {Object} definition.optionalEnv - Variables opcionales con el mismo formato
+ * @param {Array<string>} definition.capabilities - Subconjunto de CAPABILITIES
+ * @param {string} definition.tokenizer - Familia para estimar tokens (ver utils/tokens.js)
+ * @param {string|Function} definition.defaultModel - Modelo por defecto (o función que recibe el env resuelto)
+ * @param {Array|Function} definition.models - Catálogo de modelos (o función que recibe el env resuelto)
+ * @param {Function} definition.create - Factory (env, config) => instancia del adapter
+ */
+function registerProvider(definition) {
+  if (!definition || !definition.id || typeof definition.create !== 'function') {
+    throw new Error('La definición del proveedor requiere "id" y "create"');
+  }
+
+  const unknown = (definition.capabilities || []).filter(cap => !CAPABILITIES.includes(cap));
+  if (unknown.length > 0) {
+    throw new Error(`Capacidades desconocidas en ${definition.id}: ${unknown.join(', ')}`);
+  }
+
+  const normalized = {
+    aliases: [],
+    models: [],
+    env: {},
+    optionalEnv: {},
+    capabilities: [],
+    ...definition,
+    name: definition.name || definition.id
+  };
+
+  // Evitar dos definiciones que respondan al mismo nombre con la misma capacidad
+  for (const name of getNames(normalized)) {
+    for (const capability of normalized.capabilities) {
+      if (findProvider(name, capability)) {
+        throw new Error(`Ya existe un proveedor "${name}" con capacidad "${capability}"`);
+      }
+    }
+  }
+
+  definitions.push(normalized);
+  return normalized;
+}
+
+/**
+ * Nombres (id + aliases) con los que se puede referenciar una definición
+ */
+function getNames(definition) {
+  return [definition.id, ...definition.aliases].map(name => name.toLowerCase());
+}
+
+/**
+ * Leer una variable de entorno aceptando nombres alternativos
+ * @param {string|Array<string>} names - Nombre o lista de nombres alternativos
+ * @returns {string|undefined} Primer valor definido
+ */
+function readEnvVar(names) {
+  const candidates = Array.isArray(names) ? names : [names];
+  const found = candidates.find(name => !!process.env[name]);
+  return found ? process.env[found] : undefined;
+}
+
+/**
+ * Resolver todas las variables (requeridas y opcionales) de una definición
+ * @param {Object} definition - Definición del proveedor
+ * @returns {Object} { clave: valor } con los valores encontrados
+ */
+function readEnv(definition) {
+  const values = {};
+
+  for (const [key, names] of Object.entries({ ...definition.optionalEnv, ...definition.env })) {
+    const value = readEnvVar(names);
+    if (value !== undefined) {
+      values[key] = value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Listar las variables requeridas que faltan
+ * @param {Object} definition - Definición del proveedor
+ * @returns {Array<string>} Variables faltantes (las alternativas se unen con " o ")
+ */
+function getMissingEnv(definition) {
+  return Object.values(definition.env)
+    .filter(names => readEnvVar(names) === undefined)
+    .map(names => (Array.isArray(names) ? names.join(' o ') : names));
+}
+
+/**
+ * Verificar si una definición tiene todas sus variables requeridas
+ */
+function isConfigured(definition) {
+  return getMissingEnv(definition).length === 0;
+}
+
+/**
+ * Buscar una definición por id o alias
+ * @param {string} name - Id o alias del proveedor
+ * @param {string} capability - Capacidad requerida (opcional)
+ * @returns {Object|undefined} Definición encontrada
+ */
+function findProvider(name, capability) {
+  if (!name || typeof name !== 'string') {
+    return undefined;
+  }
+
+  const lookup = name.toLowerCase();
+
+  return definitions.find(definition =>
+    getNames(definition).includes(lookup) &&
+    (!capability || definition.capabilities.includes(capability))
+  );
+}
+
+/**
+ * Resolver una definición o lanzar un error con el status HTTP apropiado
+ * @param {string} name - Id o alias del proveedor
+ * @param {string} capability - Capacidad requerida
+ * @returns {Object} Definición del proveedor
+ */
+function resolveProvider(name, capability) {
+  const definition = findProvider(name, capability);
+
+  if (!definition) {
+    const exists = !!findProvider(name);
+    throw createError('invalid_request', exists
+      ? `El proveedor ${name} no soporta la capacidad "${capability}"`
+      : `Proveedor no soportado: ${name}`);
+  }
+
+  const missing = getMissingEnv(definition);
+  if (missing.length > 0) {
+    throw createError('upstream_unavailable', `El proveedor ${definition.id} no está configurado (faltan: ${missing.join(', ')})`);
+  }
+
+  return definition;
+}
+
+/**
+ * Crear una instancia del adapter para una capacidad
+ * @param {string} name - Id o alias del proveedor
+ * @param {string} capability - Capacidad requerida ('chat', 'image', ...)
+ * @param {Object} config - Configuración adicional para el constructor
+ * @returns {Object} Instancia del adapter
+ */
+function createProvider(name, capability, config = {}) {
+  const definition = resolveProvider(name, capability);
+  return definition.create(readEnv(definition), config);
+}
+
+/**
+ * Verificar si un proveedor declara una capacidad
+ */
+function supports(name, capability) {
+  return !!findProvider(name, capability);
+}
+
+/**
+ * Obtener el modelo por defecto de un proveedor para una capacidad
+ */
+function getDefaultModel(name, capability) {
+  const definition = findProvider(name, capability);
+  if (!definition) {
+    return undefined;
+  }
+
+  return typeof definition.defaultModel === 'function'
+    ? definition.defaultModel(readEnv(definition))
+    : definition.defaultModel;
+}
+
+/**
+ * Obtener el catálogo de modelos de un proveedor para una capacidad
+ * Cada modelo: { id, name, description, aliases, contextWindow, maxOutputTokens,
+ * streaming, vision, tools, pricing: { input, output } } (precios en USD por token)
+ * En los modelos detectados vía API que no están en el catálogo, vision y tools son null (desconocido)
+ * @param {string} name - Id o alias del proveedor
+ * @param {string} capability - Capacidad ('chat' por defecto)
+ * @returns {Array<Object>} Modelos declarados
+ */
+function getModels(name, capability = 'chat') {
+  const definition = findProvider(name, capability);
+  if (!definition) {
+    return [];
+  }
+
+  return typeof definition.models === 'function'
+    ? definition.models(readEnv(definition))
+    : definition.models;
+}
+
+/**
+ * Buscar un modelo del catálogo por id o alias
+ * @param {string} name - Id o alias del proveedor
+ * @param {string} modelId - Id o alias del modelo
+ * @param {string} capability - Capacidad ('chat' por defecto)
+ * @returns {Object|undefined} Modelo encontrado
+ */
+function findModel(name, modelId, capability = 'chat') {
+  return matchModel(getModels(name, capability), modelId);
+}
+
+/**
+ * Buscar un modelo por id o alias dentro de una lista
+ * (sirve tanto para el catálogo incluido como para el listado en vivo de listModels())
+ * @param {Array<Object>} models - Lista de modelos
+ * @param {string} modelId - Id o alias del modelo
+ * @returns {Object|undefined} Modelo encontrado
+ */
+function matchModel(models, modelId) {
+  return models.find(model =>
+    model.id === modelId || (model.aliases || []).includes(modelId)
+  );
+}
+
+/**
+ * Listar los ids (y opcionalmente aliases) registrados
+ * @param {Object} options - { capability, includeAliases }
+ * @returns {Array<string>} Nombres aceptados
+ */
+function getProviderIds({ capability, includeAliases = false } = {}) {
+  const names = definitions
+    .filter(definition => !capability || definition.capabilities.includes(capability))
+    .flatMap(definition => (includeAliases ? getNames(definition) : [definition.id]));
+
+  return [...new Set(names)];
+}
+
+/**
+ * Resumen de los proveedores registrados, agrupados por id
+ * @param {Object} options - { capability } para filtrar
+ * @returns {Array<Object>} { id, name, aliases, capabilities, configured, missingEnv }
+ */
+function listProviders({ capability } = {}) {
+  const summaries = new Map();
+
+  for (const definition of definitions) {
+    if (capability && !definition.capabilities.includes(capability)) {
+      continue;
+    }
+
+    const summary = summaries.get(definition.id) || {
+      id: definition.id,
+      name: definition.name,
+      aliases: [],
+      capabilities: [],
+      configured: true,
+      missingEnv: []
+    };
+
+    summary.aliases = [...new Set([...summary.aliases, ...definition.aliases])];
+    summary.capabilities = [...new Set([...summary.capabilities, ...definition.capabilities])];
+    summary.missingEnv = [...new Set([...summary.missingEnv, ...getMissingEnv(definition)])];
+    summary.configured = summary.missingEnv.length === 0;
+
+    summaries.set(definition.id, summary);
+  }
+
+  return [...summaries.values()];
+}
+
+// Proveedores incluidos en la demo
+const BUILTIN_PROVIDERS = [
+  require('./OpenAIProvider'),
+  require('./GeminiProvider'),
+  require('./AnthropicProvider'),
+  require('./AzureChatProvider'),
+  require('./AzureImageProvider')
+];
+
+// Un módulo puede exportar varias definiciones (ej: chat e imágenes del mismo adapter)
+BUILTIN_PROVIDERS
+  .flatMap(module => module.providerDefinitions || [module.providerDefinition])
+  .forEach(definition => registerProvider(definition));
+
+module.exports = {
+  CAPABILITIES,
+  registerProvider,
+  findProvider,
+  resolveProvider,
+  createProvider,
+  supports,
+  getDefaultModel,
+  getModels,
+  findModel,
+  matchModel,
+  getProviderIds,
+  listProviders,
+  isConfigured,
+  getMissingEnv,
+  readEnv
+};
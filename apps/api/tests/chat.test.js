@@ -0,0 +1,168 @@
+/**
+ * Endpoint de chat (chat.js) contra un proveedor simulado: uso de tokens normalizado con y sin streaming,
+ * modelos detectados vía API que no están en el catálogo y parámetros de los modelos de razonamiento
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, parseSSE } = require('./helpers/lambda');
+const { startStubServer, jsonBody } = require('./helpers/stubServer');
+const { clearModelListCache } = require('../providers/BaseProvider');
+const { OpenAIProvider } = require('../providers/OpenAIProvider');
+const { handler } = require('../chat');
+
+const CHAT_PATH = 'POST /openai/deployments/gpt-4o-mini/chat/completions';
+
+const MESSAGES = [{ role: 'user', content: 'Hola' }];
+const USAGE = { prompt_tokens: 5, completion_tokens: 4, total_tokens: 9 };
+const NORMALIZED_USAGE = { inputTokens: 5, outputTokens: 4, totalTokens: 9 };
+
+// Stream de Azure: el uso llega en un último chunk sin choices (stream_options.include_usage)
+const STREAM_REPLY = {
+  chunks: [
+    `data: ${JSON.stringify({ choices: [{ delta: { content: 'Hola' } }] })}\n\n`,
+    `data: ${JSON.stringify({ choices: [{ delta: { content: ' desde Azure' } }] })}\n\n`,
+    `data: ${JSON.stringify({ choices: [], usage: USAGE })}\n\n`,
+    'data: [DONE]\n\n'
+  ]
+};
+
+const JSON_REPLY = {
+  body: {
+    model: 'gpt-4o-mini',
+    choices: [{ message: { role: 'assistant', content: 'Hola desde Azure' }, finish_reason: 'stop' }],
+    usage: USAGE
+  }
+};
+
+describe('chat', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer({ [CHAT_PATH]: request => (jsonBody(request).stream ? STREAM_REPLY : JSON_REPLY) });
+    process.env.AZURE_OPENAI_KEY = 'azure-key';
+    process.env.AZURE_OPENAI_ENDPOINT = stub.baseURL;
+  });
+
+  after(() => stub.close());
+
+  test('sin streaming devuelve el uso normalizado', async () => {
+    const response = await invoke(handler, {
+      body: { provider: 'azure', model: 'gpt-4o-mini', messages: MESSAGES, stream: false }
+    });
+    const body = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(body.response, 'Hola desde Azure');
+    assert.deepEqual(body.usage, NORMALIZED_USAGE);
+  });
+
+  test('rechaza un maxTokens que no es un entero positivo sin llamar al proveedor', async () => {
+    const requests = stub.requests.length;
+
+    for (const maxTokens of ['abc', -100000, 0, 10.5]) {
+      const response = await invoke(handler, {
+        body: { provider: 'azure', model: 'gpt-4o-mini', messages: MESSAGES, maxTokens, stream: false }
+      });
+
+      assert.equal(response.statusCode, 400);
+      assert.match(JSON.parse(response.body).error.details.join('\n'), /maxTokens/);
+    }
+
+    assert.equal(stub.requests.length, requests);
+  });
+
+  test('con streaming Azure pide el uso y la metadata lo trae normalizado', async () => {
+    const response = await invoke(handler, {
+      body: { provider: 'azure', model: 'gpt-4o-mini', messages: MESSAGES, stream: true }
+    });
+    const events = parseSSE(response.body);
+    const metadata = events.find(event => event.type === 'metadata').metadata;
+
+    assert.deepEqual(jsonBody(stub.requests.at(-1)).stream_options, { include_usage: true });
+    assert.equal(events.filter(event => event.type === 'content').map(event => event.delta).join(''), 'Hola desde Azure');
+    assert.deepEqual(metadata.usage, NORMALIZED_USAGE);
+  });
+});
+
+describe('chat con un modelo detectado vía API', () => {
+  const original = {
+    fetchModels: OpenAIProvider.prototype.fetchModels,
+    chat: OpenAIProvider.prototype.chat
+  };
+  const calls = [];
+
+  before(() => {
+    process.env.OPENAI_API_KEY = 'sk-test';
+    clearModelListCache();
+
+    // La API lista un modelo que el catálogo incluido no conoce
+    OpenAIProvider.prototype.fetchModels = async () => [{ id: 'gpt-4.1' }];
+    OpenAIProvider.prototype.chat = async params => {
+      calls.push(params);
+      return { content: 'Listo', toolCalls: [], finishReason: 'stop', model: params.model, usage: USAGE };
+    };
+  });
+
+  after(() => {
+    Object.assign(OpenAIProvider.prototype, original);
+    delete process.env.OPENAI_API_KEY;
+    clearModelListCache();
+  });
+
+  test('acepta herramientas e imágenes aunque el catálogo no declare esas capacidades', async () => {
+    const tools = [{ name: 'get_time', description: 'Hora actual', parameters: { type: 'object', properties: {} } }];
+    const withTools = await invoke(handler, {
+      body: { provider: 'openai', model: 'gpt-4.1', messages: MESSAGES, tools, stream: false }
+    });
+    const withImage = await invoke(handler, {
+      body: {
+        provider: 'openai',
+        model: 'gpt-4.1',
+        stream: false,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: '¿Qué hay en la imagen?' },
+            { type: 'image', mimeType: 'image/png', data: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==' }
+          ]
+        }]
+      }
+    });
+    const withServerTools = await invoke(handler, {
+      body: { provider: 'openai', model: 'gpt-4.1', messages: MESSAGES, serverTools: true, stream: false }
+    });
+
+    assert.equal(withTools.statusCode, 200);
+    assert.equal(withImage.statusCode, 200);
+    assert.equal(withServerTools.statusCode, 200);
+    assert.ok(calls.every(call => call.model === 'gpt-4.1'));
+  });
+});
+
+describe('OpenAIProvider con modelos de razonamiento', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer({ 'POST /chat/completions': JSON_REPLY });
+  });
+
+  after(() => stub.close());
+
+  test('envía max_completion_tokens y no temperature', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseURL: stub.baseURL });
+
+    await provider.chat({ model: 'o4-mini', messages: MESSAGES, temperature: 0.7, maxTokens: 500, stream: false });
+    await provider.chat({ model: 'gpt-4o-mini', messages: MESSAGES, temperature: 0.7, maxTokens: 500, stream: false });
+
+    const [reasoning, regular] = stub.requests.map(jsonBody);
+
+    assert.equal(reasoning.max_completion_tokens, 500);
+    assert.equal(reasoning.temperature, undefined);
+    assert.equal(reasoning.max_tokens, undefined);
+    assert.equal(regular.max_tokens, 500);
+    assert.equal(regular.temperature, 0.7);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Endpoint de comparación (compare.js): validación del body y ejecución contra un proveedor simulado
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke } = require('./helpers/lambda');
+const { startStubServer, jsonBody } = require('./helpers/stubServer');
+const { handler } = require('../compare');
+
+const COMPLETION = {
+  body: {
+    model: 'gpt-4o-mini',
+    choices: [{ message: { role: 'assistant', content: 'Hola desde Azure' }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 5, completion_tokens: 4, total_tokens: 9 }
+  }
+};
+
+const MESSAGES = [{ role: 'user', content: 'Hola' }];
+
+const errorOf = response => JSON.parse(response.body).error;
+
+describe('compare', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer({ 'POST /openai/deployments/gpt-4o-mini/chat/completions': COMPLETION });
+    process.env.AZURE_OPENAI_KEY = 'azure-key';
+    process.env.AZURE_OPENAI_ENDPOINT = stub.baseURL;
+  });
+
+  after(() => stub.close());
+
+  test('compara los destinos y devuelve un resultado por cada uno', async () => {
+    const response = await invoke(handler, {
+      body: { targets: [{ provider: 'azure', model: 'gpt-4o-mini' }], messages: MESSAGES }
+    });
+    const body = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(body.results.length, 1);
+    assert.equal(body.results[0].response, 'Hola desde Azure');
+    assert.equal(jsonBody(stub.requests.at(-1)).messages[0].content, 'Hola');
+  });
+
+  test('rechaza el body sin targets', async () => {
+    const response = await invoke(handler, { body: { messages: MESSAGES } });
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(errorOf(response).type, 'invalid_request');
+    assert.match(errorOf(response).details.join('\n'), /targets/);
+  });
+
+  test('rechaza un maxTokens que no es un entero positivo', async () => {
+    const response = await invoke(handler, {
+      body: { targets: [{ provider: 'azure' }], messages: MESSAGES, maxTokens: -100000 }
+    });
+
+    assert.equal(response.statusCode, 400);
+    assert.match(errorOf(response).details.join('\n'), /maxTokens/);
+  });
+
+  test('rechaza más de 4 destinos y proveedores desconocidos', async () => {
+    const tooMany = await invoke(handler, {
+      body: { targets: Array(5).fill({ provider: 'azure' }), messages: MESSAGES }
+    });
+    const unknown = await invoke(handler, {
+      body: { targets: [{ provider: 'inventado' }], messages: MESSAGES }
+    });
+
+    assert.equal(tooMany.statusCode, 400);
+    assert.equal(unknown.statusCode, 400);
+    assert.match(errorOf(unknown).details[0], /targets\[0\]: provider debe ser uno de/);
+  });
+
+  test('valida los mensajes igual que chat (roles, largo y cantidad)', async () => {
+    const targets = [{ provider: 'azure' }];
+    const cases = [
+      [{ role: 'robot', content: 'Hola' }],
+      [{ role: 'user', content: 'a'.repeat(10001) }],
+      Array(51).fill({ role: 'user', content: 'Hola' })
+    ];
+
+    const requestsBefore = stub.requests.length;
+
+    for (const messages of cases) {
+      const response = await invoke(handler, { body: { targets, messages } });
+      assert.equal(response.statusCode, 400);
+    }
+
+    // Ningún body inválido llega al proveedor
+    assert.equal(stub.requests.length, requestsBefore);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Descarga de imágenes remotas (utils/content.js): solo URLs https públicas
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer } = require('./helpers/stubServer');
+const { fetchImageAsBase64, decodeImageInput } = require('../utils/content');
+
+const BLOCKED_URLS = [
+  'https://127.0.0.1/imagen.png',
+  'https://localhost/imagen.png',
+  'https://10.0.0.8/imagen.png',
+  'https://192.168.1.20/imagen.png',
+  'https://169.254.169.254/latest/meta-data',
+  'https://[::1]/imagen.png',
+  'https://[fd00::1]/imagen.png',
+  'https://[::ffff:127.0.0.1]/imagen.png'
+];
+
+test('rechaza URLs que no son https', async () => {
+  await assert.rejects(fetchImageAsBase64('http://example.com/imagen.png'), {
+    type: 'invalid_request',
+    message: /debe ser https/
+  });
+  await assert.rejects(fetchImageAsBase64('file:///etc/passwd'), { type: 'invalid_request' });
+  await assert.rejects(fetchImageAsBase64('no es una url'), { type: 'invalid_request' });
+});
+
+test('rechaza hosts privados, loopback y link-local', async () => {
+  for (const url of BLOCKED_URLS) {
+    await assert.rejects(fetchImageAsBase64(url), { type: 'invalid_request', message: /dirección no permitida/ }, url);
+  }
+});
+
+test('no llega a conectarse a un servidor local', async () => {
+  const stub = await startStubServer({ 'GET /imagen.png': { headers: { 'Content-Type': 'image/png' }, body: 'png' } });
+  const port = new URL(stub.baseURL).port;
+
+  try {
+    await assert.rejects(fetchImageAsBase64(`https://localhost:${port}/imagen.png`), { type: 'invalid_request' });
+    assert.equal(stub.requests.length, 0);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('las ediciones rechazan imágenes fuente en hosts internos', async () => {
+  await assert.rejects(decodeImageInput('https://169.254.169.254/imagen.png'), /dirección no permitida/);
+});
@@ -0,0 +1,133 @@
+/**
+ * Ventana de contexto (utils/context.js): recorte con ventana conocida, envío sin recortar si no se conoce
+ * y estrategia summarize con un proveedor simulado
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateContextOptions, fitToContext } = require('../utils/context');
+const { createError } = require('../utils/errors');
+
+// Conversación de 20 turnos de ~250 tokens cada mensaje
+const LONG_TEXT = 'palabra '.repeat(125);
+const CONVERSATION = Array.from({ length: 20 }, () => [
+  { role: 'user', content: LONG_TEXT },
+  { role: 'assistant', content: LONG_TEXT }
+]).flat().concat({ role: 'user', content: '¿Y entonces?' });
+
+const targetFor = (contextWindow, provider = null) => ({
+  providerType: 'azure',
+  provider,
+  modelInfo: { id: 'mi-deployment', contextWindow }
+});
+
+/**
+ * Proveedor simulado: registra cada llamada y responde con reply(params)
+ */
+function fakeProvider(reply) {
+  const calls = [];
+  return {
+    calls,
+    chat: async params => {
+      calls.push(params);
+      return reply(params);
+    }
+  };
+}
+
+describe('fitToContext', () => {
+  test('con la ventana del catálogo descarta los turnos más antiguos', async () => {
+    const { messages, context } = await fitToContext(CONVERSATION, targetFor(4000), {
+      maxTokens: 1000,
+      context: validateContextOptions(undefined),
+      source: CONVERSATION
+    });
+
+    assert.equal(context.contextWindow, 4000);
+    assert.ok(context.dropped.length > 0);
+    assert.ok(context.promptTokens <= context.budget);
+    assert.equal(messages.at(-1).content, '¿Y entonces?');
+  });
+
+  test('si el catálogo no conoce la ventana envía la conversación entera', async () => {
+    const { messages, context } = await fitToContext(CONVERSATION, targetFor(null), {
+      maxTokens: 1000,
+      context: validateContextOptions({ strategy: 'truncate_oldest' }),
+      source: CONVERSATION
+    });
+
+    assert.equal(messages.length, CONVERSATION.length);
+    assert.equal(context.contextWindow, null);
+    assert.equal(context.budget, null);
+    assert.equal(context.remaining, null);
+    assert.deepEqual(context.dropped, []);
+  });
+
+  test('sin ventana conocida, context.maxPromptTokens fija el presupuesto', async () => {
+    const { context } = await fitToContext(CONVERSATION, targetFor(null), {
+      maxTokens: 1000,
+      context: validateContextOptions({ maxPromptTokens: 2000 }),
+      source: CONVERSATION
+    });
+
+    assert.equal(context.contextWindow, null);
+    assert.equal(context.budget, 2000);
+    assert.ok(context.dropped.length > 0);
+    assert.ok(context.promptTokens <= 2000);
+  });
+
+  test('sin ventana conocida, keep_last conserva los últimos mensajes', async () => {
+    const { messages } = await fitToContext(CONVERSATION, targetFor(null), {
+      maxTokens: 1000,
+      context: validateContextOptions({ strategy: 'keep_last', maxMessages: 5 }),
+      source: CONVERSATION
+    });
+
+    assert.equal(messages.length, 5);
+  });
+
+  test('summarize reemplaza los turnos descartados por un resumen del mismo modelo', async () => {
+    const provider = fakeProvider(() => ({ content: 'El usuario repitió muchas palabras.', usage: { prompt_tokens: 900, completion_tokens: 8 } }));
+    const { messages, context } = await fitToContext(CONVERSATION, targetFor(4000, provider), {
+      maxTokens: 1000,
+      context: validateContextOptions({ strategy: 'summarize' }),
+      source: CONVERSATION
+    });
+
+    const [call] = provider.calls;
+    const summaryMessage = messages.find(message => message.role === 'system');
+
+    assert.equal(provider.calls.length, 1);
+    assert.equal(call.model, 'mi-deployment');
+    assert.equal(call.stream, false);
+    assert.equal(call.messages[0].role, 'system');
+    assert.match(call.messages[1].content, /Usuario: palabra/);
+    assert.match(call.messages[1].content, /Asistente: palabra/);
+
+    assert.equal(messages[0], summaryMessage);
+    assert.match(summaryMessage.content, /^Resumen de la conversación anterior:\nEl usuario repitió muchas palabras\.$/);
+    assert.equal(messages.at(-1).content, '¿Y entonces?');
+    assert.equal(context.summary.summarizedMessages, context.dropped.length);
+    assert.deepEqual(context.summary.usage, { inputTokens: 900, outputTokens: 8, totalTokens: 908 });
+    assert.ok(context.promptTokens <= context.budget);
+  });
+
+  test('si el resumen falla se envía la conversación recortada e informa el error', async () => {
+    const provider = fakeProvider(() => {
+      throw createError('rate_limited', 'Demasiados requests');
+    });
+    const { messages, context } = await fitToContext(CONVERSATION, targetFor(4000, provider), {
+      maxTokens: 1000,
+      context: validateContextOptions({ strategy: 'summarize' }),
+      source: CONVERSATION
+    });
+
+    assert.equal(provider.calls.length, 1);
+    assert.ok(context.dropped.length > 0);
+    assert.equal(messages.length, CONVERSATION.length - context.dropped.length);
+    assert.ok(messages.every(message => message.role !== 'system'));
+    assert.deepEqual(context.summary, { error: 'Demasiados requests', errorType: 'rate_limited' });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Entorno de Netlify para invocar handlers en los tests
+ * stream() de @netlify/functions usa el global "awslambda" del runtime de AWS Lambda;
+ * aquí se simula y se junta el body (string o stream) en un string.
+ * Se debe requerir antes que los handlers.
+ */
+
+const { Writable } = require('node:stream');
+
+let responseMetadata = {};
+
+global.awslambda = {
+  streamifyResponse: handler => async (event, context = {}) => {
+    let body = '';
+    const responseStream = new Writable({
+      write(chunk, encoding, callback) {
+        body += chunk.toString();
+        callback();
+      }
+    });
+    const finished = new Promise(resolve => responseStream.on('finish', resolve));
+
+    await handler(event, responseStream, context);
+    await finished;
+
+    return { ...responseMetadata, body };
+  },
+  HttpResponseStream: {
+    from: (responseStream, metadata) => {
+      responseMetadata = metadata;
+      return responseStream;
+    }
+  }
+};
+
+/**
+ * Invocar un handler con un evento de Netlify
+ * @param {Function} handler - Handler exportado por el endpoint
+ * @param {Object} event - { httpMethod, headers, body (objeto o string), queryStringParameters }
+ * @returns {Promise<Object>} { statusCode, headers, body } con body como string
+ */
+async function invoke(handler, event = {}) {
+  responseMetadata = {};
+
+  const response = await handler({
+    httpMethod: 'POST',
+    ...event,
+    // Cada invocación con su propia IP para no compartir el rate limit entre tests
+    headers: { 'x-forwarded-for': `10.0.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}`, ...event.headers },
+    body: event.body === undefined || typeof event.body === 'string' ? event.body : JSON.stringify(event.body)
+  }, {});
+
+  return { ...responseMetadata, ...response };
+}
+
+/**
+ * Eventos de un body SSE ("data: {...}")
+ */
+function parseSSE(body) {
+  return body
+    .split('\n')
+    .filter(line => line.startsWith('data: '))
+    .map(line => JSON.parse(line.slice(6)));
+}
+
+module.exports = {
+  invoke,
+  parseSSE
+};
@@ -0,0 +1,91 @@
+/**
+ * Servidor HTTP local que simula la API de un proveedor en los tests
+ * Cada ruta ("POST /chat/completions", sin query string) responde con:
+ * - un objeto { status, headers, body } (body: objeto JSON, string o Buffer)
+ * - una lista de respuestas que se usan en orden (la última se repite)
+ * - una función (request) => respuesta
+ * Con "chunks" la respuesta se envía por partes y "abort: true" corta la conexión al terminar
+ * (simula un stream que se interrumpe).
+ */
+
+const http = require('node:http');
+
+/**
+ * Levantar el servidor en un puerto libre de 127.0.0.1
+ * @param {Object} routes - { 'MÉTODO /ruta': respuesta | Array | Function }
+ * @returns {Promise<Object>} { baseURL, requests, close }
+ */
+async function startStubServer(routes) {
+  const requests = [];
+  const counters = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+
+    const path = req.url.split('?')[0];
+    const key = `${req.method} ${path}`;
+    const request = { method: req.method, path, url: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+    requests.push(request);
+
+    const route = routes[key];
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: `Ruta no simulada: ${key}` } }));
+      return;
+    }
+
+    const count = counters.get(key) || 0;
+    counters.set(key, count + 1);
+
+    const reply = typeof route === 'function'
+      ? await route(request)
+      : Array.isArray(route) ? route[Math.min(count, route.length - 1)] : route;
+
+    const { status = 200, headers = {}, body = {} } = reply;
+
+    if (reply.chunks) {
+      res.writeHead(status, { 'Content-Type': 'text/event-stream', ...headers });
+      for (const chunk of reply.chunks) {
+        res.write(chunk);
+      }
+
+      if (reply.abort) {
+        // Dar tiempo a que el cliente reciba lo enviado antes de cortar
+        setTimeout(() => res.socket.destroy(), 20);
+      } else {
+        res.end();
+      }
+      return;
+    }
+
+    const isRaw = typeof body === 'string' || Buffer.isBuffer(body);
+    res.writeHead(status, { ...(!isRaw && { 'Content-Type': 'application/json' }), ...headers });
+    res.end(isRaw ? body : JSON.stringify(body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseURL: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Body JSON de un request registrado
+ */
+function jsonBody(request) {
+  return JSON.parse(request.body.toString());
+}
+
+module.exports = {
+  startStubServer,
+  jsonBody
+};
@@ -0,0 +1,183 @@
+/**
+ * Generación de imágenes: adapters de OpenAI y Azure y el endpoint image.js contra un proveedor simulado
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, parseSSE } = require('./helpers/lambda');
+const { startStubServer, jsonBody } = require('./helpers/stubServer');
+const { OpenAIProvider } = require('../providers/OpenAIProvider');
+const { AzureImageProvider } = require('../providers/AzureImageProvider');
+const { handler } = require('../image');
+
+// PNG de 1x1
+const PNG_B64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const imagesReply = (count = 1) => ({
+  body: {
+    created: 1700000000,
+    data: Array.from({ length: count }, () => ({ b64_json: PNG_B64, revised_prompt: 'Un gato naranja programando' }))
+  }
+});
+
+// Respuesta según el "n" pedido, como la API real
+const IMAGES_ROUTE = request => imagesReply(jsonBody(request).n);
+
+const AZURE_PATH = 'POST /openai/deployments/dall-e-3/images/generations';
+
+describe('OpenAIProvider.generateImage', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer({ 'POST /images/generations': IMAGES_ROUTE });
+  });
+
+  after(() => stub.close());
+
+  test('envía el request de /images/generations y normaliza las imágenes', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseURL: stub.baseURL });
+
+    const result = await provider.generateImage({ prompt: 'Un gato programando', model: 'dall-e-3' });
+    const request = stub.requests.at(-1);
+    const body = jsonBody(request);
+
+    assert.equal(request.headers.authorization, 'Bearer sk-test');
+    assert.equal(body.model, 'dall-e-3');
+    assert.equal(body.prompt, 'Un gato programando');
+    assert.equal(body.size, '1024x1024');
+    assert.equal(body.response_format, 'b64_json');
+    assert.equal(result.images.length, 1);
+    assert.equal(result.images[0].b64, PNG_B64);
+    assert.equal(result.images[0].revisedPrompt, 'Un gato naranja programando');
+  });
+
+  test('valida tamaño y cantidad contra el catálogo sin llamar a la API', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseURL: stub.baseURL });
+    const requestsBefore = stub.requests.length;
+
+    await assert.rejects(provider.generateImage({ prompt: 'Gato', model: 'dall-e-3', size: '256x256' }), { status: 400 });
+    await assert.rejects(provider.generateImage({ prompt: 'Gato', model: 'dall-e-3', n: 2 }), { status: 400 });
+    assert.equal(stub.requests.length, requestsBefore);
+  });
+});
+
+describe('AzureImageProvider.generateImage', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer({ [AZURE_PATH]: IMAGES_ROUTE });
+  });
+
+  after(() => stub.close());
+
+  test('usa el deployment, la api-key y la api-version configurados', async () => {
+    const provider = new AzureImageProvider({ apiKey: 'azure-key', endpoint: `${stub.baseURL}/`, apiVersion: '2024-06-01' });
+
+    const result = await provider.generateImage({ prompt: 'Un gato programando', quality: 'hd', style: 'natural' });
+    const request = stub.requests.at(-1);
+    const body = jsonBody(request);
+
+    assert.equal(request.url, '/openai/deployments/dall-e-3/images/generations?api-version=2024-06-01');
+    assert.equal(request.headers['api-key'], 'azure-key');
+    assert.equal(body.quality, 'hd');
+    assert.equal(body.style, 'natural');
+    assert.equal(result.model, 'dall-e-3');
+    assert.equal(result.images[0].b64, PNG_B64);
+  });
+
+  test('clasifica el rechazo por filtro de contenido', async () => {
+    const filtered = await startStubServer({
+      [AZURE_PATH]: {
+        status: 400,
+        body: { error: { code: 'content_policy_violation', message: 'Your request was rejected by the safety system' } }
+      }
+    });
+    const provider = new AzureImageProvider({ apiKey: 'azure-key', endpoint: filtered.baseURL });
+
+    try {
+      await assert.rejects(provider.generateImage({ prompt: 'Algo prohibido' }), { type: 'content_filtered', status: 400 });
+    } finally {
+      await filtered.close();
+    }
+  });
+});
+
+describe('image.js', () => {
+  let stub;
+  let storageDir;
+
+  before(async () => {
+    stub = await startStubServer({ [AZURE_PATH]: IMAGES_ROUTE });
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-test-'));
+
+    process.env.AZURE_OPENAI_KEY = 'azure-key';
+    process.env.AZURE_OPENAI_ENDPOINT = stub.baseURL;
+    process.env.STORAGE_BACKEND = 'fs';
+    process.env.STORAGE_DIR = storageDir;
+  });
+
+  after(async () => {
+    await stub.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+  });
+
+  test('genera la imagen, la devuelve como data URL y la guarda en la galería', async () => {
+    const response = await invoke(handler, { body: { provider: 'azure', prompt: 'Un gato programando' } });
+    const body = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(body.images[0].image, `data:image/png;base64,${PNG_B64}`);
+    assert.equal(body.metadata.prompt.revised, 'Un gato naranja programando');
+    assert.match(body.images[0].galleryId, /^[a-z0-9]{9}-[a-f0-9]{8}$/);
+    assert.ok(fs.existsSync(path.join(storageDir, 'image-gallery', 'meta', body.images[0].galleryId)));
+  });
+
+  test('con save: false no guarda en la galería', async () => {
+    const response = await invoke(handler, { body: { provider: 'azure', prompt: 'Un gato', save: false } });
+    const body = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(body.images[0].galleryId, undefined);
+  });
+
+  test('un body inválido responde 400 sin llamar al proveedor', async () => {
+    const missingPrompt = await invoke(handler, { body: { provider: 'azure' } });
+    const invalidSize = await invoke(handler, { body: { provider: 'azure', prompt: 'Gato', size: '10x10' } });
+
+    assert.equal(missingPrompt.statusCode, 400);
+    assert.equal(invalidSize.statusCode, 400);
+    assert.equal(JSON.parse(invalidSize.body).error.type, 'invalid_request');
+    assert.equal(stub.requests.length, 0);
+  });
+
+  test('batch que pide más de 10 imágenes en total (generaciones × n) responde 400', async () => {
+    const response = await invoke(handler, {
+      body: { provider: 'azure', batch: { prompts: ['Un gato', 'Un perro', 'Un loro'] }, n: 4, save: false }
+    });
+
+    assert.equal(response.statusCode, 400);
+    assert.match(JSON.parse(response.body).error.message, /12 imágenes/);
+    assert.equal(stub.requests.length, 0);
+  });
+
+  test('batch con streaming emite el progreso de cada generación', async () => {
+    const response = await invoke(handler, {
+      body: { provider: 'azure', batch: { prompts: ['Un gato', 'Un perro'] }, stream: true, save: false }
+    });
+    const events = parseSSE(response.body);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(events.map(event => event.type), ['start', 'item', 'progress', 'item', 'progress', 'done']);
+    assert.equal(events.at(-1).metadata.batch.succeeded, 2);
+    assert.deepEqual(stub.requests.map(request => jsonBody(request).prompt).sort(), ['Un gato', 'Un perro']);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Listado de modelos (BaseProvider.listModels): en vivo, caché con TTL y catálogo incluido si la API falla,
+ * con los endpoints de modelos de OpenAI, Gemini y Anthropic simulados
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer } = require('./helpers/stubServer');
+const { clearModelListCache } = require('../providers/BaseProvider');
+const { OpenAIProvider } = require('../providers/OpenAIProvider');
+const { AzureChatProvider } = require('../providers/AzureChatProvider');
+const { GeminiProvider } = require('../providers/GeminiProvider');
+const { AnthropicProvider } = require('../providers/AnthropicProvider');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const MODELS_RESPONSE = {
+  body: { data: [{ id: 'gpt-4o-mini' }, { id: 'gpt-4.5-preview' }, { id: 'whisper-1' }, { id: 'tts-1' }] }
+};
+
+const FAILURE_RESPONSE = {
+  status: 503,
+  body: { error: { type: 'server_error', message: 'Service unavailable' } }
+};
+
+describe('listModels', () => {
+  let stub;
+
+  beforeEach(() => clearModelListCache());
+  afterEach(() => stub?.close());
+
+  test('lista en vivo los modelos de chat y los combina con el catálogo', async () => {
+    stub = await startStubServer({ 'GET /models': MODELS_RESPONSE });
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseURL: stub.baseURL });
+
+    const listing = await provider.listModels();
+
+    assert.equal(listing.source, 'live');
+    assert.deepEqual(listing.models.map(model => model.id), ['gpt-4o-mini', 'gpt-4.5-preview']);
+    assert.equal(listing.models[0].contextWindow, 128000);
+    assert.equal(listing.models[1].description, 'Detectado vía API');
+    assert.equal(stub.requests[0].headers.authorization, 'Bearer sk-test');
+  });
+
+  test('usa la caché dentro del TTL y la ignora con forceRefresh', async () => {
+    stub = await startStubServer({ 'GET /models': MODELS_RESPONSE });
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseURL: stub.baseURL });
+
+    await provider.listModels();
+    const cached = await provider.listModels();
+
+    assert.equal(cached.source, 'cache');
+    assert.equal(cached.models.length, 2);
+    assert.equal(stub.requests.length, 1);
+
+    const refreshed = await provider.listModels({ forceRefresh: true });
+
+    assert.equal(refreshed.source, 'live');
+    assert.equal(stub.requests.length, 2);
+  });
+
+  test('vuelve a consultar la API cuando vence el TTL', async () => {
+    stub = await startStubServer({ 'GET /models': MODELS_RESPONSE });
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseURL: stub.baseURL, modelsCacheTtlMs: 20 });
+
+    await provider.listModels();
+    await sleep(30);
+    const listing = await provider.listModels();
+
+    assert.equal(listing.source, 'live');
+    assert.equal(stub.requests.length, 2);
+  });
+
+  test('si la API falla usa el catálogo incluido y lo cachea por un TTL corto', async () => {
+    stub = await startStubServer({ 'GET /models': [FAILURE_RESPONSE, MODELS_RESPONSE] });
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseURL: stub.baseURL, fallbackModelsTtlMs: 30 });
+
+    const fallback = await provider.listModels();
+
+    assert.equal(fallback.source, 'fallback');
+    assert.match(fallback.error, /Service unavailable/);
+    assert.deepEqual(fallback.models, provider.getBundledModels());
+
+    // Mientras dura el TTL corto no se vuelve a consultar la API caída
+    const cachedFallback = await provider.listModels();
+
+    assert.equal(cachedFallback.source, 'fallback');
+    assert.equal(stub.requests.length, 1);
+
+    await sleep(40);
+    const recovered = await provider.listModels();
+
+    assert.equal(recovered.source, 'live');
+    assert.equal(stub.requests.length, 2);
+  });
+
+  test('si la API no responde (conexión rechazada) usa el catálogo incluido', async () => {
+    stub = await startStubServer({});
+    const { baseURL } = stub;
+    await stub.close();
+    stub = null;
+
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseURL });
+    const listing = await provider.listModels();
+
+    assert.equal(listing.source, 'fallback');
+    assert.ok(listing.models.some(model => model.id === 'gpt-4o-mini'));
+  });
+
+  test('Azure lista los deployments configurados sin consultar la API', async () => {
+    stub = await startStubServer({});
+    const provider = new AzureChatProvider({ apiKey: 'azure-key', endpoint: stub.baseURL, deployment: 'gpt-4o, mi-deployment' });
+
+    const listing = await provider.listModels();
+
+    assert.equal(listing.source, 'config');
+    assert.deepEqual(listing.models.map(model => model.id), ['gpt-4o', 'mi-deployment']);
+    assert.equal(listing.models[0].contextWindow, 128000);
+    assert.equal(listing.models[1].contextWindow, null);
+    assert.equal(stub.requests.length, 0);
+  });
+
+  test('Gemini recorre las páginas, quita el prefijo "models/" y descarta los que no generan contenido', async () => {
+    stub = await startStubServer({
+      'GET /models': request => new URL(request.url, 'http://stub').searchParams.get('pageToken') === 'pagina-2'
+        ? { body: { models: [{ name: 'models/gemini-2.5-flash', displayName: 'Gemini 2.5 Flash', inputTokenLimit: 1048576, outputTokenLimit: 65536, supportedGenerationMethods: ['generateContent'] }] } }
+        : {
+          body: {
+            models: [
+              { name: 'models/gemini-1.5-flash', displayName: 'Gemini 1.5 Flash', supportedGenerationMethods: ['generateContent', 'countTokens'] },
+              { name: 'models/text-embedding-004', displayName: 'Text Embedding 004', supportedGenerationMethods: ['embedContent'] }
+            ],
+            nextPageToken: 'pagina-2'
+          }
+        }
+    });
+    const provider = new GeminiProvider({ apiKey: 'gemini-key', baseURL: stub.baseURL });
+
+    const listing = await provider.listModels();
+    const discovered = listing.models.find(model => model.id === 'gemini-2.5-flash');
+
+    assert.equal(listing.source, 'live');
+    assert.deepEqual(listing.models.map(model => model.id), ['gemini-1.5-flash', 'gemini-2.5-flash']);
+    assert.equal(discovered.contextWindow, 1048576);
+    assert.equal(discovered.tools, null);
+    assert.equal(stub.requests.length, 2);
+    assert.equal(new URL(stub.requests[0].url, 'http://stub').searchParams.get('key'), 'gemini-key');
+  });
+
+  test('Gemini usa el catálogo incluido si la API falla', async () => {
+    stub = await startStubServer({ 'GET /models': { status: 403, body: { error: { code: 403, message: 'API key not valid', status: 'PERMISSION_DENIED' } } } });
+    const provider = new GeminiProvider({ apiKey: 'gemini-key', baseURL: stub.baseURL });
+
+    const listing = await provider.listModels();
+
+    assert.equal(listing.source, 'fallback');
+    assert.deepEqual(listing.models, provider.getBundledModels());
+  });
+
+  test('Anthropic lista los modelos con x-api-key y anthropic-version', async () => {
+    stub = await startStubServer({
+      'GET /models': { body: { data: [{ id: 'claude-3-haiku-20240307', display_name: 'Claude 3 Haiku' }, { id: 'claude-sonnet-4-5', display_name: 'Claude Sonnet 4.5' }], has_more: false } }
+    });
+    const provider = new AnthropicProvider({ apiKey: 'sk-ant-test', baseURL: stub.baseURL });
+
+    const listing = await provider.listModels();
+    const discovered = listing.models.find(model => model.id === 'claude-sonnet-4-5');
+
+    assert.equal(listing.source, 'live');
+    assert.equal(listing.models[0].contextWindow, 200000);
+    assert.equal(discovered.name, 'Claude Sonnet 4.5');
+    assert.equal(discovered.vision, null);
+    assert.equal(stub.requests[0].headers['x-api-key'], 'sk-ant-test');
+    assert.equal(stub.requests[0].headers['anthropic-version'], '2023-06-01');
+  });
+
+  test('Anthropic usa el catálogo incluido si la API falla', async () => {
+    stub = await startStubServer({ 'GET /models': { status: 529, body: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } } } });
+    const provider = new AnthropicProvider({ apiKey: 'sk-ant-test', baseURL: stub.baseURL });
+
+    const listing = await provider.listModels();
+
+    assert.equal(listing.source, 'fallback');
+    assert.match(listing.error, /Overloaded/);
+    assert.deepEqual(listing.models, provider.getBundledModels());
+  });
+});
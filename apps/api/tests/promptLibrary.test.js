@@ -0,0 +1,33 @@
+/**
+ * Biblioteca de prompts: los prompts internos del backend no se exponen como personas
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { listPrompts, getPrompt, applyPromptLibrary } = require('../utils/promptLibrary');
+
+describe('promptLibrary', () => {
+  test('listPrompts no incluye los prompts internos', () => {
+    const ids = listPrompts().map(prompt => prompt.id);
+
+    assert.ok(ids.includes('tutor-socratico'));
+    assert.ok(!ids.includes('mejorador-prompts-imagen'));
+    assert.ok(!ids.includes('resumidor-conversacion'));
+    assert.ok(listPrompts().every(prompt => prompt.internal === undefined));
+  });
+
+  test('getPrompt devuelve los prompts internos para el backend', () => {
+    assert.equal(getPrompt('mejorador-prompts-imagen').internal, true);
+    assert.equal(getPrompt('resumidor-conversacion').internal, true);
+    assert.equal(getPrompt('tutor-socratico').internal, false);
+  });
+
+  test('un prompt interno no se acepta como promptId', () => {
+    assert.throws(
+      () => applyPromptLibrary([{ role: 'user', content: 'Hola' }], { promptId: 'mejorador-prompts-imagen' }),
+      error => error.type === 'invalid_request' && /Prompt no encontrado/.test(error.message) && !/mejorador/.test(error.message.split('Disponibles:')[1])
+    );
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Reintentos contra los proveedores (BaseProvider.fetchWithRetry y utils/retry.js)
+ * El proveedor se simula con un servidor local que responde 429/503 antes de una respuesta válida
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer } = require('./helpers/stubServer');
+const { OpenAIProvider } = require('../providers/OpenAIProvider');
+const { toChatEvents } = require('../utils/sse');
+const { parseRetryAfter, backoffDelay, resolveRetryPolicy, validateRetryOptions } = require('../utils/retry');
+
+const COMPLETION = {
+  body: {
+    model: 'gpt-4o-mini',
+    choices: [{ message: { role: 'assistant', content: 'Hola' }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 5, completion_tokens: 1, total_tokens: 6 }
+  }
+};
+
+const RATE_LIMITED = {
+  status: 429,
+  body: { error: { type: 'requests', code: 'rate_limit_exceeded', message: 'Rate limit reached' } }
+};
+
+const UNAVAILABLE = {
+  status: 503,
+  body: { error: { type: 'server_error', message: 'The server is overloaded' } }
+};
+
+const MESSAGES = [{ role: 'user', content: 'Hola' }];
+
+// Backoff mínimo para que los tests no esperen
+const FAST_RETRY = { maxAttempts: 3, budgetMs: 5000, baseDelayMs: 1, maxDelayMs: 5 };
+
+describe('fetchWithRetry', () => {
+  let stub;
+
+  afterEach(() => stub?.close());
+
+  const createProvider = (retry = FAST_RETRY) => new OpenAIProvider({ apiKey: 'sk-test', baseURL: stub.baseURL, retry });
+  const chat = (provider, options = {}) => provider.chat({ model: 'gpt-4o-mini', messages: MESSAGES, stream: false, ...options });
+
+  test('reintenta un 429 y un 503 hasta obtener la respuesta', async () => {
+    stub = await startStubServer({ 'POST /chat/completions': [RATE_LIMITED, UNAVAILABLE, COMPLETION] });
+
+    const response = await chat(createProvider());
+
+    assert.equal(response.content, 'Hola');
+    assert.equal(stub.requests.length, 3);
+  });
+
+  test('respeta retry-after-ms', async () => {
+    stub = await startStubServer({
+      'POST /chat/completions': [{ ...RATE_LIMITED, headers: { 'retry-after-ms': '150' } }, COMPLETION]
+    });
+
+    const start = Date.now();
+    await chat(createProvider());
+
+    assert.equal(stub.requests.length, 2);
+    assert.ok(Date.now() - start >= 140, `esperó ${Date.now() - start} ms`);
+  });
+
+  test('respeta Retry-After en segundos', async () => {
+    stub = await startStubServer({
+      'POST /chat/completions': [{ ...UNAVAILABLE, headers: { 'Retry-After': '1' } }, COMPLETION]
+    });
+
+    const start = Date.now();
+    await chat(createProvider());
+
+    assert.equal(stub.requests.length, 2);
+    assert.ok(Date.now() - start >= 950, `esperó ${Date.now() - start} ms`);
+  });
+
+  test('devuelve el último error al agotar los intentos', async () => {
+    stub = await startStubServer({ 'POST /chat/completions': UNAVAILABLE });
+
+    await assert.rejects(chat(createProvider()), error => {
+      assert.equal(error.type, 'upstream_unavailable');
+      assert.equal(error.status, 503);
+      assert.equal(error.attempts, 3);
+      return true;
+    });
+    assert.equal(stub.requests.length, 3);
+  });
+
+  test('no espera más que el presupuesto: falla sin reintentar si Retry-After lo supera', async () => {
+    stub = await startStubServer({
+      'POST /chat/completions': [{ ...RATE_LIMITED, headers: { 'retry-after-ms': '5000' } }, COMPLETION]
+    });
+
+    const start = Date.now();
+    await assert.rejects(chat(createProvider(), { retry: { budgetMs: 1000 } }), error => {
+      assert.equal(error.type, 'rate_limited');
+      assert.equal(error.retryAfterMs, 5000);
+      assert.equal(error.attempts, 1);
+      return true;
+    });
+
+    assert.equal(stub.requests.length, 1);
+    assert.ok(Date.now() - start < 1000);
+  });
+
+  test('retry del request limita los intentos del proveedor', async () => {
+    stub = await startStubServer({ 'POST /chat/completions': [UNAVAILABLE, COMPLETION] });
+
+    await assert.rejects(chat(createProvider(), { retry: { maxAttempts: 1 } }), { type: 'upstream_unavailable' });
+    assert.equal(stub.requests.length, 1);
+  });
+
+  test('la cuota agotada (429 insufficient_quota) no se reintenta', async () => {
+    stub = await startStubServer({
+      'POST /chat/completions': [{
+        status: 429,
+        body: { error: { type: 'insufficient_quota', code: 'insufficient_quota', message: 'You exceeded your current quota' } }
+      }, COMPLETION]
+    });
+
+    await assert.rejects(chat(createProvider()), { type: 'quota' });
+    assert.equal(stub.requests.length, 1);
+  });
+
+  test('un 400 no se reintenta', async () => {
+    stub = await startStubServer({
+      'POST /chat/completions': [{ status: 400, body: { error: { type: 'invalid_request_error', message: 'Bad request' } } }, COMPLETION]
+    });
+
+    await assert.rejects(chat(createProvider()), { type: 'invalid_request' });
+    assert.equal(stub.requests.length, 1);
+  });
+
+  test('reintenta fallas de conexión', async () => {
+    stub = await startStubServer({});
+    const { baseURL } = stub;
+    await stub.close();
+    stub = null;
+
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseURL, retry: FAST_RETRY });
+
+    await assert.rejects(chat(provider), error => {
+      assert.equal(error.type, 'upstream_unavailable');
+      assert.equal(error.attempts, 3);
+      return true;
+    });
+  });
+
+  test('un stream que se corta después de empezar no se reintenta', async () => {
+    stub = await startStubServer({
+      'POST /chat/completions': {
+        chunks: ['data: {"choices":[{"delta":{"content":"Hola"}}]}\n\n'],
+        abort: true
+      }
+    });
+
+    const body = await chat(createProvider(), { stream: true });
+    const events = [];
+    for await (const event of toChatEvents(OpenAIProvider.processStream(body), { provider: 'openai', model: 'gpt-4o-mini', startTime: Date.now() })) {
+      events.push(event);
+    }
+
+    assert.deepEqual(events.filter(event => event.type === 'content').map(event => event.delta), ['Hola']);
+    assert.ok(events.some(event => event.type === 'error'));
+    assert.equal(stub.requests.length, 1);
+  });
+});
+
+describe('utils/retry', () => {
+  test('parseRetryAfter lee milisegundos, segundos y fechas HTTP', () => {
+    assert.equal(parseRetryAfter(new Headers({ 'retry-after-ms': '250.4' })), 250);
+    assert.equal(parseRetryAfter(new Headers({ 'retry-after': '2' })), 2000);
+    // retry-after-ms tiene prioridad
+    assert.equal(parseRetryAfter(new Headers({ 'retry-after-ms': '100', 'retry-after': '2' })), 100);
+
+    const fromDate = parseRetryAfter(new Headers({ 'retry-after': new Date(Date.now() + 3000).toUTCString() }));
+    assert.ok(fromDate > 1000 && fromDate <= 3000);
+
+    assert.equal(parseRetryAfter(new Headers({ 'retry-after': 'mañana' })), null);
+    assert.equal(parseRetryAfter(new Headers()), null);
+  });
+
+  test('backoffDelay no supera el techo exponencial ni maxDelayMs', () => {
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      const delay = backoffDelay(attempt, { baseDelayMs: 500, maxDelayMs: 8000 });
+      assert.ok(delay >= 0 && delay <= Math.min(8000, 500 * 2 ** (attempt - 1)));
+    }
+  });
+
+  test('resolveRetryPolicy aplica los ajustes en orden e ignora valores inválidos', () => {
+    const policy = resolveRetryPolicy({ maxAttempts: 4, budgetMs: 1000 }, { maxAttempts: 2, budgetMs: -1 });
+
+    assert.equal(policy.maxAttempts, 2);
+    assert.equal(policy.budgetMs, 1000);
+  });
+
+  test('validateRetryOptions rechaza valores fuera de rango', () => {
+    assert.deepEqual(validateRetryOptions({ maxAttempts: 2, budgetMs: 500 }), { maxAttempts: 2, budgetMs: 500 });
+    assert.equal(validateRetryOptions(undefined), undefined);
+    assert.throws(() => validateRetryOptions({ maxAttempts: 9 }), { status: 400 });
+    assert.throws(() => validateRetryOptions({ budgetMs: 60000 }), { status: 400 });
+    assert.throws(() => validateRetryOptions('tres'), { status: 400 });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Salida estructurada (utils/structuredOutput.js)
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeResponseFormat, parseStructuredOutput } = require('../utils/structuredOutput');
+
+const schemaWith = property => ({ jsonSchema: { type: 'object', properties: { codigo: property } } });
+
+test('un pattern inválido se rechaza al normalizar (antes de llamar al modelo)', () => {
+  assert.throws(() => normalizeResponseFormat(schemaWith({ type: 'string', pattern: '(' })), {
+    type: 'invalid_request',
+    status: 400,
+    message: /\$\.codigo: "pattern" no es una expresión regular válida/
+  });
+});
+
+test('se revisan los patterns anidados en items y additionalProperties', () => {
+  assert.throws(
+    () => normalizeResponseFormat(schemaWith({ type: 'array', items: { type: 'string', pattern: '[a-' } })),
+    { type: 'invalid_request', message: /\$\.codigo\[\]/ }
+  );
+  assert.throws(
+    () => normalizeResponseFormat(schemaWith({ type: 'object', additionalProperties: { type: 'string', pattern: 42 } })),
+    { type: 'invalid_request', message: /debe ser un string/ }
+  );
+});
+
+test('un pattern válido se aplica al validar la respuesta', () => {
+  const format = normalizeResponseFormat(schemaWith({ type: 'string', pattern: '^[A-Z]{3}$' }));
+
+  assert.deepEqual(parseStructuredOutput('{"codigo": "ABC"}', format).errors, []);
+  assert.deepEqual(parseStructuredOutput('{"codigo": "abc"}', format).errors, ['$.codigo: no cumple el patrón ^[A-Z]{3}$']);
+});
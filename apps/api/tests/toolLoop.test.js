@@ -0,0 +1,106 @@
+/**
+ * Bucle de herramientas del servidor (tools/loop.js)
+ */
+
+process.env.LOG_LEVEL = 'silent';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { runToolLoop } = require('../tools/loop');
+
+const CALCULATOR = {
+  name: 'calculator',
+  description: 'Calculadora',
+  parameters: { type: 'object', properties: { expression: { type: 'string' } } }
+};
+
+/**
+ * Adapter falso que responde en orden con las respuestas dadas (la última se repite)
+ */
+function fakeProvider(responses) {
+  const calls = [];
+  return {
+    calls,
+    chat: async options => {
+      calls.push(options);
+      return responses[Math.min(calls.length - 1, responses.length - 1)];
+    }
+  };
+}
+
+async function collect(events) {
+  const collected = [];
+  for await (const event of events) {
+    collected.push(event);
+  }
+  return collected;
+}
+
+const toolCallResponse = {
+  content: '',
+  toolCalls: [{ id: 'call_1', name: 'calculator', arguments: { expression: '2*(3+4)' } }],
+  finishReason: 'tool_calls',
+  usage: { totalTokens: 10 }
+};
+
+test('ejecuta las herramientas y termina con la respuesta final', async () => {
+  const provider = fakeProvider([
+    toolCallResponse,
+    { content: 'El resultado es 14', toolCalls: [], finishReason: 'stop', usage: { totalTokens: 20 } }
+  ]);
+
+  const events = await collect(runToolLoop(provider, {
+    providerName: 'openai',
+    model: 'gpt-4o-mini',
+    messages: [{ role: 'user', content: '¿Cuánto es 2*(3+4)?' }],
+    tools: [CALCULATOR]
+  }));
+
+  const toolResult = events.find(event => event.type === 'tool_result');
+  const metadata = events.find(event => event.type === 'metadata').metadata;
+
+  assert.deepEqual(toolResult.result, { expression: '2*(3+4)', result: 14 });
+  assert.equal(events.find(event => event.type === 'content').delta, 'El resultado es 14');
+  assert.equal(metadata.steps, 2);
+  assert.equal(metadata.finishReason, 'stop');
+  assert.equal(provider.calls[1].messages.at(-1).role, 'tool');
+});
+
+test('al alcanzar maxSteps termina sin error y conserva los pasos', async () => {
+  const provider = fakeProvider([toolCallResponse]);
+
+  const events = await collect(runToolLoop(provider, {
+    providerName: 'openai',
+    model: 'gpt-4o-mini',
+    messages: [{ role: 'user', content: 'Calcula sin parar' }],
+    tools: [CALCULATOR],
+    maxSteps: 2
+  }));
+
+  const metadata = events.find(event => event.type === 'metadata').metadata;
+
+  assert.equal(events.some(event => event.type === 'error'), false);
+  assert.equal(events.filter(event => event.type === 'step').length, 2);
+  // Las herramientas del último paso no se ejecutan
+  assert.equal(events.filter(event => event.type === 'tool_result').length, 1);
+  assert.equal(provider.calls.length, 2);
+  assert.equal(metadata.finishReason, 'max_steps');
+  assert.equal(metadata.steps, 2);
+  assert.equal(events.at(-1).type, 'done');
+});
+
+test('un error del proveedor se emite como evento error', async () => {
+  const provider = { chat: async () => { throw Object.assign(new Error('Rate limit'), { status: 429 }); } };
+
+  const events = await collect(runToolLoop(provider, {
+    providerName: 'openai',
+    model: 'gpt-4o-mini',
+    messages: [{ role: 'user', content: 'Hola' }],
+    tools: [CALCULATOR]
+  }));
+
+  const error = events.find(event => event.type === 'error');
+
+  assert.equal(error.errorType, 'rate_limited');
+  assert.equal(events.find(event => event.type === 'metadata').metadata.finishReason, 'error');
+});
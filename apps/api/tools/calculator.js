@@ -0,0 +1,185 @@
+/**
+ * Herramienta: calculadora
+ * Evalúa expresiones aritméticas con un parser propio (sin eval ni Function)
+ * para que el modelo no pueda ejecutar código arbitrario en el servidor.
+ */
+
+// Funciones y constantes permitidas
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const MAX_EXPRESSION_LENGTH = 200;
+
+/**
+ * Separar la expresión en tokens (números, identificadores y operadores)
+ */
+function tokenize(expression) {
+  const source = expression.trim();
+  const pattern = /\s*(\d+(?:\.\d+)?|\.\d+|[a-zA-Z]+|[-+*/%^(),])/y;
+  const tokens = [];
+
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`Carácter no permitido en la posición ${start + 1}`);
+    }
+    tokens.push(match[1]);
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluar una expresión aritmética
+ * Gramática: expr = term (('+'|'-') term)*, term = unary (('*'|'/'|'%') unary)*,
+ * unary = ('-'|'+') unary | power, power = primary ('^' unary)?
+ * @param {string} expression - Expresión (ej: "2 * (3 + sqrt(16))")
+ * @returns {number} Resultado
+ */
+function evaluate(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new Error(`Se esperaba "${token}"`);
+    }
+  };
+
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+
+  function parseTerm() {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const right = parseUnary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    if (token === undefined) {
+      throw new Error('Expresión incompleta');
+    }
+
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    if (/^[\d.]/.test(token)) {
+      return parseFloat(token);
+    }
+
+    const name = token.toLowerCase();
+
+    if (FUNCTIONS[name]) {
+      expect('(');
+      const argument = parseExpression();
+      expect(')');
+      return FUNCTIONS[name](argument);
+    }
+
+    if (CONSTANTS[name] !== undefined) {
+      return CONSTANTS[name];
+    }
+
+    throw new Error(`Símbolo desconocido: ${token}`);
+  }
+
+  const result = parseExpression();
+
+  if (position < tokens.length) {
+    throw new Error(`Símbolo inesperado: ${peek()}`);
+  }
+
+  return result;
+}
+
+const toolDefinition = {
+  name: 'calculator',
+  description: 'Evalúa una expresión aritmética. Soporta + - * / % ^, paréntesis, ' +
+    `las funciones ${Object.keys(FUNCTIONS).join(', ')} y las constantes pi y e.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'Expresión a evaluar, por ejemplo "2 * (3 + sqrt(16))"'
+      }
+    },
+    required: ['expression']
+  },
+  async execute({ expression }) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('"expression" es requerida');
+    }
+
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new Error(`La expresión no puede superar ${MAX_EXPRESSION_LENGTH} caracteres`);
+    }
+
+    const result = evaluate(expression);
+
+    if (!Number.isFinite(result)) {
+      throw new Error('El resultado no es un número finito');
+    }
+
+    return { expression, result };
+  }
+};
+
+module.exports = { toolDefinition, evaluate };
@@ -0,0 +1,40 @@
+/**
+ * Herramienta: fecha y hora actual
+ * Los modelos no conocen la fecha actual; esta herramienta se la da en la zona horaria pedida.
+ */
+
+const toolDefinition = {
+  name: 'current_time',
+  description: 'Devuelve la fecha y hora actual. Acepta una zona horaria IANA (ej: "America/Santiago", "Europe/Madrid").',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'Zona horaria IANA. Por defecto UTC'
+      }
+    }
+  },
+  async execute({ timezone = 'UTC' }) {
+    const now = new Date();
+
+    let formatted;
+    try {
+      formatted = new Intl.DateTimeFormat('es', {
+        timeZone: timezone,
+        dateStyle: 'full',
+        timeStyle: 'long'
+      }).format(now);
+    } catch (error) {
+      throw new Error(`Zona horaria no válida: ${timezone}`);
+    }
+
+    return {
+      timezone,
+      iso: now.toISOString(),
+      formatted
+    };
+  }
+};
+
+module.exports = { toolDefinition };
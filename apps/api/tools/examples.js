@@ -0,0 +1,91 @@
+/**
+ * Herramienta: búsqueda en los ejemplos de lib/prompts/examples.json
+ * Los ejemplos se obtienen de la biblioteca de prompts (utils/promptLibrary.js).
+ */
+
+const { getExamples, listExampleCategories } = require('../utils/promptLibrary');
+
+const examples = getExamples();
+
+const DEFAULT_LIMIT = 3;
+
+/**
+ * Normalizar texto para comparar: minúsculas y sin tildes ni signos
+ */
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ');
+}
+
+/**
+ * Palabras significativas (se descartan las de menos de 3 letras)
+ */
+function keywords(text) {
+  return normalize(text).split(/\s+/).filter(word => word.length > 2);
+}
+
+/**
+ * Puntuar un ejemplo según cuántas palabras de la consulta contiene
+ * (las coincidencias en la pregunta valen el doble que en la respuesta)
+ */
+function score(example, words) {
+  const question = normalize(example.user_input);
+  const answer = normalize(example.assistant_response);
+
+  return words.reduce((total, word) =>
+    total + (question.includes(word) ? 2 : 0) + (answer.includes(word) ? 1 : 0), 0);
+}
+
+const categories = listExampleCategories().map(category => category.id);
+
+const toolDefinition = {
+  name: 'search_examples',
+  description: 'Busca en los ejemplos de preguntas y respuestas de la demo (APIs, modelos de IA, arquitectura). ' +
+    'Útil para responder con el mismo estilo que los ejemplos.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Texto a buscar'
+      },
+      category: {
+        type: 'string',
+        enum: categories,
+        description: 'Filtrar por categoría'
+      },
+      limit: {
+        type: 'integer',
+        description: `Cantidad máxima de resultados (por defecto ${DEFAULT_LIMIT})`
+      }
+    },
+    required: ['query']
+  },
+  async execute({ query, category, limit = DEFAULT_LIMIT }) {
+    if (typeof query !== 'string' || query.trim() === '') {
+      throw new Error('"query" es requerida');
+    }
+
+    const words = keywords(query);
+    const maxResults = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), examples.length);
+
+    const matches = examples
+      .filter(example => !category || example.category === category)
+      .map(example => ({ example, score: score(example, words) }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxResults)
+      .map(({ example }) => ({
+        category: example.category,
+        question: example.user_input,
+        answer: example.assistant_response
+      }));
+
+    return { query, total: matches.length, matches };
+  }
+};
+
+module.exports = { toolDefinition };
@@ -0,0 +1,173 @@
+/**
+ * Bucle de herramientas (agent loop) ejecutado en el servidor
+ * 1. Se llama al modelo con las definiciones de herramientas
+ * 2. Si pide herramientas, se ejecutan y sus resultados se agregan a la conversación
+ * 3. Se repite hasta obtener una respuesta final o alcanzar maxSteps
+ *    (al alcanzarlo el bucle termina sin error con finishReason "max_steps" y conserva los pasos)
+ * Cada paso se emite como evento para que el frontend pueda mostrar el bucle en vivo.
+ */
+
+const { executeTool } = require('./registry');
+const { normalizeError } = require('../utils/errors');
+const { normalizeUsage } = require('../utils/usage');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('tools');
+
+const DEFAULT_MAX_STEPS = 5;
+const MAX_STEPS_LIMIT = 10;
+
+/**
+ * Ejecutar el bucle de herramientas
+ * Emite eventos con el mismo formato que utils/sse.js más dos tipos propios:
+ * - step: una llamada al modelo { step, toolCalls, finishReason, usage, latency }
+ * - tool_result: una herramienta ejecutada { step, toolCallId, name, arguments, result | error, latency }
+ * @param {Object} provider - Instancia del adapter de chat
+ * @param {Object} options - Parámetros del request
+ * @param {string} options.providerName - Proveedor usado (para los eventos)
+ * @param {string} options.model - Id del modelo
+ * @param {Array} options.messages - Conversación inicial
+ * @param {Array} options.tools - Definiciones { name, description, parameters }
+ * @param {string|Object} options.toolChoice - toolChoice del primer paso
+ * @param {number} options.maxSteps - Máximo de llamadas al modelo
+ * @param {Object} options.retry - Reintentos de cada llamada { maxAttempts, budgetMs }
+ * @param {number} options.startTime - Timestamp de inicio del request
+ * @param {Object} options.metadata - Datos extra para el evento metadata (ej: context)
+ * @returns {AsyncGenerator<Object>} Eventos step, tool_result, content, metadata, error y done
+ * (metadata.finishReason: "stop" con respuesta final, "max_steps" si se alcanzó el límite, "error")
+ */
+async function* runToolLoop(provider, {
+  providerName,
+  model,
+  messages,
+  tools,
+  toolChoice,
+  temperature,
+  maxTokens,
+  maxSteps = DEFAULT_MAX_STEPS,
+  retry,
+  startTime = Date.now(),
+  metadata: extraMetadata
+}) {
+  const conversation = [...messages];
+  const allowedTools = new Set(tools.map(tool => tool.name));
+  let usage = null;
+  let step = 0;
+  let finishReason = 'stop';
+
+  try {
+    while (true) {
+      step++;
+      const stepStart = Date.now();
+
+      const response = await provider.chat({
+        model,
+        messages: conversation,
+        temperature,
+        maxTokens,
+        stream: false,
+        tools,
+        // Un toolChoice forzado solo aplica al primer paso; luego el modelo decide
+        toolChoice: step === 1 ? toolChoice : 'auto',
+        retry
+      });
+
+      usage = normalizeUsage(response.usage) || usage;
+      const toolCalls = response.toolCalls || [];
+
+      yield {
+        type: 'step',
+        step,
+        content: response.content || '',
+        toolCalls,
+        finishReason: response.finishReason,
+        usage: normalizeUsage(response.usage) || {},
+        latency: Date.now() - stepStart,
+        provider: providerName
+      };
+
+      if (toolCalls.length === 0) {
+        // Respuesta final del modelo
+        if (response.content) {
+          yield { type: 'content', delta: response.content, provider: providerName };
+        }
+        break;
+      }
+
+      if (step >= maxSteps) {
+        // El modelo todavía pide herramientas: se corta sin ejecutarlas y se devuelve lo obtenido
+        logger.warn('Tool loop reached max steps', { provider: providerName, maxSteps });
+        finishReason = 'max_steps';
+        if (response.content) {
+          yield { type: 'content', delta: response.content, provider: providerName };
+        }
+        break;
+      }
+
+      conversation.push({ role: 'assistant', content: response.content || '', toolCalls });
+
+      for (const call of toolCalls) {
+        const toolStart = Date.now();
+        // Solo se ejecutan las herramientas habilitadas en este request
+        const outcome = allowedTools.has(call.name)
+          ? await executeTool(call.name, call.arguments)
+          : { error: `Herramienta no habilitada: ${call.name}` };
+
+        yield {
+          type: 'tool_result',
+          step,
+          toolCallId: call.id,
+          name: call.name,
+          arguments: call.arguments,
+          ...outcome,
+          latency: Date.now() - toolStart,
+          provider: providerName
+        };
+
+        conversation.push({
+          role: 'tool',
+          toolCallId: call.id,
+          name: call.name,
+          content: JSON.stringify(outcome.error ? { error: outcome.error } : outcome.result)
+        });
+      }
+    }
+  } catch (error) {
+    const apiError = normalizeError(error);
+    finishReason = 'error';
+    logger.error('Tool loop error', { provider: providerName, step, error });
+    yield { type: 'error', error: apiError.message, errorType: apiError.type, step, provider: providerName };
+  }
+
+  const metadata = {
+    ...extraMetadata,
+    model,
+    usage: usage || {},
+    latency: Date.now() - startTime,
+    steps: step,
+    finishReason
+  };
+
+  yield { type: 'metadata', metadata, provider: providerName };
+  yield { type: 'done', metadata, provider: providerName };
+}
+
+/**
+ * Normalizar el máximo de pasos pedido por el cliente
+ * @param {number} requested - Valor recibido en el request
+ * @returns {number} Entre 1 y MAX_STEPS_LIMIT
+ */
+function resolveMaxSteps(requested) {
+  const value = parseInt(requested, 10);
+  if (!Number.isFinite(value) || value < 1) {
+    return DEFAULT_MAX_STEPS;
+  }
+  return Math.min(value, MAX_STEPS_LIMIT);
+}
+
+module.exports = {
+  runToolLoop,
+  resolveMaxSteps,
+  DEFAULT_MAX_STEPS,
+  MAX_STEPS_LIMIT
+};
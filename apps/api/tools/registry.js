@@ -0,0 +1,114 @@
+/**
+ * Registro de herramientas ejecutables en el servidor
+ * Cada herramienta declara su definición (name, description, parameters en JSON Schema)
+ * y una función execute(args) que corre en la Netlify Function.
+ * Agregar una herramienta = crear su módulo y registrarlo en BUILTIN_TOOLS.
+ */
+
+const { createError } = require('../utils/errors');
+
+// Herramientas registradas por nombre
+const tools = new Map();
+
+/**
+ * Registrar una herramienta
+ * @param {Object} tool - Definición de la herramienta
+ * @param {string} tool.name - Nombre que verá el modelo (letras, números, _ o -)
+ * @param {string} tool.description - Descripción para el modelo
+ * @param {Object} tool.parameters - JSON Schema de los argumentos (type: 'object')
+ * @param {Function} tool.execute - async (args) => resultado serializable a JSON
+ */
+function registerTool(tool) {
+  if (!tool || !tool.name || typeof tool.execute !== 'function') {
+    throw new Error('La herramienta requiere "name" y "execute"');
+  }
+
+  if (tools.has(tool.name)) {
+    throw new Error(`Ya existe una herramienta "${tool.name}"`);
+  }
+
+  const normalized = {
+    description: '',
+    parameters: { type: 'object', properties: {} },
+    ...tool
+  };
+
+  tools.set(tool.name, normalized);
+  return normalized;
+}
+
+/**
+ * Buscar una herramienta por nombre
+ */
+function getTool(name) {
+  return tools.get(name);
+}
+
+/**
+ * Resumen de las herramientas registradas (sin la función execute)
+ * @returns {Array<Object>} { name, description, parameters }
+ */
+function listTools() {
+  return [...tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Resolver las definiciones a enviar al modelo
+ * @param {boolean|Array<string>} selection - true para todas, o lista de nombres
+ * @returns {Array<Object>} Definiciones en formato normalizado { name, description, parameters }
+ */
+function getToolDefinitions(selection = true) {
+  if (selection === true) {
+    return listTools();
+  }
+
+  const unknown = selection.filter(name => !tools.has(name));
+  if (unknown.length > 0) {
+    throw createError('invalid_request', `Herramientas no disponibles: ${unknown.join(', ')}. Disponibles: ${[...tools.keys()].join(', ')}`);
+  }
+
+  return listTools().filter(tool => selection.includes(tool.name));
+}
+
+/**
+ * Ejecutar una herramienta registrada
+ * Los errores no se lanzan: se devuelven para que el modelo pueda reaccionar a ellos
+ * @param {string} name - Nombre de la herramienta
+ * @param {Object} args - Argumentos generados por el modelo
+ * @returns {Promise<Object>} { result } o { error }
+ */
+async function executeTool(name, args = {}) {
+  const tool = tools.get(name);
+
+  if (!tool) {
+    return { error: `Herramienta desconocida: ${name}` };
+  }
+
+  // El adapter conserva el JSON inválido en _raw
+  if (args._raw !== undefined) {
+    return { error: 'Los argumentos no son JSON válido' };
+  }
+
+  try {
+    return { result: await tool.execute(args) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Herramientas incluidas en la demo
+const BUILTIN_TOOLS = [
+  require('./calculator'),
+  require('./currentTime'),
+  require('./examples')
+];
+
+BUILTIN_TOOLS.forEach(module => registerTool(module.toolDefinition));
+
+module.exports = {
+  registerTool,
+  getTool,
+  listTools,
+  getToolDefinitions,
+  executeTool
+};
@@ -0,0 +1,55 @@
+/**
+ * Ejecución de tareas con un límite de concurrencia
+ * Se usa en el modo batch de /api/image: varias generaciones en paralelo sin saturar
+ * el rate limit del proveedor, informando cada resultado apenas termina
+ */
+
+/**
+ * Ejecutar worker(item) para cada item, con hasta "concurrency" tareas en curso a la vez
+ * Los resultados se entregan en el orden en que terminan (index indica la posición original).
+ * Un error de una tarea no corta las demás: se entrega como { index, error }.
+ * Si el consumidor deja de iterar (ej: el cliente cerró el stream), se abortan las tareas en curso
+ * y no se inician las pendientes.
+ * @param {Array} items - Entradas a procesar
+ * @param {Function} worker - async (item, index, signal) => valor
+ * @param {Object} options - { concurrency }
+ * @returns {AsyncGenerator<Object>} { index, value } o { index, error }
+ */
+async function* runWithConcurrency(items, worker, { concurrency = 1 } = {}) {
+  const controller = new AbortController();
+  const pending = new Map();
+  let nextIndex = 0;
+
+  const start = () => {
+    const index = nextIndex++;
+    const task = Promise.resolve()
+      .then(() => worker(items[index], index, controller.signal))
+      .then(value => ({ index, value }), error => ({ index, error }));
+    pending.set(index, task);
+  };
+
+  const fill = () => {
+    while (nextIndex < items.length && pending.size < concurrency) {
+      start();
+    }
+  };
+
+  fill();
+
+  try {
+    while (pending.size > 0) {
+      const outcome = await Promise.race(pending.values());
+      pending.delete(outcome.index);
+      fill();
+      yield outcome;
+    }
+  } finally {
+    if (pending.size > 0) {
+      controller.abort();
+    }
+  }
+}
+
+module.exports = {
+  runWithConcurrency
+};
@@ -0,0 +1,386 @@
+/**
+ * Utilidades para contenido multimodal de los mensajes
+ * El contenido de un mensaje puede ser un string o un array de partes normalizadas:
+ * - { type: 'text', text }
+ * - { type: 'image', mimeType, data }  (data en base64, sin el prefijo "data:")
+ * - { type: 'image', url }             (URL https o data URL)
+ * Cada adapter traduce estas partes a su formato nativo.
+ */
+
+const https = require('node:https');
+const dns = require('node:dns');
+const net = require('node:net');
+const { createError } = require('./errors');
+
+// Formatos de imagen aceptados por los cuatro proveedores
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Límite por imagen: el body de una Netlify Function no puede superar 6 MB y el base64 ocupa ~4/3
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+// Máximo de imágenes por mensaje
+const MAX_IMAGES_PER_MESSAGE = 4;
+
+const IMAGE_FETCH_TIMEOUT_MS = 10000;
+
+// Rangos que no se descargan nunca desde el servidor (SSRF): red local, loopback, link-local
+// (incluye 169.254.169.254, la metadata de la nube), CGNAT, multicast y reservados
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Primeros 8 bytes de todo archivo PNG
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Separar una data URL en tipo MIME y datos base64
+ * @param {string} url - "data:image/png;base64,...."
+ * @returns {Object|null} { mimeType, data } o null si no es una data URL base64
+ */
+function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url || '');
+  return match ? { mimeType: match[1].toLowerCase(), data: match[2] } : null;
+}
+
+/**
+ * Tamaño en bytes de un string base64
+ */
+function base64Bytes(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+/**
+ * Convertir cualquier contenido a un array de partes
+ * Las data URLs se convierten a { mimeType, data } para que los adapters no tengan que parsearlas
+ * @param {string|Array} content - Contenido del mensaje
+ * @returns {Array<Object>} Partes normalizadas
+ */
+function toContentParts(content) {
+  if (content === undefined || content === null) {
+    return [];
+  }
+
+  if (!Array.isArray(content)) {
+    return [{ type: 'text', text: String(content) }];
+  }
+
+  return content.map(part => {
+    if (part.type === 'image' && part.url) {
+      const parsed = parseDataUrl(part.url);
+      if (parsed) {
+        return { type: 'image', ...parsed };
+      }
+    }
+    return part;
+  });
+}
+
+/**
+ * Texto de un mensaje (concatena las partes de texto)
+ * @param {string|Array} content - Contenido del mensaje
+ * @returns {string}
+ */
+function getTextContent(content) {
+  if (!Array.isArray(content)) {
+    return content === undefined || content === null ? '' : String(content);
+  }
+
+  return content
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+}
+
+/**
+ * Verificar si el contenido incluye imágenes
+ */
+function hasImages(content) {
+  return Array.isArray(content) && content.some(part => part.type === 'image');
+}
+
+/**
+ * Verificar si el contenido tiene algo que enviar (texto no vacío o imágenes)
+ */
+function hasContent(content) {
+  return hasImages(content) || getTextContent(content).trim() !== '';
+}
+
+/**
+ * Validar el contenido de un mensaje
+ * @param {string|Array} content - Contenido del mensaje
+ * @returns {string|null} Descripción del error o null si es válido
+ */
+function validateContent(content) {
+  if (typeof content === 'string') {
+    return null;
+  }
+
+  if (!Array.isArray(content)) {
+    return 'content debe ser un string o un array de partes';
+  }
+
+  const images = content.filter(part => part?.type === 'image');
+  if (images.length > MAX_IMAGES_PER_MESSAGE) {
+    return `no se permiten más de ${MAX_IMAGES_PER_MESSAGE} imágenes por mensaje`;
+  }
+
+  for (const [index, part] of content.entries()) {
+    if (!part || typeof part !== 'object') {
+      return `parte ${index}: debe ser un objeto`;
+    }
+
+    if (part.type === 'text') {
+      if (typeof part.text !== 'string') {
+        return `parte ${index}: "text" debe ser un string`;
+      }
+      continue;
+    }
+
+    if (part.type !== 'image') {
+      return `parte ${index}: tipo no soportado "${part.type}" (usa "text" o "image")`;
+    }
+
+    const image = part.url ? parseDataUrl(part.url) || { url: part.url } : part;
+
+    if (image.url) {
+      if (!/^https:\/\//i.test(image.url)) {
+        return `parte ${index}: la URL de la imagen debe ser https o una data URL base64`;
+      }
+      continue;
+    }
+
+    if (typeof image.data !== 'string' || image.data === '') {
+      return `parte ${index}: la imagen requiere "data" (base64) o "url"`;
+    }
+
+    if (!IMAGE_MIME_TYPES.includes(image.mimeType)) {
+      return `parte ${index}: formato de imagen no soportado (${image.mimeType || 'sin mimeType'}). Formatos: ${IMAGE_MIME_TYPES.join(', ')}`;
+    }
+
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(image.data)) {
+      return `parte ${index}: "data" no es base64 válido`;
+    }
+
+    if (base64Bytes(image.data) > MAX_IMAGE_BYTES) {
+      return `parte ${index}: la imagen supera el máximo de ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Leer formato y dimensiones de una imagen a partir de sus primeros bytes
+ * (no se confía en el tipo MIME declarado). Las dimensiones solo se leen de PNG (cabecera IHDR)
+ * @param {Buffer} buffer - Bytes de la imagen
+ * @returns {Object|null} { mimeType, width, height, hasAlpha } o null si el formato no se reconoce
+ */
+function getImageInfo(buffer) {
+  if (buffer.length >= 33 && buffer.subarray(0, 8).equals(PNG_SIGNATURE) && buffer.toString('ascii', 12, 16) === 'IHDR') {
+    const colorType = buffer[25];
+    const idat = buffer.indexOf('IDAT');
+    const trns = buffer.indexOf('tRNS');
+
+    return {
+      mimeType: 'image/png',
+      width: buffer.readUInt32BE(16),
+      height: buffer.readUInt32BE(20),
+      // Escala de grises o RGB con alfa, o transparencia por paleta (chunk tRNS antes de los datos)
+      hasAlpha: colorType === 4 || colorType === 6 || (trns !== -1 && (idat === -1 || trns < idat))
+    };
+  }
+
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { mimeType: 'image/jpeg', width: null, height: null, hasAlpha: false };
+  }
+
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { mimeType: 'image/webp', width: null, height: null, hasAlpha: null };
+  }
+
+  return null;
+}
+
+/**
+ * Decodificar una imagen enviada como data URL, base64 sin prefijo o URL https
+ * (imagen fuente y máscara de las ediciones y variaciones)
+ * @param {string} input - Imagen
+ * @param {AbortSignal} signal - Señal para cancelar la descarga de URLs
+ * @returns {Promise<Object>} { buffer, mimeType, width, height, hasAlpha }
+ */
+async function decodeImageInput(input, signal) {
+  if (typeof input !== 'string' || input === '') {
+    throw new Error('debe ser una data URL, base64 o una URL https');
+  }
+
+  let data;
+  if (/^https:\/\//i.test(input)) {
+    data = (await fetchImageAsBase64(input, signal)).data;
+  } else {
+    data = parseDataUrl(input)?.data ?? input;
+  }
+
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+    throw new Error('no es base64 válido');
+  }
+
+  if (base64Bytes(data) > MAX_IMAGE_BYTES) {
+    throw new Error(`supera el máximo de ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`);
+  }
+
+  const buffer = Buffer.from(data, 'base64');
+  const info = getImageInfo(buffer);
+
+  if (!info) {
+    throw new Error('formato no reconocido (se acepta PNG, JPEG o WEBP)');
+  }
+
+  return { buffer, ...info };
+}
+
+/**
+ * Verificar si una IP pertenece a un rango bloqueado
+ * (BlockList verifica las IPv4 mapeadas en IPv6, ej: ::ffff:10.0.0.1, contra los rangos IPv4)
+ * @param {string} address - IP v4 o v6
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  // Lo que no es una IP válida no se descarga
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * lookup para https.get que rechaza los hosts que resuelven a IPs bloqueadas
+ * Se valida la IP con la que se conecta (no una resolución previa), así un DNS que cambia
+ * de respuesta entre la validación y la conexión (DNS rebinding) no puede saltarse el filtro
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      callback(createError('invalid_request', `La URL de la imagen apunta a una dirección no permitida (${hostname})`));
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * Descargar una imagen remota y devolverla en base64
+ * (para proveedores que no aceptan URLs, como Gemini con inlineData, y las imágenes fuente de las ediciones)
+ * La URL la elige el cliente, así que la descarga se limita: solo https, sin redirecciones,
+ * sin IPs privadas/loopback/link-local y con el tamaño cortado en MAX_IMAGE_BYTES mientras se lee
+ * @param {string} url - URL https de la imagen
+ * @param {AbortSignal} signal - Señal para cancelar
+ * @returns {Promise<Object>} { type: 'image', mimeType, data }
+ */
+async function fetchImageAsBase64(url, signal) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw createError('invalid_request', `URL de imagen inválida: ${url}`);
+  }
+
+  if (parsed.protocol !== 'https:') {
+    throw createError('invalid_request', `La URL de la imagen debe ser https: ${url}`);
+  }
+
+  // Las IPs literales no pasan por lookup: se verifican aquí
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw createError('invalid_request', `La URL de la imagen apunta a una dirección no permitida (${hostname})`);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), IMAGE_FETCH_TIMEOUT_MS);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
+
+  try {
+    const { mimeType, buffer } = await new Promise((resolve, reject) => {
+      const request = https.get(parsed, { lookup: publicLookup, signal: controller.signal }, response => {
+        const fail = error => {
+          response.destroy();
+          reject(error);
+        };
+
+        // https.get no sigue redirecciones: un 3xx hacia una red interna no se descarga
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          fail(createError('invalid_request', `No se pudo descargar la imagen (${response.statusCode}): ${url}`));
+          return;
+        }
+
+        const type = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (!IMAGE_MIME_TYPES.includes(type)) {
+          fail(createError('invalid_request', `Formato de imagen no soportado (${type || 'desconocido'}): ${url}`));
+          return;
+        }
+
+        const tooLarge = () => createError('invalid_request', `La imagen supera el máximo de ${MAX_IMAGE_BYTES / (1024 * 1024)} MB: ${url}`);
+        if (parseInt(response.headers['content-length'], 10) > MAX_IMAGE_BYTES) {
+          fail(tooLarge());
+          return;
+        }
+
+        // content-length puede faltar o mentir: se corta al superar el máximo leído
+        const chunks = [];
+        let received = 0;
+        response.on('data', chunk => {
+          received += chunk.length;
+          if (received > MAX_IMAGE_BYTES) {
+            fail(tooLarge());
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => resolve({ mimeType: type, buffer: Buffer.concat(chunks) }));
+        response.on('error', reject);
+      });
+
+      request.on('error', reject);
+    });
+
+    return { type: 'image', mimeType, data: buffer.toString('base64') };
+  } catch (error) {
+    if (controller.signal.aborted && !signal?.aborted) {
+      throw createError('timeout', `La descarga de la imagen superó ${IMAGE_FETCH_TIMEOUT_MS / 1000}s: ${url}`, { cause: error });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_MESSAGE,
+  parseDataUrl,
+  toContentParts,
+  getTextContent,
+  hasImages,
+  hasContent,
+  validateContent,
+  fetchImageAsBase64,
+  getImageInfo,
+  decodeImageInput
+};
@@ -0,0 +1,307 @@
+/**
+ * Gestión de la ventana de contexto antes de llamar al proveedor
+ * validate.js limita la cantidad y el largo de los mensajes, pero no cuántos tokens ocupan:
+ * una conversación larga termina superando la ventana del modelo y el proveedor responde con error.
+ * Aquí se estima el prompt (utils/tokens.js) y se aplica una estrategia para que entre:
+ * - truncate_oldest: descartar los turnos más antiguos hasta que entre (por defecto)
+ * - keep_last: conservar los mensajes de sistema y los últimos N mensajes (y recortar si aún no entra)
+ * - summarize: reemplazar los turnos descartados por un resumen hecho con el mismo modelo
+ * - none: solo informar la estimación (el proveedor decide si el prompt entra)
+ * Si el catálogo no conoce la ventana del modelo (ej: deployments de Azure con nombre propio) no se
+ * recorta por tokens salvo que el request fije context.maxPromptTokens: la conversación se envía entera.
+ * Se descartan turnos completos (un mensaje del usuario con sus respuestas y resultados de
+ * herramientas) para no dejar llamadas a herramientas sin su resultado. Los mensajes de sistema
+ * y el último turno nunca se descartan.
+ */
+
+const { getPrompt } = require('./promptLibrary');
+const { renderTemplate } = require('./promptTemplate');
+const { getTextContent, toContentParts } = require('./content');
+const { getTokenizer, estimateTextTokens, estimateMessageTokens, estimateMessagesTokens, estimateToolsTokens } = require('./tokens');
+const { normalizeUsage } = require('./usage');
+const { createError, normalizeError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('context');
+
+const STRATEGIES = ['truncate_oldest', 'keep_last', 'summarize', 'none'];
+const DEFAULT_STRATEGY = 'truncate_oldest';
+
+// Mensajes que conserva keep_last (el tope es el máximo de mensajes que acepta validate.js)
+const DEFAULT_KEEP_LAST = 10;
+const MAX_KEEP_LAST = 50;
+
+// System prompt de la biblioteca (lib/prompts/resumidor-conversacion.md)
+const SUMMARY_PROMPT_ID = 'resumidor-conversacion';
+const SUMMARY_PREFIX = 'Resumen de la conversación anterior:';
+const SUMMARY_MAX_TOKENS = 400;
+const SUMMARY_TEMPERATURE = 0.3;
+
+const SUMMARY_ROLES = {
+  user: 'Usuario',
+  assistant: 'Asistente',
+  tool: 'Herramienta'
+};
+
+/**
+ * Validar la opción "context" recibida en el body de un request
+ * @param {Object} context - { strategy?, maxMessages?, maxPromptTokens? }
+ * @returns {Object} Opción normalizada { strategy, maxMessages, maxPromptTokens }
+ * @throws {APIError} invalid_request si los valores no son válidos
+ */
+function validateContextOptions(context) {
+  if (context === undefined || context === null) {
+    return { strategy: DEFAULT_STRATEGY, maxMessages: DEFAULT_KEEP_LAST };
+  }
+
+  if (typeof context !== 'object' || Array.isArray(context)) {
+    throw createError('invalid_request', '"context" debe ser un objeto { strategy, maxMessages, maxPromptTokens }');
+  }
+
+  const { strategy = DEFAULT_STRATEGY, maxMessages = DEFAULT_KEEP_LAST, maxPromptTokens } = context;
+
+  if (!STRATEGIES.includes(strategy)) {
+    throw createError('invalid_request', `"context.strategy" debe ser uno de: ${STRATEGIES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(maxMessages) || maxMessages < 1 || maxMessages > MAX_KEEP_LAST) {
+    throw createError('invalid_request', `"context.maxMessages" debe ser un entero entre 1 y ${MAX_KEEP_LAST}`);
+  }
+
+  // Presupuesto menor que la ventana del modelo (útil para ver el recorte sin conversaciones enormes)
+  if (maxPromptTokens !== undefined && (!Number.isInteger(maxPromptTokens) || maxPromptTokens < 1)) {
+    throw createError('invalid_request', '"context.maxPromptTokens" debe ser un entero mayor o igual a 1');
+  }
+
+  return { strategy, maxMessages, maxPromptTokens };
+}
+
+/**
+ * Agrupar los mensajes que no son de sistema en turnos: cada mensaje del usuario abre uno nuevo
+ * @param {Array} messages - Conversación
+ * @returns {Array<Array<number>>} Índices de los mensajes de cada turno
+ */
+function groupTurns(messages) {
+  const turns = [];
+
+  messages.forEach((message, index) => {
+    if (message.role === 'system') {
+      return;
+    }
+
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push([index]);
+    } else {
+      turns[turns.length - 1].push(index);
+    }
+  });
+
+  return turns;
+}
+
+/**
+ * Texto de un mensaje para el resumidor ("Usuario: ...", "Asistente: ...")
+ */
+function formatForSummary(message) {
+  const parts = [getTextContent(message.content)];
+
+  const images = toContentParts(message.content).filter(part => part.type === 'image').length;
+  if (images > 0) {
+    parts.push(`[${images} ${images === 1 ? 'imagen' : 'imágenes'}]`);
+  }
+
+  if (message.toolCalls?.length) {
+    parts.push(`[llamó a: ${message.toolCalls.map(call => call.name).join(', ')}]`);
+  }
+
+  const role = SUMMARY_ROLES[message.role] || message.role;
+  const label = message.role === 'tool' && message.name ? `${role} (${message.name})` : role;
+
+  return `${label}: ${parts.filter(Boolean).join(' ')}`;
+}
+
+/**
+ * Resumir los mensajes descartados con el modelo del request
+ * @param {Array} messages - Mensajes a resumir, en orden
+ * @param {Object} target - { provider, modelInfo } (resolveChatTarget en chat.js)
+ * @param {Object} options - { tokenizer, contextWindow (null si no se conoce), retry }
+ * @returns {Promise<Object>} { content, summarizedMessages, usage, latency }
+ */
+async function summarizeMessages(messages, { provider, modelInfo }, { tokenizer, contextWindow, retry }) {
+  const systemPrompt = renderTemplate(getPrompt(SUMMARY_PROMPT_ID).content, {}, SUMMARY_PROMPT_ID);
+  let transcript = messages.map(formatForSummary).join('\n\n');
+
+  // El pedido de resumen también tiene que entrar en la ventana: se conserva lo más reciente
+  if (contextWindow) {
+    const available = contextWindow - SUMMARY_MAX_TOKENS - estimateMessagesTokens([{ role: 'system', content: systemPrompt }], tokenizer);
+    const estimated = estimateTextTokens(transcript, tokenizer);
+    if (estimated > available) {
+      transcript = transcript.slice(-Math.floor(transcript.length * available / estimated));
+    }
+  }
+
+  const startTime = Date.now();
+  const response = await provider.chat({
+    model: modelInfo.id,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: transcript }
+    ],
+    temperature: SUMMARY_TEMPERATURE,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    stream: false,
+    retry
+  });
+
+  const content = (response.content || '').trim();
+  if (!content) {
+    throw createError('upstream_unavailable', 'El modelo no devolvió un resumen de la conversación');
+  }
+
+  return {
+    content,
+    summarizedMessages: messages.length,
+    usage: normalizeUsage(response.usage),
+    latency: Date.now() - startTime
+  };
+}
+
+/**
+ * Ajustar la conversación a la ventana de contexto del modelo destino
+ * Presupuesto del prompt = ventana del modelo - tokens reservados para la respuesta (maxTokens)
+ * - definiciones de herramientas, acotado por maxPromptTokens si el request lo pide.
+ * Sin ventana conocida ni maxPromptTokens no hay presupuesto (budget null): solo se aplica keep_last.
+ * @param {Array} messages - Conversación a enviar (con system prompt y ejemplos ya agregados)
+ * @param {Object} target - { providerType, provider, modelInfo } (resolveChatTarget en chat.js)
+ * @param {Object} options - Parámetros del request
+ * @param {number} options.maxTokens - Tokens de salida pedidos (ya limitados al máximo del modelo)
+ * @param {Array} options.tools - Definiciones de herramientas que se envían con el request
+ * @param {Object} options.context - Resultado de validateContextOptions()
+ * @param {Array} options.source - Mensajes del body, para informar los descartados con su índice
+ * @param {Object} options.retry - Reintentos de la llamada de resumen
+ * @returns {Promise<Object>} { messages, context } con context para la metadata de la respuesta
+ * @throws {APIError} context_length si ni el system prompt y el último turno entran en el presupuesto
+ */
+async function fitToContext(messages, target, { maxTokens, tools, context, source = [], retry }) {
+  const { strategy, maxMessages, maxPromptTokens } = context;
+  const { modelInfo } = target;
+
+  const tokenizer = getTokenizer(target.providerType);
+  const contextWindow = modelInfo.contextWindow || null;
+  const toolsTokens = estimateToolsTokens(tools, tokenizer);
+  const windowBudget = contextWindow ? contextWindow - maxTokens - toolsTokens : null;
+  const budget = maxPromptTokens ? Math.min(windowBudget ?? Infinity, maxPromptTokens) : windowBudget;
+
+  const counts = messages.map(message => estimateMessageTokens(message, tokenizer));
+  const originalTokens = estimateMessagesTokens(messages, tokenizer);
+  let tokens = originalTokens;
+
+  // Todos los turnos menos el último se pueden descartar, del más antiguo al más reciente
+  const droppable = groupTurns(messages).slice(0, -1);
+  const dropped = new Set();
+  const dropTurn = turn => {
+    for (const index of turn) {
+      dropped.add(index);
+      tokens -= counts[index];
+    }
+  };
+
+  if (strategy === 'keep_last') {
+    let kept = messages.filter(message => message.role !== 'system').length;
+    while (droppable.length > 0 && kept > maxMessages) {
+      const turn = droppable.shift();
+      dropTurn(turn);
+      kept -= turn.length;
+    }
+  }
+
+  if (budget === null) {
+    logger.debug('Ventana de contexto desconocida, la conversación no se recorta por tokens', {
+      provider: target.providerType,
+      model: modelInfo.id
+    });
+  } else if (strategy !== 'none' && tokens > budget) {
+    // Con summarize se deja lugar para el mensaje con el resumen
+    const reserve = strategy === 'summarize'
+      ? SUMMARY_MAX_TOKENS + estimateMessageTokens({ role: 'system', content: SUMMARY_PREFIX }, tokenizer)
+      : 0;
+
+    while (droppable.length > 0 && tokens > budget - reserve) {
+      dropTurn(droppable.shift());
+    }
+  }
+
+  const droppedMessages = messages.filter((_, index) => dropped.has(index));
+  const fitted = messages.filter((_, index) => !dropped.has(index));
+
+  // Si el resumen falla se envía la conversación recortada igual, informando el error
+  let summary;
+  if (strategy === 'summarize' && droppedMessages.length > 0) {
+    try {
+      summary = await summarizeMessages(droppedMessages, target, { tokenizer, contextWindow, retry });
+
+      // Después de los mensajes de sistema iniciales, antes del primer turno conservado
+      const position = fitted.findIndex(message => message.role !== 'system');
+      fitted.splice(position === -1 ? fitted.length : position, 0, {
+        role: 'system',
+        content: `${SUMMARY_PREFIX}\n${summary.content}`
+      });
+    } catch (error) {
+      const { type, message } = normalizeError(error);
+      logger.warn('No se pudo resumir la conversación, se envía recortada', { provider: target.providerType, error });
+      summary = { error: message, errorType: type };
+    }
+  }
+
+  const promptTokens = estimateMessagesTokens(fitted, tokenizer);
+
+  if (budget !== null && strategy !== 'none' && promptTokens > budget) {
+    const limit = budget !== windowBudget
+      ? `context.maxPromptTokens es ${budget}`
+      : `${modelInfo.id} admite ${budget} para el prompt (ventana de ${contextWindow} menos ${maxTokens} ` +
+        `reservados para la respuesta${toolsTokens ? ` y ${toolsTokens} de herramientas` : ''})`;
+
+    throw createError('context_length',
+      `La conversación ocupa ~${promptTokens} tokens y ${limit}. Acorta el último mensaje o el system prompt, o reduce maxTokens`,
+      { provider: target.providerType });
+  }
+
+  if (dropped.size > 0) {
+    logger.info('Conversación ajustada a la ventana de contexto', {
+      provider: target.providerType,
+      model: modelInfo.id,
+      strategy,
+      dropped: dropped.size,
+      originalTokens,
+      promptTokens,
+      budget
+    });
+  }
+
+  return {
+    messages: fitted,
+    context: {
+      strategy,
+      tokenizer,
+      contextWindow,
+      reservedOutputTokens: maxTokens,
+      toolsTokens,
+      budget,
+      originalTokens,
+      promptTokens,
+      remaining: budget === null ? null : budget - promptTokens,
+      // index: posición en el "messages" del body (null para el system prompt y los ejemplos de la biblioteca)
+      dropped: [...dropped].map(index => {
+        const sourceIndex = source.indexOf(messages[index]);
+        return { index: sourceIndex === -1 ? null : sourceIndex, role: messages[index].role, tokens: counts[index] };
+      }),
+      ...(summary && { summary })
+    }
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  validateContextOptions,
+  fitToContext
+};
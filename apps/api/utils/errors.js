@@ -0,0 +1,226 @@
+/**
+ * Taxonomía de errores común a proveedores y endpoints
+ * Cada proveedor informa los errores a su manera (OpenAI/Azure { error: { code, type } },
+ * Anthropic { error: { type } }, Gemini { error: { status } }); aquí se clasifican en
+ * un conjunto fijo de tipos con su status HTTP y se devuelven siempre con el mismo formato:
+ *
+ *   { "success": false, "error": { "type", "message", "provider"?, "retryAfter"?, "details"? } }
+ *
+ * Stack y mensaje original solo se agregan (en "error.debug") con DEBUG_MODE=true.
+ */
+
+const { isDebugMode } = require('./logger');
+
+// Tipos de error y status HTTP con el que se responden
+const ERROR_STATUS = {
+  auth: 401,                  // API key inválida o sin permisos en el proveedor
+  quota: 402,                 // Cuota, créditos o facturación agotados
+  rate_limited: 429,          // Límite de requests (del proveedor o de esta API)
+  content_filtered: 400,      // El prompt o la respuesta violan las políticas de contenido
+  context_length: 400,        // La conversación supera la ventana de contexto del modelo
+  invalid_request: 400,       // Parámetros inválidos (del cliente o rechazados por el proveedor)
+  invalid_output: 422,        // La respuesta del modelo no cumple el formato pedido
+  timeout: 504,               // El proveedor no respondió a tiempo
+  upstream_unavailable: 503,  // Proveedor caído, sobrecargado, sin configurar o error de red
+  internal: 500               // Error inesperado de esta API
+};
+
+const ERROR_TYPES = Object.keys(ERROR_STATUS);
+
+// Patrones sobre el código/tipo y el mensaje del proveedor, en orden de prioridad
+// (ej: la cuota agotada de OpenAI llega como 429 pero no se resuelve esperando)
+const PROVIDER_PATTERNS = [
+  ['content_filtered', /content_filter|content_policy|responsibleaipolicy|responsible ai|safety|blocked/i],
+  ['context_length', /context_length|context length|prompt is too long|maximum context|too many tokens|exceeds the maximum number of tokens/i],
+  ['quota', /insufficient_quota|quota|billing|credit balance/i],
+  ['auth', /authentication|invalid_api_key|incorrect api key|api key not valid|unauthenticated|permission_denied|permission_error/i],
+  ['rate_limited', /rate_limit|rate limit|resource_exhausted|too many requests/i],
+  ['timeout', /deadline_exceeded|timeout|timed out/i],
+  ['upstream_unavailable', /overloaded|unavailable|api_error|server_error|fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND/i]
+];
+
+/**
+ * Error de la API con tipo de la taxonomía
+ * Mantiene "status" para que el código existente (error.status) siga funcionando
+ */
+class APIError extends Error {
+  /**
+   * @param {string} type - Uno de ERROR_TYPES
+   * @param {string} message - Mensaje para el cliente
+   * @param {Object} options - { status, provider, retryAfterMs, details, cause }
+   */
+  constructor(type, message, { status, provider, retryAfterMs, details, cause } = {}) {
+    super(message);
+    this.name = 'APIError';
+    this.type = ERROR_STATUS[type] ? type : 'internal';
+    this.status = status || ERROR_STATUS[this.type];
+    this.provider = provider;
+    this.retryAfterMs = retryAfterMs;
+    this.details = details;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Crear un error tipado
+ * @param {string} type - Uno de ERROR_TYPES
+ * @param {string} message - Mensaje
+ * @param {Object} options - Ver APIError
+ * @returns {APIError}
+ */
+function createError(type, message, options) {
+  return new APIError(type, message, options);
+}
+
+/**
+ * Tipo de error según el status HTTP
+ * Un 500 propio es un error interno; en la respuesta de un proveedor es "upstream_unavailable"
+ * @param {number} status - Status HTTP
+ * @param {boolean} fromProvider - Si el status viene de la respuesta de un proveedor
+ * @returns {string} Tipo de la taxonomía
+ */
+function typeFromStatus(status, fromProvider = false) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 402) return 'quota';
+  if (status === 408 || status === 504) return 'timeout';
+  if (status === 422) return 'invalid_output';
+  if (status === 429) return 'rate_limited';
+  if (status === 500 && !fromProvider) return 'internal';
+  if (status >= 500) return 'upstream_unavailable';
+  if (status >= 400) return 'invalid_request';
+  return 'internal';
+}
+
+/**
+ * Clasificar el error devuelto por un proveedor
+ * @param {number} status - Status HTTP de la respuesta del proveedor
+ * @param {Object} payload - Body de error ya parseado (o null)
+ * @returns {Object} { type, message, code }
+ */
+function classifyProviderError(status, payload) {
+  const body = payload?.error && typeof payload.error === 'object' ? payload.error : (payload || {});
+
+  // OpenAI/Azure: code + type; Anthropic: type; Gemini: status (ej: RESOURCE_EXHAUSTED)
+  const code = [body.code, body.type, typeof body.status === 'string' ? body.status : null, body.innererror?.code]
+    .filter(value => typeof value === 'string')
+    .join(' ');
+  const message = body.message || payload?.message || '';
+
+  for (const [type, pattern] of PROVIDER_PATTERNS) {
+    if (pattern.test(code)) {
+      return { type, message, code: code || undefined };
+    }
+  }
+
+  // Sin código reconocible: decidir por status y, para status ambiguos, por el mensaje
+  let type = typeFromStatus(status, true);
+  const match = PROVIDER_PATTERNS.find(([, pattern]) => pattern.test(message));
+
+  if (match && (type === 'invalid_request' || type === 'internal' || (type === 'rate_limited' && match[0] === 'quota'))) {
+    type = match[0];
+  }
+
+  return { type, message, code: code || undefined };
+}
+
+/**
+ * Convertir cualquier error en un APIError
+ * - APIError: se devuelve tal cual
+ * - Error con "status" (convención del repo): el tipo se deduce del status
+ * - AbortError o errores de red: timeout / upstream_unavailable
+ * - Cualquier otro: internal
+ * @param {Error} error - Error original
+ * @returns {APIError}
+ */
+function normalizeError(error) {
+  if (error instanceof APIError) {
+    return error;
+  }
+
+  const options = {
+    status: error?.status,
+    provider: error?.provider,
+    retryAfterMs: error?.retryAfterMs,
+    cause: error
+  };
+
+  if (error?.type && ERROR_STATUS[error.type]) {
+    return new APIError(error.type, error.message, options);
+  }
+
+  if (error?.status) {
+    return new APIError(typeFromStatus(error.status), error.message, options);
+  }
+
+  if (error?.name === 'AbortError') {
+    return new APIError('timeout', 'Request cancelado por timeout', options);
+  }
+
+  const match = PROVIDER_PATTERNS.find(([type, pattern]) =>
+    (type === 'timeout' || type === 'upstream_unavailable') && pattern.test(`${error?.message} ${error?.cause?.code || ''}`)
+  );
+
+  if (match) {
+    return new APIError(match[0], error.message, options);
+  }
+
+  return new APIError('internal', 'Error interno del servidor', options);
+}
+
+/**
+ * Cuerpo JSON del error (el mismo formato en todos los endpoints)
+ * @param {Error} error - Error (se normaliza con normalizeError)
+ * @param {Object} extra - Campos adicionales dentro de "error" (ej: availableModels)
+ * @returns {Object} { success: false, error: { type, message, ... } }
+ */
+function errorBody(error, extra = {}) {
+  const apiError = normalizeError(error);
+  const original = apiError.cause instanceof Error ? apiError.cause : apiError;
+
+  return {
+    success: false,
+    error: {
+      type: apiError.type,
+      message: apiError.message,
+      provider: apiError.provider,
+      retryAfter: apiError.retryAfterMs !== undefined ? Math.ceil(apiError.retryAfterMs / 1000) : undefined,
+      details: apiError.details,
+      ...extra,
+      debug: isDebugMode() ? { originalError: original.message, stack: original.stack } : undefined
+    }
+  };
+}
+
+/**
+ * Respuesta HTTP de error para un handler de Netlify
+ * @param {Error} error - Error (se normaliza con normalizeError)
+ * @param {Object} options - Opciones
+ * @param {Object} options.headers - Headers adicionales (ej: CORS)
+ * @param {Object} options.extra - Campos adicionales dentro de "error"
+ * @returns {Object} { statusCode, headers, body }
+ */
+function errorResponse(error, { headers = {}, extra } = {}) {
+  const apiError = normalizeError(error);
+  const body = errorBody(apiError, extra);
+
+  return {
+    statusCode: apiError.status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(body.error.retryAfter !== undefined && { 'Retry-After': String(body.error.retryAfter) }),
+      ...headers
+    },
+    body: JSON.stringify(body)
+  };
+}
+
+module.exports = {
+  ERROR_TYPES,
+  ERROR_STATUS,
+  APIError,
+  createError,
+  classifyProviderError,
+  normalizeError,
+  errorBody,
+  errorResponse
+};
@@ -0,0 +1,115 @@
+/**
+ * Cadena de fallback entre proveedores
+ * Si un proveedor falla con un error recuperable (5xx, 429, timeout, cuota, red)
+ * se prueba el siguiente de la lista; los errores del request (4xx) cortan la cadena.
+ */
+
+const { createError, normalizeError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('fallback');
+
+// Máximo de proveedores alternativos por request
+const MAX_FALLBACKS = 3;
+
+// Tipos de error (utils/errors.js) en los que conviene probar otro proveedor
+const FALLBACK_ERROR_TYPES = new Set(['rate_limited', 'quota', 'timeout', 'upstream_unavailable']);
+
+/**
+ * Decidir si conviene probar el siguiente proveedor ante un error
+ * @param {Error} error - Error del proveedor
+ * @returns {boolean} true si el error es recuperable
+ */
+function isRetryableError(error) {
+  return FALLBACK_ERROR_TYPES.has(normalizeError(error).type);
+}
+
+/**
+ * Normalizar la cadena: el proveedor principal primero y luego los alternativos sin repetir
+ * @param {Object} primary - { provider, model } pedidos en el request
+ * @param {Array} fallback - Lista de ids de proveedor o { provider, model }
+ * @param {Function} isKnownProvider - (nombre) => boolean, para validar los nombres
+ * @returns {Array<Object>} [{ provider, model? }]
+ */
+function buildFallbackChain(primary, fallback, isKnownProvider) {
+  if (fallback === undefined || fallback === null) {
+    return [primary];
+  }
+
+  if (!Array.isArray(fallback) || fallback.length > MAX_FALLBACKS + 1) {
+    throw createError('invalid_request', `"fallback" debe ser un array de hasta ${MAX_FALLBACKS + 1} proveedores (ej: ["openai", "anthropic"])`);
+  }
+
+  const chain = [primary];
+
+  for (const entry of fallback) {
+    const candidate = typeof entry === 'string' ? { provider: entry } : entry;
+
+    if (!candidate || typeof candidate.provider !== 'string' || !isKnownProvider(candidate.provider)) {
+      throw createError('invalid_request', `Proveedor de fallback no válido: ${JSON.stringify(entry)}`);
+    }
+
+    // El principal puede venir repetido en la lista (ej: fallback: ['openai', 'gemini'] con provider: 'openai')
+    const duplicate = chain.some(existing =>
+      existing.provider === candidate.provider && (!candidate.model || existing.model === candidate.model)
+    );
+
+    if (!duplicate) {
+      chain.push({ provider: candidate.provider, model: candidate.model });
+    }
+  }
+
+  return chain.slice(0, MAX_FALLBACKS + 1);
+}
+
+/**
+ * Probar cada proveedor de la cadena hasta que uno responda
+ * @param {Array<Object>} chain - Resultado de buildFallbackChain()
+ * @param {Object} steps - Funciones de cada intento
+ * @param {Function} steps.resolve - async (candidato) => destino (crear adapter, validar modelo)
+ * @param {Function} steps.call - async (destino) => respuesta del proveedor
+ * @returns {Promise<Object>} { target, result, skipped }
+ * @throws {Error} El último error, con "stage" ('resolve' | 'call') y "skipped"
+ */
+async function runWithFallback(chain, { resolve, call }) {
+  const skipped = [];
+
+  for (const [index, candidate] of chain.entries()) {
+    const isLast = index === chain.length - 1;
+    let stage = 'resolve';
+
+    try {
+      const target = await resolve(candidate);
+      stage = 'call';
+      const result = await call(target);
+
+      return { target, result, skipped };
+
+    } catch (error) {
+      if (isLast || !isRetryableError(error)) {
+        error.stage = stage;
+        error.skipped = skipped;
+        throw error;
+      }
+
+      logger.warn('Proveedor falló, probando el siguiente', { provider: candidate.provider, error: error.message });
+
+      const { type, status, message } = normalizeError(error);
+
+      skipped.push({
+        provider: candidate.provider,
+        model: candidate.model,
+        type,
+        status,
+        reason: message
+      });
+    }
+  }
+}
+
+module.exports = {
+  MAX_FALLBACKS,
+  isRetryableError,
+  buildFallbackChain,
+  runWithFallback
+};
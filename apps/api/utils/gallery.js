@@ -0,0 +1,248 @@
+/**
+ * Galería de imágenes generadas
+ * Cada imagen se guarda en dos claves del store "image-gallery" (ver utils/storage.js):
+ * - meta/<id>:   registro JSON { id, prompt, enhancedPrompt, revisedPrompt, provider, model, operation, size, quality, style, latency, timestamp, mimeType, bytes, owner }
+ * - images/<id>: bytes de la imagen
+ * Los ids empiezan con el timestamp en base 36, así que ordenarlos es ordenar por fecha.
+ *
+ * Borrar una imagen requiere ser su dueño o administrador:
+ * - dueño: el frontend genera un id anónimo (localStorage) y lo envía en el header X-Client-Id;
+ *   el registro guarda su hash en "owner" y las respuestas solo exponen "owned" (true/false)
+ * - administrador: header "Authorization: Bearer <GALLERY_ADMIN_TOKEN>" (borra cualquier imagen)
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { parseDataUrl } = require('./content');
+const { createError } = require('./errors');
+
+const STORE_NAME = 'image-gallery';
+
+// Máximo de imágenes guardadas: al superarlo se borran las más antiguas
+const MAX_GALLERY_IMAGES = parseInt(process.env.GALLERY_MAX_IMAGES) || 200;
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+const ID_PATTERN = /^[a-z0-9]{9}-[a-f0-9]{8}$/;
+
+// Id anónimo del cliente (ej: un UUID de crypto.randomUUID())
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+/**
+ * Crear un id ordenable por fecha (ej: "0m1x2y3z4-9f8e7d6c")
+ */
+function createImageId() {
+  return `${Date.now().toString(36).padStart(9, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Verificar el formato de un id (antes de usarlo como clave)
+ */
+function isValidImageId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * Texto normalizado para la búsqueda: minúsculas y sin tildes ("canción" encuentra "cancion")
+ */
+function normalizeSearchText(text) {
+  return (text || '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+}
+
+/**
+ * Dueño de las imágenes de un request: hash del header X-Client-Id
+ * Se guarda el hash y no el id para que los registros no revelen la credencial que permite borrar
+ * @param {Object} event - Evento de Netlify Function
+ * @returns {string|null} Hash hex o null si el request no trae un id válido
+ */
+function getGalleryOwner(event) {
+  const clientId = event.headers?.['x-client-id'] || event.headers?.['X-Client-Id'];
+
+  if (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId)) {
+    return null;
+  }
+
+  return crypto.createHash('sha256').update(clientId).digest('hex');
+}
+
+/**
+ * Verificar el token de administración de la galería (GALLERY_ADMIN_TOKEN)
+ * Sin la variable configurada nadie es administrador
+ * @param {Object} event - Evento de Netlify Function
+ * @returns {boolean}
+ */
+function isGalleryAdmin(event) {
+  const adminToken = process.env.GALLERY_ADMIN_TOKEN;
+  const authorization = event.headers?.authorization || event.headers?.Authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(authorization);
+
+  if (!adminToken || !match) {
+    return false;
+  }
+
+  // Comparar los hashes: mismo largo y tiempo constante
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1].trim()), digest(adminToken));
+}
+
+/**
+ * Registro para las respuestas: sin el hash del dueño, con "owned" para quien consulta
+ * @param {Object} record - Registro guardado
+ * @param {string|null} owner - Resultado de getGalleryOwner() del request
+ * @returns {Object}
+ */
+function toPublicRecord(record, owner) {
+  const { owner: recordOwner, ...rest } = record;
+  return { ...rest, owned: Boolean(owner && recordOwner === owner) };
+}
+
+/**
+ * Abrir la galería
+ * @param {Object} event - Evento de Netlify Function (lo necesita Netlify Blobs)
+ * @returns {Object} { save, list, get, delete }
+ */
+function createGallery(event) {
+  const store = createStore(STORE_NAME, event);
+
+  // Ids guardados, del más reciente al más antiguo
+  const listIds = async () => (await store.list('meta/'))
+    .map(key => key.slice('meta/'.length))
+    .filter(isValidImageId)
+    .sort()
+    .reverse();
+
+  const remove = async (id) => {
+    await store.delete(`images/${id}`);
+    await store.delete(`meta/${id}`);
+  };
+
+  return {
+    /**
+     * Guardar una imagen generada
+     * @param {Object} params - { image (data URL), prompt, enhancedPrompt, revisedPrompt, provider, model, operation, size, quality, style, latency, timestamp, owner }
+     * @returns {Promise<Object>} Registro guardado
+     */
+    async save({ image, prompt, enhancedPrompt, revisedPrompt, provider, model, operation, size, quality, style, latency, timestamp, owner }) {
+      const parsed = parseDataUrl(image);
+      if (!parsed) {
+        throw new Error('Solo se pueden guardar imágenes en base64 (data URL)');
+      }
+
+      const buffer = Buffer.from(parsed.data, 'base64');
+      const record = {
+        id: createImageId(),
+        prompt: prompt || null,
+        enhancedPrompt: enhancedPrompt || null,
+        revisedPrompt: revisedPrompt || null,
+        provider,
+        model,
+        operation: operation || 'generate',
+        size: size || null,
+        quality: quality || null,
+        style: style || null,
+        latency,
+        timestamp: timestamp || new Date().toISOString(),
+        mimeType: parsed.mimeType,
+        bytes: buffer.length,
+        owner: owner || null
+      };
+
+      // Primero los bytes: un registro en meta/ siempre tiene su imagen
+      await store.set(`images/${record.id}`, buffer);
+      await store.setJSON(`meta/${record.id}`, record);
+
+      const ids = await listIds();
+      for (const oldId of ids.slice(MAX_GALLERY_IMAGES)) {
+        await remove(oldId);
+      }
+
+      return record;
+    },
+
+    /**
+     * Listar registros (sin los bytes), del más reciente al más antiguo
+     * @param {Object} options - { page (desde 1), pageSize, search (texto en el prompt original, mejorado o revisado), owner }
+     * @returns {Promise<Object>} { images, pagination: { page, pageSize, total, totalPages, hasMore } }
+     */
+    async list({ page = 1, pageSize = DEFAULT_PAGE_SIZE, search, owner } = {}) {
+      pageSize = Math.min(Math.max(pageSize, 1), MAX_PAGE_SIZE);
+      page = Math.max(page, 1);
+
+      const ids = await listIds();
+      const start = (page - 1) * pageSize;
+      let records;
+      let total;
+
+      if (search && search.trim()) {
+        // La búsqueda necesita todos los registros (la galería está limitada a MAX_GALLERY_IMAGES)
+        const query = normalizeSearchText(search.trim());
+        const all = await Promise.all(ids.map(id => store.getJSON(`meta/${id}`)));
+        const matches = all.filter(record => record &&
+          normalizeSearchText(`${record.prompt} ${record.enhancedPrompt} ${record.revisedPrompt}`).includes(query));
+
+        total = matches.length;
+        records = matches.slice(start, start + pageSize);
+      } else {
+        total = ids.length;
+        records = (await Promise.all(ids.slice(start, start + pageSize).map(id => store.getJSON(`meta/${id}`))))
+          .filter(Boolean);
+      }
+
+      const totalPages = Math.ceil(total / pageSize);
+
+      return {
+        images: records.map(record => toPublicRecord(record, owner)),
+        pagination: { page, pageSize, total, totalPages, hasMore: page < totalPages }
+      };
+    },
+
+    /**
+     * Obtener un registro con sus bytes
+     * @param {string} id - Id de la imagen
+     * @param {Object} options - { owner }
+     * @returns {Promise<Object|null>} { record, buffer } o null si no existe
+     */
+    async get(id, { owner } = {}) {
+      if (!isValidImageId(id)) return null;
+
+      const record = await store.getJSON(`meta/${id}`);
+      if (!record) return null;
+
+      const buffer = await store.get(`images/${id}`);
+      return buffer ? { record: toPublicRecord(record, owner), buffer } : null;
+    },
+
+    /**
+     * Borrar una imagen (solo su dueño o un administrador)
+     * Las imágenes guardadas sin dueño solo las puede borrar un administrador
+     * @param {string} id - Id de la imagen
+     * @param {Object} options - { owner (getGalleryOwner), admin (isGalleryAdmin) }
+     * @returns {Promise<boolean>} false si no existía
+     * @throws {APIError} auth (403) si quien pide no puede borrarla
+     */
+    async delete(id, { owner, admin = false } = {}) {
+      const record = isValidImageId(id) ? await store.getJSON(`meta/${id}`) : null;
+      if (!record) {
+        return false;
+      }
+
+      if (!admin && !(owner && record.owner === owner)) {
+        throw createError('auth', 'Solo quien generó la imagen puede borrarla', { status: 403 });
+      }
+
+      await remove(id);
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_GALLERY_IMAGES,
+  isValidImageId,
+  getGalleryOwner,
+  isGalleryAdmin,
+  createGallery
+};
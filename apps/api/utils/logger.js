@@ -0,0 +1,124 @@
+/**
+ * Logger estructurado con niveles
+ * Cada línea es un objeto JSON { time, level, scope, message, ...datos } para poder filtrar
+ * los logs de Netlify. Nivel mínimo con LOG_LEVEL (debug | info | warn | error | silent);
+ * por defecto "debug" en desarrollo e "info" en producción.
+ *
+ * El contenido de los mensajes del chat no se registra: muchas demos se despliegan en público
+ * y los usuarios escriben datos personales. LOG_MESSAGE_CONTENT=true lo habilita para depurar.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Método de console para cada nivel
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+/**
+ * Nivel mínimo configurado (se lee en cada llamada para respetar cambios de entorno)
+ */
+function currentLevel() {
+  const configured = (process.env.LOG_LEVEL || '').toLowerCase();
+  if (LEVELS[configured]) {
+    return LEVELS[configured];
+  }
+
+  return process.env.NODE_ENV === 'development' ? LEVELS.debug : LEVELS.info;
+}
+
+/**
+ * Modo debug de las respuestas: detalles internos (stack, mensaje original) en los errores
+ * @returns {boolean}
+ */
+function isDebugMode() {
+  return process.env.DEBUG_MODE === 'true';
+}
+
+/**
+ * Serializar un error para el log (los Error no se convierten bien con JSON.stringify)
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    type: error.type,
+    status: error.status,
+    provider: error.provider,
+    stack: error.stack
+  };
+}
+
+/**
+ * Resumir mensajes de chat sin su contenido: rol, largo del texto e imágenes
+ * @param {Array} messages - Mensajes { role, content }
+ * @returns {Array} Resumen (o los mensajes completos con LOG_MESSAGE_CONTENT=true)
+ */
+function redactMessages(messages) {
+  if (!Array.isArray(messages)) {
+    return messages;
+  }
+
+  if (process.env.LOG_MESSAGE_CONTENT === 'true') {
+    return messages;
+  }
+
+  return messages.map(message => {
+    const parts = Array.isArray(message?.content) ? message.content : [{ type: 'text', text: message?.content || '' }];
+    const text = parts.filter(part => part.type === 'text').map(part => part.text || '').join('');
+
+    return {
+      role: message?.role,
+      chars: text.length,
+      images: parts.filter(part => part.type === 'image').length || undefined,
+      toolCalls: message?.toolCalls?.length || undefined
+    };
+  });
+}
+
+/**
+ * Ocultar un texto libre (ej: prompt de imagen) dejando solo su largo
+ * @param {string} text - Texto a ocultar
+ * @returns {string} Texto original con LOG_MESSAGE_CONTENT=true o "[N caracteres]"
+ */
+function redactText(text) {
+  if (typeof text !== 'string' || process.env.LOG_MESSAGE_CONTENT === 'true') {
+    return text;
+  }
+
+  return `[${text.length} caracteres]`;
+}
+
+/**
+ * Crear un logger para un módulo
+ * @param {string} scope - Nombre del módulo (ej: 'chat', 'OpenAIProvider')
+ * @returns {Object} { debug, info, warn, error } con firma (message, data?)
+ */
+function createLogger(scope) {
+  const write = (level, message, data = {}) => {
+    if (LEVELS[level] < currentLevel()) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, scope, message };
+
+    for (const [key, value] of Object.entries(data)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+
+    console[CONSOLE_METHODS[level]](JSON.stringify(entry));
+  };
+
+  return {
+    debug: (message, data) => write('debug', message, data),
+    info: (message, data) => write('info', message, data),
+    warn: (message, data) => write('warn', message, data),
+    error: (message, data) => write('error', message, data)
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  isDebugMode,
+  redactMessages,
+  redactText
+};
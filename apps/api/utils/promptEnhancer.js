@@ -0,0 +1,134 @@
+/**
+ * Mejora de prompts de imagen con un modelo de chat
+ * Antes de generar, el prompt del estudiante pasa por un proveedor de chat (cualquiera del registro)
+ * con el system prompt "mejorador-prompts-imagen" de lib/prompts, y el resultado es el que recibe
+ * el modelo de imagen. Así la respuesta puede mostrar el prompt original, el mejorado y el revisado.
+ */
+
+const { createProvider, getDefaultModel, findProvider, listProviders } = require('../providers/registry');
+const { getPrompt } = require('./promptLibrary');
+const { renderTemplate } = require('./promptTemplate');
+const { normalizeUsage } = require('./usage');
+const { createError, normalizeError } = require('./errors');
+const { createLogger, redactText } = require('./logger');
+
+const logger = createLogger('enhancer');
+
+// System prompt de la biblioteca (lib/prompts/mejorador-prompts-imagen.md)
+const ENHANCER_PROMPT_ID = 'mejorador-prompts-imagen';
+
+// Largo pedido al modelo de chat (el límite real es el maxPromptLength del modelo de imagen)
+const ENHANCED_PROMPT_LENGTH = 1000;
+
+const ENHANCER_TEMPERATURE = 0.7;
+const ENHANCER_MAX_TOKENS = 800;
+
+/**
+ * Proveedor de chat por defecto: PROMPT_ENHANCER_PROVIDER o el primero configurado del registro
+ * @returns {string|undefined} Id del proveedor
+ */
+function getDefaultEnhancerProvider() {
+  return process.env.PROMPT_ENHANCER_PROVIDER ||
+    listProviders({ capability: 'chat' }).find(provider => provider.configured)?.id;
+}
+
+/**
+ * Validar la opción "enhance" del request y crear el adapter de chat
+ * @param {boolean|Object} enhance - true (proveedor por defecto) o { provider, model }
+ * @returns {Object|null} { providerId, model, provider } o null si no se pidió mejora
+ */
+function resolveEnhancer(enhance) {
+  if (!enhance) {
+    return null;
+  }
+
+  const options = enhance === true ? {} : enhance;
+  const providerId = options.provider || getDefaultEnhancerProvider();
+
+  if (!providerId) {
+    throw createError('upstream_unavailable', 'No hay proveedores de chat configurados para mejorar el prompt');
+  }
+
+  // createProvider responde 400 si el proveedor no existe o no tiene chat, y 503 si no está configurado
+  const provider = createProvider(providerId, 'chat');
+  const { id } = findProvider(providerId, 'chat');
+
+  // Un modelo inexistente lo rechaza el proveedor (invalid_request) al mejorar el prompt
+  return { providerId: id, model: options.model || getDefaultModel(id, 'chat'), provider };
+}
+
+/**
+ * Quitar el formato que algunos modelos agregan aunque se les pida solo el texto
+ * (comillas, "Prompt:" al inicio, saltos de línea)
+ */
+function cleanEnhancedPrompt(text) {
+  const unquote = value => value.trim().replace(/^["'“«]+|["'”»]+$/g, '').trim();
+
+  return unquote(unquote(text || '').replace(/^(prompt( mejorado)?|enhanced prompt)\s*:\s*/i, ''))
+    .replace(/\s*\n+\s*/g, ' ');
+}
+
+/**
+ * Reescribir un prompt de imagen con el modelo de chat
+ * @param {string} prompt - Prompt original del estudiante
+ * @param {Object} enhancer - Resultado de resolveEnhancer()
+ * @param {Object} options - { imageModel (modelo de imagen del catálogo), signal, retry }
+ * @returns {Promise<Object>} { prompt, provider, model, usage, latency }
+ */
+async function enhancePrompt(prompt, enhancer, { imageModel, signal, retry } = {}) {
+  const maxPromptLength = imageModel?.maxPromptLength || 4000;
+  const systemPrompt = renderTemplate(getPrompt(ENHANCER_PROMPT_ID).content, {
+    imageModel: imageModel?.name,
+    maxLength: Math.min(ENHANCED_PROMPT_LENGTH, maxPromptLength)
+  }, ENHANCER_PROMPT_ID);
+
+  const startTime = Date.now();
+  let response;
+
+  try {
+    response = await enhancer.provider.chat({
+      model: enhancer.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ],
+      temperature: ENHANCER_TEMPERATURE,
+      maxTokens: ENHANCER_MAX_TOKENS,
+      stream: false,
+      signal,
+      retry
+    });
+  } catch (error) {
+    // Mismo tipo de error (rate_limited, auth...), indicando que falló el paso de mejora
+    const apiError = normalizeError(error);
+    throw createError(apiError.type, `No se pudo mejorar el prompt con ${enhancer.providerId}: ${apiError.message}`, {
+      status: apiError.status,
+      provider: enhancer.providerId,
+      retryAfterMs: apiError.retryAfterMs,
+      cause: error
+    });
+  }
+
+  const enhanced = cleanEnhancedPrompt(response.content).slice(0, maxPromptLength);
+
+  if (!enhanced) {
+    throw createError('upstream_unavailable', `${enhancer.providerId} no devolvió un prompt mejorado`, { provider: enhancer.providerId });
+  }
+
+  const latency = Date.now() - startTime;
+  logger.debug('Prompt mejorado', { provider: enhancer.providerId, model: enhancer.model, latency, prompt: redactText(enhanced) });
+
+  return {
+    prompt: enhanced,
+    provider: enhancer.providerId,
+    model: response.model || enhancer.model,
+    usage: normalizeUsage(response.usage),
+    latency
+  };
+}
+
+module.exports = {
+  ENHANCER_PROMPT_ID,
+  resolveEnhancer,
+  enhancePrompt
+};
@@ -0,0 +1,190 @@
+/**
+ * Biblioteca de prompts
+ * Carga los system prompts con nombre (lib/prompts/*.md) y los ejemplos few-shot
+ * (lib/prompts/examples.json). netlify.toml incluye lib/prompts/* en el bundle de las funciones;
+ * el JSON además se importa con require para que esbuild lo incluya siempre.
+ *
+ * Cada archivo .md es un prompt; su id es el nombre del archivo sin extensión.
+ * El contenido es una plantilla (utils/promptTemplate.js) con variables como {{studentLevel}}.
+ * Un encabezado opcional define los metadatos:
+ *   ---
+ *   name: Tutor socrático
+ *   description: Guía con preguntas
+ *   ---
+ * Con "internal: true" el prompt es de uso interno del backend (ej: el mejorador de prompts de imagen):
+ * no aparece en listPrompts() ni se puede elegir como promptId, pero getPrompt() lo devuelve.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { examples } = require('../../../lib/prompts/examples.json');
+const { renderTemplate, extractVariables, validateVariables } = require('./promptTemplate');
+const { createError } = require('./errors');
+
+// Prompt usado por defecto en la UI
+const DEFAULT_PROMPT_ID = 'system';
+
+// Ubicaciones posibles de lib/prompts: variable de entorno, repo en desarrollo y bundle de Netlify
+const PROMPTS_DIR_CANDIDATES = [
+  process.env.PROMPTS_DIR,
+  path.resolve(__dirname, '../../../lib/prompts'),
+  path.resolve(process.cwd(), 'lib/prompts')
+].filter(Boolean);
+
+// Los prompts se cargan una sola vez por instancia de la función
+let prompts = null;
+
+/**
+ * Buscar el directorio de prompts
+ */
+function findPromptsDir() {
+  const dir = PROMPTS_DIR_CANDIDATES.find(candidate => fs.existsSync(candidate));
+
+  if (!dir) {
+    throw new Error(`No se encontró el directorio de prompts (buscado en: ${PROMPTS_DIR_CANDIDATES.join(', ')})`);
+  }
+
+  return dir;
+}
+
+/**
+ * Separar el encabezado de metadatos del contenido de un prompt
+ * @param {string} source - Contenido del archivo .md
+ * @returns {Object} { metadata, content }
+ */
+function parsePromptFile(source) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+
+  if (!match) {
+    return { metadata: {}, content: source.trim() };
+  }
+
+  const metadata = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      metadata[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  return { metadata, content: source.slice(match[0].length).trim() };
+}
+
+/**
+ * Cargar los prompts desde disco
+ * @returns {Map<string, Object>} Prompts por id
+ */
+function loadPrompts() {
+  if (prompts) {
+    return prompts;
+  }
+
+  const dir = findPromptsDir();
+  const loaded = new Map();
+
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.md')).sort()) {
+    const id = path.basename(file, '.md');
+    const { metadata, content } = parsePromptFile(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+    loaded.set(id, {
+      id,
+      name: metadata.name || id,
+      description: metadata.description || '',
+      content,
+      variables: extractVariables(content),
+      internal: metadata.internal === 'true'
+    });
+  }
+
+  prompts = loaded;
+  return prompts;
+}
+
+/**
+ * Listar los prompts disponibles para el cliente (sin los internos)
+ * @returns {Array<Object>} { id, name, description, content, variables, isDefault }
+ */
+function listPrompts() {
+  return [...loadPrompts().values()]
+    .filter(prompt => !prompt.internal)
+    .map(({ internal, ...prompt }) => ({
+      ...prompt,
+      isDefault: prompt.id === DEFAULT_PROMPT_ID
+    }));
+}
+
+/**
+ * Obtener un prompt por id, incluidos los internos
+ * @param {string} id - Id del prompt (nombre del archivo sin .md)
+ * @returns {Object|undefined} Prompt encontrado
+ */
+function getPrompt(id) {
+  return loadPrompts().get(id);
+}
+
+/**
+ * Obtener los ejemplos few-shot
+ * @param {string} category - Categoría a filtrar, o 'all' para todas
+ * @returns {Array<Object>} { category, user_input, assistant_response }
+ */
+function getExamples(category = 'all') {
+  return category === 'all' ? examples : examples.filter(example => example.category === category);
+}
+
+/**
+ * Categorías de ejemplos con su cantidad
+ * @returns {Array<Object>} { id, count }
+ */
+function listExampleCategories() {
+  const counts = new Map();
+  for (const example of examples) {
+    counts.set(example.category, (counts.get(example.category) || 0) + 1);
+  }
+  return [...counts.entries()].map(([id, count]) => ({ id, count }));
+}
+
+/**
+ * Anteponer el system prompt y los ejemplos few-shot a la conversación
+ * Ambos se renderizan como plantillas con las variables del request;
+ * los ejemplos se envían como pares user/assistant antes de los mensajes reales
+ * @param {Array} messages - Mensajes del cliente
+ * @param {Object} options - { promptId, examples: categoría o 'all', variables }
+ * @returns {Array} Mensajes completos
+ */
+function applyPromptLibrary(messages, { promptId, examples, variables } = {}) {
+  const values = validateVariables(variables);
+  const prefix = [];
+
+  if (promptId) {
+    const prompt = getPrompt(promptId);
+    if (!prompt || prompt.internal) {
+      throw createError('invalid_request', `Prompt no encontrado: ${promptId}. Disponibles: ${listPrompts().map(p => p.id).join(', ')}`);
+    }
+    prefix.push({ role: 'system', content: renderTemplate(prompt.content, values, prompt.id) });
+  }
+
+  if (examples) {
+    const selected = getExamples(examples);
+    if (selected.length === 0) {
+      throw createError('invalid_request', `Categoría de ejemplos no encontrada: ${examples}. Disponibles: all, ${listExampleCategories().map(c => c.id).join(', ')}`);
+    }
+
+    for (const example of selected) {
+      prefix.push(
+        { role: 'user', content: renderTemplate(example.user_input, values, `ejemplo ${example.category}`) },
+        { role: 'assistant', content: renderTemplate(example.assistant_response, values, `ejemplo ${example.category}`) }
+      );
+    }
+  }
+
+  return [...prefix, ...messages];
+}
+
+module.exports = {
+  DEFAULT_PROMPT_ID,
+  listPrompts,
+  getPrompt,
+  getExamples,
+  listExampleCategories,
+  applyPromptLibrary
+};
@@ -0,0 +1,228 @@
+/**
+ * Motor de plantillas para prompts
+ * Sintaxis mínima, sin ejecución de código:
+ *   {{variable}}                  valor de la variable (requerida)
+ *   {{variable | por defecto}}    valor o texto por defecto si no se envía
+ *   {{#if variable}}...{{else}}...{{/if}}
+ *   {{#unless variable}}...{{/unless}}
+ * Las variables faltantes se reúnen todas y se informan en un único error 400.
+ */
+
+const { createError } = require('./errors');
+
+// Etiquetas {{ ... }}: bloque (#if, #unless, else, /if, /unless) o variable con default opcional
+const TAG_PATTERN = /\{\{\s*(#if|#unless|else|\/if|\/unless)?\s*([a-zA-Z_][\w]*)?\s*(?:\|([^}]*))?\}\}/g;
+
+// Etiquetas de bloque solas en su línea: se elimina el salto de línea para no dejar líneas vacías
+const STANDALONE_BLOCK_PATTERN = /^[ \t]*(\{\{\s*(?:#if|#unless|else|\/if|\/unless)[^}]*\}\})[ \t]*\r?\n/gm;
+
+const MAX_VARIABLES = 20;
+const MAX_VALUE_LENGTH = 500;
+
+/**
+ * Error de plantilla mal formada (problema del archivo, no del request)
+ */
+function templateError(message) {
+  return createError('internal', `Plantilla inválida: ${message}`);
+}
+
+/**
+ * Convertir el texto de la plantilla en un árbol de nodos
+ * @param {string} template - Texto de la plantilla
+ * @returns {Array} Nodos: { type: 'text' | 'var' | 'if', ... }
+ */
+function parseTemplate(template) {
+  const source = template.replace(STANDALONE_BLOCK_PATTERN, '$1');
+  const nodes = [];
+  // Bloques abiertos: el nodo y la lista a la que se vuelve al cerrarlo
+  const stack = [];
+  let current = nodes;
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, block, name, defaultValue] = match;
+
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (!block) {
+      if (!name) {
+        throw templateError(`etiqueta vacía "${tag}"`);
+      }
+      current.push({ type: 'var', name, defaultValue: defaultValue === undefined ? undefined : defaultValue.trim() });
+      continue;
+    }
+
+    if (block === '#if' || block === '#unless') {
+      if (!name) {
+        throw templateError(`${block} sin variable`);
+      }
+      const node = { type: 'if', name, negate: block === '#unless', block, then: [], otherwise: [] };
+      current.push(node);
+      stack.push({ node, parent: current });
+      current = node.then;
+      continue;
+    }
+
+    const open = stack[stack.length - 1]?.node;
+
+    if (block === 'else') {
+      if (!open) {
+        throw templateError('{{else}} fuera de un bloque');
+      }
+      if (current === open.otherwise) {
+        throw templateError(`{{else}} repetido en {{${open.block} ${open.name}}}`);
+      }
+      current = open.otherwise;
+      continue;
+    }
+
+    // Cierre: /if o /unless
+    if (!open || `/${open.block.slice(1)}` !== block) {
+      throw templateError(`{{${block}}} sin apertura correspondiente`);
+    }
+    current = stack.pop().parent;
+  }
+
+  if (stack.length > 0) {
+    const { node } = stack[stack.length - 1];
+    throw templateError(`falta cerrar {{${node.block} ${node.name}}}`);
+  }
+
+  if (lastIndex < source.length) {
+    current.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return nodes;
+}
+
+/**
+ * Una variable cuenta como presente si tiene un valor no vacío
+ */
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+/**
+ * Recorrer los nodos y generar el texto, acumulando las variables faltantes
+ */
+function renderNodes(nodes, variables, missing) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      if (isPresent(variables[node.name])) {
+        output += String(variables[node.name]);
+      } else if (node.defaultValue !== undefined) {
+        output += node.defaultValue;
+      } else {
+        missing.add(node.name);
+      }
+    } else {
+      const condition = isPresent(variables[node.name]) !== node.negate;
+      output += renderNodes(condition ? node.then : node.otherwise, variables, missing);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Validar las variables recibidas en el request
+ * @param {Object} variables - promptVariables del request
+ * @returns {Object} Variables validadas (objeto vacío si no se enviaron)
+ */
+function validateVariables(variables) {
+  if (variables === undefined || variables === null) {
+    return {};
+  }
+
+  const invalid = (message) => createError('invalid_request', message);
+
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw invalid('"promptVariables" debe ser un objeto { nombre: valor }');
+  }
+
+  const entries = Object.entries(variables);
+  if (entries.length > MAX_VARIABLES) {
+    throw invalid(`"promptVariables" admite hasta ${MAX_VARIABLES} variables`);
+  }
+
+  for (const [name, value] of entries) {
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw invalid(`La variable "${name}" debe ser texto, número o booleano`);
+    }
+    if (String(value).length > MAX_VALUE_LENGTH) {
+      throw invalid(`La variable "${name}" no puede tener más de ${MAX_VALUE_LENGTH} caracteres`);
+    }
+  }
+
+  return variables;
+}
+
+/**
+ * Renderizar una plantilla
+ * @param {string} template - Texto de la plantilla
+ * @param {Object} variables - Valores de las variables
+ * @param {string} label - Nombre de la plantilla para los mensajes de error
+ * @returns {string} Texto final
+ */
+function renderTemplate(template, variables = {}, label = 'prompt') {
+  const missing = new Set();
+  const output = renderNodes(parseTemplate(template), variables, missing);
+
+  if (missing.size > 0) {
+    const error = createError('invalid_request', `Faltan variables para "${label}": ${[...missing].join(', ')}. Envíalas en "promptVariables"`);
+    error.missingVariables = [...missing];
+    throw error;
+  }
+
+  // Los bloques omitidos pueden dejar varias líneas vacías seguidas
+  return output.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Listar las variables que usa una plantilla (para que la UI arme el formulario)
+ * Es requerida si aparece sin valor por defecto fuera de cualquier condicional
+ * @param {string} template - Texto de la plantilla
+ * @returns {Array<Object>} { name, required, defaultValue }
+ */
+function extractVariables(template) {
+  const variables = new Map();
+
+  const visit = (nodes, conditional) => {
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        continue;
+      }
+
+      const entry = variables.get(node.name) || { name: node.name, required: false, defaultValue: undefined };
+      variables.set(node.name, entry);
+
+      if (node.type === 'var') {
+        if (node.defaultValue !== undefined) {
+          entry.defaultValue = node.defaultValue;
+        } else if (!conditional) {
+          entry.required = true;
+        }
+      } else {
+        visit(node.then, true);
+        visit(node.otherwise, true);
+      }
+    }
+  };
+
+  visit(parseTemplate(template), false);
+  return [...variables.values()];
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  extractVariables,
+  validateVariables
+};
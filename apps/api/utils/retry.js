@@ -0,0 +1,164 @@
+/**
+ * Política de reintentos para requests a los proveedores
+ * Backoff exponencial con jitter ("full jitter") y respeto de los headers
+ * Retry-After / retry-after-ms que envían los proveedores al limitar el tráfico.
+ */
+
+const { createError } = require('./errors');
+
+// Valores por defecto (se pueden ajustar por proveedor con config.retry o por request)
+const DEFAULT_RETRY = {
+  maxAttempts: parseInt(process.env.PROVIDER_RETRY_MAX_ATTEMPTS) || 3,
+  budgetMs: parseInt(process.env.PROVIDER_RETRY_BUDGET_MS) || 20000,
+  baseDelayMs: 500,
+  maxDelayMs: 8000
+};
+
+// Límites para los valores que llegan en el request
+const MAX_ATTEMPTS_LIMIT = 5;
+const MAX_BUDGET_MS = 30000;
+
+// Status HTTP que vale la pena reintentar (529: Anthropic sobrecargado)
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * Decidir si un status HTTP justifica otro intento
+ * @param {number} status - Status de la respuesta
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return RETRYABLE_STATUS.has(status);
+}
+
+/**
+ * Leer la espera sugerida por el proveedor
+ * - retry-after-ms: milisegundos (OpenAI / Azure)
+ * - Retry-After: segundos o fecha HTTP (estándar)
+ * @param {Headers} headers - Headers de la respuesta
+ * @returns {number|null} Milisegundos a esperar o null si no hay indicación válida
+ */
+function parseRetryAfter(headers) {
+  if (!headers) {
+    return null;
+  }
+
+  const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return Math.round(retryAfterMs);
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.round(seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Espera antes del próximo intento: backoff exponencial con full jitter
+ * @param {number} attempt - Intento que acaba de fallar (1, 2, ...)
+ * @param {Object} policy - { baseDelayMs, maxDelayMs }
+ * @returns {number} Milisegundos entre 0 y min(maxDelayMs, baseDelayMs * 2^(attempt-1))
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Combinar la política por defecto, la del proveedor y la del request
+ * @param {...Object} overrides - Objetos parciales { maxAttempts, budgetMs, baseDelayMs, maxDelayMs }
+ * @returns {Object} Política completa
+ */
+function resolveRetryPolicy(...overrides) {
+  const policy = { ...DEFAULT_RETRY };
+
+  for (const override of overrides) {
+    if (!override) continue;
+
+    for (const key of Object.keys(DEFAULT_RETRY)) {
+      if (Number.isFinite(override[key]) && override[key] >= 0) {
+        policy[key] = override[key];
+      }
+    }
+  }
+
+  policy.maxAttempts = Math.max(1, Math.floor(policy.maxAttempts));
+  return policy;
+}
+
+/**
+ * Validar la opción "retry" recibida en el body de un request
+ * @param {Object} retry - { maxAttempts?, budgetMs? }
+ * @returns {Object|undefined} Opción normalizada
+ * @throws {APIError} invalid_request si los valores no son válidos
+ */
+function validateRetryOptions(retry) {
+  if (retry === undefined || retry === null) {
+    return undefined;
+  }
+
+  if (typeof retry !== 'object' || Array.isArray(retry)) {
+    throw createError('invalid_request', '"retry" debe ser un objeto { maxAttempts, budgetMs }');
+  }
+
+  const { maxAttempts, budgetMs } = retry;
+
+  if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT)) {
+    throw createError('invalid_request', `"retry.maxAttempts" debe ser un entero entre 1 y ${MAX_ATTEMPTS_LIMIT}`);
+  }
+
+  if (budgetMs !== undefined && (typeof budgetMs !== 'number' || budgetMs < 0 || budgetMs > MAX_BUDGET_MS)) {
+    throw createError('invalid_request', `"retry.budgetMs" debe ser un número entre 0 y ${MAX_BUDGET_MS}`);
+  }
+
+  return { maxAttempts, budgetMs };
+}
+
+/**
+ * Esperar una cantidad de milisegundos, cortando si la señal se cancela
+ * @param {number} ms - Milisegundos
+ * @param {AbortSignal} signal - Señal para cancelar la espera
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason);
+    };
+
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  isRetryableStatus,
+  parseRetryAfter,
+  backoffDelay,
+  resolveRetryPolicy,
+  validateRetryOptions,
+  sleep
+};
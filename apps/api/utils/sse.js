@@ -0,0 +1,153 @@
+/**
+ * Utilidades para Server-Sent Events (SSE)
+ * Convierte los chunks normalizados de los adapters ({delta} / {done})
+ * en los eventos que consume el frontend ({type: 'content' | 'metadata' | 'error' | 'done'})
+ */
+
+const { normalizeError } = require('./errors');
+const { normalizeUsage } = require('./usage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('sse');
+
+// Headers estándar para una respuesta SSE
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive'
+};
+
+/**
+ * Serializar un evento en formato SSE
+ * @param {Object} event - Evento a enviar
+ * @returns {string} Línea "data: ..." terminada en doble salto de línea
+ */
+function formatSSE(event) {
+  return `data: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Crear un ReadableStream SSE a partir de un generador de eventos
+ * @param {AsyncIterable<Object>} events - Eventos a serializar
+ * @returns {ReadableStream} Stream listo para usar como body de la respuesta
+ */
+function createSSEStream(events) {
+  const encoder = new TextEncoder();
+  const iterator = events[Symbol.asyncIterator]();
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+
+        if (done) {
+          controller.close();
+          return;
+        }
+
+        controller.enqueue(encoder.encode(formatSSE(value)));
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+
+    async cancel() {
+      // El cliente cerró la conexión: liberar el stream del proveedor
+      await iterator.return?.();
+    }
+  });
+}
+
+/**
+ * Normalizar el stream de un adapter a eventos de chat
+ * @param {AsyncIterable<Object>} chunks - Salida de Provider.processStream()
+ * @param {Object} context - Datos del request
+ * @param {string} context.provider - Proveedor usado
+ * @param {string} context.model - Modelo usado
+ * @param {number} context.startTime - Timestamp de inicio del request
+ * @param {Object} context.metadata - Datos extra para el evento metadata (ej: fallback)
+ * @returns {AsyncGenerator<Object>} Eventos content, metadata, error y done
+ */
+async function* toChatEvents(chunks, { provider, model, startTime, metadata: extraMetadata }) {
+  let usage = null;
+  let firstTokenLatency = null;
+
+  try {
+    for await (const chunk of chunks) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      if (chunk.delta) {
+        if (firstTokenLatency === null) {
+          firstTokenLatency = Date.now() - startTime;
+        }
+        yield { type: 'content', delta: chunk.delta, provider };
+      }
+
+      if (chunk.done) {
+        break;
+      }
+    }
+  } catch (error) {
+    // errorType: tipo de la taxonomía de utils/errors.js (ej: rate_limited, upstream_unavailable)
+    // Los errores internos se informan con el mensaje genérico de normalizeError
+    const apiError = normalizeError(error);
+    logger.error('Stream error', { provider, error });
+    yield { type: 'error', error: apiError.message, errorType: apiError.type, provider };
+  }
+
+  const metadata = {
+    ...extraMetadata,
+    model,
+    // Mismo formato { inputTokens, outputTokens, totalTokens } para todos los proveedores
+    usage: normalizeUsage(usage) || {},
+    latency: Date.now() - startTime,
+    firstTokenLatency
+  };
+
+  yield { type: 'metadata', metadata, provider };
+  yield { type: 'done', metadata, provider };
+}
+
+/**
+ * Intercalar varios generadores de eventos a medida que producen valores
+ * Se usa para transmitir en un único stream las respuestas de varios proveedores en paralelo
+ * @param {Array<AsyncIterable<Object>>} sources - Generadores a combinar
+ * @returns {AsyncGenerator<Object>} Eventos en el orden en que llegan
+ */
+async function* mergeEvents(sources) {
+  const iterators = sources.map(source => source[Symbol.asyncIterator]());
+  const pending = new Map();
+
+  const pull = (index) => {
+    pending.set(index, iterators[index].next().then(result => ({ index, result })));
+  };
+
+  iterators.forEach((_, index) => pull(index));
+
+  try {
+    while (pending.size > 0) {
+      const { index, result } = await Promise.race(pending.values());
+
+      if (result.done) {
+        pending.delete(index);
+        continue;
+      }
+
+      pull(index);
+      yield result.value;
+    }
+  } finally {
+    // Si el cliente cierra la conexión, cerrar también los generadores pendientes
+    await Promise.all([...pending.keys()].map(index => iterators[index].return?.()));
+  }
+}
+
+module.exports = {
+  SSE_HEADERS,
+  formatSSE,
+  createSSEStream,
+  toChatEvents,
+  mergeEvents
+};
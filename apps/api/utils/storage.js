@@ -0,0 +1,157 @@
+/**
+ * Almacenamiento clave-valor persistente (lo usa la galería de imágenes)
+ * Dos backends con la misma interfaz:
+ * - "fs": archivos locales, para desarrollo (STORAGE_DIR o el directorio temporal del sistema)
+ * - "blobs": Netlify Blobs, para producción (las funciones no tienen disco persistente)
+ * STORAGE_BACKEND elige el backend; por defecto "fs" con NODE_ENV=development y "blobs" en el resto.
+ *
+ * Interfaz de un store:
+ *   get(key) -> Buffer | null        set(key, buffer)
+ *   getJSON(key) -> Object | null    setJSON(key, value)
+ *   delete(key)                      list(prefix) -> [keys]   (prefix es una "carpeta": 'meta/')
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const BACKENDS = ['fs', 'blobs'];
+
+// Claves válidas: segmentos alfanuméricos separados por "/" (evita salir del directorio en "fs")
+const KEY_PATTERN = /^[a-z0-9][a-z0-9._-]*(\/[a-z0-9][a-z0-9._-]*)*$/i;
+
+/**
+ * Backend configurado
+ * @returns {string} 'fs' | 'blobs'
+ */
+function getStorageBackend() {
+  const backend = process.env.STORAGE_BACKEND;
+
+  if (BACKENDS.includes(backend)) {
+    return backend;
+  }
+
+  return process.env.NODE_ENV === 'development' ? 'fs' : 'blobs';
+}
+
+/**
+ * Verificar una clave antes de usarla
+ */
+function assertKey(key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error(`Clave de almacenamiento no válida: ${key}`);
+  }
+}
+
+/**
+ * Store en el sistema de archivos: cada clave es un archivo dentro de STORAGE_DIR/<nombre>
+ * @param {string} name - Nombre del store (subdirectorio)
+ * @returns {Object} Store
+ */
+function createFileStore(name) {
+  const root = path.join(process.env.STORAGE_DIR || path.join(os.tmpdir(), 'demo-gpts-storage'), name);
+  const filePath = (key) => {
+    assertKey(key);
+    return path.join(root, ...key.split('/'));
+  };
+
+  const get = async (key) => {
+    try {
+      return await fs.readFile(filePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const set = async (key, buffer) => {
+    const target = filePath(key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+  };
+
+  return {
+    backend: 'fs',
+    get,
+    set,
+    async getJSON(key) {
+      const data = await get(key);
+      return data ? JSON.parse(data.toString('utf8')) : null;
+    },
+    setJSON: (key, value) => set(key, JSON.stringify(value)),
+    delete: (key) => fs.rm(filePath(key), { force: true }),
+    async list(prefix) {
+      try {
+        const names = await fs.readdir(path.join(root, ...prefix.split('/').filter(Boolean)));
+        return names.map(fileName => `${prefix}${fileName}`);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Store en Netlify Blobs
+ * Las funciones con formato Lambda (exports.handler) reciben el contexto de Blobs en el
+ * evento: connectLambda(event) lo registra antes de abrir el store
+ * @param {string} name - Nombre del store
+ * @param {Object} event - Evento de Netlify Function
+ * @returns {Object} Store
+ */
+function createBlobStore(name, event) {
+  // Se carga solo en producción: en desarrollo con "fs" el paquete no es necesario
+  const { getStore, connectLambda } = require('@netlify/blobs');
+
+  if (event?.blobs) {
+    connectLambda(event);
+  }
+
+  const store = getStore(name);
+
+  return {
+    backend: 'blobs',
+    async get(key) {
+      assertKey(key);
+      const data = await store.get(key, { type: 'arrayBuffer' });
+      return data ? Buffer.from(data) : null;
+    },
+    async set(key, buffer) {
+      assertKey(key);
+      await store.set(key, new Blob([buffer]));
+    },
+    async getJSON(key) {
+      assertKey(key);
+      return store.get(key, { type: 'json' });
+    },
+    async setJSON(key, value) {
+      assertKey(key);
+      await store.setJSON(key, value);
+    },
+    async delete(key) {
+      assertKey(key);
+      await store.delete(key);
+    },
+    async list(prefix) {
+      const { blobs } = await store.list({ prefix });
+      return blobs.map(blob => blob.key);
+    }
+  };
+}
+
+/**
+ * Abrir un store con el backend configurado
+ * @param {string} name - Nombre del store (ej: 'image-gallery')
+ * @param {Object} event - Evento de Netlify Function (lo necesita el backend "blobs")
+ * @returns {Object} Store (ver interfaz al inicio del archivo)
+ */
+function createStore(name, event) {
+  return getStorageBackend() === 'fs' ? createFileStore(name) : createBlobStore(name, event);
+}
+
+module.exports = {
+  BACKENDS,
+  getStorageBackend,
+  createStore
+};
@@ -0,0 +1,232 @@
+/**
+ * Salida estructurada (JSON mode)
+ * Normaliza el parámetro responseFormat, extrae el JSON del texto del modelo
+ * y lo valida contra un JSON Schema.
+ * El validador cubre el subconjunto de JSON Schema que aceptan los proveedores
+ * (type, properties, required, items, enum, additionalProperties, límites numéricos y de longitud).
+ */
+
+const { createError } = require('./errors');
+
+/**
+ * Normalizar responseFormat
+ * Acepta: 'text' | 'json' | { jsonSchema, name? } | { type: 'json_schema', schema, name? }
+ * @param {string|Object} responseFormat - Valor recibido en el request
+ * @returns {Object|null} { type: 'json' | 'json_schema', schema, name } o null para texto libre
+ */
+function normalizeResponseFormat(responseFormat) {
+  if (!responseFormat || responseFormat === 'text') {
+    return null;
+  }
+
+  if (responseFormat === 'json' || responseFormat.type === 'json') {
+    return { type: 'json', schema: null, name: 'respuesta' };
+  }
+
+  const schema = responseFormat.jsonSchema || responseFormat.schema;
+
+  if (typeof responseFormat !== 'object' || !schema) {
+    throw createError('invalid_request', 'responseFormat debe ser "text", "json" o { jsonSchema }');
+  }
+
+  if (typeof schema !== 'object' || schema.type !== 'object') {
+    throw createError('invalid_request', 'responseFormat.jsonSchema debe ser un JSON Schema con type "object"');
+  }
+
+  // Los patrones se compilan antes de llamar al modelo: uno inválido fallaría recién al validar la respuesta
+  const patternError = findInvalidPattern(schema);
+  if (patternError) {
+    throw createError('invalid_request', `responseFormat.jsonSchema: ${patternError}`);
+  }
+
+  const name = responseFormat.name || 'respuesta';
+  if (!/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+    throw createError('invalid_request', 'responseFormat.name solo admite letras, números, _ o - (máximo 64 caracteres)');
+  }
+
+  return { type: 'json_schema', schema, name };
+}
+
+/**
+ * Buscar un "pattern" que no sea una expresión regular válida
+ * Recorre las mismas claves que validateSchema (properties, items, additionalProperties)
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Ruta del schema (para el mensaje de error)
+ * @returns {string|null} Descripción del error o null si todos compilan
+ */
+function findInvalidPattern(schema, path = '$') {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+
+  if (schema.pattern !== undefined) {
+    if (typeof schema.pattern !== 'string') {
+      return `${path}: "pattern" debe ser un string`;
+    }
+
+    try {
+      new RegExp(schema.pattern);
+    } catch (error) {
+      return `${path}: "pattern" no es una expresión regular válida (${error.message})`;
+    }
+  }
+
+  const children = [
+    ...Object.entries(schema.properties || {}).map(([key, child]) => [child, `${path}.${key}`]),
+    [schema.items, `${path}[]`],
+    [schema.additionalProperties, `${path}.*`]
+  ];
+
+  for (const [child, childPath] of children) {
+    const error = findInvalidPattern(child, childPath);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extraer y parsear el JSON de la respuesta del modelo
+ * Tolera bloques de código markdown (```json ... ```) que algunos modelos agregan
+ * @param {string} text - Texto generado
+ * @returns {Object} { data } o { error }
+ */
+function parseJsonOutput(text) {
+  const trimmed = (text || '').trim();
+  const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/i.exec(trimmed);
+
+  try {
+    return { data: JSON.parse(fenced ? fenced[1] : trimmed) };
+  } catch (error) {
+    return { error: `La respuesta no es JSON válido: ${error.message}` };
+  }
+}
+
+/**
+ * Tipo JSON Schema de un valor
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Verificar si un valor cumple un type (string o lista de tipos)
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validar un valor contra un JSON Schema
+ * @param {any} value - Valor a validar
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Ruta del valor (para los mensajes de error)
+ * @returns {Array<string>} Errores encontrados (vacío si es válido)
+ */
+function validateSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  if (schema.nullable && value === null) {
+    return [];
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: se esperaba ${[].concat(schema.type).join(' o ')} y se recibió ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: debe ser uno de ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: debe tener al menos ${schema.minLength} caracteres`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: no puede tener más de ${schema.maxLength} caracteres`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: no cumple el patrón ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: debe ser mayor o igual a ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: debe ser menor o igual a ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: debe tener al menos ${schema.minItems} elementos`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: no puede tener más de ${schema.maxItems} elementos`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: es requerido`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(propertyValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: propiedad no permitida`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(propertyValue, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parsear y validar la salida del modelo según el responseFormat normalizado
+ * @param {string} text - Texto generado por el modelo
+ * @param {Object} format - Resultado de normalizeResponseFormat()
+ * @returns {Object} { data, errors } (errors vacío si la salida es válida)
+ */
+function parseStructuredOutput(text, format) {
+  const parsed = parseJsonOutput(text);
+
+  if (parsed.error) {
+    return { data: null, errors: [parsed.error] };
+  }
+
+  const errors = format.schema ? validateSchema(parsed.data, format.schema) : [];
+  return { data: parsed.data, errors };
+}
+
+module.exports = {
+  normalizeResponseFormat,
+  parseJsonOutput,
+  validateSchema,
+  parseStructuredOutput
+};
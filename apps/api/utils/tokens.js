@@ -0,0 +1,120 @@
+/**
+ * Estimación de tokens antes de enviar un request
+ * Los tokenizers reales (tiktoken, el de Claude, el de Gemini) no están disponibles sin
+ * dependencias ni llamadas extra, así que se estima con el promedio de caracteres por token
+ * de cada familia más el costo fijo por mensaje e imagen. Es una aproximación: el uso real
+ * lo informa el proveedor en "usage" después de responder.
+ *
+ * Cada proveedor declara su familia con "tokenizer" en la definición del registro.
+ */
+
+const { findProvider } = require('../providers/registry');
+const { toContentParts } = require('./content');
+
+// Parámetros de cada familia de tokenizers
+// - charsPerToken: caracteres latinos por token (el español rinde algo menos que el inglés)
+// - messageTokens: tokens de formato por mensaje (rol, separadores)
+// - replyTokens: tokens con los que el proveedor prepara la respuesta
+// - imageTokens: costo de una imagen sin conocer sus dimensiones
+const TOKENIZER_PROFILES = {
+  // cl100k / o200k: ~4 caracteres por token, 3 de formato por mensaje; imagen en detail "auto" ~765
+  openai: { charsPerToken: 4, messageTokens: 4, replyTokens: 3, imageTokens: 765 },
+  // Claude divide el texto en piezas más cortas; una imagen de ~1 MP son ~1600 tokens
+  anthropic: { charsPerToken: 3.5, messageTokens: 5, replyTokens: 0, imageTokens: 1600 },
+  // SentencePiece: ~4 caracteres por token; cada imagen cuesta 258 tokens fijos
+  gemini: { charsPerToken: 4, messageTokens: 2, replyTokens: 0, imageTokens: 258 },
+  // Proveedores sin familia declarada: la estimación más conservadora
+  default: { charsPerToken: 3.5, messageTokens: 5, replyTokens: 3, imageTokens: 1600 }
+};
+
+// Caracteres fuera del alfabeto latino (CJK, emojis...): cerca de un token cada uno
+const WIDE_CHARS = /[^\u0000-\u024f\u1e00-\u1eff\u2000-\u206f]/gu;
+
+/**
+ * Familia de tokenizer de un proveedor
+ * @param {string} providerId - Id o alias del proveedor
+ * @returns {string} Clave de TOKENIZER_PROFILES
+ */
+function getTokenizer(providerId) {
+  const tokenizer = findProvider(providerId, 'chat')?.tokenizer;
+  return TOKENIZER_PROFILES[tokenizer] ? tokenizer : 'default';
+}
+
+/**
+ * Estimar los tokens de un texto
+ * @param {string} text - Texto
+ * @param {string} tokenizer - Familia (getTokenizer)
+ * @returns {number}
+ */
+function estimateTextTokens(text, tokenizer = 'default') {
+  if (!text) {
+    return 0;
+  }
+
+  const { charsPerToken } = TOKENIZER_PROFILES[tokenizer] || TOKENIZER_PROFILES.default;
+  const wide = (text.match(WIDE_CHARS) || []).join('').length;
+
+  return Math.ceil((text.length - wide) / charsPerToken + wide);
+}
+
+/**
+ * Estimar los tokens de un mensaje (texto, imágenes y llamadas a herramientas)
+ * @param {Object} message - { role, content, toolCalls?, name? }
+ * @param {string} tokenizer - Familia (getTokenizer)
+ * @returns {number}
+ */
+function estimateMessageTokens(message, tokenizer = 'default') {
+  const profile = TOKENIZER_PROFILES[tokenizer] || TOKENIZER_PROFILES.default;
+  let tokens = profile.messageTokens;
+
+  for (const part of toContentParts(message.content)) {
+    tokens += part.type === 'image'
+      ? profile.imageTokens
+      : estimateTextTokens(part.text, tokenizer);
+  }
+
+  if (message.toolCalls?.length) {
+    tokens += estimateTextTokens(JSON.stringify(message.toolCalls), tokenizer);
+  }
+
+  if (message.name) {
+    tokens += estimateTextTokens(message.name, tokenizer);
+  }
+
+  return tokens;
+}
+
+/**
+ * Estimar los tokens de una conversación completa
+ * @param {Array} messages - Mensajes a enviar
+ * @param {string} tokenizer - Familia (getTokenizer)
+ * @returns {number}
+ */
+function estimateMessagesTokens(messages, tokenizer = 'default') {
+  const profile = TOKENIZER_PROFILES[tokenizer] || TOKENIZER_PROFILES.default;
+
+  return messages.reduce((total, message) => total + estimateMessageTokens(message, tokenizer), profile.replyTokens);
+}
+
+/**
+ * Estimar los tokens de las definiciones de herramientas (también ocupan la ventana de contexto)
+ * @param {Array} tools - Definiciones { name, description, parameters }
+ * @param {string} tokenizer - Familia (getTokenizer)
+ * @returns {number}
+ */
+function estimateToolsTokens(tools, tokenizer = 'default') {
+  if (!tools?.length) {
+    return 0;
+  }
+
+  return tools.reduce((total, tool) => total + estimateTextTokens(JSON.stringify(tool), tokenizer), 0);
+}
+
+module.exports = {
+  TOKENIZER_PROFILES,
+  getTokenizer,
+  estimateTextTokens,
+  estimateMessageTokens,
+  estimateMessagesTokens,
+  estimateToolsTokens
+};
@@ -0,0 +1,62 @@
+/**
+ * Uso de tokens y costo estimado
+ * Cada proveedor informa el uso con nombres distintos; aquí se normaliza a
+ * { inputTokens, outputTokens, totalTokens } y se calcula el costo con el pricing del catálogo.
+ */
+
+/**
+ * Normalizar el uso de tokens de cualquier proveedor
+ * - OpenAI / Azure: prompt_tokens, completion_tokens, total_tokens
+ * - Anthropic: input_tokens, output_tokens
+ * - Gemini: promptTokenCount, candidatesTokenCount, totalTokenCount
+ * @param {Object} usage - Uso tal como lo devuelve el adapter
+ * @returns {Object|null} { inputTokens, outputTokens, totalTokens } o null si no hay datos
+ */
+function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+
+  const inputTokens = usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokenCount ?? usage.inputTokens;
+  const outputTokens = usage.completion_tokens ?? usage.output_tokens ?? usage.candidatesTokenCount ?? usage.outputTokens;
+
+  if (inputTokens === undefined && outputTokens === undefined) {
+    return null;
+  }
+
+  const input = inputTokens || 0;
+  const output = outputTokens || 0;
+
+  return {
+    inputTokens: input,
+    outputTokens: output,
+    totalTokens: usage.total_tokens ?? usage.totalTokenCount ?? usage.totalTokens ?? input + output
+  };
+}
+
+/**
+ * Estimar el costo de un request
+ * @param {Object} usage - Uso normalizado (normalizeUsage)
+ * @param {Object} pricing - Precios del catálogo en USD por token { input, output }
+ * @returns {Object|null} { input, output, total, currency } o null si falta el uso o el precio
+ */
+function estimateCost(usage, pricing) {
+  if (!usage || !pricing || pricing.input === undefined || pricing.output === undefined) {
+    return null;
+  }
+
+  const input = usage.inputTokens * pricing.input;
+  const output = usage.outputTokens * pricing.output;
+
+  return {
+    input,
+    output,
+    total: input + output,
+    currency: 'USD'
+  };
+}
+
+module.exports = {
+  normalizeUsage,
+  estimateCost
+};
@@ -1,8 +1,11 @@
 import { useState } from 'react'
 import Header from './components/Header'
 import ProviderSelector from './components/ProviderSelector'
+import PersonaSelector from './components/PersonaSelector'
 import ChatInterface from './components/ChatInterface'
+import CompareView from './components/CompareView'
 import ImageGenerator from './components/ImageGenerator'
+import GalleryView from './components/GalleryView'
 import RequestInspector from './components/RequestInspector'
 
 function App() {
@@ -11,12 +14,23 @@ function App() {
   const [selectedModel, setSelectedModel] = useState('gpt-4o-mini')
   const [requestLogs, setRequestLogs] = useState([])
   const [isStreaming, setIsStreaming] = useState(true)
+  const [selectedPromptId, setSelectedPromptId] = useState('system')
+  const [examples, setExamples] = useState('')
+  const [promptVariables, setPromptVariables] = useState({})
+  const [galleryVersion, setGalleryVersion] = useState(0) // Cambia cuando se guardan imágenes nuevas
 
   // Función para agregar logs de requests
   const addRequestLog = (log) => {
     setRequestLogs(prev => [log, ...prev].slice(0, 10)) // Mantener solo los últimos 10
   }
 
+  // Actualizar un log existente (ej: agregar pasos del bucle de herramientas en vivo)
+  const updateRequestLog = (id, changes) => {
+    setRequestLogs(prev => prev.map(log => (
+      log.id === id ? { ...log, ...(typeof changes === 'function' ? changes(log) : changes) } : log
+    )))
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -36,6 +50,15 @@ function App() {
               isStreaming={isStreaming}
               onStreamingChange={setIsStreaming}
             />
+
+            <PersonaSelector
+              selectedPromptId={selectedPromptId}
+              onPromptChange={setSelectedPromptId}
+              examples={examples}
+              onExamplesChange={setExamples}
+              promptVariables={promptVariables}
+              onPromptVariablesChange={setPromptVariables}
+            />
             
             <RequestInspector 
               requestLogs={requestLogs}
@@ -48,10 +71,30 @@ function App() {
               provider={selectedProvider}
               model={selectedModel}
               isStreaming={isStreaming}
+              promptId={selectedPromptId}
+              examples={examples}
+              promptVariables={promptVariables}
+              onRequestLog={addRequestLog}
+              onRequestLogUpdate={updateRequestLog}
+            />
+
+            <CompareView
+              isStreaming={isStreaming}
+              promptId={selectedPromptId}
+              examples={examples}
+              promptVariables={promptVariables}
               onRequestLog={addRequestLog}
             />
             
             <ImageGenerator
+              chatProvider={selectedProvider}
+              chatModel={selectedModel}
+              onRequestLog={addRequestLog}
+              onImagesGenerated={() => setGalleryVersion(version => version + 1)}
+            />
+
+            <GalleryView
+              refreshKey={galleryVersion}
               onRequestLog={addRequestLog}
             />
           </div>
@@ -1,13 +1,58 @@
 import { useState, useRef, useEffect } from 'react'
-import { APIService, RequestUtils } from '../services/api'
+import { APIService, APIError, RequestUtils } from '../services/api'
 
-function ChatInterface({ provider, model, isStreaming, onRequestLog }) {
+// Mismos límites que valida el backend (apps/api/utils/content.js)
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif']
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024
+const MAX_IMAGES_PER_MESSAGE = 4
+
+// Orden en que se prueban los demás proveedores si el elegido falla (5xx, 429, timeout)
+const FALLBACK_ORDER = ['openai', 'anthropic', 'gemini', 'azure']
+
+// Máximo de mensajes por request (apps/api/middlewares/validate.js): el historial anterior no se envía
+const MAX_HISTORY_MESSAGES = 50
+
+// Estrategias para ajustar la conversación a la ventana de contexto (apps/api/utils/context.js)
+const CONTEXT_STRATEGIES = [
+  { id: 'truncate_oldest', label: 'Recortar antiguos', description: 'Descarta los turnos más antiguos solo cuando la conversación no entra en la ventana del modelo' },
+  { id: 'keep_last', label: 'Últimos 10', description: 'Envía los mensajes de sistema y los últimos 10 mensajes' },
+  { id: 'summarize', label: 'Resumir', description: 'Reemplaza los turnos que no entran por un resumen hecho con el mismo modelo' },
+  { id: 'none', label: 'Sin ajuste', description: 'Envía todo el historial y solo informa la estimación de tokens' }
+]
+
+// Leer un archivo como data URL
+const readAsDataURL = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(file)
+})
+
+// Marcar los mensajes que no llegaron al modelo: los que no se enviaron y los que descartó el servidor
+// (metadata.context.dropped trae el índice dentro de los mensajes enviados)
+const markOutOfContext = (messages, offset, context) => {
+  const dropped = new Set((context?.dropped || []).map(entry => entry.index))
+
+  return messages.map((message, index) => ({
+    ...message,
+    outOfContext: index < offset || dropped.has(index - offset)
+  }))
+}
+
+function ChatInterface({ provider, model, isStreaming, promptId, examples, promptVariables, onRequestLog, onRequestLogUpdate }) {
   const [messages, setMessages] = useState([])
   const [currentMessage, setCurrentMessage] = useState('')
   const [isLoading, setIsLoading] = useState(false)
   const [streamingText, setStreamingText] = useState('')
+  const [useServerTools, setUseServerTools] = useState(false)
+  const [useFallback, setUseFallback] = useState(false)
+  const [contextStrategy, setContextStrategy] = useState('truncate_oldest')
+  const [agentStatus, setAgentStatus] = useState('')
+  const [attachments, setAttachments] = useState([])
+  const [attachmentError, setAttachmentError] = useState('')
   const messagesEndRef = useRef(null)
   const textareaRef = useRef(null)
+  const fileInputRef = useRef(null)
 
   // Auto-scroll al final de los mensajes
   useEffect(() => {
@@ -23,25 +68,86 @@ function ChatInterface({ provider, model, isStreaming, onRequestLog }) {
     }
   }
 
+  // Adjuntar imágenes (se envían como data URL en partes de contenido)
+  const attachImages = async (files) => {
+    setAttachmentError('')
+    let available = MAX_IMAGES_PER_MESSAGE - attachments.length
+
+    for (const file of files) {
+      if (available <= 0) {
+        setAttachmentError(`Máximo ${MAX_IMAGES_PER_MESSAGE} imágenes por mensaje`)
+        break
+      }
+
+      if (!IMAGE_MIME_TYPES.includes(file.type)) {
+        setAttachmentError(`${file.name}: formato no soportado (PNG, JPEG, WEBP o GIF)`)
+        continue
+      }
+
+      if (file.size > MAX_IMAGE_BYTES) {
+        setAttachmentError(`${file.name}: supera el máximo de ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`)
+        continue
+      }
+
+      available--
+      const dataUrl = await readAsDataURL(file)
+      setAttachments(prev => [...prev, { id: Date.now() + Math.random(), name: file.name, dataUrl }])
+    }
+  }
+
+  const removeAttachment = (id) => {
+    setAttachments(prev => prev.filter(attachment => attachment.id !== id))
+    setAttachmentError('')
+  }
+
   // Enviar mensaje
   const sendMessage = async () => {
-    if (!currentMessage.trim() || isLoading) return
+    if ((!currentMessage.trim() && attachments.length === 0) || isLoading) return
+
+    // Con imágenes adjuntas el contenido pasa a ser un array de partes
+    const text = currentMessage.trim()
+    const content = attachments.length > 0
+      ? [
+          ...(text ? [{ type: 'text', text }] : []),
+          ...attachments.map(attachment => ({ type: 'image', url: attachment.dataUrl }))
+        ]
+      : text
 
-    const userMessage = { role: 'user', content: currentMessage.trim() }
+    const userMessage = { role: 'user', content }
     const newMessages = [...messages, userMessage]
     
     setMessages(newMessages)
     setCurrentMessage('')
+    setAttachments([])
+    setAttachmentError('')
     setIsLoading(true)
     setStreamingText('')
+    setAgentStatus('')
 
-    // Preparar mensajes para la API
-    const apiMessages = [
-      { role: 'system', content: 'Eres un asistente educativo que ayuda a explicar conceptos de programación y APIs.' },
-      ...newMessages
-    ]
+    // Preparar mensajes para la API: el system prompt y los ejemplos los agrega el servidor según la persona
+    // Solo el historial reciente; el servidor además lo ajusta a la ventana de contexto del modelo
+    const apiMessages = newMessages.slice(-MAX_HISTORY_MESSAGES)
+    const historyOffset = newMessages.length - apiMessages.length
+    const context = { strategy: contextStrategy }
 
     const startTime = Date.now()
+    const serverTools = useServerTools ? true : null
+    // El servidor no admite fallback dentro del bucle de herramientas
+    const fallback = useFallback && !useServerTools
+      ? FALLBACK_ORDER.filter(id => id !== provider)
+      : null
+
+    // Con herramientas del servidor, el log se crea al inicio y se completa con cada paso
+    let liveLogId = null
+    const finishLog = (log) => {
+      if (!liveLogId) {
+        onRequestLog(log)
+        return
+      }
+      // Conservar id y timestamp del log creado al inicio
+      const { id, timestamp, ...changes } = log
+      onRequestLogUpdate(liveLogId, { ...changes, pending: false })
+    }
 
     try {
       if (isStreaming) {
@@ -50,26 +156,63 @@ function ChatInterface({ provider, model, isStreaming, onRequestLog }) {
           provider,
           model,
           messages: apiMessages,
-          temperature: 0.7,
-          stream: true
+          options: { temperature: 0.7, promptId, examples, promptVariables, fallback, context },
+          streaming: true,
+          serverTools
         })
 
+        if (serverTools) {
+          const liveLog = RequestUtils.createRequestLog('chat', requestData, null, 0)
+          liveLogId = liveLog.id
+          onRequestLog({ ...liveLog, steps: [], pending: true })
+        }
+
         let assistantMessage = ''
+        let streamMetadata = null
+        const toolsUsed = []
         
-        // Leer el stream
+        // Leer el stream de eventos normalizados (content, metadata, error, done)
+        // y, con herramientas del servidor, los pasos del bucle (step, tool_result)
         for await (const chunk of APIService.readStreamingResponse(stream)) {
-          if (chunk.delta) {
-            assistantMessage += chunk.delta
+          if (chunk.type === 'content') {
+            assistantMessage += chunk.content
             setStreamingText(assistantMessage)
           }
+
+          if (chunk.type === 'step' || chunk.type === 'tool_result') {
+            onRequestLogUpdate(liveLogId, log => ({ steps: [...(log.steps || []), chunk] }))
+
+            if (chunk.type === 'step' && chunk.toolCalls.length > 0) {
+              setAgentStatus(`Paso ${chunk.step}: ejecutando ${chunk.toolCalls.map(call => call.name).join(', ')}...`)
+            }
+
+            if (chunk.type === 'tool_result') {
+              toolsUsed.push(chunk.name)
+            }
+          }
+
+          if (chunk.type === 'metadata') {
+            streamMetadata = chunk.metadata
+          }
+
+          if (chunk.type === 'error') {
+            throw new APIError(chunk.error, 502, chunk, chunk.errorType)
+          }
           
-          if (chunk.done) {
+          if (chunk.type === 'done') {
             break
           }
         }
 
         // Agregar mensaje completo
-        const finalMessages = [...newMessages, { role: 'assistant', content: assistantMessage }]
+        const finalMessages = [...markOutOfContext(newMessages, historyOffset, streamMetadata?.context), {
+          role: 'assistant',
+          content: assistantMessage,
+          toolsUsed,
+          finishReason: streamMetadata?.finishReason,
+          fallback: streamMetadata?.fallback,
+          context: streamMetadata?.context
+        }]
         setMessages(finalMessages)
         setStreamingText('')
 
@@ -77,10 +220,10 @@ function ChatInterface({ provider, model, isStreaming, onRequestLog }) {
         const log = RequestUtils.createRequestLog(
           'chat',
           requestData,
-          { content: assistantMessage },
+          { data: { content: assistantMessage, metadata: streamMetadata } },
           Date.now() - startTime
         )
-        onRequestLog(log)
+        finishLog(log)
 
       } else {
         // Modo sin streaming
@@ -88,16 +231,27 @@ function ChatInterface({ provider, model, isStreaming, onRequestLog }) {
           provider,
           model,
           messages: apiMessages,
-          temperature: 0.7,
-          stream: false
+          options: { temperature: 0.7, promptId, examples, promptVariables, fallback, context },
+          streaming: false,
+          serverTools
         })
 
-        const finalMessages = [...newMessages, { role: 'assistant', content: data.content }]
+        const steps = data.steps || []
+        const toolsUsed = steps.filter(step => step.type === 'tool_result').map(step => step.name)
+
+        const finalMessages = [...markOutOfContext(newMessages, historyOffset, data.metadata?.context), {
+          role: 'assistant',
+          content: data.response,
+          toolsUsed,
+          finishReason: data.finishReason,
+          fallback: data.metadata?.fallback,
+          context: data.metadata?.context
+        }]
         setMessages(finalMessages)
 
         // Log del request
         const log = RequestUtils.createRequestLog('chat', requestData, data, latency)
-        onRequestLog(log)
+        onRequestLog(serverTools ? { ...log, steps } : log)
       }
 
     } catch (error) {
@@ -119,10 +273,11 @@ function ChatInterface({ provider, model, isStreaming, onRequestLog }) {
         Date.now() - startTime,
         error
       )
-      onRequestLog(log)
+      finishLog(log)
 
     } finally {
       setIsLoading(false)
+      setAgentStatus('')
     }
   }
 
@@ -160,6 +315,43 @@ function ChatInterface({ provider, model, isStreaming, onRequestLog }) {
               Streaming ON
             </span>
           )}
+          <label
+            className="flex items-center text-xs text-gray-600 cursor-pointer"
+            title="El servidor ejecuta herramientas (calculadora, hora actual, búsqueda de ejemplos) en un bucle con el modelo"
+          >
+            <input
+              type="checkbox"
+              checked={useServerTools}
+              onChange={(e) => setUseServerTools(e.target.checked)}
+              className="w-3 h-3 mr-1"
+              disabled={isLoading}
+            />
+            🛠️ Herramientas
+          </label>
+          <label
+            className="flex items-center text-xs text-gray-600 cursor-pointer"
+            title="Si el proveedor falla (caído, sin cuota o timeout) el servidor prueba con los demás"
+          >
+            <input
+              type="checkbox"
+              checked={useFallback && !useServerTools}
+              onChange={(e) => setUseFallback(e.target.checked)}
+              className="w-3 h-3 mr-1"
+              disabled={isLoading || useServerTools}
+            />
+            🔁 Fallback
+          </label>
+          <select
+            value={contextStrategy}
+            onChange={(e) => setContextStrategy(e.target.value)}
+            className="text-xs text-gray-600 border border-gray-200 rounded px-1 py-0.5"
+            title={CONTEXT_STRATEGIES.find(strategy => strategy.id === contextStrategy).description}
+            disabled={isLoading}
+          >
+            {CONTEXT_STRATEGIES.map(strategy => (
+              <option key={strategy.id} value={strategy.id}>🧮 {strategy.label}</option>
+            ))}
+          </select>
           <button
             onClick={clearChat}
             className="text-sm text-gray-500 hover:text-gray-700"
@@ -197,7 +389,53 @@ function ChatInterface({ provider, model, isStreaming, onRequestLog }) {
 
       {/* Input de mensaje */}
       <div className="border-t border-gray-200 pt-3">
+        {/* Imágenes adjuntas */}
+        {attachments.length > 0 && (
+          <div className="flex space-x-2 mb-2">
+            {attachments.map(attachment => (
+              <div key={attachment.id} className="relative">
+                <img
+                  src={attachment.dataUrl}
+                  alt={attachment.name}
+                  className="w-12 h-12 object-cover rounded border border-gray-200"
+                />
+                <button
+                  onClick={() => removeAttachment(attachment.id)}
+                  className="absolute -top-1 -right-1 w-4 h-4 bg-gray-700 text-white rounded-full text-xs leading-none"
+                  title="Quitar imagen"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {attachmentError && (
+          <p className="text-xs text-red-600 mb-2">{attachmentError}</p>
+        )}
+
         <div className="flex space-x-3">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={IMAGE_MIME_TYPES.join(',')}
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              attachImages([...e.target.files])
+              e.target.value = ''
+            }}
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isLoading || attachments.length >= MAX_IMAGES_PER_MESSAGE}
+            className="btn-secondary px-3 self-end"
+            title="Adjuntar imagen (PNG, JPEG, WEBP o GIF, máx. 4 MB)"
+          >
+            📎
+          </button>
+
           <div className="flex-1">
             <textarea
               ref={textareaRef}
@@ -216,7 +454,7 @@ function ChatInterface({ provider, model, isStreaming, onRequestLog }) {
           
           <button
             onClick={sendMessage}
-            disabled={isLoading || !currentMessage.trim()}
+            disabled={isLoading || (!currentMessage.trim() && attachments.length === 0)}
             className="btn-primary px-6 self-end"
           >
             {isLoading ? '⏳' : '📤'}
@@ -228,7 +466,7 @@ function ChatInterface({ provider, model, isStreaming, onRequestLog }) {
             <div className="w-2 h-2 bg-ai-blue rounded-full animate-bounce"></div>
             <div className="w-2 h-2 bg-ai-blue rounded-full animate-bounce" style={{ animationDelay: '0.1s' }}></div>
             <div className="w-2 h-2 bg-ai-blue rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
-            <span>Generando respuesta...</span>
+            <span>{agentStatus || 'Generando respuesta...'}</span>
           </div>
         )}
       </div>
@@ -243,7 +481,7 @@ function MessageBubble({ message, isStreaming = false }) {
   const isError = message.isError
 
   return (
-    <div className={`flex ${isUser ? 'justify-end' : 'justify-start'}`}>
+    <div className={`flex ${isUser ? 'justify-end' : 'justify-start'} ${message.outOfContext ? 'opacity-50' : ''}`}>
       <div className={`max-w-xs lg:max-w-md px-4 py-3 rounded-lg ${
         isUser 
           ? 'bg-ai-blue text-white' 
@@ -267,12 +505,64 @@ function MessageBubble({ message, isStreaming = false }) {
           <div className="flex-1">
             {/* Contenido del mensaje */}
             <div className="text-sm whitespace-pre-wrap break-words">
-              {message.content}
+              {Array.isArray(message.content)
+                ? message.content.map((part, index) => (
+                    part.type === 'image'
+                      ? <img key={index} src={part.url} alt="Imagen adjunta" className="max-h-32 rounded my-1" />
+                      : <span key={index}>{part.text}</span>
+                  ))
+                : message.content}
               {isStreaming && (
                 <span className="typing-indicator ml-1"></span>
               )}
             </div>
             
+            {/* Herramientas usadas por el bucle del servidor */}
+            {message.toolsUsed?.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {[...new Set(message.toolsUsed)].map(name => (
+                  <span key={name} className="text-xs bg-orange-100 text-orange-700 px-2 py-0.5 rounded">
+                    🛠️ {name}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            {/* El bucle del servidor se cortó en maxSteps sin una respuesta final */}
+            {message.finishReason === 'max_steps' && (
+              <div className="text-xs bg-orange-100 text-orange-700 px-2 py-0.5 rounded mt-2 inline-block">
+                ⏹️ Se alcanzó el límite de pasos sin una respuesta final (ver pasos en el Inspector)
+              </div>
+            )}
+
+            {/* Proveedor que respondió cuando el elegido falló */}
+            {message.fallback?.skipped?.length > 0 && (
+              <div
+                className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded mt-2 inline-block"
+                title={message.fallback.skipped.map(skip => `${skip.provider}: ${skip.reason}`).join('\n')}
+              >
+                🔁 Respondió {message.fallback.used} ({message.fallback.skipped.map(skip => skip.provider).join(', ')} falló)
+              </div>
+            )}
+
+            {/* Tokens estimados del prompt y mensajes que quedaron fuera de la ventana de contexto */}
+            {message.context && (
+              <div
+                className="text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded mt-2 inline-block"
+                title={message.context.contextWindow
+                  ? `Ventana de ${message.context.contextWindow} tokens, ${message.context.reservedOutputTokens} reservados para la respuesta (estrategia: ${message.context.strategy})`
+                  : `Ventana del modelo desconocida: la conversación no se recorta por tokens (estrategia: ${message.context.strategy})`}
+              >
+                🧮 ~{message.context.promptTokens}{message.context.budget !== null && ` / ${message.context.budget}`} tokens
+                {message.context.dropped.length > 0 && ` · ${message.context.dropped.length} fuera del contexto`}
+                {message.context.summary?.content && ' · resumidos'}
+              </div>
+            )}
+
+            {message.outOfContext && (
+              <div className="text-xs mt-1 italic">✂️ Fuera del contexto enviado al modelo</div>
+            )}
+
             {/* Timestamp */}
             <div className={`text-xs mt-1 opacity-70 ${
               isUser ? 'text-white' : 'text-gray-500'
@@ -0,0 +1,268 @@
+import { useState, useEffect } from 'react'
+import { APIService, RequestUtils } from '../services/api'
+
+// Mismo límite que valida el backend (apps/api/compare.js)
+const MAX_TARGETS = 4
+
+// Columnas de la grilla según la cantidad de modelos comparados
+const GRID_COLUMNS = {
+  1: 'md:grid-cols-1',
+  2: 'md:grid-cols-2',
+  3: 'md:grid-cols-3',
+  4: 'md:grid-cols-2 xl:grid-cols-4'
+}
+
+// Formatear costo en USD (los requests cortos cuestan fracciones de centavo)
+const formatCost = (cost) => {
+  if (!cost) return 'N/D'
+  if (cost.total === 0) return '$0'
+  if (cost.total < 0.01) return `$${cost.total.toFixed(6)}`
+  return `$${cost.total.toFixed(4)}`
+}
+
+function CompareView({ isStreaming, promptId, examples, promptVariables, onRequestLog }) {
+  const [providers, setProviders] = useState([])
+  const [targets, setTargets] = useState([])
+  const [prompt, setPrompt] = useState('')
+  const [results, setResults] = useState([])
+  const [isComparing, setIsComparing] = useState(false)
+  const [compareError, setCompareError] = useState('')
+
+  // Cargar proveedores configurados y proponer sus modelos por defecto como destinos iniciales
+  useEffect(() => {
+    APIService.listModels('chat')
+      .then((data) => {
+        const configured = data.providers || []
+        setProviders(configured)
+        setTargets(configured.slice(0, 2).map(provider => ({
+          provider: provider.id,
+          model: provider.defaultModel || provider.models[0]?.id
+        })))
+      })
+      .catch((error) => setCompareError(`No se pudieron cargar los modelos: ${error.message}`))
+  }, [])
+
+  const updateTarget = (index, changes) => {
+    setTargets(prev => prev.map((target, i) => (i === index ? { ...target, ...changes } : target)))
+  }
+
+  // Al cambiar de proveedor se usa su modelo por defecto
+  const changeTargetProvider = (index, providerId) => {
+    const provider = providers.find(p => p.id === providerId)
+    updateTarget(index, { provider: providerId, model: provider?.defaultModel || provider?.models[0]?.id })
+  }
+
+  const addTarget = () => {
+    const provider = providers.find(p => !targets.some(t => t.provider === p.id)) || providers[0]
+    if (!provider || targets.length >= MAX_TARGETS) return
+    setTargets(prev => [...prev, { provider: provider.id, model: provider.defaultModel || provider.models[0]?.id }])
+  }
+
+  const removeTarget = (index) => {
+    setTargets(prev => prev.filter((_, i) => i !== index))
+  }
+
+  // Guardar el resultado (o un fragmento de texto) de una columna
+  const updateResult = (index, changes) => {
+    setResults(prev => prev.map((result, i) => (
+      i === index ? { ...result, ...(typeof changes === 'function' ? changes(result) : changes) } : result
+    )))
+  }
+
+  const runComparison = async () => {
+    if (!prompt.trim() || targets.length === 0 || isComparing) return
+
+    setIsComparing(true)
+    setCompareError('')
+    setResults(targets.map(target => ({ ...target, response: '', pending: true })))
+
+    const messages = [{ role: 'user', content: prompt.trim() }]
+    const options = { temperature: 0.7, promptId, examples, promptVariables }
+    const startTime = Date.now()
+
+    try {
+      if (isStreaming) {
+        const { stream, requestData } = await APIService.compareModels({ targets, messages, options, streaming: true })
+        let finalResults = []
+
+        // Los eventos de todas las columnas llegan intercalados; "target" indica a cuál pertenecen
+        for await (const chunk of APIService.readStreamingResponse(stream)) {
+          if (chunk.type === 'content') {
+            updateResult(chunk.target, result => ({ response: result.response + chunk.content }))
+          }
+
+          if (chunk.type === 'result') {
+            updateResult(chunk.target, { ...chunk, pending: false })
+          }
+
+          if (chunk.type === 'done') {
+            finalResults = chunk.results || []
+            break
+          }
+        }
+
+        onRequestLog(RequestUtils.createRequestLog('compare', requestData, { data: { results: finalResults } }, Date.now() - startTime))
+
+      } else {
+        const { data, requestData, latency } = await APIService.compareModels({ targets, messages, options, streaming: false })
+        setResults(data.results.map(result => ({ ...result, pending: false })))
+        onRequestLog(RequestUtils.createRequestLog('compare', requestData, { data }, latency))
+      }
+
+    } catch (error) {
+      console.error('Error comparando modelos:', error)
+      setCompareError(error.message)
+      setResults([])
+
+      onRequestLog(RequestUtils.createRequestLog(
+        'compare',
+        { targets, messages },
+        null,
+        Date.now() - startTime,
+        error
+      ))
+
+    } finally {
+      setIsComparing(false)
+    }
+  }
+
+  const providerName = (id) => providers.find(p => p.id === id)?.name || id
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-bold text-gray-800 mb-4 flex items-center">
+        <span className="w-6 h-6 bg-ai-purple rounded-full flex items-center justify-center text-white text-sm mr-2">
+          ⚖️
+        </span>
+        Comparar modelos
+      </h2>
+
+      {/* Pares proveedor/modelo */}
+      <div className="space-y-2 mb-4">
+        {targets.map((target, index) => {
+          const provider = providers.find(p => p.id === target.provider)
+          return (
+            <div key={index} className="flex items-center gap-2">
+              <span className="text-xs text-gray-500 w-4">{index + 1}</span>
+              <select
+                value={target.provider}
+                onChange={(e) => changeTargetProvider(index, e.target.value)}
+                className="select-field flex-1"
+                disabled={isComparing}
+              >
+                {providers.map(p => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+              <select
+                value={target.model}
+                onChange={(e) => updateTarget(index, { model: e.target.value })}
+                className="select-field flex-1"
+                disabled={isComparing}
+              >
+                {(provider?.models || []).map(model => (
+                  <option key={model.id} value={model.id}>{model.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => removeTarget(index)}
+                disabled={isComparing || targets.length <= 1}
+                className="text-gray-400 hover:text-red-600 disabled:opacity-30 px-2"
+                title="Quitar"
+              >
+                ✕
+              </button>
+            </div>
+          )
+        })}
+        {targets.length < MAX_TARGETS && providers.length > 0 && (
+          <button
+            onClick={addTarget}
+            disabled={isComparing}
+            className="text-sm text-ai-blue hover:underline"
+          >
+            + Agregar modelo
+          </button>
+        )}
+      </div>
+
+      {/* Prompt compartido */}
+      <div className="flex space-x-2 mb-4">
+        <textarea
+          value={prompt}
+          onChange={(e) => setPrompt(e.target.value)}
+          placeholder="Escribe un prompt para enviarlo a todos los modelos a la vez..."
+          className="input-field resize-none"
+          rows={2}
+          disabled={isComparing}
+        />
+        <button
+          onClick={runComparison}
+          disabled={!prompt.trim() || targets.length === 0 || isComparing}
+          className="btn-primary whitespace-nowrap"
+        >
+          {isComparing ? 'Comparando...' : 'Comparar'}
+        </button>
+      </div>
+
+      {compareError && (
+        <p className="text-sm text-red-600 mb-4">❌ {compareError}</p>
+      )}
+
+      {/* Respuestas en columnas */}
+      {results.length > 0 && (
+        <div className={`grid grid-cols-1 ${GRID_COLUMNS[results.length] || 'md:grid-cols-2'} gap-3`}>
+          {results.map((result, index) => (
+            <div key={index} className="border border-gray-200 rounded-lg flex flex-col">
+              <div className="px-3 py-2 bg-gray-50 border-b border-gray-200 rounded-t-lg">
+                <div className="text-sm font-semibold text-gray-800">{providerName(result.provider)}</div>
+                <div className="text-xs text-gray-500">{result.model}</div>
+              </div>
+
+              <div className="p-3 text-sm text-gray-800 whitespace-pre-wrap flex-1 max-h-80 overflow-y-auto">
+                {result.error
+                  ? <span className="text-red-600">❌ {result.error}</span>
+                  : result.response}
+                {result.pending && <span className="typing-indicator"></span>}
+              </div>
+
+              {!result.pending && (
+                <div className="px-3 py-2 border-t border-gray-200 text-xs text-gray-600 space-y-0.5">
+                  <div>
+                    <strong>Latencia:</strong> {result.latency} ms
+                    {result.firstTokenLatency !== null && result.firstTokenLatency !== undefined && (
+                      <> {' • '}<strong>1er token:</strong> {result.firstTokenLatency} ms</>
+                    )}
+                  </div>
+                  <div>
+                    <strong>Tokens:</strong>{' '}
+                    {result.usage
+                      ? `${result.usage.inputTokens} entrada / ${result.usage.outputTokens} salida`
+                      : 'N/D'}
+                  </div>
+                  <div>
+                    <strong>Costo estimado:</strong> {formatCost(result.cost)}
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Información educativa */}
+      <div className="mt-4 p-3 bg-purple-50 rounded-lg border border-purple-200">
+        <h3 className="text-sm font-semibold text-purple-800 mb-1">
+          💡 Concepto: Fan-out en paralelo
+        </h3>
+        <p className="text-xs text-purple-700">
+          El servidor envía el mismo prompt a todos los modelos a la vez y transmite cada respuesta
+          a medida que llega. Si un proveedor falla, solo su columna muestra el error.
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default CompareView
@@ -0,0 +1,278 @@
+import { useState, useEffect } from 'react'
+import { APIService, RequestUtils } from '../services/api'
+
+// Imágenes por página (el backend acepta hasta 50)
+const PAGE_SIZE = 12
+
+// Esperar a que el usuario deje de escribir antes de buscar
+const SEARCH_DEBOUNCE_MS = 300
+
+// Origen del almacenamiento informado por /api/gallery
+const STORAGE_LABELS = {
+  fs: 'archivos locales (desarrollo)',
+  blobs: 'Netlify Blobs'
+}
+
+const OPERATION_LABELS = {
+  edit: 'Edición',
+  variation: 'Variación'
+}
+
+function GalleryView({ refreshKey, onRequestLog }) {
+  const [images, setImages] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [storage, setStorage] = useState(null)
+  const [page, setPage] = useState(1)
+  const [search, setSearch] = useState('')
+  const [appliedSearch, setAppliedSearch] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [galleryError, setGalleryError] = useState(null)
+  const [selectedImage, setSelectedImage] = useState(null)
+
+  // Aplicar la búsqueda con debounce y volver a la primera página
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      setAppliedSearch(search)
+      setPage(1)
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => clearTimeout(timeoutId)
+  }, [search])
+
+  // Cargar la página actual (también cuando se genera una imagen nueva: refreshKey)
+  useEffect(() => {
+    loadPage()
+  }, [page, appliedSearch, refreshKey])
+
+  const loadPage = async () => {
+    setIsLoading(true)
+
+    try {
+      const data = await APIService.listGallery({ page, pageSize: PAGE_SIZE, search: appliedSearch })
+      setImages(data.images)
+      setPagination(data.pagination)
+      setStorage(data.storage)
+      setGalleryError(null)
+    } catch (error) {
+      setGalleryError(error.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const deleteImage = async (image) => {
+    if (!confirm('¿Borrar esta imagen de la galería?')) return
+
+    const startTime = Date.now()
+
+    try {
+      const data = await APIService.deleteGalleryImage(image.id)
+      onRequestLog(RequestUtils.createRequestLog('gallery', { method: 'DELETE', id: image.id }, { data }, Date.now() - startTime))
+
+      setSelectedImage(null)
+
+      // Si era la última imagen de la página, volver a la anterior
+      if (images.length === 1 && page > 1) {
+        setPage(page - 1)
+      } else {
+        loadPage()
+      }
+    } catch (error) {
+      onRequestLog(RequestUtils.createRequestLog('gallery', { method: 'DELETE', id: image.id }, null, Date.now() - startTime, error))
+      alert(`Error borrando imagen: ${error.message}`)
+    }
+  }
+
+  return (
+    <div className="card">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4 pb-3 border-b border-gray-200">
+        <h2 className="text-xl font-bold text-gray-800 flex items-center">
+          <span className="w-6 h-6 bg-ai-purple rounded-full flex items-center justify-center text-white text-sm mr-2">
+            🖼️
+          </span>
+          Galería
+        </h2>
+
+        {pagination && (
+          <span className="text-sm bg-purple-100 text-purple-700 px-3 py-1 rounded-full">
+            {pagination.total} {pagination.total === 1 ? 'imagen' : 'imágenes'}
+          </span>
+        )}
+      </div>
+
+      {/* Búsqueda */}
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Buscar por prompt (ej: gato, paisaje)..."
+        className="input-field mb-4"
+      />
+
+      {galleryError && (
+        <p className="text-sm text-red-600 mb-4">No se pudo cargar la galería: {galleryError}</p>
+      )}
+
+      {!isLoading && !galleryError && images.length === 0 && (
+        <p className="text-sm text-gray-500 mb-4">
+          {appliedSearch ? `No hay imágenes que coincidan con "${appliedSearch}".` : 'Todavía no hay imágenes guardadas. Genera una arriba.'}
+        </p>
+      )}
+
+      {/* Grilla de miniaturas */}
+      <div className={`grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 ${isLoading ? 'opacity-50' : ''}`}>
+        {images.map((image) => (
+          <button
+            key={image.id}
+            onClick={() => setSelectedImage(selectedImage?.id === image.id ? null : image)}
+            className={`text-left rounded-lg overflow-hidden border-2 transition-all duration-200 ${
+              selectedImage?.id === image.id ? 'border-ai-purple' : 'border-transparent hover:border-gray-300'
+            }`}
+          >
+            <img
+              src={APIService.galleryImageUrl(image.id)}
+              alt={image.prompt || 'Imagen generada'}
+              loading="lazy"
+              className="w-full aspect-square object-cover bg-gray-100"
+            />
+            <p className="text-xs text-gray-700 truncate px-1 py-1">{image.prompt || OPERATION_LABELS[image.operation]}</p>
+          </button>
+        ))}
+      </div>
+
+      {/* Detalle de la imagen seleccionada */}
+      {selectedImage && (
+        <GalleryDetail
+          image={selectedImage}
+          onDelete={deleteImage}
+          onClose={() => setSelectedImage(null)}
+        />
+      )}
+
+      {/* Paginación */}
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1 || isLoading}
+            className="btn-secondary py-1 px-3"
+          >
+            ← Anterior
+          </button>
+          <span className="text-gray-600">
+            Página {pagination.page} de {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={!pagination.hasMore || isLoading}
+            className="btn-secondary py-1 px-3"
+          >
+            Siguiente →
+          </button>
+        </div>
+      )}
+
+      {/* Información educativa */}
+      <div className="mt-6 p-3 bg-purple-50 rounded-lg border border-purple-200">
+        <h3 className="text-sm font-semibold text-purple-800 mb-1">
+          🎯 Concepto: Almacenamiento en Serverless
+        </h3>
+        <p className="text-xs text-purple-700">
+          Las funciones serverless no guardan nada entre invocaciones: las imágenes y sus metadatos se guardan en un
+          almacenamiento externo{storage ? ` (${STORAGE_LABELS[storage] || storage})` : ''} detrás de una misma interfaz.
+        </p>
+      </div>
+    </div>
+  )
+}
+
+// Detalle de una imagen: prompts y metadatos guardados
+function GalleryDetail({ image, onDelete, onClose }) {
+  const imageUrl = APIService.galleryImageUrl(image.id)
+
+  return (
+    <div className="mt-4 bg-gray-50 rounded-lg p-4 border border-gray-200">
+      <div className="flex flex-col lg:flex-row space-y-3 lg:space-y-0 lg:space-x-4">
+        <a href={imageUrl} target="_blank" rel="noreferrer" className="flex-shrink-0">
+          <img
+            src={imageUrl}
+            alt={image.prompt || 'Imagen generada'}
+            className="w-48 h-48 object-cover rounded-lg shadow-sm"
+          />
+        </a>
+
+        <div className="flex-1 min-w-0 space-y-2">
+          {image.prompt && (
+            <div>
+              <p className="text-xs text-gray-500 font-medium">Prompt:</p>
+              <p className="text-sm text-gray-800">{image.prompt}</p>
+            </div>
+          )}
+
+          {image.enhancedPrompt && (
+            <div>
+              <p className="text-xs text-gray-500 font-medium">Prompt mejorado (chat):</p>
+              <p className="text-xs text-gray-600 bg-white p-2 rounded border">{image.enhancedPrompt}</p>
+            </div>
+          )}
+
+          {image.revisedPrompt && (
+            <div>
+              <p className="text-xs text-gray-500 font-medium">Prompt revisado por el modelo:</p>
+              <p className="text-xs text-gray-600 bg-white p-2 rounded border">{image.revisedPrompt}</p>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500">
+            {OPERATION_LABELS[image.operation] && (
+              <span className="bg-purple-100 text-purple-700 px-2 py-0.5 rounded">{OPERATION_LABELS[image.operation]}</span>
+            )}
+            <span>{image.provider}</span>
+            <span>{image.model}</span>
+            {image.size && <span>{image.size}</span>}
+            {image.quality && <span className="capitalize">{image.quality}</span>}
+            {image.style && <span className="capitalize">{image.style}</span>}
+            <span>{image.latency}ms</span>
+            <span>{new Date(image.timestamp).toLocaleString()}</span>
+          </div>
+
+          <div className="flex space-x-2 pt-1">
+            <a
+              href={imageUrl}
+              download={`${image.model}-${image.id}.png`}
+              className="text-xs btn-secondary py-1 px-3"
+            >
+              📥 Descargar
+            </a>
+            {image.prompt && (
+              <button
+                onClick={() => navigator.clipboard.writeText(image.prompt)}
+                className="text-xs btn-secondary py-1 px-3"
+              >
+                📋 Copiar Prompt
+              </button>
+            )}
+            {/* Solo se pueden borrar las imágenes generadas desde este navegador */}
+            {image.owned && (
+              <button
+                onClick={() => onDelete(image)}
+                className="text-xs btn-secondary py-1 px-3 text-red-600"
+              >
+                🗑️ Borrar
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="text-xs btn-secondary py-1 px-3"
+            >
+              Cerrar
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default GalleryView
\ No newline at end of file
@@ -1,91 +1,376 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { APIService, RequestUtils } from '../services/api'
 
-const IMAGE_SIZES = [
-  { value: '1024x1024', label: '1024×1024 (Cuadrado)' },
-  { value: '1792x1024', label: '1792×1024 (Paisaje)' },
-  { value: '1024x1792', label: '1024×1792 (Retrato)' }
-]
+// Etiquetas de presentación; las opciones disponibles vienen del catálogo de /api/models?capability=image
+const SIZE_LABELS = {
+  '1024x1024': 'Cuadrado',
+  '512x512': 'Cuadrado',
+  '256x256': 'Cuadrado',
+  '1792x1024': 'Paisaje',
+  '1536x1024': 'Paisaje',
+  '1024x1792': 'Retrato',
+  '1024x1536': 'Retrato',
+  // Imagen (Gemini) recibe relación de aspecto en lugar de píxeles
+  '1:1': 'Cuadrado',
+  '4:3': 'Paisaje',
+  '16:9': 'Paisaje',
+  '3:4': 'Retrato',
+  '9:16': 'Retrato'
+}
+
+const QUALITY_LABELS = {
+  standard: { label: 'Estándar', description: 'Calidad normal, más rápido' },
+  hd: { label: 'HD', description: 'Alta calidad, más detallado' },
+  auto: { label: 'Automática', description: 'El modelo elige según el prompt' },
+  low: { label: 'Baja', description: 'Más rápido y económico' },
+  medium: { label: 'Media', description: 'Balance entre detalle y costo' },
+  high: { label: 'Alta', description: 'Máximo detalle, más lento' }
+}
+
+const STYLE_LABELS = {
+  vivid: { label: 'Vívido', description: 'Colores intensos y escenas dramáticas' },
+  natural: { label: 'Natural', description: 'Aspecto más realista y sobrio' }
+}
+
+const PROVIDER_COLORS = {
+  openai: 'bg-green-500',
+  gemini: 'bg-blue-500',
+  azure: 'bg-blue-600'
+}
+
+// Modo batch: máximo de imágenes por request (generaciones × imágenes por generación, igual que el servidor) y generaciones simultáneas
+const MAX_BATCH_ITEMS = 10
+const BATCH_CONCURRENCY_OPTIONS = [1, 2, 3, 4]
+
+// Diff por palabras entre dos prompts (subsecuencia común más larga)
+// Devuelve [{ text, type: 'same' | 'added' | 'removed' }] para resaltar qué cambió cada modelo
+const diffWords = (before, after) => {
+  const a = before.split(/\s+/).filter(Boolean)
+  const b = after.split(/\s+/).filter(Boolean)
+  const normalize = (word) => word.toLowerCase().replace(/[.,;:!?"'()]/g, '')
+
+  // lengths[i][j]: largo de la subsecuencia común entre a[i..] y b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = normalize(a[i]) === normalize(b[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const parts = []
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && normalize(a[i]) === normalize(b[j])) {
+      parts.push({ text: b[j], type: 'same' })
+      i++
+      j++
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      parts.push({ text: b[j], type: 'added' })
+      j++
+    } else {
+      parts.push({ text: a[i], type: 'removed' })
+      i++
+    }
+  }
 
-const IMAGE_QUALITIES = [
-  { value: 'standard', label: 'Estándar', description: 'Calidad normal, más rápido' },
-  { value: 'hd', label: 'HD', description: 'Alta calidad, más detallado' }
-]
+  return parts
+}
 
-function ImageGenerator({ onRequestLog }) {
+// Formatear tamaño (ej: 1792x1024 -> 1792×1024 (Paisaje))
+const formatSize = (size) => {
+  if (size === 'auto') return 'Automático'
+  return SIZE_LABELS[size] ? `${size.replace('x', '×')} (${SIZE_LABELS[size]})` : size.replace('x', '×')
+}
+
+function ImageGenerator({ chatProvider, chatModel, onRequestLog, onImagesGenerated }) {
   const [prompt, setPrompt] = useState('')
-  const [size, setSize] = useState('1024x1024')
-  const [quality, setQuality] = useState('standard')
+  const [providers, setProviders] = useState([])
+  const [isLoadingModels, setIsLoadingModels] = useState(true)
+  const [modelsError, setModelsError] = useState(null)
+  const [selectedProvider, setSelectedProvider] = useState('azure')
+  const [selectedModel, setSelectedModel] = useState('')
+  const [size, setSize] = useState('')
+  const [quality, setQuality] = useState('')
+  const [style, setStyle] = useState('')
+  const [count, setCount] = useState(1)
   const [isGenerating, setIsGenerating] = useState(false)
   const [generatedImages, setGeneratedImages] = useState([])
+  const [batchMode, setBatchMode] = useState(false)
+  const [batchSamples, setBatchSamples] = useState(4)
+  const [batchConcurrency, setBatchConcurrency] = useState(2)
+  const [batchItems, setBatchItems] = useState([])
+  const [batchProgress, setBatchProgress] = useState(null)
+  const [enhance, setEnhance] = useState(false)
 
-  const generateImage = async () => {
-    if (!prompt.trim() || isGenerating) return
+  // Cargar proveedores y modelos de imagen desde la API
+  useEffect(() => {
+    APIService.listModels('image')
+      .then((data) => {
+        setProviders(data.providers || [])
+        setModelsError(null)
+      })
+      .catch((error) => setModelsError(error.message))
+      .finally(() => setIsLoadingModels(false))
+  }, [])
 
+  const currentProvider = providers.find(p => p.id === selectedProvider)
+  const availableModels = currentProvider?.models || []
+  const currentModel = availableModels.find(m => m.id === selectedModel)
+
+  // Si la selección actual no existe en el catálogo, usar el proveedor y modelo por defecto
+  useEffect(() => {
+    if (providers.length === 0) return
+
+    if (!currentProvider) {
+      handleProviderChange(providers[0].id)
+    } else if (!currentModel && availableModels.length > 0) {
+      handleModelChange(currentProvider.defaultModel || availableModels[0].id)
+    }
+  }, [providers, selectedProvider, selectedModel])
+
+  // Cambiar proveedor y seleccionar su modelo por defecto
+  const handleProviderChange = (providerId) => {
+    setSelectedProvider(providerId)
+    const provider = providers.find(p => p.id === providerId)
+    const defaultModel = provider?.defaultModel || provider?.models[0]?.id
+    if (defaultModel) {
+      handleModelChange(defaultModel, provider)
+    }
+  }
+
+  // Cambiar modelo y volver a las opciones por defecto de ese modelo
+  const handleModelChange = (modelId, provider = currentProvider) => {
+    const model = provider?.models.find(m => m.id === modelId)
+    setSelectedModel(modelId)
+    setSize(model?.sizes?.[0] || '')
+    setQuality(model?.qualities?.[0] || '')
+    setStyle(model?.styles?.[0] || '')
+    setCount(1)
+  }
+
+  // Modelos que aceptan una imagen de entrada, de todos los proveedores configurados
+  const editTargets = providers.flatMap(provider =>
+    provider.models.filter(model => model.edits).map(model => ({ provider, model }))
+  )
+  const variationTargets = providers.flatMap(provider =>
+    provider.models.filter(model => model.variations).map(model => ({ provider, model }))
+  )
+
+  // En modo batch cada línea del prompt es una generación; una sola línea se repite batchSamples veces
+  const batchPrompts = prompt.split('\n').map(line => line.trim()).filter(Boolean)
+  const batchTotal = batchPrompts.length > 1 ? batchPrompts.length : batchSamples
+  const batchImages = batchTotal * count
+
+  // Mejora del prompt con el proveedor y modelo de chat elegidos arriba
+  const enhanceOptions = enhance && chatProvider ? { provider: chatProvider, model: chatModel } : null
+
+  // Una entrada de la lista por imagen generada (DALL·E 3 genera una sola; DALL·E 2 y gpt-image hasta 10, Imagen hasta 4)
+  const createImageResults = (images, details) => images.map((generated) => ({
+    ...details,
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}-${generated.index}`,
+    revised_prompt: generated.revisedPrompt,
+    image: generated.image,
+    timestamp: new Date().toISOString()
+  }))
+
+  // Enviar el request a /api/image y agregar las imágenes resultantes a la lista
+  const requestImages = async (request) => {
     setIsGenerating(true)
     const startTime = Date.now()
 
     try {
-      const { data, requestData, latency } = await APIService.generateImage({
-        prompt: prompt.trim(),
-        size,
-        quality
-      })
+      const { data, requestData, latency } = await APIService.generateImage(request)
 
-      // Crear objeto de imagen para mostrar
-      const imageResult = {
-        id: Date.now(),
-        prompt: prompt.trim(),
-        revised_prompt: data.revised_prompt,
-        image: data.image,
-        size,
-        quality,
-        timestamp: new Date().toISOString(),
+      const { options } = data.metadata
+      const imageResults = createImageResults(data.images, {
+        operation: data.operation,
+        prompt: request.prompt || 'Variación',
+        enhanced_prompt: data.metadata.prompt.enhanced,
+        provider: data.provider,
+        model: data.model,
+        size: options.size,
+        quality: options.quality,
+        style: options.style,
         latency
-      }
+      })
 
       // Agregar al inicio de la lista
-      setGeneratedImages(prev => [imageResult, ...prev.slice(0, 4)]) // Mantener solo 5 imágenes
+      setGeneratedImages(prev => [...imageResults, ...prev].slice(0, 10)) // Mantener solo 10 imágenes
+
+      // Imagen devuelve las imágenes que pasaron el filtro de seguridad y omite el resto
+      if (data.metadata.filtered > 0) {
+        alert(`${data.metadata.filtered} de ${options.n} imágenes fueron bloqueadas por el filtro de seguridad`)
+      }
 
       // Log del request
       const log = RequestUtils.createRequestLog('image', requestData, data, latency)
       onRequestLog(log)
 
-      // Limpiar prompt
-      setPrompt('')
+      // Las imágenes quedaron guardadas en la galería: pedir que se recargue
+      if (data.images.some(generated => generated.galleryId)) {
+        onImagesGenerated?.()
+      }
+
+      return true
 
     } catch (error) {
       console.error('Error generando imagen:', error)
 
       // Log del error
-      const log = RequestUtils.createRequestLog(
-        'image',
-        { prompt, size, quality },
-        null,
-        Date.now() - startTime,
-        error
-      )
+      const log = RequestUtils.createRequestLog('image', request, null, Date.now() - startTime, error)
       onRequestLog(log)
 
       // Mostrar error
       alert(`Error generando imagen: ${error.message}`)
+      return false
 
     } finally {
       setIsGenerating(false)
     }
   }
 
+  const generateImage = async () => {
+    if (!prompt.trim() || isGenerating || !currentModel) return
+
+    const generated = await requestImages({
+      provider: selectedProvider,
+      model: selectedModel,
+      prompt: prompt.trim(),
+      size,
+      quality,
+      style,
+      n: count,
+      enhance: enhanceOptions
+    })
+
+    // Limpiar prompt
+    if (generated) {
+      setPrompt('')
+    }
+  }
+
+  // Batch: varias generaciones con concurrencia limitada; la grilla se completa a medida que
+  // el servidor informa cada una por SSE (eventos start, item, progress y done)
+  const generateBatch = async () => {
+    if (batchPrompts.length === 0 || batchImages > MAX_BATCH_ITEMS || isGenerating || !currentModel) return
+
+    const multiplePrompts = batchPrompts.length > 1
+    const details = { operation: 'generate', provider: selectedProvider, model: selectedModel, size, quality, style }
+
+    setIsGenerating(true)
+    setBatchItems(Array.from({ length: batchTotal }, (_, index) => ({
+      index,
+      prompt: multiplePrompts ? batchPrompts[index] : batchPrompts[0],
+      status: 'pending',
+      images: []
+    })))
+    setBatchProgress({ completed: 0, total: batchTotal, succeeded: 0, failed: 0 })
+
+    const request = {
+      provider: selectedProvider,
+      model: selectedModel,
+      ...(multiplePrompts ? { prompts: batchPrompts } : { prompt: batchPrompts[0], count: batchSamples }),
+      concurrency: batchConcurrency,
+      size,
+      quality,
+      style,
+      n: count,
+      enhance: enhanceOptions
+    }
+    const startTime = Date.now()
+
+    try {
+      const { stream, requestData } = await APIService.generateImageBatch(request)
+      let done = null
+
+      for await (const event of APIService.readStreamingResponse(stream)) {
+        if (event.type === 'start') {
+          details.model = event.model
+        }
+
+        if (event.type === 'item') {
+          setBatchItems(prev => prev.map(item => (
+            item.index === event.index ? { ...item, ...event, status: event.success ? 'done' : 'error' } : item
+          )))
+
+          if (event.success) {
+            const imageResults = createImageResults(event.images, {
+              ...details,
+              prompt: event.prompt,
+              enhanced_prompt: event.enhancedPrompt,
+              latency: event.latency
+            })
+            setGeneratedImages(prev => [...imageResults, ...prev].slice(0, 10))
+          }
+        }
+
+        if (event.type === 'progress') {
+          setBatchProgress(event)
+        }
+
+        if (event.type === 'done') {
+          done = event
+          break
+        }
+      }
+
+      onRequestLog(RequestUtils.createRequestLog('image', requestData, { data: done }, Date.now() - startTime))
+
+      if (done?.metadata.batch.succeeded > 0) {
+        onImagesGenerated?.()
+        setPrompt('')
+      }
+
+    } catch (error) {
+      console.error('Error generando batch:', error)
+      setBatchItems([])
+      setBatchProgress(null)
+
+      onRequestLog(RequestUtils.createRequestLog('image', request, null, Date.now() - startTime, error))
+      alert(`Error generando imágenes: ${error.message}`)
+
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  // Editar una imagen generada: el prompt describe el cambio y la máscara (opcional) marca la zona
+  const editImage = (imageResult, { target, prompt: editPrompt, mask }) => requestImages({
+    operation: 'edit',
+    provider: target.provider.id,
+    model: target.model.id,
+    image: imageResult.image,
+    mask,
+    prompt: editPrompt
+  })
+
+  // Variaciones de una imagen generada (sin prompt)
+  const createVariations = (imageResult, target) => requestImages({
+    operation: 'variation',
+    provider: target.provider.id,
+    model: target.model.id,
+    image: imageResult.image,
+    n: Math.min(2, target.model.maxImages)
+  })
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && e.ctrlKey) {
-      generateImage()
+      if (batchMode) {
+        generateBatch()
+      } else {
+        generateImage()
+      }
     }
   }
 
-  const downloadImage = (imageData, prompt) => {
+  const downloadImage = (imageData, prompt, model = 'imagen') => {
     try {
       const link = document.createElement('a')
       link.href = imageData
-      link.download = `dalle3-${prompt.slice(0, 30).replace(/[^a-zA-Z0-9]/g, '_')}.png`
+      link.download = `${model}-${prompt.slice(0, 30).replace(/[^a-zA-Z0-9]/g, '_')}.png`
       document.body.appendChild(link)
       link.click()
       document.body.removeChild(link)
@@ -105,90 +390,309 @@ function ImageGenerator({ onRequestLog }) {
           Generador de Imágenes
         </h2>
         
-        <span className="text-sm bg-purple-100 text-purple-700 px-3 py-1 rounded-full">
-          DALL·E 3 via Azure
-        </span>
+        {currentModel && (
+          <span className="text-sm bg-purple-100 text-purple-700 px-3 py-1 rounded-full">
+            {currentModel.name} via {currentProvider.name}
+          </span>
+        )}
       </div>
 
       {/* Formulario de generación */}
       <div className="space-y-4 mb-6">
-        {/* Prompt */}
+        {/* Selector de Proveedor */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Descripción de la imagen
+            Proveedor
           </label>
-          <textarea
-            value={prompt}
-            onChange={(e) => setPrompt(e.target.value)}
-            onKeyPress={handleKeyPress}
-            placeholder="Describe la imagen que quieres generar... (Ctrl+Enter para generar)"
-            className="input-field resize-none"
-            rows="3"
-            disabled={isGenerating}
-          />
-          <div className="flex justify-between text-xs text-gray-500 mt-1">
-            <span>{prompt.length} caracteres</span>
-            <span>Ctrl+Enter para generar</span>
+          {isLoadingModels && (
+            <p className="text-sm text-gray-500">Cargando proveedores...</p>
+          )}
+          {modelsError && (
+            <p className="text-sm text-red-600">No se pudieron cargar los modelos: {modelsError}</p>
+          )}
+          {!isLoadingModels && !modelsError && providers.length === 0 && (
+            <p className="text-sm text-gray-500">No hay proveedores de imágenes configurados en el servidor.</p>
+          )}
+          <div className="grid grid-cols-2 gap-2">
+            {providers.map((provider) => (
+              <button
+                key={provider.id}
+                onClick={() => handleProviderChange(provider.id)}
+                disabled={isGenerating}
+                className={`p-3 rounded-lg border-2 transition-all duration-200 text-left ${
+                  selectedProvider === provider.id
+                    ? 'border-ai-purple bg-purple-50 text-ai-purple'
+                    : 'border-gray-200 hover:border-gray-300'
+                }`}
+              >
+                <div className="flex items-center space-x-2">
+                  <div className={`w-3 h-3 rounded-full ${PROVIDER_COLORS[provider.id] || 'bg-gray-400'}`}></div>
+                  <span className="font-medium text-sm">{provider.name}</span>
+                </div>
+              </button>
+            ))}
           </div>
         </div>
 
-        {/* Configuraciones */}
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          {/* Tamaño */}
+        {/* Selector de Modelo */}
+        {availableModels.length > 0 && (
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Tamaño
+              Modelo
             </label>
             <select
-              value={size}
-              onChange={(e) => setSize(e.target.value)}
+              value={selectedModel}
+              onChange={(e) => handleModelChange(e.target.value)}
               className="select-field"
               disabled={isGenerating}
             >
-              {IMAGE_SIZES.map((sizeOption) => (
-                <option key={sizeOption.value} value={sizeOption.value}>
-                  {sizeOption.label}
+              {availableModels.map((model) => (
+                <option key={model.id} value={model.id}>
+                  {model.name} - {model.description}
                 </option>
               ))}
             </select>
           </div>
+        )}
 
-          {/* Calidad */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Calidad
+        {/* Prompt */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <label className="block text-sm font-medium text-gray-700">
+              {batchMode ? 'Prompts (uno por línea)' : 'Descripción de la imagen'}
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={batchMode}
+                onChange={(e) => setBatchMode(e.target.checked)}
+                disabled={isGenerating}
+              />
+              <span>Modo batch</span>
             </label>
-            <select
-              value={quality}
-              onChange={(e) => setQuality(e.target.value)}
-              className="select-field"
-              disabled={isGenerating}
-            >
-              {IMAGE_QUALITIES.map((qualityOption) => (
-                <option key={qualityOption.value} value={qualityOption.value}>
-                  {qualityOption.label} - {qualityOption.description}
-                </option>
-              ))}
-            </select>
           </div>
+          <textarea
+            value={prompt}
+            onChange={(e) => setPrompt(e.target.value)}
+            onKeyPress={handleKeyPress}
+            placeholder={batchMode
+              ? 'Un prompt por línea para generar varios, o uno solo para obtener varias muestras... (Ctrl+Enter para generar)'
+              : 'Describe la imagen que quieres generar... (Ctrl+Enter para generar)'}
+            className="input-field resize-none"
+            rows={batchMode ? 5 : 3}
+            disabled={isGenerating}
+          />
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>
+              {batchMode
+                ? `${batchTotal} ${batchTotal === 1 ? 'generación' : 'generaciones'}${batchPrompts.length > 1 ? '' : ' del mismo prompt'}`
+                : `${prompt.length} caracteres`}
+            </span>
+            <span>Ctrl+Enter para generar</span>
+          </div>
+          {batchMode && batchImages > MAX_BATCH_ITEMS && (
+            <p className="text-xs text-red-600 mt-1">
+              Un batch admite hasta {MAX_BATCH_ITEMS} imágenes en total ({batchTotal} × {count} = {batchImages}).
+            </p>
+          )}
         </div>
 
+        {/* Opciones del batch */}
+        {batchMode && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {batchPrompts.length <= 1 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Muestras del prompt
+                </label>
+                <select
+                  value={batchSamples}
+                  onChange={(e) => setBatchSamples(parseInt(e.target.value, 10))}
+                  className="select-field"
+                  disabled={isGenerating}
+                >
+                  {Array.from({ length: MAX_BATCH_ITEMS - 1 }, (_, i) => i + 2).map((value) => (
+                    <option key={value} value={value}>
+                      {value}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Generaciones simultáneas
+              </label>
+              <select
+                value={batchConcurrency}
+                onChange={(e) => setBatchConcurrency(parseInt(e.target.value, 10))}
+                className="select-field"
+                disabled={isGenerating}
+              >
+                {BATCH_CONCURRENCY_OPTIONS.map((value) => (
+                  <option key={value} value={value}>
+                    {value}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+
+        {/* Mejora del prompt con un modelo de chat */}
+        <label className="flex items-start space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={enhance}
+            onChange={(e) => setEnhance(e.target.checked)}
+            disabled={isGenerating || !chatProvider}
+            className="mt-0.5"
+          />
+          <span>
+            ✨ Mejorar el prompt antes de generar
+            <span className="block text-xs text-gray-500">
+              {chatModel} ({chatProvider}) lo reescribe con más detalle de estilo, composición e iluminación
+            </span>
+          </span>
+        </label>
+
+        {/* Configuraciones (las opciones dependen del modelo seleccionado) */}
+        {currentModel && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {/* Tamaño */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Tamaño
+              </label>
+              <select
+                value={size}
+                onChange={(e) => setSize(e.target.value)}
+                className="select-field"
+                disabled={isGenerating}
+              >
+                {currentModel.sizes.map((sizeOption) => (
+                  <option key={sizeOption} value={sizeOption}>
+                    {formatSize(sizeOption)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Calidad */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Calidad
+              </label>
+              <select
+                value={quality}
+                onChange={(e) => setQuality(e.target.value)}
+                className="select-field"
+                disabled={isGenerating}
+              >
+                {currentModel.qualities.map((qualityOption) => (
+                  <option key={qualityOption} value={qualityOption}>
+                    {QUALITY_LABELS[qualityOption]
+                      ? `${QUALITY_LABELS[qualityOption].label} - ${QUALITY_LABELS[qualityOption].description}`
+                      : qualityOption}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Estilo (solo DALL·E 3) */}
+            {currentModel.styles?.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Estilo
+                </label>
+                <select
+                  value={style}
+                  onChange={(e) => setStyle(e.target.value)}
+                  className="select-field"
+                  disabled={isGenerating}
+                >
+                  {currentModel.styles.map((styleOption) => (
+                    <option key={styleOption} value={styleOption}>
+                      {STYLE_LABELS[styleOption]
+                        ? `${STYLE_LABELS[styleOption].label} - ${STYLE_LABELS[styleOption].description}`
+                        : styleOption}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Cantidad (modelos que generan varias imágenes por request) */}
+            {currentModel.maxImages > 1 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Cantidad de imágenes
+                </label>
+                <select
+                  value={count}
+                  onChange={(e) => setCount(parseInt(e.target.value, 10))}
+                  className="select-field"
+                  disabled={isGenerating}
+                >
+                  {Array.from({ length: Math.min(currentModel.maxImages, 4) }, (_, i) => i + 1).map((value) => (
+                    <option key={value} value={value}>
+                      {value}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Botón generar */}
         <button
-          onClick={generateImage}
-          disabled={isGenerating || !prompt.trim()}
+          onClick={batchMode ? generateBatch : generateImage}
+          disabled={isGenerating || !prompt.trim() || !currentModel || (batchMode && batchImages > MAX_BATCH_ITEMS)}
           className="w-full btn-primary py-3 text-base font-semibold"
         >
           {isGenerating ? (
             <div className="flex items-center justify-center space-x-2">
               <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-              <span>Generando imagen...</span>
+              <span>
+                {batchProgress && batchMode
+                  ? `Generando ${batchProgress.completed}/${batchProgress.total}...`
+                  : count > 1 ? `Generando ${count} imágenes...` : 'Generando imagen...'}
+              </span>
             </div>
           ) : (
-            '🎨 Generar Imagen'
+            batchMode ? `🎨 Generar Batch (${batchTotal})` : '🎨 Generar Imagen'
           )}
         </button>
 
+        {/* Grilla del batch: se completa a medida que termina cada generación */}
+        {batchItems.length > 0 && (
+          <div>
+            <div className="flex items-center justify-between mb-2 text-sm">
+              <h3 className="font-semibold text-gray-800">Batch</h3>
+              {batchProgress && (
+                <span className="text-xs text-gray-500">
+                  {batchProgress.completed}/{batchProgress.total} · {batchProgress.succeeded} ok
+                  {batchProgress.failed > 0 && <span className="text-red-600"> · {batchProgress.failed} con error</span>}
+                </span>
+              )}
+            </div>
+            {batchProgress && (
+              <div className="w-full h-1.5 bg-gray-200 rounded-full mb-3 overflow-hidden">
+                <div
+                  className="h-full bg-ai-purple transition-all duration-300"
+                  style={{ width: `${(batchProgress.completed / batchProgress.total) * 100}%` }}
+                ></div>
+              </div>
+            )}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+              {batchItems.map((item) => (
+                <BatchCell key={item.index} item={item} />
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Ejemplos de prompts */}
         <div className="bg-gray-50 p-3 rounded-lg">
           <p className="text-xs font-medium text-gray-700 mb-2">💡 Ejemplos de prompts:</p>
@@ -225,6 +729,11 @@ function ImageGenerator({ onRequestLog }) {
                 key={imageResult.id} 
                 imageResult={imageResult}
                 onDownload={downloadImage}
+                editTargets={editTargets}
+                variationTargets={variationTargets}
+                onEdit={editImage}
+                onVariations={createVariations}
+                isGenerating={isGenerating}
               />
             ))}
           </div>
@@ -237,17 +746,124 @@ function ImageGenerator({ onRequestLog }) {
           🎯 Concepto: Generación de Imágenes con IA
         </h3>
         <p className="text-xs text-purple-700">
-          DALL·E 3 convierte texto en imágenes usando redes neuronales. 
-          Experimenta con diferentes descripciones y observa cómo la IA interpreta tus palabras.
+          DALL·E, GPT Image e Imagen convierten texto en imágenes usando redes neuronales.
+          Experimenta con diferentes descripciones y modelos, y observa cómo cada uno interpreta tus palabras
+          (DALL·E 3 además reescribe tu prompt antes de generar; con "Mejorar el prompt" un modelo de chat lo
+          reescribe primero y puedes comparar los tres). Con Editar y Variaciones el modelo
+          parte de una imagen existente en lugar de empezar desde cero. El modo batch lanza varias
+          generaciones a la vez con un límite de concurrencia: si una falla, las demás siguen.
         </p>
       </div>
     </div>
   )
 }
 
+// Celda de la grilla del batch: pendiente, imagen generada o error de esa generación
+function BatchCell({ item }) {
+  return (
+    <div className="rounded-lg overflow-hidden border border-gray-200 bg-gray-50" title={item.prompt}>
+      {item.status === 'pending' && (
+        <div className="aspect-square flex items-center justify-center">
+          <div className="w-6 h-6 border-2 border-ai-purple border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      )}
+
+      {item.status === 'done' && (
+        <div className="relative">
+          <img
+            src={item.images[0].image}
+            alt={item.prompt}
+            className="w-full aspect-square object-cover"
+          />
+          {item.images.length > 1 && (
+            <span className="absolute top-1 right-1 text-xs bg-black/60 text-white px-1.5 rounded">
+              +{item.images.length - 1}
+            </span>
+          )}
+        </div>
+      )}
+
+      {item.status === 'error' && (
+        <div className="aspect-square flex flex-col items-center justify-center p-2 text-center bg-red-50">
+          <span className="text-lg">⚠️</span>
+          <p className="text-xs text-red-700 break-words">{item.error}</p>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-700 truncate px-1 py-1">
+        {item.prompt}
+        {item.latency !== undefined && <span className="text-gray-400"> · {item.latency}ms</span>}
+      </p>
+    </div>
+  )
+}
+
+// Original, mejorado por el modelo de chat y revisado por el modelo de imagen,
+// cada uno comparado con el anterior (verde: agregado, tachado: quitado)
+function PromptComparison({ imageResult }) {
+  const steps = [
+    { label: 'Tu prompt', text: imageResult.prompt },
+    { label: 'Mejorado (chat)', text: imageResult.enhanced_prompt },
+    imageResult.revised_prompt && { label: `Revisado (${imageResult.model})`, text: imageResult.revised_prompt }
+  ].filter(Boolean)
+
+  return (
+    <div className="mt-1 space-y-2 bg-white p-2 rounded border">
+      {steps.map((step, index) => (
+        <div key={step.label}>
+          <p className="text-xs text-gray-500 font-medium">{step.label}:</p>
+          <p className="text-xs text-gray-700">
+            {index === 0 ? step.text : diffWords(steps[index - 1].text, step.text).map((part, partIndex) => (
+              <span
+                key={partIndex}
+                className={part.type === 'added' ? 'bg-green-100 text-green-800' : part.type === 'removed' ? 'line-through text-red-500' : ''}
+              >
+                {part.text}{' '}
+              </span>
+            ))}
+          </p>
+        </div>
+      ))}
+    </div>
+  )
+}
+
 // Componente para mostrar resultados de imagen
-function ImageResult({ imageResult, onDownload }) {
+function ImageResult({ imageResult, onDownload, editTargets, variationTargets, onEdit, onVariations, isGenerating }) {
   const [showFullPrompt, setShowFullPrompt] = useState(false)
+  const [isEditing, setIsEditing] = useState(false)
+  const [editPrompt, setEditPrompt] = useState('')
+  const [editTargetIndex, setEditTargetIndex] = useState(0)
+  const [mask, setMask] = useState(null)
+
+  // Leer la máscara como data URL (PNG con transparencia en la zona a editar)
+  const handleMaskChange = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) {
+      setMask(null)
+      return
+    }
+
+    const reader = new FileReader()
+    reader.onload = () => setMask(reader.result)
+    reader.readAsDataURL(file)
+  }
+
+  const submitEdit = async () => {
+    if (!editPrompt.trim() || isGenerating) return
+
+    const edited = await onEdit(imageResult, {
+      target: editTargets[editTargetIndex],
+      prompt: editPrompt.trim(),
+      mask
+    })
+
+    if (edited) {
+      setIsEditing(false)
+      setEditPrompt('')
+      setMask(null)
+    }
+  }
 
   return (
     <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
@@ -270,14 +886,27 @@ function ImageResult({ imageResult, onDownload }) {
             <p className="text-sm text-gray-800 truncate">{imageResult.prompt}</p>
           </div>
 
-          {/* Prompt mejorado por DALL·E */}
-          {imageResult.revised_prompt && (
+          {/* Prompt mejorado por el modelo de chat: comparación de los tres prompts */}
+          {imageResult.enhanced_prompt && (
             <div className="mb-2">
               <button
                 onClick={() => setShowFullPrompt(!showFullPrompt)}
                 className="text-xs text-ai-purple hover:text-purple-600 font-medium"
               >
-                Prompt mejorado por IA {showFullPrompt ? '▲' : '▼'}
+                Comparar prompts {showFullPrompt ? '▲' : '▼'}
+              </button>
+              {showFullPrompt && <PromptComparison imageResult={imageResult} />}
+            </div>
+          )}
+
+          {/* Prompt reescrito por el modelo (revised_prompt de DALL·E 3) */}
+          {imageResult.revised_prompt && !imageResult.enhanced_prompt && (
+            <div className="mb-2">
+              <button
+                onClick={() => setShowFullPrompt(!showFullPrompt)}
+                className="text-xs text-ai-purple hover:text-purple-600 font-medium"
+              >
+                Prompt revisado por el modelo {showFullPrompt ? '▲' : '▼'}
               </button>
               {showFullPrompt && (
                 <p className="text-xs text-gray-600 mt-1 bg-white p-2 rounded border">
@@ -289,8 +918,12 @@ function ImageResult({ imageResult, onDownload }) {
 
           {/* Metadatos */}
           <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500">
+            {imageResult.operation === 'edit' && <span className="bg-purple-100 text-purple-700 px-2 py-0.5 rounded">Edición</span>}
+            {imageResult.operation === 'variation' && <span className="bg-purple-100 text-purple-700 px-2 py-0.5 rounded">Variación</span>}
+            <span>{imageResult.model}</span>
             <span>{imageResult.size}</span>
             <span className="capitalize">{imageResult.quality}</span>
+            {imageResult.style && <span className="capitalize">{imageResult.style}</span>}
             <span>{imageResult.latency}ms</span>
             <span>{new Date(imageResult.timestamp).toLocaleTimeString()}</span>
           </div>
@@ -298,7 +931,7 @@ function ImageResult({ imageResult, onDownload }) {
           {/* Acciones */}
           <div className="flex space-x-2 mt-3">
             <button
-              onClick={() => onDownload(imageResult.image, imageResult.prompt)}
+              onClick={() => onDownload(imageResult.image, imageResult.prompt, imageResult.model)}
               className="text-xs btn-secondary py-1 px-3"
             >
               📥 Descargar
@@ -309,7 +942,78 @@ function ImageResult({ imageResult, onDownload }) {
             >
               📋 Copiar Prompt
             </button>
+            <button
+              onClick={() => setIsEditing(!isEditing)}
+              disabled={editTargets.length === 0 || isGenerating}
+              title={editTargets.length === 0 ? 'Ningún modelo configurado admite edición (ej: gpt-image-1, dall-e-2)' : 'Editar con un prompt y una máscara opcional'}
+              className="text-xs btn-secondary py-1 px-3"
+            >
+              ✏️ Editar
+            </button>
+            <button
+              onClick={() => onVariations(imageResult, variationTargets[0])}
+              disabled={variationTargets.length === 0 || isGenerating}
+              title={variationTargets.length === 0 ? 'Ningún modelo configurado admite variaciones (ej: dall-e-2)' : `Variaciones con ${variationTargets[0].model.name}`}
+              className="text-xs btn-secondary py-1 px-3"
+            >
+              🔀 Variaciones
+            </button>
           </div>
+
+          {/* Panel de edición */}
+          {isEditing && (
+            <div className="mt-3 p-3 bg-white rounded border border-gray-200 space-y-2">
+              {editTargets.length > 1 && (
+                <select
+                  value={editTargetIndex}
+                  onChange={(e) => setEditTargetIndex(parseInt(e.target.value, 10))}
+                  className="select-field text-xs"
+                  disabled={isGenerating}
+                >
+                  {editTargets.map((target, index) => (
+                    <option key={`${target.provider.id}-${target.model.id}`} value={index}>
+                      {target.model.name} via {target.provider.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <textarea
+                value={editPrompt}
+                onChange={(e) => setEditPrompt(e.target.value)}
+                placeholder="Describe el cambio (ej: agrega un sombrero rojo al gato)"
+                className="input-field resize-none text-sm"
+                rows="2"
+                disabled={isGenerating}
+              />
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">
+                  Máscara opcional: PNG del mismo tamaño, transparente en la zona a editar
+                </label>
+                <input
+                  type="file"
+                  accept="image/png"
+                  onChange={handleMaskChange}
+                  className="text-xs"
+                  disabled={isGenerating}
+                />
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={submitEdit}
+                  disabled={!editPrompt.trim() || isGenerating}
+                  className="text-xs btn-primary py-1 px-3"
+                >
+                  {isGenerating ? 'Editando...' : 'Aplicar edición'}
+                </button>
+                <button
+                  onClick={() => setIsEditing(false)}
+                  className="text-xs btn-secondary py-1 px-3"
+                >
+                  Cancelar
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react'
+import { APIService } from '../services/api'
+
+// Nombres legibles de las categorías de ejemplos de lib/prompts/examples.json
+const CATEGORY_NAMES = {
+  programming: 'Programación',
+  ai_models: 'Modelos de IA',
+  architecture: 'Arquitectura'
+}
+
+// Etiquetas de las variables conocidas de las plantillas (el resto se muestra con su nombre)
+const VARIABLE_LABELS = {
+  studentLevel: 'Nivel del estudiante',
+  language: 'Idioma de respuesta'
+}
+
+function PersonaSelector({
+  selectedPromptId,
+  onPromptChange,
+  examples,
+  onExamplesChange,
+  promptVariables,
+  onPromptVariablesChange
+}) {
+  const [prompts, setPrompts] = useState([])
+  const [categories, setCategories] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [promptsError, setPromptsError] = useState(null)
+  const [showContent, setShowContent] = useState(false)
+
+  // Cargar personas y categorías de ejemplos desde la API
+  useEffect(() => {
+    APIService.listPrompts()
+      .then((data) => {
+        setPrompts(data.prompts || [])
+        setCategories(data.exampleCategories || [])
+        setPromptsError(null)
+
+        // Si la persona elegida no existe en el servidor, usar la de por defecto
+        if (!data.prompts?.some(p => p.id === selectedPromptId) && data.defaultPromptId) {
+          onPromptChange(data.defaultPromptId)
+        }
+      })
+      .catch((error) => setPromptsError(error.message))
+      .finally(() => setIsLoading(false))
+  }, [])
+
+  const currentPrompt = prompts.find(p => p.id === selectedPromptId)
+  const totalExamples = categories.reduce((sum, category) => sum + category.count, 0)
+
+  // Actualizar una variable de la plantilla (vacía = no se envía)
+  const handleVariableChange = (name, value) => {
+    const next = { ...promptVariables }
+    if (value) {
+      next[name] = value
+    } else {
+      delete next[name]
+    }
+    onPromptVariablesChange(next)
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-bold text-gray-800 mb-4 flex items-center">
+        <span className="w-6 h-6 bg-ai-purple rounded-full flex items-center justify-center text-white text-sm mr-2">
+          🎭
+        </span>
+        Persona
+      </h2>
+
+      <div className="space-y-4">
+        {/* Selector de system prompt */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            System prompt
+          </label>
+          {isLoading && (
+            <p className="text-sm text-gray-500">Cargando personas...</p>
+          )}
+          {promptsError && (
+            <p className="text-sm text-red-600">No se pudieron cargar las personas: {promptsError}</p>
+          )}
+          <div className="space-y-2">
+            {prompts.map((prompt) => (
+              <button
+                key={prompt.id}
+                onClick={() => onPromptChange(prompt.id)}
+                className={`w-full p-3 rounded-lg border-2 transition-all duration-200 text-left ${
+                  selectedPromptId === prompt.id
+                    ? 'border-ai-purple bg-purple-50 text-ai-purple'
+                    : 'border-gray-200 hover:border-gray-300'
+                }`}
+              >
+                <div className="font-medium text-sm">
+                  {prompt.name}
+                  {prompt.isDefault && <span className="ml-2 text-xs text-gray-500">(por defecto)</span>}
+                </div>
+                {prompt.description && (
+                  <div className="text-xs text-gray-600 mt-1">{prompt.description}</div>
+                )}
+              </button>
+            ))}
+          </div>
+
+          {currentPrompt && (
+            <button
+              onClick={() => setShowContent(!showContent)}
+              className="mt-2 text-xs text-ai-purple hover:underline"
+            >
+              {showContent ? 'Ocultar' : 'Ver'} system prompt
+            </button>
+          )}
+          {currentPrompt && showContent && (
+            <pre className="mt-2 p-2 bg-gray-50 rounded text-xs text-gray-700 whitespace-pre-wrap max-h-48 overflow-y-auto">
+              {currentPrompt.content}
+            </pre>
+          )}
+        </div>
+
+        {/* Variables de la plantilla del prompt elegido */}
+        {currentPrompt?.variables?.length > 0 && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Variables del prompt
+            </label>
+            <div className="space-y-2">
+              {currentPrompt.variables.map((variable) => (
+                <div key={variable.name}>
+                  <label className="block text-xs text-gray-600 mb-1">
+                    {VARIABLE_LABELS[variable.name] || variable.name}
+                    <code className="ml-1 text-gray-400">{`{{${variable.name}}}`}</code>
+                    {variable.required && <span className="ml-1 text-red-600">*</span>}
+                  </label>
+                  <input
+                    type="text"
+                    value={promptVariables[variable.name] || ''}
+                    onChange={(e) => handleVariableChange(variable.name, e.target.value)}
+                    placeholder={variable.defaultValue ? `Por defecto: ${variable.defaultValue}` : 'Opcional'}
+                    className="input-field text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Ejemplos few-shot */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Ejemplos few-shot
+          </label>
+          <select
+            value={examples}
+            onChange={(e) => onExamplesChange(e.target.value)}
+            className="select-field"
+          >
+            <option value="">Sin ejemplos</option>
+            <option value="all">Todos ({totalExamples})</option>
+            {categories.map((category) => (
+              <option key={category.id} value={category.id}>
+                {CATEGORY_NAMES[category.id] || category.id} ({category.count})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Información educativa */}
+        <div className="p-3 bg-purple-50 rounded-lg border border-purple-200">
+          <h3 className="text-sm font-semibold text-purple-800 mb-1">
+            💡 Concepto: System prompt y few-shot
+          </h3>
+          <p className="text-xs text-purple-700">
+            El servidor rellena la plantilla del system prompt con tus variables y antepone pares
+            pregunta/respuesta de ejemplo a la conversación. Así el modelo imita el tono y el formato
+            sin cambiar el código del cliente.
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PersonaSelector
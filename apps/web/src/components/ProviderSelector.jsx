@@ -1,40 +1,35 @@
-import { useState } from 'react'
-
-// Configuración de proveedores y modelos
-const PROVIDERS_CONFIG = {
-  openai: {
-    name: 'OpenAI',
-    color: 'bg-green-500',
-    models: [
-      { id: 'gpt-4o-mini', name: 'GPT-4O Mini', description: 'Rápido y económico' },
-      { id: 'gpt-4o', name: 'GPT-4O', description: 'Más avanzado' },
-      { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', description: 'Clásico y confiable' }
-    ]
-  },
-  gemini: {
-    name: 'Google Gemini',
-    color: 'bg-blue-500', 
-    models: [
-      { id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro', description: 'Modelo principal' },
-      { id: 'gemini-1.5-flash', name: 'Gemini 1.5 Flash', description: 'Más rápido' }
-    ]
-  },
-  anthropic: {
-    name: 'Anthropic Claude',
-    color: 'bg-orange-500',
-    models: [
-      { id: 'claude-3-5-sonnet', name: 'Claude 3.5 Sonnet', description: 'Más reciente' },
-      { id: 'claude-3-haiku', name: 'Claude 3 Haiku', description: 'Rápido y eficiente' }
-    ]
-  },
-  azure: {
-    name: 'Azure OpenAI',
-    color: 'bg-blue-600',
-    models: [
-      { id: 'gpt-4o-mini', name: 'GPT-4O Mini (Azure)', description: 'Via Azure' },
-      { id: 'gpt-4o', name: 'GPT-4O (Azure)', description: 'Via Azure' }
-    ]
-  }
+import { useState, useEffect } from 'react'
+import { APIService } from '../services/api'
+
+// Colores por proveedor (solo presentación; los modelos vienen de /api/models)
+const PROVIDER_COLORS = {
+  openai: 'bg-green-500',
+  gemini: 'bg-blue-500',
+  anthropic: 'bg-orange-500',
+  azure: 'bg-blue-600'
+}
+
+// Origen del listado de modelos informado por /api/models
+const MODEL_SOURCES = {
+  live: 'en vivo desde el proveedor',
+  cache: 'en caché (consultado recientemente)',
+  fallback: 'catálogo incluido (la API de modelos no respondió)',
+  catalog: 'catálogo incluido',
+  config: 'deployments configurados en el servidor'
+}
+
+// Formatear cantidades de tokens (ej: 128000 -> 128K)
+const formatTokens = (tokens) => {
+  if (!tokens) return 'N/D'
+  if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`
+  if (tokens >= 1000) return `${Math.round(tokens / 1000)}K`
+  return `${tokens}`
+}
+
+// Formatear precio por token como USD por millón de tokens
+const formatPrice = (pricePerToken) => {
+  if (pricePerToken === undefined || pricePerToken === null) return 'N/D'
+  return `$${(pricePerToken * 1000000).toFixed(2)}`
 }
 
 function ProviderSelector({ 
@@ -46,16 +41,44 @@ function ProviderSelector({
   onStreamingChange 
 }) {
   const [temperature, setTemperature] = useState(0.7)
+  const [providers, setProviders] = useState([])
+  const [isLoadingModels, setIsLoadingModels] = useState(true)
+  const [modelsError, setModelsError] = useState(null)
 
-  const currentProvider = PROVIDERS_CONFIG[selectedProvider]
+  // Cargar proveedores y modelos desde la API
+  useEffect(() => {
+    APIService.listModels('chat')
+      .then((data) => {
+        setProviders(data.providers || [])
+        setModelsError(null)
+      })
+      .catch((error) => setModelsError(error.message))
+      .finally(() => setIsLoadingModels(false))
+  }, [])
+
+  const currentProvider = providers.find(p => p.id === selectedProvider)
   const availableModels = currentProvider?.models || []
+  const currentModel = availableModels.find(m => m.id === selectedModel)
+
+  // Si la selección actual no existe en el catálogo, usar la primera opción disponible
+  useEffect(() => {
+    if (providers.length === 0) return
+
+    if (!currentProvider) {
+      handleProviderChange(providers[0].id)
+    } else if (!currentModel && availableModels.length > 0) {
+      const fallbackModel = availableModels.find(m => m.id === currentProvider.defaultModel) || availableModels[0]
+      onModelChange(fallbackModel.id)
+    }
+  }, [providers, selectedProvider, selectedModel])
 
-  // Cambiar proveedor y seleccionar primer modelo disponible
-  const handleProviderChange = (provider) => {
-    onProviderChange(provider)
-    const firstModel = PROVIDERS_CONFIG[provider]?.models[0]
-    if (firstModel) {
-      onModelChange(firstModel.id)
+  // Cambiar proveedor y seleccionar su modelo por defecto
+  const handleProviderChange = (providerId) => {
+    onProviderChange(providerId)
+    const provider = providers.find(p => p.id === providerId)
+    const defaultModel = provider?.defaultModel || provider?.models[0]?.id
+    if (defaultModel) {
+      onModelChange(defaultModel)
     }
   }
 
@@ -74,19 +97,28 @@ function ProviderSelector({
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Proveedor de IA
           </label>
+          {isLoadingModels && (
+            <p className="text-sm text-gray-500">Cargando proveedores...</p>
+          )}
+          {modelsError && (
+            <p className="text-sm text-red-600">No se pudieron cargar los modelos: {modelsError}</p>
+          )}
+          {!isLoadingModels && !modelsError && providers.length === 0 && (
+            <p className="text-sm text-gray-500">No hay proveedores configurados en el servidor.</p>
+          )}
           <div className="grid grid-cols-2 gap-2">
-            {Object.entries(PROVIDERS_CONFIG).map(([key, provider]) => (
+            {providers.map((provider) => (
               <button
-                key={key}
-                onClick={() => handleProviderChange(key)}
+                key={provider.id}
+                onClick={() => handleProviderChange(provider.id)}
                 className={`p-3 rounded-lg border-2 transition-all duration-200 text-left ${
-                  selectedProvider === key
+                  selectedProvider === provider.id
                     ? 'border-ai-blue bg-blue-50 text-ai-blue'
                     : 'border-gray-200 hover:border-gray-300'
                 }`}
               >
                 <div className="flex items-center space-x-2">
-                  <div className={`w-3 h-3 rounded-full ${provider.color}`}></div>
+                  <div className={`w-3 h-3 rounded-full ${PROVIDER_COLORS[provider.id] || 'bg-gray-400'}`}></div>
                   <span className="font-medium text-sm">{provider.name}</span>
                 </div>
               </button>
@@ -112,11 +144,32 @@ function ProviderSelector({
           </select>
           
           {/* Info del modelo seleccionado */}
-          {selectedModel && (
-            <div className="mt-2 p-2 bg-gray-50 rounded text-xs text-gray-600">
-              <strong>Proveedor:</strong> {currentProvider?.name}
-              <br />
-              <strong>Modelo:</strong> {availableModels.find(m => m.id === selectedModel)?.name}
+          {currentModel && (
+            <div className="mt-2 p-2 bg-gray-50 rounded text-xs text-gray-600 space-y-1">
+              <div>
+                <strong>Proveedor:</strong> {currentProvider?.name}
+                <br />
+                <strong>Modelo:</strong> {currentModel.name} <span className="text-gray-400">({currentModel.id})</span>
+              </div>
+              <div>
+                <strong>Contexto:</strong> {formatTokens(currentModel.contextWindow)} tokens
+                {' • '}
+                <strong>Salida máx.:</strong> {formatTokens(currentModel.maxOutputTokens)} tokens
+              </div>
+              <div>
+                <strong>Precio (1M tokens):</strong> entrada {formatPrice(currentModel.pricing?.input)}
+                {' / '}salida {formatPrice(currentModel.pricing?.output)}
+              </div>
+              {currentProvider?.source && (
+                <div className="text-gray-500">
+                  Listado de modelos: {MODEL_SOURCES[currentProvider.source] || currentProvider.source}
+                </div>
+              )}
+              <div className="flex flex-wrap gap-1 pt-1">
+                {currentModel.streaming && <span className="bg-green-100 text-green-700 px-2 py-0.5 rounded">Streaming</span>}
+                {currentModel.vision && <span className="bg-blue-100 text-blue-700 px-2 py-0.5 rounded">Visión</span>}
+                {currentModel.tools && <span className="bg-purple-100 text-purple-700 px-2 py-0.5 rounded">Tools</span>}
+              </div>
             </div>
           )}
         </div>
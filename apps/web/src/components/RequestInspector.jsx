@@ -1,9 +1,12 @@
 import { useState } from 'react'
 
 function RequestInspector({ requestLogs }) {
-  const [selectedLog, setSelectedLog] = useState(null)
+  const [selectedLogId, setSelectedLogId] = useState(null)
   const [showOnlyErrors, setShowOnlyErrors] = useState(false)
 
+  // Se guarda el id para que el detalle se actualice mientras llegan los pasos de un log en curso
+  const selectedLog = requestLogs.find(log => log.id === selectedLogId) || null
+
   // Filtrar logs según configuración
   const filteredLogs = requestLogs.filter(log => {
     if (showOnlyErrors) {
@@ -24,14 +27,18 @@ function RequestInspector({ requestLogs }) {
       return acc
     }, {}),
     byProvider: requestLogs.reduce((acc, log) => {
-      const provider = log.request?.provider || 'unknown'
-      acc[provider] = (acc[provider] || 0) + 1
+      // Una comparación cuenta una vez por cada proveedor incluido
+      const providers = log.request?.targets?.map(target => target.provider) || [log.request?.provider || 'unknown']
+      for (const provider of providers) {
+        acc[provider] = (acc[provider] || 0) + 1
+      }
       return acc
     }, {})
   }
 
   const getStatusColor = (log) => {
     if (log.error) return 'text-red-600 bg-red-50'
+    if (log.pending) return 'text-yellow-700 bg-yellow-50'
     return 'text-green-600 bg-green-50'
   }
 
@@ -39,6 +46,8 @@ function RequestInspector({ requestLogs }) {
     switch (type) {
       case 'chat': return '💬'
       case 'image': return '🎨'
+      case 'gallery': return '🖼️'
+      case 'compare': return '⚖️'
       case 'health': return '❤️'
       default: return '❓'
     }
@@ -107,7 +116,7 @@ function RequestInspector({ requestLogs }) {
               key={log.id}
               log={log}
               isSelected={selectedLog?.id === log.id}
-              onClick={() => setSelectedLog(selectedLog?.id === log.id ? null : log)}
+              onClick={() => setSelectedLogId(selectedLogId === log.id ? null : log.id)}
               getStatusColor={getStatusColor}
               getTypeIcon={getTypeIcon}
             />
@@ -119,7 +128,7 @@ function RequestInspector({ requestLogs }) {
       {selectedLog && (
         <LogDetails 
           log={selectedLog} 
-          onClose={() => setSelectedLog(null)}
+          onClose={() => setSelectedLogId(null)}
         />
       )}
 
@@ -140,7 +149,7 @@ function RequestInspector({ requestLogs }) {
 // Componente para cada entrada de log
 function LogEntry({ log, isSelected, onClick, getStatusColor, getTypeIcon }) {
   const timestamp = new Date(log.timestamp).toLocaleTimeString()
-  const provider = log.request?.provider || 'N/A'
+  const provider = log.request?.provider || log.request?.targets?.map(target => target.provider).join(' vs ') || 'N/A'
 
   return (
     <div 
@@ -159,8 +168,13 @@ function LogEntry({ log, isSelected, onClick, getStatusColor, getTypeIcon }) {
             <div className="flex items-center space-x-2">
               <span className="text-sm font-medium capitalize">{log.type}</span>
               <span className={`text-xs px-2 py-1 rounded-full ${getStatusColor(log)}`}>
-                {log.error ? 'Error' : 'OK'}
+                {log.error ? 'Error' : log.pending ? 'En curso' : 'OK'}
               </span>
+              {log.steps && (
+                <span className="text-xs px-2 py-1 rounded-full text-orange-700 bg-orange-100">
+                  🛠️ {log.steps.filter(step => step.type === 'tool_result').length} herramientas
+                </span>
+              )}
             </div>
             
             <div className="text-xs text-gray-500 flex items-center space-x-2">
@@ -187,6 +201,7 @@ function LogDetails({ log, onClose }) {
 
   const tabs = [
     { id: 'request', label: 'Request', icon: '📤' },
+    { id: 'steps', label: 'Pasos', icon: '🛠️', show: !!log.steps },
     { id: 'response', label: 'Response', icon: '📥' },
     { id: 'error', label: 'Error', icon: '❌', show: !!log.error }
   ].filter(tab => tab.show !== false)
@@ -231,6 +246,10 @@ function LogDetails({ log, onClose }) {
           </pre>
         )}
 
+        {activeTab === 'steps' && log.steps && (
+          <AgentSteps steps={log.steps} pending={log.pending} />
+        )}
+
         {activeTab === 'response' && (
           <div>
             {log.response ? (
@@ -281,4 +300,54 @@ function LogDetails({ log, onClose }) {
   )
 }
 
+// Línea de tiempo del bucle de herramientas: llamadas al modelo y herramientas ejecutadas
+function AgentSteps({ steps, pending }) {
+  if (steps.length === 0) {
+    return (
+      <div className="text-sm text-gray-600 text-center py-4">
+        {pending ? 'Esperando el primer paso...' : 'El bucle no ejecutó pasos'}
+      </div>
+    )
+  }
+
+  return (
+    <ol className="space-y-2">
+      {steps.map((step, index) => (
+        <li key={index} className="text-xs bg-white p-2 rounded border">
+          {step.type === 'step' ? (
+            <div>
+              <div className="flex justify-between font-medium text-gray-800">
+                <span>🤖 Paso {step.step}: llamada al modelo</span>
+                <span className="text-gray-500">{step.latency}ms</span>
+              </div>
+              <div className="text-gray-600 mt-1">
+                {step.toolCalls.length > 0
+                  ? `Pide: ${step.toolCalls.map(call => call.name).join(', ')}`
+                  : 'Respuesta final'}
+                {step.finishReason && ` • finishReason: ${step.finishReason}`}
+              </div>
+            </div>
+          ) : (
+            <div>
+              <div className="flex justify-between font-medium text-orange-800">
+                <span>🛠️ {step.name}</span>
+                <span className="text-gray-500">{step.latency}ms</span>
+              </div>
+              <pre className="mt-1 text-gray-600 overflow-x-auto">
+                {JSON.stringify(step.arguments, null, 2)}
+              </pre>
+              <pre className={`mt-1 overflow-x-auto ${step.error ? 'text-red-700' : 'text-green-700'}`}>
+                {step.error ? `Error: ${step.error}` : JSON.stringify(step.result, null, 2)}
+              </pre>
+            </div>
+          )}
+        </li>
+      ))}
+      {pending && (
+        <li className="text-xs text-gray-500 text-center">⏳ En curso...</li>
+      )}
+    </ol>
+  )
+}
+
 export default RequestInspector
\ No newline at end of file
@@ -6,16 +6,50 @@ const API_BASE_URL = import.meta.env.DEV
 const API_ENDPOINTS = {
   chat: `${API_BASE_URL}/chat`,
   image: `${API_BASE_URL}/image`, 
-  health: `${API_BASE_URL}/health`
+  health: `${API_BASE_URL}/health`,
+  models: `${API_BASE_URL}/models`,
+  prompts: `${API_BASE_URL}/prompts`,
+  compare: `${API_BASE_URL}/compare`,
+  gallery: `${API_BASE_URL}/gallery`
 };
 
+// Id anónimo de este navegador (header X-Client-Id): la galería guarda quién generó cada imagen
+// y solo deja borrarla con el mismo id
+const CLIENT_ID_KEY = 'demo-gpts-client-id';
+
+function getClientIdHeader() {
+  try {
+    let clientId = localStorage.getItem(CLIENT_ID_KEY);
+    if (!clientId) {
+      clientId = crypto.randomUUID();
+      localStorage.setItem(CLIENT_ID_KEY, clientId);
+    }
+    return { 'X-Client-Id': clientId };
+  } catch (error) {
+    // Sin localStorage (modo privado estricto) las imágenes se guardan sin dueño
+    return {};
+  }
+}
+
 // Clase para manejar errores de API
+// El backend responde siempre { success: false, error: { type, message, ... } } (apps/api/utils/errors.js)
 export class APIError extends Error {
-  constructor(message, status, details = null) {
+  constructor(message, status, details = null, type = null) {
     super(message);
     this.name = 'APIError';
     this.status = status;
     this.details = details;
+    this.type = type;
+  }
+
+  /**
+   * Crear el error a partir de una respuesta HTTP no exitosa
+   */
+  static async fromResponse(response, fallbackMessage) {
+    const body = await response.json().catch(() => ({}));
+    const error = body.error || {};
+
+    return new APIError(error.message || fallbackMessage, response.status, body, error.type || null);
   }
 }
 
@@ -24,19 +58,52 @@ export class APIService {
   
   /**
    * Enviar mensaje de chat con streaming opcional
+   * serverTools: true (o lista de nombres) activa el bucle de herramientas en el servidor
    */
-  static async sendChatMessage({ provider, messages, options = {}, streaming = true }) {
+  static async sendChatMessage({ provider, model, messages, options = {}, streaming = true, serverTools = null }) {
     const requestData = {
       provider,
+      model,
       messages,
-      options: {
-        temperature: options.temperature || 0.7,
-        maxTokens: options.maxTokens || 2000,
-        ...options
-      },
+      temperature: options.temperature ?? 0.7,
+      maxTokens: options.maxTokens || 2000,
       streaming
     };
 
+    if (serverTools) {
+      requestData.serverTools = serverTools;
+      requestData.maxSteps = options.maxSteps || 5;
+    }
+
+    // Persona (system prompt de lib/prompts) y ejemplos few-shot que antepone el servidor
+    if (options.promptId) {
+      requestData.promptId = options.promptId;
+    }
+
+    if (options.examples) {
+      requestData.examples = options.examples;
+    }
+
+    // Valores para las plantillas ({{studentLevel}}, {{language}}, ...)
+    if (options.promptVariables && Object.keys(options.promptVariables).length > 0) {
+      requestData.promptVariables = options.promptVariables;
+    }
+
+    // Proveedores alternativos si el principal falla con un error recuperable
+    if (options.fallback?.length) {
+      requestData.fallback = options.fallback;
+    }
+
+    // Salida estructurada: 'json' o { jsonSchema } (la respuesta incluye "data" ya validado)
+    if (options.responseFormat) {
+      requestData.responseFormat = options.responseFormat;
+    }
+
+    // Ajuste a la ventana de contexto: { strategy, maxMessages?, maxPromptTokens? } (metadata.context informa el resultado)
+    if (options.context) {
+      requestData.context = options.context;
+    }
+
     const startTime = Date.now();
 
     try {
@@ -49,12 +116,7 @@ export class APIService {
       });
 
       if (!response.ok) {
-        const error = await response.json().catch(() => ({ message: 'Error desconocido' }));
-        throw new APIError(
-          error.message || 'Error en la solicitud',
-          response.status,
-          error
-        );
+        throw await APIError.fromResponse(response, 'Error en la solicitud');
       }
 
       // Si es streaming, devolver el stream
@@ -87,6 +149,74 @@ export class APIService {
     }
   }
 
+  /**
+   * Comparar varios pares proveedor/modelo con los mismos mensajes
+   * targets: [{ provider, model }]; con streaming cada evento trae "target" (índice del par)
+   */
+  static async compareModels({ targets, messages, options = {}, streaming = true }) {
+    const requestData = {
+      targets,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      maxTokens: options.maxTokens || 2000,
+      streaming
+    };
+
+    if (options.promptId) {
+      requestData.promptId = options.promptId;
+    }
+
+    if (options.examples) {
+      requestData.examples = options.examples;
+    }
+
+    if (options.promptVariables && Object.keys(options.promptVariables).length > 0) {
+      requestData.promptVariables = options.promptVariables;
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const response = await fetch(API_ENDPOINTS.compare, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(requestData)
+      });
+
+      if (!response.ok) {
+        throw await APIError.fromResponse(response, 'Error en la comparación');
+      }
+
+      if (streaming) {
+        return {
+          stream: response.body,
+          requestData,
+          startTime
+        };
+      }
+
+      const data = await response.json();
+      return {
+        data,
+        requestData,
+        latency: Date.now() - startTime
+      };
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+
+      throw new APIError(
+        'Error de conexión con la API',
+        0,
+        { originalError: error.message }
+      );
+    }
+  }
+
   /**
    * Leer stream de Server-Sent Events
    */
@@ -127,7 +257,8 @@ export class APIService {
                   yield {
                     type: 'content',
                     content: parsed.delta || parsed.content || '',
-                    provider: parsed.provider
+                    provider: parsed.provider,
+                    target: parsed.target
                   };
                   break;
                 case 'metadata':
@@ -141,14 +272,31 @@ export class APIService {
                   yield {
                     type: 'error',
                     error: parsed.error,
+                    errorType: parsed.errorType,
                     provider: parsed.provider
                   };
                   break;
+                case 'step':
+                case 'tool_result':
+                  // Pasos del bucle de herramientas del servidor
+                  yield parsed;
+                  break;
+                case 'result':
+                  // Resultado final de un destino en /api/compare
+                  yield parsed;
+                  break;
+                case 'start':
+                case 'item':
+                case 'progress':
+                  // Batch de /api/image: inicio, cada generación terminada y avance
+                  yield parsed;
+                  break;
                 case 'done':
                   yield {
                     type: 'done',
                     metadata: parsed.metadata,
-                    provider: parsed.provider
+                    provider: parsed.provider,
+                    results: parsed.results
                   };
                   return;
                 default:
@@ -169,20 +317,27 @@ export class APIService {
 
   /**
    * Generar imagen con múltiples proveedores
+   * Con operation 'edit' (image + prompt + mask opcional) o 'variation' (image) parte de una imagen existente
+   * Sin model, size, quality o style el servidor usa los valores por defecto del modelo
+   * enhance ({ provider, model } de chat) reescribe el prompt antes de generar (metadata.prompt.enhanced)
+   * La respuesta trae images: [{ image (data URL o URL), revisedPrompt, ... }]
    */
-  static async generateImage({ provider, prompt, options = {} }) {
-    const requestData = { 
-      provider,
-      prompt, 
-      options: {
-        size: options.size || '1024x1024',
-        quality: options.quality || 'standard',
-        n: options.n || 1,
-        responseFormat: options.responseFormat || 'url',
-        returnBase64: options.returnBase64 || false,
-        ...options
-      }
-    };
+  static async generateImage({ operation, provider, model, prompt, image, mask, size, quality, style, n, responseFormat, returnBase64, enhance }) {
+    const requestData = {};
+
+    if (operation && operation !== 'generate') requestData.operation = operation;
+    if (prompt) requestData.prompt = prompt;
+    if (image) requestData.image = image;
+    if (mask) requestData.mask = mask;
+    if (provider) requestData.provider = provider;
+    if (model) requestData.model = model;
+    if (size) requestData.size = size;
+    if (quality) requestData.quality = quality;
+    if (style) requestData.style = style;
+    if (n) requestData.n = n;
+    if (responseFormat) requestData.responseFormat = responseFormat;
+    if (returnBase64) requestData.returnBase64 = true;
+    if (enhance) requestData.enhance = enhance;
     
     const startTime = Date.now();
 
@@ -191,17 +346,13 @@ export class APIService {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...getClientIdHeader()
         },
         body: JSON.stringify(requestData)
       });
 
       if (!response.ok) {
-        const error = await response.json().catch(() => ({ message: 'Error desconocido' }));
-        throw new APIError(
-          error.message || 'Error generando imagen',
-          response.status,
-          error
-        );
+        throw await APIError.fromResponse(response, 'Error generando imagen');
       }
 
       const data = await response.json();
@@ -225,6 +376,195 @@ export class APIService {
     }
   }
 
+  /**
+   * Generar un batch de imágenes: prompts (uno por generación) o count muestras de prompt
+   * El servidor corre hasta "concurrency" generaciones a la vez; con streaming devuelve el stream SSE
+   * (eventos start, item, progress y done) y sin streaming los resultados de todas juntas
+   */
+  static async generateImageBatch({ provider, model, prompts, prompt, count, concurrency, size, quality, style, n, enhance, streaming = true }) {
+    const requestData = {
+      batch: prompts ? { prompts } : { count },
+      streaming
+    };
+
+    if (concurrency) requestData.batch.concurrency = concurrency;
+    if (prompt && !prompts) requestData.prompt = prompt;
+    if (provider) requestData.provider = provider;
+    if (model) requestData.model = model;
+    if (size) requestData.size = size;
+    if (quality) requestData.quality = quality;
+    if (style) requestData.style = style;
+    if (n) requestData.n = n;
+    if (enhance) requestData.enhance = enhance;
+
+    const startTime = Date.now();
+
+    try {
+      const response = await fetch(API_ENDPOINTS.image, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getClientIdHeader()
+        },
+        body: JSON.stringify(requestData)
+      });
+
+      if (!response.ok) {
+        throw await APIError.fromResponse(response, 'Error generando el batch de imágenes');
+      }
+
+      if (streaming) {
+        return {
+          stream: response.body,
+          requestData,
+          startTime
+        };
+      }
+
+      const data = await response.json();
+      return {
+        data,
+        requestData,
+        latency: Date.now() - startTime
+      };
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+
+      throw new APIError(
+        'Error de conexión al generar imágenes',
+        0,
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Listar la galería de imágenes guardadas (paginada, búsqueda por prompt)
+   */
+  static async listGallery({ page = 1, pageSize = 12, search = '' } = {}) {
+    const params = new URLSearchParams({ page: String(page), pageSize: String(pageSize) });
+    if (search.trim()) params.set('q', search.trim());
+
+    try {
+      const response = await fetch(`${API_ENDPOINTS.gallery}?${params}`, {
+        method: 'GET',
+        headers: getClientIdHeader()
+      });
+
+      if (!response.ok) {
+        throw await APIError.fromResponse(response, 'Error listando la galería');
+      }
+
+      return await response.json();
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+
+      throw new APIError(
+        'Error de conexión al listar la galería',
+        0,
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Borrar una imagen de la galería (solo las generadas desde este navegador: "owned" en el listado)
+   */
+  static async deleteGalleryImage(id) {
+    try {
+      const response = await fetch(`${API_ENDPOINTS.gallery}?id=${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        headers: getClientIdHeader()
+      });
+
+      if (!response.ok) {
+        throw await APIError.fromResponse(response, 'Error borrando la imagen');
+      }
+
+      return await response.json();
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+
+      throw new APIError(
+        'Error de conexión al borrar la imagen',
+        0,
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * URL de una imagen de la galería (para <img src> y descargas)
+   */
+  static galleryImageUrl(id) {
+    return `${API_ENDPOINTS.gallery}?id=${encodeURIComponent(id)}&raw=true`;
+  }
+
+  /**
+   * Listar proveedores configurados y su catálogo de modelos
+   */
+  static async listModels(capability = 'chat') {
+    try {
+      const response = await fetch(`${API_ENDPOINTS.models}?capability=${encodeURIComponent(capability)}`, {
+        method: 'GET'
+      });
+
+      if (!response.ok) {
+        throw await APIError.fromResponse(response, 'Error listando modelos');
+      }
+
+      return await response.json();
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+
+      throw new APIError(
+        'Error de conexión al listar modelos',
+        0,
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Listar los system prompts (personas) y las categorías de ejemplos few-shot
+   */
+  static async listPrompts() {
+    try {
+      const response = await fetch(API_ENDPOINTS.prompts, {
+        method: 'GET'
+      });
+
+      if (!response.ok) {
+        throw await APIError.fromResponse(response, 'Error listando prompts');
+      }
+
+      return await response.json();
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+
+      throw new APIError(
+        'Error de conexión al listar prompts',
+        0,
+        { originalError: error.message }
+      );
+    }
+  }
+
   /**
    * Health check de la API
    */
@@ -262,7 +602,12 @@ export const RequestUtils = {
       type, // 'chat', 'image', 'health'
       request: {
         ...requestData,
-        // No incluir información sensible
+        // No incluir información sensible ni imágenes completas en base64
+        ...(requestData?.messages && {
+          messages: requestData.messages.map(RequestUtils.summarizeMessage)
+        }),
+        ...(requestData?.image && { image: RequestUtils.summarizeDataUrl(requestData.image) }),
+        ...(requestData?.mask && { mask: RequestUtils.summarizeDataUrl(requestData.mask) })
       },
       response: error ? null : {
         status: 'success',
@@ -276,6 +621,36 @@ export const RequestUtils = {
     };
   },
 
+  /**
+   * Reemplazar las imágenes en base64 de un mensaje por un resumen legible
+   */
+  summarizeMessage(message) {
+    if (!Array.isArray(message.content)) {
+      return message;
+    }
+
+    return {
+      ...message,
+      content: message.content.map(part => {
+        if (part.type !== 'image' || !part.url) {
+          return part;
+        }
+        return { ...part, url: RequestUtils.summarizeDataUrl(part.url) };
+      })
+    };
+  },
+
+  /**
+   * Resumir una data URL como "data:image/png;base64,… (120 KB)" (las URLs normales no cambian)
+   */
+  summarizeDataUrl(url) {
+    if (!url?.startsWith('data:')) {
+      return url;
+    }
+    const [header, data = ''] = url.split(',');
+    return `${header},… (${Math.round(data.length * 3 / 4 / 1024)} KB)`;
+  },
+
   /**
    * Formatear mensajes para diferentes proveedores
    */